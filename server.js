@@ -1,6 +1,9 @@
 "use strict";
 
 
+var crypto = require('crypto');
+var fs = require('fs');
+var path = require('path');
 var url = require('url');
 var configSettings = require('./public/config.json');
 
@@ -66,6 +69,53 @@ function proxyAllowedHost(host) {
     return false;
 }
 
+var shareIdRegex = /^[A-Za-z0-9_-]+$/;
+
+function createShareId() {
+    // 9 random bytes are exactly 12 URL-safe base64 characters, with no padding.
+    return crypto.randomBytes(9).toString('base64').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+// A share store that saves each share record as a JSON file in a directory.
+// All share stores expose the same two functions:
+//   save(data, callback) stores the data string and calls callback(err, id).
+//   load(id, callback) calls callback(err, data), with data undefined if there is no record with that id.
+function createFileShareStore(directory) {
+    // Every cluster worker creates the store at startup, so another worker may create the directory first.
+    try {
+        fs.mkdirSync(directory);
+    } catch (e) {
+        if (e.code !== 'EEXIST') {
+            throw e;
+        }
+    }
+
+    function save(data, callback, attempt) {
+        var id = createShareId();
+        // 'wx' fails rather than overwriting an existing record in the unlikely event of an ID collision.
+        fs.writeFile(path.join(directory, id + '.json'), data, { flag : 'wx' }, function(err) {
+            if (err && err.code === 'EEXIST' && (attempt || 0) < 5) {
+                return save(data, callback, (attempt || 0) + 1);
+            }
+            callback(err, err ? undefined : id);
+        });
+    }
+
+    function load(id, callback) {
+        fs.readFile(path.join(directory, id + '.json'), 'utf8', function(err, data) {
+            if (err && err.code === 'ENOENT') {
+                return callback(undefined, undefined);
+            }
+            callback(err, data);
+        });
+    }
+
+    return {
+        save : save,
+        load : load
+    };
+}
+
 // Include the cluster module
 var cluster = require('cluster');
 
@@ -100,10 +150,8 @@ if (cluster.isMaster) {
     /*jshint es3:false*/
 
     var express = require('express');
-    var fs = require('fs');
     var compression = require('compression');
     var request = require('request');
-    var path = require('path');
     var cors = require('cors');
     var formidable = require('formidable');
     var ogr2ogr = require('ogr2ogr');
@@ -128,6 +176,14 @@ if (cluster.isMaster) {
         'bypass-upstream-proxy-hosts' : {
             'description' : 'A comma separated list of hosts that will bypass the specified upstream_proxy, e.g. "lanhost1,lanhost2"'
         },
+        'share-store' : {
+            'default' : 'file',
+            'description' : 'The storage backend for share records.  Either "file" or the path of a node module exporting a function that takes the command-line arguments and returns an object with save(data, callback) and load(id, callback) functions.'
+        },
+        'share-directory' : {
+            'default' : path.join(__dirname, 'shares'),
+            'description' : 'The directory in which the "file" share store saves share records.'
+        },
         'help' : {
             'alias' : 'h',
             'type' : 'boolean',
@@ -295,11 +351,67 @@ if (cluster.isMaster) {
 
 
     //Share record storage
+    var shareStore;
+    if (argv['share-store'] === 'file') {
+        shareStore = createFileShareStore(argv['share-directory']);
+    } else {
+        shareStore = require(path.resolve(argv['share-store']))(argv);
+    }
+
+    var maxShareSize = 200000;
+
     app.post('/upload', function(req, res, next) {
+        var chunks = [];
+        var len = 0;
+        var tooLarge = false;
+
+        req.on('data', function(chunk) {
+            len += chunk.length;
+            if (len > maxShareSize) {
+                tooLarge = true;
+            } else {
+                chunks.push(chunk);
+            }
+        });
+
+        req.on('end', function() {
+            if (tooLarge) {
+                return res.status(413).send('Share request is too large.');
+            }
+
+            var data = Buffer.concat(chunks).toString('utf8');
+            try {
+                JSON.parse(data);
+            } catch (e) {
+                return res.status(400).send('Share request is not valid JSON.');
+            }
+
+            shareStore.save(data, function(err, id) {
+                if (err) {
+                    console.error(err);
+                    return res.status(500).send('Unable to store share request.');
+                }
+                res.json({ id: id });
+            });
+        });
     });
 
-    
     app.get('/get/:id', function(req, res, next) {
+        var id = req.params.id;
+        if (!shareIdRegex.test(id)) {
+            return res.status(400).send('Invalid share ID.');
+        }
+
+        shareStore.load(id, function(err, data) {
+            if (err) {
+                console.error(err);
+                return res.status(500).send('Unable to load share record.');
+            }
+            if (data === undefined) {
+                return res.status(404).send('No share record with ID ' + id + '.');
+            }
+            res.type('application/json').status(200).send(data);
+        });
     });
 
 
@@ -0,0 +1,163 @@
+'use strict';
+
+/*global require,describe,it,expect,beforeEach*/
+
+var CesiumImagerySplitter = require('../../src/Map/CesiumImagerySplitter');
+
+var GlobeFS = require('../../third_party/cesium/Source/Shaders/GlobeFS');
+var ShaderSource = require('../../third_party/cesium/Source/Renderer/ShaderSource');
+
+describe('CesiumImagerySplitter', function() {
+    var scene;
+    var tileProvider;
+    var leftLayer;
+    var rightLayer;
+    var bothLayer;
+
+    // Stands in for a tile drawing one texture of each layer, as the globe's tile provider does in endUpdate.
+    function createTile(layers) {
+        return {
+            data : {
+                imagery : layers.map(function(layer) {
+                    return {
+                        readyImagery : {
+                            imageryLayer : layer,
+                            texture : {}
+                        }
+                    };
+                })
+            }
+        };
+    }
+
+    function drawTile(tile) {
+        tileProvider._drawCommands.push({
+            owner : tile
+        });
+        tileProvider._uniformMaps.push({
+            dayTextures : tile.data.imagery.map(function(tileImagery) {
+                return tileImagery.readyImagery.texture;
+            })
+        });
+        ++tileProvider._usedDrawCommands;
+    }
+
+    beforeEach(function() {
+        tileProvider = {
+            _drawCommands : [],
+            _uniformMaps : [],
+            _usedDrawCommands : 0,
+            endUpdate : function() {
+            }
+        };
+        scene = {
+            drawingBufferWidth : 1000,
+            globe : {
+                _surfaceShaderSet : {
+                    baseFragmentShaderSource : new ShaderSource({
+                        sources : [GlobeFS]
+                    })
+                },
+                _surface : {
+                    _tileProvider : tileProvider
+                }
+            }
+        };
+        leftLayer = {
+            alpha : 0.5
+        };
+        rightLayer = {
+            alpha : 1.0
+        };
+        bothLayer = {
+            alpha : 1.0
+        };
+    });
+
+    it('requires a scene', function() {
+        expect(function() {
+            return new CesiumImagerySplitter();
+        }).toThrow();
+    });
+
+    it('clips textures at the split in the fragment shader of the globe', function() {
+        var splitter = new CesiumImagerySplitter(scene);
+        expect(splitter.isSupported).toBe(true);
+
+        var source = scene.globe._surfaceShaderSet.baseFragmentShaderSource.sources[0];
+        expect(source).toContain('uniform float u_splitPosition;');
+        expect(source).toContain('uniform float u_dayTextureSplit[TEXTURE_UNITS];');
+        expect(source.indexOf('getDayTextureSplit(splitTextureIndex)')).toBeGreaterThan(source.indexOf('vec4 sampleAndBlend'));
+    });
+
+    it('is not supported if the shader of the globe is unknown', function() {
+        scene.globe._surfaceShaderSet.baseFragmentShaderSource = new ShaderSource({
+            sources : ['void main() {}']
+        });
+        var endUpdate = tileProvider.endUpdate;
+        var splitter = new CesiumImagerySplitter(scene);
+        expect(splitter.isSupported).toBe(false);
+        expect(tileProvider.endUpdate).toBe(endUpdate);
+    });
+
+    it('is not supported if the tile provider of the globe is unknown', function() {
+        scene.globe._surface = {};
+        var splitter = new CesiumImagerySplitter(scene);
+        expect(splitter.isSupported).toBe(false);
+        expect(scene.globe._surfaceShaderSet.baseFragmentShaderSource.sources[0]).toBe(GlobeFS);
+    });
+
+    it('passes the side of each texture of a tile to the shader', function() {
+        var splitter = new CesiumImagerySplitter(scene);
+        splitter.setSplitDirection(leftLayer, 'left');
+        splitter.setSplitDirection(rightLayer, 'right');
+        splitter.setSplitDirection(bothLayer, undefined);
+
+        drawTile(createTile([leftLayer, bothLayer, rightLayer]));
+        drawTile(createTile([rightLayer]));
+        tileProvider.endUpdate({});
+
+        expect(tileProvider._uniformMaps[0].u_dayTextureSplit()).toEqual([-1.0, 0.0, 1.0]);
+        expect(tileProvider._uniformMaps[1].u_dayTextureSplit()).toEqual([1.0]);
+    });
+
+    it('passes the position of the split in pixels to the shader', function() {
+        var splitter = new CesiumImagerySplitter(scene);
+        drawTile(createTile([leftLayer]));
+        tileProvider.endUpdate({});
+
+        splitter.position = 0.25;
+        expect(tileProvider._uniformMaps[0].u_splitPosition()).toBe(250);
+
+        splitter.position = 0.5;
+        expect(tileProvider._uniformMaps[0].u_splitPosition()).toBe(500);
+    });
+
+    it('leaves the alpha of split layers unchanged', function() {
+        var splitter = new CesiumImagerySplitter(scene);
+        splitter.setSplitDirection(leftLayer, 'left');
+        drawTile(createTile([leftLayer]));
+        tileProvider.endUpdate({});
+
+        expect(leftLayer.alpha).toBe(0.5);
+        expect(Object.getOwnPropertyDescriptor(leftLayer, 'alpha').value).toBe(0.5);
+    });
+
+    it('shows layers on both sides once they are no longer split', function() {
+        var splitter = new CesiumImagerySplitter(scene);
+        splitter.setSplitDirection(leftLayer, 'left');
+        splitter.setSplitDirection(rightLayer, 'right');
+        expect(splitter.getSplitDirection(leftLayer)).toBe('left');
+
+        splitter.setSplitDirection(leftLayer, undefined);
+        expect(splitter.getSplitDirection(leftLayer)).toBeUndefined();
+        expect(splitter.getSplitDirection(rightLayer)).toBe('right');
+
+        splitter.removeAll();
+        expect(splitter.getSplitDirection(rightLayer)).toBeUndefined();
+
+        drawTile(createTile([leftLayer, rightLayer]));
+        tileProvider.endUpdate({});
+        expect(tileProvider._uniformMaps[0].u_dayTextureSplit()).toEqual([0.0, 0.0]);
+    });
+});
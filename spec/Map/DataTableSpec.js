@@ -0,0 +1,220 @@
+'use strict';
+
+/*global require,describe,it,expect,beforeEach*/
+
+var JulianDate = require('../../third_party/cesium/Source/Core/JulianDate');
+
+var DataTable = require('../../src/Map/DataTable');
+var VarType = require('../../src/Map/VarType');
+
+var dataTable;
+
+beforeEach(function() {
+    dataTable = new DataTable();
+});
+
+describe('DataTable', function() {
+    it('guesses position columns from whole words of their names', function() {
+        dataTable.loadJson([
+            ['Latitude (WGS84)', 'lon', 'latency', 'when'],
+            [-37.8, 144.9, 12, '2015-01-01'],
+            [-33.9, 151.2, 15, '2015-01-02']
+        ]);
+
+        expect(dataTable.selected.lat).toBe('Latitude (WGS84)');
+        expect(dataTable.selected.lon).toBe('lon');
+        expect(dataTable.variables.latency.varType).toBe(VarType.SCALAR);
+        expect(dataTable.selected.time).toBe('when');
+    });
+
+    it('guesses projected coordinate columns from their names', function() {
+        dataTable.loadJson([
+            ['Easting', 'Northing', 'value'],
+            [321000, 5812000, 1],
+            [322000, 5813000, 2]
+        ]);
+
+        expect(dataTable.selected.lon).toBe('Easting');
+        expect(dataTable.selected.lat).toBe('Northing');
+        expect(dataTable.variables.Easting.isProjected).toBe(true);
+        expect(dataTable.variables.Northing.isProjected).toBe(true);
+        expect(dataTable.selected.data).toBe('value');
+
+        dataTable.loadJson([
+            ['site', 'X', 'Y'],
+            ['a', 321000, 5812000],
+            ['b', 322000, 5813000]
+        ]);
+
+        expect(dataTable.selected.lon).toBe('X');
+        expect(dataTable.selected.lat).toBe('Y');
+        expect(dataTable.variables.site.isProjected).toBe(false);
+    });
+
+    it('prefers longitude and latitude columns to projected coordinate columns', function() {
+        dataTable.loadJson([
+            ['x', 'y', 'lon', 'lat'],
+            [321000, 5812000, 144.9, -37.8],
+            [322000, 5813000, 151.2, -33.9]
+        ]);
+
+        expect(dataTable.selected.lon).toBe('lon');
+        expect(dataTable.selected.lat).toBe('lat');
+    });
+
+    it('uses explicit column settings', function() {
+        dataTable.loadJson([
+            ['x', 'y', 'latency', 'code'],
+            [144.9, -37.8, 12, 1],
+            [151.2, -33.9, 15, 2]
+        ], {
+            columns: {
+                x: { type: 'lon' },
+                y: { type: 'lat' },
+                latency: { type: 'scalar', units: 'ms', name: 'Network latency' },
+                code: { type: 'enum' }
+            }
+        });
+
+        expect(dataTable.selected.lon).toBe('x');
+        expect(dataTable.selected.lat).toBe('y');
+        expect(dataTable.selected.data).toBe('latency');
+        expect(dataTable.variables.code.varType).toBe(VarType.ENUM);
+        expect(dataTable.getVariableEnums('code')).toEqual([1, 2]);
+        expect(dataTable.getVariableDisplayName('latency')).toBe('Network latency (ms)');
+        expect(dataTable.getDisplayDataRow(1)['Network latency']).toBe('15 ms');
+    });
+
+    it('reprojects positions', function() {
+        dataTable.loadJson([
+            ['easting', 'northing', 'value'],
+            [1000, 2000, 1],
+            [3000, 4000, 2]
+        ], {
+            columns: {
+                easting: { type: 'lon' },
+                northing: { type: 'lat' }
+            }
+        });
+
+        dataTable.reprojectPositions(function(pt) {
+            return [pt[0] / 100, pt[1] / -100];
+        });
+
+        expect(dataTable.getVariableValues('easting')).toEqual([10, 30]);
+        expect(dataTable.getVariableValues('northing')).toEqual([-20, -40]);
+        expect(dataTable.getDataMinValue('northing')).toBe(-40);
+        expect(dataTable.getDataMaxValue('easting')).toBe(30);
+    });
+
+    it('combines dates with times of day from a separate column', function() {
+        dataTable.loadJson([
+            ['date', 'time', 'value'],
+            ['2015-01-31', '13:30', 1],
+            ['2015-02-01', '1:15 am', 2]
+        ]);
+
+        expect(dataTable.selected.time).toBe('date');
+        expect(dataTable.getDataValue('date', 0)).toEqual(JulianDate.addSeconds(JulianDate.fromIso8601('2015-01-31'), 13.5 * 3600, new JulianDate()));
+        expect(dataTable.getDataValue('date', 1)).toEqual(JulianDate.addSeconds(JulianDate.fromIso8601('2015-02-01'), 1.25 * 3600, new JulianDate()));
+    });
+
+    it('uses the time format only for the date column, not the time of day column', function() {
+        dataTable.loadJson([
+            ['date', 'time', 'duration', 'value'],
+            ['01/02/2015', '13:30', 12, 1],
+            ['03/02/2015', '1:15 am', 15, 2]
+        ], {
+            timeFormat: 'dmy'
+        });
+
+        expect(dataTable.getTimeErrors()).toEqual([]);
+        expect(dataTable.selected.time).toBe('date');
+        expect(dataTable.variables.time.timeFormat).toBe('timeOfDay');
+        expect(dataTable.variables.duration.varType).toBe(VarType.SCALAR);
+        expect(dataTable.getDataValue('date', 0)).toEqual(JulianDate.addSeconds(JulianDate.fromIso8601('2015-02-01'), 13.5 * 3600, new JulianDate()));
+        expect(dataTable.getDataValue('date', 1)).toEqual(JulianDate.addSeconds(JulianDate.fromIso8601('2015-02-03'), 1.25 * 3600, new JulianDate()));
+    });
+
+    it('uses the time format for dates whose format could not be detected', function() {
+        dataTable.loadJson([
+            ['date', 'value'],
+            ['12/01/2015', 1],
+            ['13/01/2015', 2]
+        ], {
+            timeFormat: 'dmy'
+        });
+
+        expect(dataTable.getTimeErrors()).toEqual([]);
+        expect(dataTable.getDataValue('date', 0)).toEqual(JulianDate.fromIso8601('2015-01-12'));
+        expect(dataTable.getDataValue('date', 1)).toEqual(JulianDate.fromIso8601('2015-01-13'));
+    });
+
+    it('reports dates that cannot be parsed', function() {
+        dataTable.loadJson([
+            ['date', 'value'],
+            ['31/01/2015', 1],
+            ['2015-02-01', 2]
+        ]);
+
+        expect(dataTable.hasTimeData()).toBe(false);
+        expect(dataTable.getTimeErrors().length).toBe(1);
+    });
+
+    it('uses end times from an end time column', function() {
+        dataTable.loadJson([
+            ['opened', 'closed', 'lat', 'lon', 'value'],
+            ['2015-01-01', '2015-01-05', -37.8, 144.9, 1],
+            ['2015-01-02', '', -33.9, 151.2, 2]
+        ], {
+            timeColumn: 'opened',
+            endTimeColumn: 'closed'
+        });
+
+        expect(dataTable.selected.time).toBe('opened');
+        expect(dataTable.selected.endTime).toBe('closed');
+        expect(dataTable.getTimeMaxValue()).toEqual(JulianDate.fromIso8601('2015-01-05'));
+
+        var points = dataTable.getPointList();
+        expect(points[0].endTime).toEqual(JulianDate.fromIso8601('2015-01-05'));
+        expect(points[1].endTime).toBeUndefined();
+    });
+
+    it('ends rows without an end time at the next row for the same feature', function() {
+        dataTable.loadJson([
+            ['time', 'sensor', 'lat', 'lon', 'value'],
+            ['2015-01-03', 'b', -37.8, 144.9, 1],
+            ['2015-01-01', 'a', -37.8, 144.9, 2],
+            ['2015-01-02', 'b', -33.9, 151.2, 3],
+            ['2015-01-04', 'a', -33.9, 151.2, 4]
+        ], {
+            idColumn: 'sensor'
+        });
+
+        expect(dataTable.selected.id).toBe('sensor');
+        expect(dataTable.selected.data).toBe('value');
+
+        var endTimes = dataTable.getEndTimes();
+        expect(endTimes[0]).toEqual(JulianDate.fromIso8601('2015-01-04'));
+        expect(endTimes[1]).toEqual(JulianDate.fromIso8601('2015-01-04'));
+        expect(endTimes[2]).toEqual(JulianDate.fromIso8601('2015-01-03'));
+        expect(endTimes[3]).toBeUndefined();
+    });
+
+    it('groups points by ID in time order', function() {
+        dataTable.loadJson([
+            ['time', 'vessel', 'lat', 'lon', 'speed'],
+            ['2015-01-02', 'Aurora', -42.9, 147.3, 10],
+            ['2015-01-01', 'Aurora', -43.5, 147.9, 12],
+            ['2015-01-01', 'Investigator', -33.9, 151.2, 8]
+        ], {
+            idColumn: 'vessel'
+        });
+
+        expect(dataTable.hasIdData()).toBe(true);
+        var tracks = dataTable.groupPointsById(dataTable.getPointList());
+        expect(Object.keys(tracks)).toEqual(['Aurora', 'Investigator']);
+        expect(tracks.Aurora.map(function(point) { return point.row; })).toEqual([1, 0]);
+        expect(tracks.Investigator.length).toBe(1);
+    });
+});
@@ -0,0 +1,146 @@
+'use strict';
+
+/*global require,describe,it,expect,beforeEach,Float32Array,Uint16Array*/
+
+var BoundingSphere = require('../../third_party/cesium/Source/Core/BoundingSphere');
+var Cartesian3 = require('../../third_party/cesium/Source/Core/Cartesian3');
+var Cartographic = require('../../third_party/cesium/Source/Core/Cartographic');
+var Ellipsoid = require('../../third_party/cesium/Source/Core/Ellipsoid');
+var EllipsoidalOccluder = require('../../third_party/cesium/Source/Core/EllipsoidalOccluder');
+var HeightmapTerrainData = require('../../third_party/cesium/Source/Core/HeightmapTerrainData');
+var QuantizedMeshTerrainData = require('../../third_party/cesium/Source/Core/QuantizedMeshTerrainData');
+var when = require('../../third_party/cesium/Source/ThirdParty/when');
+
+var ExaggeratedTerrainProvider = require('../../src/Map/ExaggeratedTerrainProvider');
+
+// Creates the data of a quantized mesh tile on the equator at the prime meridian.
+function createQuantizedMeshTerrainData() {
+    var center = Ellipsoid.WGS84.cartographicToCartesian(Cartographic.fromDegrees(0.0, 0.0, 0.0));
+    return new QuantizedMeshTerrainData({
+        quantizedVertices: new Uint16Array(0),
+        indices: new Uint16Array(0),
+        minimumHeight: -5.0,
+        maximumHeight: 20.0,
+        boundingSphere: new BoundingSphere(center, 1000.0),
+        horizonOcclusionPoint: new Cartesian3(1.0, 0.0, 0.0),
+        westIndices: [],
+        southIndices: [],
+        eastIndices: [],
+        northIndices: [],
+        westSkirtHeight: 10.0,
+        southSkirtHeight: 10.0,
+        eastSkirtHeight: 10.0,
+        northSkirtHeight: 10.0
+    });
+}
+
+describe('ExaggeratedTerrainProvider', function() {
+    var terrainData;
+    var terrainProvider;
+
+    function requestTileGeometry(exaggeration) {
+        var provider = new ExaggeratedTerrainProvider({ terrainProvider: terrainProvider, exaggeration: exaggeration });
+        var result;
+        provider.requestTileGeometry(0, 0, 0).then(function(data) {
+            result = data;
+        });
+        return result;
+    }
+
+    beforeEach(function() {
+        terrainProvider = {
+            tilingScheme: {
+                ellipsoid: Ellipsoid.WGS84
+            },
+            hasWaterMask: true,
+            availability: {},
+            requestTileGeometry: function() {
+                return when(terrainData);
+            },
+            getLevelMaximumGeometricError: function(level) {
+                return 100.0 / (level + 1);
+            },
+            getTileDataAvailable: function(x, y, level) {
+                return level < 10;
+            }
+        };
+    });
+
+    it('requires a terrain provider', function() {
+        expect(function() {
+            return new ExaggeratedTerrainProvider({ exaggeration: 2.0 });
+        }).toThrow();
+    });
+
+    it('scales the heights of heightmap tiles', function() {
+        terrainData = new HeightmapTerrainData({
+            buffer: new Float32Array(4),
+            width: 2,
+            height: 2,
+            structure: {
+                heightScale: 0.5,
+                heightOffset: -10.0
+            }
+        });
+
+        var provider = new ExaggeratedTerrainProvider({ terrainProvider: terrainProvider, exaggeration: 3.0 });
+        var result;
+        provider.requestTileGeometry(0, 0, 0).then(function(data) {
+            result = data;
+        });
+
+        expect(result).toBe(terrainData);
+        expect(result._structure.heightScale).toBe(1.5);
+        expect(result._structure.heightOffset).toBe(-30.0);
+    });
+
+    it('scales the height range of quantized mesh tiles', function() {
+        terrainData = createQuantizedMeshTerrainData();
+
+        var result = requestTileGeometry(2.0);
+        expect(result._minimumHeight).toBe(-10.0);
+        expect(result._maximumHeight).toBe(40.0);
+        expect(result._boundingSphere.radius).toBe(1020.0);
+        expect(result._westSkirtHeight).toBe(20.0);
+    });
+
+    it('still culls quantized mesh tiles behind the horizon', function() {
+        terrainData = createQuantizedMeshTerrainData();
+
+        var occlusionPoint = requestTileGeometry(2.0)._horizonOcclusionPoint;
+        expect(occlusionPoint).toBeDefined();
+
+        var inFront = new EllipsoidalOccluder(Ellipsoid.WGS84, new Cartesian3(20000000.0, 0.0, 0.0));
+        expect(inFront.isScaledSpacePointVisible(occlusionPoint)).toBe(true);
+
+        var behind = new EllipsoidalOccluder(Ellipsoid.WGS84, new Cartesian3(-20000000.0, 0.0, 0.0));
+        expect(behind.isScaledSpacePointVisible(occlusionPoint)).toBe(false);
+    });
+
+    it('leaves tiles whose data is not in the expected form unchanged', function() {
+        terrainData = createQuantizedMeshTerrainData();
+        terrainData._westSkirtHeight = undefined;
+
+        var result = requestTileGeometry(2.0);
+        expect(result._minimumHeight).toBe(-5.0);
+        expect(result._maximumHeight).toBe(20.0);
+        expect(result._boundingSphere.radius).toBe(1000.0);
+        expect(result._horizonOcclusionPoint).toEqual(new Cartesian3(1.0, 0.0, 0.0));
+    });
+
+    it('reports the water mask and availability of the terrain provider', function() {
+        var provider = new ExaggeratedTerrainProvider({ terrainProvider: terrainProvider, exaggeration: 2.0 });
+        expect(provider.hasWaterMask).toBe(true);
+        expect(provider.availability).toBe(terrainProvider.availability);
+        expect(provider.getTileDataAvailable(0, 0, 9)).toBe(true);
+        expect(provider.getTileDataAvailable(0, 0, 10)).toBe(false);
+    });
+
+    it('exaggerates the geometric error of each level', function() {
+        var provider = new ExaggeratedTerrainProvider({ terrainProvider: terrainProvider, exaggeration: 2.0 });
+        expect(provider.getLevelMaximumGeometricError(1)).toBe(100.0);
+
+        provider = new ExaggeratedTerrainProvider({ terrainProvider: terrainProvider, exaggeration: 0.5 });
+        expect(provider.getLevelMaximumGeometricError(1)).toBe(50.0);
+    });
+});
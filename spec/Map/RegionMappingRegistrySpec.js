@@ -0,0 +1,167 @@
+'use strict';
+
+/*global require,describe,it,expect,beforeEach*/
+
+var ModelError = require('../../src/Models/ModelError');
+var RegionMappingRegistry = require('../../src/Map/RegionMappingRegistry');
+
+var registry;
+
+beforeEach(function() {
+    registry = new RegionMappingRegistry();
+});
+
+describe('RegionMappingRegistry', function() {
+    it('contains the default region types', function() {
+        expect(registry.getRegionTypes()).toEqual(Object.keys(RegionMappingRegistry.defaultRegions));
+        expect(registry.get('LGA').regionProp).toBe('LGA_CODE11');
+        expect(registry.getServer('LGA')).toBe(RegionMappingRegistry.defaultServer);
+    });
+
+    it('can add region types from json', function() {
+        registry.updateFromJson({
+            'HD': {
+                layerName: 'health:FID_HEALTH_DISTRICTS',
+                regionProp: 'HD_CODE',
+                aliases: ['HD', 'health_district'],
+                digits: 6,
+                server: 'http://example.com/ows'
+            }
+        });
+
+        expect(registry.get('HD').layerName).toBe('health:FID_HEALTH_DISTRICTS');
+        expect(registry.get('HD').aliases).toEqual(['hd', 'health_district']);
+        expect(registry.getServer('HD')).toBe('http://example.com/ows');
+        expect(registry.findRegionVariable(['value', 'Health_District_2014'])).toEqual({
+            regionType: 'HD',
+            regionVariable: 'Health_District_2014'
+        });
+        expect(registry.findRegionTypeByDigits(6)).toBe('HD');
+    });
+
+    it('removes region types defined as null', function() {
+        registry.updateFromJson({
+            'SA4': null
+        });
+
+        expect(registry.get('SA4')).toBeUndefined();
+        expect(registry.getRegionTypes().indexOf('SA4')).toBe(-1);
+    });
+
+    it('defaults aliases to the region type', function() {
+        registry.add('CATCHMENT', {
+            layerName: 'water:FID_CATCHMENTS',
+            regionProp: 'CATCH_ID'
+        });
+
+        expect(registry.findRegionVariable(['catchment'])).toEqual({
+            regionType: 'CATCHMENT',
+            regionVariable: 'catchment'
+        });
+    });
+
+    it('accepts a GeoJSON file instead of a layer name', function() {
+        registry.add('CATCHMENT', {
+            geoJsonUrl: 'data/catchments.topojson',
+            regionProp: 'CATCH_ID'
+        });
+
+        expect(registry.get('CATCHMENT').geoJsonUrl).toBe('data/catchments.topojson');
+    });
+
+    it('throws when a definition has neither a layer name nor a GeoJSON file', function() {
+        expect(function() {
+            registry.add('BAD', {
+                regionProp: 'CODE'
+            });
+        }).toThrow();
+    });
+
+    it('consults region types from json before the default region types', function() {
+        registry.updateFromJson({
+            'LGA_2015': {
+                layerName: 'region_map:FID_LGA_2015_AUST',
+                regionProp: 'LGA_CODE15',
+                aliases: ['lga'],
+                digits: 5
+            },
+            'SUBURB': {
+                geoJsonUrl: 'data/suburbs.geojson',
+                regionProp: 'SUB_CODE',
+                aliases: ['lga_suburb'],
+                digits: 5
+            }
+        });
+
+        expect(registry.getRegionTypes().slice(0, 3)).toEqual(['LGA_2015', 'SUBURB', 'STE']);
+        expect(registry.findRegionVariable(['lga_code'])).toEqual({
+            regionType: 'LGA_2015',
+            regionVariable: 'lga_code'
+        });
+        expect(registry.findRegionTypeByDigits(5)).toBe('LGA_2015');
+    });
+
+    it('consults a default region type replaced from json before the other default region types', function() {
+        registry.updateFromJson({
+            'SA3': {
+                layerName: 'region_map:FID_SA3_2016_AUST',
+                regionProp: 'SA3_CODE16',
+                digits: 5
+            }
+        });
+
+        expect(registry.getRegionTypes()[0]).toBe('SA3');
+        expect(registry.findRegionTypeByDigits(5)).toBe('SA3');
+
+        registry.updateFromJson({
+            'SA3': null
+        });
+        registry.updateFromJson({
+            'HD': {
+                layerName: 'health:FID_HEALTH_DISTRICTS',
+                regionProp: 'HD_CODE'
+            }
+        });
+        expect(registry.getRegionTypes()[0]).toBe('HD');
+        expect(registry.getRegionTypes()[1]).toBe('STE');
+    });
+
+    it('reports an invalid definition in json as a ModelError', function() {
+        function expectModelError(definition, text) {
+            try {
+                registry.updateFromJson({
+                    'BAD': definition
+                });
+                expect('updateFromJson').toBe('thrown');
+            } catch (e) {
+                expect(e instanceof ModelError).toBe(true);
+                expect(e.title).toBe('Invalid region mapping');
+                expect(e.message).toContain('BAD');
+                expect(e.message).toContain(text);
+            }
+        }
+
+        expectModelError('region_map:FID_BAD', 'is not an object');
+        expectModelError({ layerName: 'region_map:FID_BAD' }, 'regionProp');
+        expectModelError({ regionProp: 'CODE' }, 'geoJsonUrl');
+        expectModelError({ layerName: 'region_map:FID_BAD', regionProp: 'CODE', aliases: 'bad' }, 'aliases');
+
+        expect(registry.get('BAD')).toBeUndefined();
+    });
+
+    it('adds none of the region types in json if any is invalid', function() {
+        expect(function() {
+            registry.updateFromJson({
+                'HD': {
+                    layerName: 'health:FID_HEALTH_DISTRICTS',
+                    regionProp: 'HD_CODE'
+                },
+                'BAD': {
+                    regionProp: 'CODE'
+                }
+            });
+        }).toThrow();
+
+        expect(registry.get('HD')).toBeUndefined();
+    });
+});
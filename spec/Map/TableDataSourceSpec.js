@@ -0,0 +1,114 @@
+'use strict';
+
+/*global require,describe,it,expect,beforeEach*/
+
+var TableDataSource = require('../../src/Map/TableDataSource');
+
+var dataSource;
+
+beforeEach(function() {
+    dataSource = new TableDataSource();
+});
+
+// Counts the times the points are drawn by loading CZML
+function countLoads() {
+    var counter = { count: 0 };
+    var czmlDataSource = dataSource.czmlDataSource;
+    var load = czmlDataSource.load;
+    czmlDataSource.load = function() {
+        ++counter.count;
+        return load.apply(czmlDataSource, arguments);
+    };
+    return counter;
+}
+
+describe('TableDataSource', function() {
+    it('draws the points once when the style is set before the data is loaded', function() {
+        var loads = countLoads();
+
+        dataSource.setDisplayStyle({
+            dataVariable: 'depth',
+            trailTime: 10
+        });
+        dataSource.loadText('lat,lon,value,depth\n-37.8,144.9,1,5\n-33.9,151.2,2,6');
+
+        expect(dataSource.dataset.getDataVariable()).toBe('depth');
+        expect(loads.count).toBe(1);
+    });
+
+    it('only redraws the points when the style changes the data variable', function() {
+        dataSource.loadText('lat,lon,value,depth\n-37.8,144.9,1,5\n-33.9,151.2,2,6');
+        var loads = countLoads();
+
+        dataSource.setDisplayStyle({
+            dataVariable: 'value'
+        });
+        expect(loads.count).toBe(0);
+
+        dataSource.setDisplayStyle({
+            dataVariable: 'depth'
+        });
+        expect(dataSource.dataset.getDataVariable()).toBe('depth');
+        expect(loads.count).toBe(1);
+    });
+
+    it('keeps the display time of the style when the data is loaded', function() {
+        dataSource.setDisplayStyle({
+            displayTime: 30
+        });
+        dataSource.loadText('lat,lon,date,value\n-37.8,144.9,2015-01-01,1\n-33.9,151.2,2015-12-31,2');
+
+        expect(dataSource.displayTime).toBe(30);
+    });
+
+    it('draws a stepped legend with a class for each range of colorBreaks', function() {
+        dataSource.setDisplayStyle({
+            colorBreaks: [15, 25]
+        });
+        dataSource.loadText('lat,lon,value\n-37.8,144.9,10\n-33.9,151.2,20\n-35.3,149.1,30');
+
+        var legendClassification;
+        dataSource._getClassLegendGraphic = function(classification) {
+            legendClassification = classification;
+            return 'data:image/png;base64,';
+        };
+        expect(dataSource.getLegendGraphic()).toBe('data:image/png;base64,');
+
+        expect(legendClassification.breaks).toEqual([15, 25]);
+        expect(legendClassification.colors.length).toBe(3);
+        expect(dataSource._mapValue2Color(10)).toEqual(legendClassification.colors[0]);
+        expect(dataSource._mapValue2Color(20)).toEqual(legendClassification.colors[1]);
+        expect(dataSource._mapValue2Color(30)).toEqual(legendClassification.colors[2]);
+        expect(legendClassification.colors[0]).not.toEqual(legendClassification.colors[2]);
+    });
+
+    it('classifies values with colorBinMethod', function() {
+        dataSource.setDisplayStyle({
+            colorBinMethod: 'equalInterval',
+            colorBins: 2
+        });
+        dataSource.loadText('lat,lon,value\n-37.8,144.9,10\n-33.9,151.2,20\n-35.3,149.1,30');
+
+        expect(dataSource._getClassification().breaks).toEqual([20]);
+    });
+
+    it('describes the history of a feature with the times of day of its rows', function() {
+        dataSource.loadText('lat,lon,date,time,id\n-37.8,144.9,2015-01-31,09:30,a\n-37.9,145.0,2015-01-31,13:45,a', {
+            idColumn: 'id'
+        });
+
+        var html = dataSource.describeHistory([0, 1]);
+        expect(html).toContain('09:30:00');
+        expect(html).toContain('13:45:00');
+    });
+
+    it('describes the history of a feature without times of day if the data has none', function() {
+        dataSource.loadText('lat,lon,date,id\n-37.8,144.9,2015-01-30,a\n-37.9,145.0,2015-01-31,a', {
+            idColumn: 'id'
+        });
+
+        var html = dataSource.describeHistory([0, 1]);
+        expect(html).toContain('Jan 30 2015');
+        expect(html).not.toContain(':00');
+    });
+});
@@ -0,0 +1,107 @@
+'use strict';
+
+/*global require,describe,it,expect,beforeEach,afterEach*/
+
+var UrlTemplateImageryProvider = require('../../src/Map/UrlTemplateImageryProvider');
+
+var ImageryProvider = require('../../third_party/cesium/Source/Scene/ImageryProvider');
+var Rectangle = require('../../third_party/cesium/Source/Core/Rectangle');
+var WebMercatorTilingScheme = require('../../third_party/cesium/Source/Core/WebMercatorTilingScheme');
+
+describe('UrlTemplateImageryProvider', function() {
+    var originalLoadImage;
+    var requestedUrls;
+
+    beforeEach(function() {
+        originalLoadImage = ImageryProvider.loadImage;
+        requestedUrls = [];
+        ImageryProvider.loadImage = function(imageryProvider, url) {
+            requestedUrls.push(url);
+        };
+    });
+
+    afterEach(function() {
+        ImageryProvider.loadImage = originalLoadImage;
+    });
+
+    it('requires a url', function() {
+        expect(function() {
+            return new UrlTemplateImageryProvider({});
+        }).toThrow();
+    });
+
+    it('has reasonable defaults', function() {
+        var provider = new UrlTemplateImageryProvider({ url: 'http://example.com/{z}/{x}/{y}.png' });
+        expect(provider.ready).toBe(true);
+        expect(provider.tilingScheme instanceof WebMercatorTilingScheme).toBe(true);
+        expect(provider.tileWidth).toBe(256);
+        expect(provider.tileHeight).toBe(256);
+        expect(provider.minimumLevel).toBe(0);
+        expect(provider.maximumLevel).toBeUndefined();
+        expect(provider.credit).toBeUndefined();
+        expect(provider.rectangle).toEqual(provider.tilingScheme.rectangle);
+    });
+
+    it('substitutes the level, column and row of a tile', function() {
+        var provider = new UrlTemplateImageryProvider({ url: 'http://example.com/{z}/{x}/{y}.png' });
+        provider.requestImage(3, 1, 2);
+        expect(requestedUrls).toEqual(['http://example.com/2/3/1.png']);
+    });
+
+    it('counts rows from the south when flipY is true', function() {
+        var provider = new UrlTemplateImageryProvider({ url: 'http://example.com/{z}/{x}/{y}.png', flipY: true });
+        provider.requestImage(3, 1, 2);
+        expect(requestedUrls).toEqual(['http://example.com/2/3/2.png']);
+    });
+
+    it('substitutes reverseY', function() {
+        var provider = new UrlTemplateImageryProvider({ url: 'http://example.com/{z}/{x}/{reverseY}.png' });
+        provider.requestImage(0, 0, 1);
+        expect(requestedUrls).toEqual(['http://example.com/1/0/1.png']);
+    });
+
+    it('spreads requests across the subdomains', function() {
+        var provider = new UrlTemplateImageryProvider({ url: 'http://{s}.example.com/{z}/{x}/{y}.png' });
+        provider.requestImage(0, 0, 1);
+        provider.requestImage(1, 0, 1);
+        provider.requestImage(1, 1, 1);
+        expect(requestedUrls).toEqual([
+            'http://b.example.com/1/0/0.png',
+            'http://c.example.com/1/1/0.png',
+            'http://a.example.com/1/1/1.png'
+        ]);
+
+        requestedUrls = [];
+        provider = new UrlTemplateImageryProvider({ url: 'http://{s}.example.com/{z}/{x}/{y}.png', subdomains: ['tile1', 'tile2'] });
+        provider.requestImage(0, 0, 0);
+        provider.requestImage(1, 0, 1);
+        expect(requestedUrls).toEqual([
+            'http://tile1.example.com/0/0/0.png',
+            'http://tile1.example.com/1/1/0.png'
+        ]);
+    });
+
+    it('requests tiles through the proxy', function() {
+        var provider = new UrlTemplateImageryProvider({
+            url: 'http://example.com/{z}/{x}/{y}.png',
+            proxy: {
+                getURL: function(url) {
+                    return '/proxy/' + url;
+                }
+            }
+        });
+        provider.requestImage(0, 0, 0);
+        expect(requestedUrls).toEqual(['/proxy/http://example.com/0/0/0.png']);
+    });
+
+    it('clamps the rectangle to the tiling scheme', function() {
+        var provider = new UrlTemplateImageryProvider({
+            url: 'http://example.com/{z}/{x}/{y}.png',
+            rectangle: Rectangle.fromDegrees(110, -90, 155, -10)
+        });
+        var tilingSchemeRectangle = provider.tilingScheme.rectangle;
+        expect(provider.rectangle.west).toBeCloseTo(Rectangle.fromDegrees(110, -90, 155, -10).west, 10);
+        expect(provider.rectangle.south).toBe(tilingSchemeRectangle.south);
+        expect(provider.rectangle.north).toBeCloseTo(Rectangle.fromDegrees(110, -90, 155, -10).north, 10);
+    });
+});
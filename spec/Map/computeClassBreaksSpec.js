@@ -0,0 +1,30 @@
+'use strict';
+
+/*global require,describe,it,expect*/
+
+var computeClassBreaks = require('../../src/Map/computeClassBreaks');
+
+describe('computeClassBreaks', function() {
+    it('computes quantile breaks', function() {
+        expect(computeClassBreaks([1, 2, 3, 4, 5, 6, 7, 8], 'quantile', 4)).toEqual([3, 5, 7]);
+    });
+
+    it('computes equal interval breaks', function() {
+        expect(computeClassBreaks([0, 1, 2, 100], 'equalInterval', 4)).toEqual([25, 50, 75]);
+        expect(computeClassBreaks([0, 1, 2, 100], 'equalInterval', 2, 0, 10)).toEqual([5]);
+    });
+
+    it('computes Jenks natural breaks', function() {
+        expect(computeClassBreaks([1, 2, 3, 20, 21, 22, 100, 101], 'jenks', 3)).toEqual([20, 100]);
+    });
+
+    it('skips breaks that would make empty classes', function() {
+        expect(computeClassBreaks([1, 1, 1, 2, 2, 3], 'quantile', 3)).toEqual([2]);
+    });
+
+    it('throws for an unknown method', function() {
+        expect(function() {
+            computeClassBreaks([1, 2, 3], 'bogus', 3);
+        }).toThrow();
+    });
+});
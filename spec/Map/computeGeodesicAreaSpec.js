@@ -0,0 +1,46 @@
+'use strict';
+
+/*global require,describe,it,expect*/
+
+var Cartographic = require('../../third_party/cesium/Source/Core/Cartographic');
+
+var computeGeodesicArea = require('../../src/Map/computeGeodesicArea');
+
+describe('computeGeodesicArea', function() {
+    // A square of one degree of latitude and longitude at the equator, which has an area of about 12,309 square kilometers.
+    var square = [
+        Cartographic.fromDegrees(0.0, 0.0),
+        Cartographic.fromDegrees(1.0, 0.0),
+        Cartographic.fromDegrees(1.0, 1.0),
+        Cartographic.fromDegrees(0.0, 1.0)
+    ];
+
+    it('throws when positions is not provided', function() {
+        expect(function() {
+            computeGeodesicArea(undefined);
+        }).toThrow();
+    });
+
+    it('is zero for fewer than three positions', function() {
+        expect(computeGeodesicArea(square.slice(0, 2))).toBe(0.0);
+    });
+
+    it('computes the area of a polygon within half a percent', function() {
+        var area = computeGeodesicArea(square);
+        expect(Math.abs(area - 12308778361) / 12308778361).toBeLessThan(0.005);
+    });
+
+    it('does not depend on the order of the vertices', function() {
+        expect(computeGeodesicArea(square.slice().reverse())).toBeCloseTo(computeGeodesicArea(square), 3);
+    });
+
+    it('computes the area of a polygon that crosses the antimeridian', function() {
+        var crossing = [
+            Cartographic.fromDegrees(179.5, 0.0),
+            Cartographic.fromDegrees(-179.5, 0.0),
+            Cartographic.fromDegrees(-179.5, 1.0),
+            Cartographic.fromDegrees(179.5, 1.0)
+        ];
+        expect(computeGeodesicArea(crossing)).toBeCloseTo(computeGeodesicArea(square), 0);
+    });
+});
@@ -0,0 +1,37 @@
+'use strict';
+
+/*global require,describe,it,expect*/
+
+var Cartographic = require('../../third_party/cesium/Source/Core/Cartographic');
+
+var computeGeodesicLength = require('../../src/Map/computeGeodesicLength');
+
+describe('computeGeodesicLength', function() {
+    it('throws when positions is not provided', function() {
+        expect(function() {
+            computeGeodesicLength(undefined);
+        }).toThrow();
+    });
+
+    it('is zero for a single position', function() {
+        expect(computeGeodesicLength([Cartographic.fromDegrees(150.0, -33.0)])).toBe(0.0);
+    });
+
+    it('computes the distance along the ellipsoid', function() {
+        // One degree of longitude along the equator of the WGS84 ellipsoid.
+        var length = computeGeodesicLength([Cartographic.fromDegrees(0.0, 0.0), Cartographic.fromDegrees(1.0, 0.0)]);
+        expect(length).toBeCloseTo(111319.49, 1);
+    });
+
+    it('adds the length of each segment', function() {
+        var positions = [Cartographic.fromDegrees(0.0, 0.0), Cartographic.fromDegrees(1.0, 0.0), Cartographic.fromDegrees(2.0, 0.0)];
+        expect(computeGeodesicLength(positions)).toBeCloseTo(2 * 111319.49, 0);
+    });
+
+    it('returns to the first position of a closed path', function() {
+        var positions = [Cartographic.fromDegrees(0.0, 0.0), Cartographic.fromDegrees(1.0, 0.0), Cartographic.fromDegrees(1.0, 1.0)];
+        var open = computeGeodesicLength(positions);
+        var closed = computeGeodesicLength(positions, true);
+        expect(closed - open).toBeCloseTo(computeGeodesicLength([positions[2], positions[0]]), 3);
+    });
+});
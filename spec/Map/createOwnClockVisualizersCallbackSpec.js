@@ -0,0 +1,96 @@
+'use strict';
+
+/*global require,describe,it,expect,beforeEach*/
+
+var createOwnClockVisualizersCallback = require('../../src/Map/createOwnClockVisualizersCallback');
+
+var Application = require('../../src/Models/Application');
+
+var Entity = require('../../third_party/cesium/Source/DataSources/Entity');
+var EntityCollection = require('../../third_party/cesium/Source/DataSources/EntityCollection');
+var JulianDate = require('../../third_party/cesium/Source/Core/JulianDate');
+
+// Stands in for a visualizer, recording the time at which it was last updated.
+function createVisualizer() {
+    return {
+        destroyed: false,
+        update: function(time) {
+            this.time = time;
+            return true;
+        },
+        isDestroyed: function() {
+            return this.destroyed;
+        },
+        destroy: function() {
+            this.destroyed = true;
+        }
+    };
+}
+
+describe('createOwnClockVisualizersCallback', function() {
+    var application;
+    var dataSource;
+    var visualizer;
+    var callback;
+    var ownTime;
+
+    beforeEach(function() {
+        application = new Application();
+        application.clock.currentTime = JulianDate.fromIso8601('2014-01-01');
+        ownTime = JulianDate.fromIso8601('2011-01-01');
+
+        dataSource = {
+            entities: new EntityCollection()
+        };
+        visualizer = createVisualizer();
+        callback = createOwnClockVisualizersCallback(application, function(scene, dataSource) {
+            return [visualizer];
+        });
+    });
+
+    it('requires an application and a callback', function() {
+        expect(function() {
+            return createOwnClockVisualizersCallback(application);
+        }).toThrow();
+    });
+
+    it('updates data sources not shown by any item at the time of the application', function() {
+        var visualizers = callback(undefined, dataSource);
+        expect(visualizers.length).toBe(1);
+
+        expect(visualizers[0].update(application.clock.currentTime)).toBe(true);
+        expect(JulianDate.equals(visualizer.time, application.clock.currentTime)).toBe(true);
+    });
+
+    it('updates the data source of an item at the item\'s display time', function() {
+        application.nowViewing.items.push({
+            dataSource: dataSource,
+            currentDisplayTime: ownTime
+        });
+
+        var visualizers = callback(undefined, dataSource);
+        visualizers[0].update(application.clock.currentTime);
+        expect(JulianDate.equals(visualizer.time, ownTime)).toBe(true);
+    });
+
+    it('destroys the visualizers it creates', function() {
+        var visualizers = callback(undefined, dataSource);
+        expect(visualizers[0].isDestroyed()).toBe(false);
+
+        visualizers[0].destroy();
+        expect(visualizer.destroyed).toBe(true);
+        expect(visualizers[0].isDestroyed()).toBe(true);
+    });
+
+    it('gets the display time of an entity from the item that shows it', function() {
+        var entity = new Entity();
+        dataSource.entities.add(entity);
+        application.nowViewing.items.push({
+            dataSource: dataSource,
+            currentDisplayTime: ownTime
+        });
+
+        expect(JulianDate.equals(application.nowViewing.getEntityDisplayTime(entity), ownTime)).toBe(true);
+        expect(JulianDate.equals(application.nowViewing.getEntityDisplayTime(new Entity()), application.clock.currentTime)).toBe(true);
+    });
+});
@@ -0,0 +1,146 @@
+'use strict';
+
+/*global require,describe,it,expect,Uint8Array*/
+
+var encodeGif = require('../../src/Map/encodeGif');
+
+function createFrame(width, height, colorOfPixel) {
+    var data = new Uint8Array(width * height * 4);
+    for (var i = 0; i < width * height; ++i) {
+        var color = colorOfPixel(i);
+        data[i * 4] = color[0];
+        data[i * 4 + 1] = color[1];
+        data[i * 4 + 2] = color[2];
+        data[i * 4 + 3] = 255;
+    }
+    return {
+        width: width,
+        height: height,
+        data: data
+    };
+}
+
+function readShort(gif, offset) {
+    return gif[offset] | (gif[offset + 1] << 8);
+}
+
+// Decodes the first frame of a GIF written by encodeGif to an array of [red, green, blue] colors.
+function decodeFirstFrame(gif) {
+    var width = readShort(gif, 6);
+    var height = readShort(gif, 8);
+    var palette = gif.subarray(13, 13 + 256 * 3);
+
+    var offset = 13 + 256 * 3;
+    while (gif[offset] !== 0x2c) {
+        // Skip extensions.
+        offset += 2;
+        while (gif[offset] !== 0) {
+            offset += gif[offset] + 1;
+        }
+        ++offset;
+    }
+    offset += 10;
+
+    var minCodeSize = gif[offset++];
+    var data = [];
+    while (gif[offset] !== 0) {
+        data.push.apply(data, gif.subarray(offset + 1, offset + 1 + gif[offset]));
+        offset += gif[offset] + 1;
+    }
+
+    var clearCode = 1 << minCodeSize;
+    var codeSize = minCodeSize + 1;
+    var table, previous;
+    var bitOffset = 0;
+    var indices = [];
+
+    function readCode() {
+        var code = 0;
+        for (var i = 0; i < codeSize; ++i, ++bitOffset) {
+            code |= ((data[bitOffset >> 3] >> (bitOffset & 7)) & 1) << i;
+        }
+        return code;
+    }
+
+    for (;;) {
+        var code = readCode();
+        if (code === clearCode) {
+            codeSize = minCodeSize + 1;
+            table = [];
+            for (var i = 0; i < clearCode + 2; ++i) {
+                table.push([i]);
+            }
+            previous = undefined;
+            continue;
+        }
+        if (code === clearCode + 1) {
+            break;
+        }
+
+        var entry;
+        if (code < table.length) {
+            entry = table[code];
+            if (previous !== undefined) {
+                table.push(previous.concat(entry[0]));
+            }
+        } else {
+            entry = previous.concat(previous[0]);
+            table.push(entry);
+        }
+        indices.push.apply(indices, entry);
+        previous = entry;
+
+        if (table.length === (1 << codeSize) && codeSize < 12) {
+            ++codeSize;
+        }
+    }
+
+    expect(indices.length).toBe(width * height);
+    return indices.map(function(index) {
+        return [palette[index * 3], palette[index * 3 + 1], palette[index * 3 + 2]];
+    });
+}
+
+describe('encodeGif', function() {
+    it('throws without frames', function() {
+        expect(function() {
+            encodeGif([]);
+        }).toThrow();
+    });
+
+    it('writes a looping animation of the frames', function() {
+        var red = createFrame(4, 3, function() { return [255, 0, 0]; });
+        var blue = createFrame(4, 3, function() { return [0, 0, 255]; });
+
+        var gif = encodeGif([red, blue], { delay: 500 });
+
+        expect(String.fromCharCode.apply(undefined, gif.subarray(0, 6))).toBe('GIF89a');
+        expect(readShort(gif, 6)).toBe(4);
+        expect(readShort(gif, 8)).toBe(3);
+        expect(String.fromCharCode.apply(undefined, gif.subarray(13 + 768 + 3, 13 + 768 + 14))).toBe('NETSCAPE2.0');
+        expect(readShort(gif, 13 + 768 + 19 + 4)).toBe(50);
+        expect(gif[gif.length - 1]).toBe(0x3b);
+        expect(decodeFirstFrame(gif)[11]).toEqual([255, 0, 0]);
+    });
+
+    it('compresses frames with many colors so that they can be decoded', function() {
+        // Colors that each have a bin of their own, so that they're reproduced exactly.
+        var seed = 1;
+        var colors = [];
+        for (var i = 0; i < 200; ++i) {
+            colors.push([(i % 8) * 32, ((i >> 3) % 5) * 48, (i >> 3) * 8]);
+        }
+        var frame = createFrame(120, 100, function() {
+            seed = (seed * 16807) % 2147483647;
+            return colors[seed % colors.length];
+        });
+
+        var decoded = decodeFirstFrame(encodeGif([frame], { loop: false }));
+        for (var p = 0; p < decoded.length; ++p) {
+            if (decoded[p][0] !== frame.data[p * 4] || decoded[p][1] !== frame.data[p * 4 + 1] || decoded[p][2] !== frame.data[p * 4 + 2]) {
+                expect(decoded[p]).toEqual([frame.data[p * 4], frame.data[p * 4 + 1], frame.data[p * 4 + 2]]);
+                break;
+            }
+        }
+    });
+});
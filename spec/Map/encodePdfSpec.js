@@ -0,0 +1,53 @@
+'use strict';
+
+/*global require,describe,it,expect,Uint8Array*/
+
+var encodePdf = require('../../src/Map/encodePdf');
+
+function toString(bytes) {
+    var result = '';
+    for (var i = 0; i < bytes.length; ++i) {
+        result += String.fromCharCode(bytes[i]);
+    }
+    return result;
+}
+
+describe('encodePdf', function() {
+    var jpeg = new Uint8Array([0xff, 0xd8, 0x01, 0x02, 0x03, 0xff, 0xd9]);
+    var options = {
+        imageWidth: 300,
+        imageHeight: 200,
+        pageWidth: 841.89,
+        pageHeight: 595.28
+    };
+
+    it('requires the image and page sizes', function() {
+        expect(function() {
+            encodePdf(jpeg, { imageWidth: 300, imageHeight: 200 });
+        }).toThrow();
+    });
+
+    it('writes a page of the given size with the image', function() {
+        var pdf = toString(encodePdf(jpeg, options));
+
+        expect(pdf.indexOf('%PDF-1.4\n')).toBe(0);
+        expect(pdf).toContain('/MediaBox [0 0 841.89 595.28]');
+        expect(pdf).toContain('/Width 300 /Height 200');
+        expect(pdf).toContain('/Filter /DCTDecode /Length 7 >>\nstream\n' + toString(jpeg) + '\nendstream');
+        expect(pdf.slice(-6)).toBe('%%EOF\n');
+    });
+
+    it('writes a cross-reference table with the offset of each object', function() {
+        var pdf = toString(encodePdf(jpeg, options));
+
+        var startxref = parseInt(/startxref\n(\d+)\n/.exec(pdf)[1], 10);
+        expect(pdf.substr(startxref, 4)).toBe('xref');
+
+        var entries = pdf.substring(startxref).split('\n').slice(3, 8);
+        expect(entries.length).toBe(5);
+        for (var i = 0; i < entries.length; ++i) {
+            var offset = parseInt(entries[i].substr(0, 10), 10);
+            expect(pdf.substr(offset, 8)).toBe((i + 1) + ' 0 obj\n');
+        }
+    });
+});
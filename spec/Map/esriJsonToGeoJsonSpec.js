@@ -0,0 +1,76 @@
+'use strict';
+
+/*global require,describe,it,expect*/
+
+var esriJsonToGeoJson = require('../../src/Map/esriJsonToGeoJson');
+
+// Esri outer rings are clockwise, and holes are counterclockwise.
+var outer = [[0, 0], [0, 10], [10, 10], [10, 0], [0, 0]];
+var hole = [[2, 2], [4, 2], [4, 4], [2, 4], [2, 2]];
+var otherOuter = [[20, 0], [20, 10], [30, 10], [30, 0], [20, 0]];
+
+function convertGeometry(geometry) {
+    return esriJsonToGeoJson({
+        features: [{
+            attributes: { NAME: 'test' },
+            geometry: geometry
+        }]
+    }).features[0];
+}
+
+describe('esriJsonToGeoJson', function() {
+    it('requires a feature set', function() {
+        expect(function() {
+            esriJsonToGeoJson();
+        }).toThrow();
+    });
+
+    it('converts attributes to properties', function() {
+        var feature = convertGeometry({ x: 1, y: 2 });
+        expect(feature.type).toBe('Feature');
+        expect(feature.properties).toEqual({ NAME: 'test' });
+    });
+
+    it('converts points and multipoints', function() {
+        expect(convertGeometry({ x: 1, y: 2 }).geometry).toEqual({ type: 'Point', coordinates: [1, 2] });
+        expect(convertGeometry({ points: [[1, 2], [3, 4]] }).geometry).toEqual({ type: 'MultiPoint', coordinates: [[1, 2], [3, 4]] });
+    });
+
+    it('converts paths to lines', function() {
+        expect(convertGeometry({ paths: [[[1, 2], [3, 4]]] }).geometry).toEqual({
+            type: 'LineString',
+            coordinates: [[1, 2], [3, 4]]
+        });
+        expect(convertGeometry({ paths: [[[1, 2], [3, 4]], [[5, 6], [7, 8]]] }).geometry).toEqual({
+            type: 'MultiLineString',
+            coordinates: [[[1, 2], [3, 4]], [[5, 6], [7, 8]]]
+        });
+    });
+
+    it('adds holes to the outer rings that contain them', function() {
+        expect(convertGeometry({ rings: [outer, hole] }).geometry).toEqual({
+            type: 'Polygon',
+            coordinates: [outer, hole]
+        });
+        expect(convertGeometry({ rings: [outer, otherOuter, hole] }).geometry).toEqual({
+            type: 'MultiPolygon',
+            coordinates: [[outer, hole], [otherOuter]]
+        });
+    });
+
+    it('treats a counterclockwise ring outside any other ring as an outer ring', function() {
+        var reversed = outer.slice().reverse();
+        expect(convertGeometry({ rings: [reversed] }).geometry).toEqual({
+            type: 'Polygon',
+            coordinates: [outer]
+        });
+    });
+
+    it('leaves out features without geometry', function() {
+        var result = esriJsonToGeoJson({
+            features: [{ attributes: {} }, { attributes: {}, geometry: { x: 'NaN', y: 'NaN' } }]
+        });
+        expect(result.type).toBe('FeatureCollection');
+        expect(result.features.length).toBe(0);
+    });
+});
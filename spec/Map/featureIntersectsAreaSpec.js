@@ -0,0 +1,60 @@
+'use strict';
+
+/*global require,describe,it,expect*/
+
+var featureIntersectsArea = require('../../src/Map/featureIntersectsArea');
+
+var area = [[0, 0], [10, 0], [10, 10], [0, 10]];
+
+function feature(type, coordinates) {
+    return {
+        type: 'Feature',
+        geometry: {
+            type: type,
+            coordinates: coordinates
+        },
+        properties: {}
+    };
+}
+
+describe('featureIntersectsArea', function() {
+    it('requires a feature and an area', function() {
+        expect(function() {
+            featureIntersectsArea(undefined, area);
+        }).toThrow();
+        expect(function() {
+            featureIntersectsArea(feature('Point', [5, 5]));
+        }).toThrow();
+    });
+
+    it('finds points inside the area', function() {
+        expect(featureIntersectsArea(feature('Point', [5, 5]), area)).toBe(true);
+        expect(featureIntersectsArea(feature('Point', [15, 5]), area)).toBe(false);
+        expect(featureIntersectsArea(feature('MultiPoint', [[15, 5], [5, 5]]), area)).toBe(true);
+    });
+
+    it('finds points inside a concave area', function() {
+        var concave = [[0, 0], [10, 0], [10, 10], [5, 2], [0, 10]];
+        expect(featureIntersectsArea(feature('Point', [5, 1]), concave)).toBe(true);
+        expect(featureIntersectsArea(feature('Point', [5, 8]), concave)).toBe(false);
+    });
+
+    it('finds lines that cross the area without a point inside it', function() {
+        expect(featureIntersectsArea(feature('LineString', [[-5, 5], [15, 5]]), area)).toBe(true);
+        expect(featureIntersectsArea(feature('LineString', [[-5, 15], [15, 15]]), area)).toBe(false);
+    });
+
+    it('finds polygons that contain the area', function() {
+        var around = [[[-5, -5], [15, -5], [15, 15], [-5, 15], [-5, -5]]];
+        expect(featureIntersectsArea(feature('Polygon', around), area)).toBe(true);
+
+        var withHole = around.concat([[[-1, -1], [11, -1], [11, 11], [-1, 11], [-1, -1]]]);
+        expect(featureIntersectsArea(feature('Polygon', withHole), area)).toBe(false);
+
+        expect(featureIntersectsArea(feature('MultiPolygon', [[[[20, 20], [30, 20], [30, 30], [20, 20]]], around]), area)).toBe(true);
+    });
+
+    it('ignores features without a geometry', function() {
+        expect(featureIntersectsArea({ type: 'Feature', properties: {} }, area)).toBe(false);
+    });
+});
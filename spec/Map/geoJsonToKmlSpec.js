@@ -0,0 +1,78 @@
+'use strict';
+
+/*global require,describe,it,expect*/
+
+var geoJsonToKml = require('../../src/Map/geoJsonToKml');
+
+describe('geoJsonToKml', function() {
+    it('requires a feature collection', function() {
+        expect(function() {
+            geoJsonToKml();
+        }).toThrow();
+    });
+
+    it('writes the name of the document', function() {
+        var kml = geoJsonToKml({ type: 'FeatureCollection', features: [] }, 'Roads & Rivers');
+        expect(kml).toContain('<kml xmlns="http://www.opengis.net/kml/2.2">');
+        expect(kml).toContain('<name>Roads &amp; Rivers</name>');
+    });
+
+    it('writes points with their names, descriptions and marker colors', function() {
+        var kml = geoJsonToKml({
+            type: 'FeatureCollection',
+            features: [{
+                type: 'Feature',
+                geometry: { type: 'Point', coordinates: [149.1, -35.3] },
+                properties: { name: 'Canberra', description: 'The <b>capital</b>', 'marker-color': '#FF0000' }
+            }]
+        });
+        expect(kml).toContain('<name>Canberra</name>');
+        expect(kml).toContain('<description>The &lt;b&gt;capital&lt;/b&gt;</description>');
+        expect(kml).toContain('<IconStyle><color>ff0000ff</color></IconStyle>');
+        expect(kml).toContain('<Point><coordinates>149.1,-35.3</coordinates></Point>');
+    });
+
+    it('writes text labels without an icon', function() {
+        var kml = geoJsonToKml({
+            type: 'FeatureCollection',
+            features: [{
+                type: 'Feature',
+                geometry: { type: 'Point', coordinates: [149.1, -35.3] },
+                properties: { name: 'Label 1', text: 'Lake', stroke: '#00FF00' }
+            }]
+        });
+        expect(kml).toContain('<name>Lake</name>');
+        expect(kml).toContain('<IconStyle><scale>0</scale></IconStyle><LabelStyle><color>ff00ff00</color></LabelStyle>');
+    });
+
+    it('writes lines and polygons with their styles', function() {
+        var kml = geoJsonToKml({
+            type: 'FeatureCollection',
+            features: [{
+                type: 'Feature',
+                geometry: { type: 'LineString', coordinates: [[1, 2], [3, 4]] },
+                properties: { stroke: '#0000FF', 'stroke-width': 3 }
+            }, {
+                type: 'Feature',
+                geometry: { type: 'Polygon', coordinates: [[[0, 0], [1, 0], [1, 1], [0, 0]]] },
+                properties: { stroke: '#0000FF', fill: '#FF0000', 'fill-opacity': 0.5 }
+            }]
+        });
+        expect(kml).toContain('<LineStyle><color>ffff0000</color><width>3</width></LineStyle>');
+        expect(kml).toContain('<LineString><tessellate>1</tessellate><coordinates>1,2 3,4</coordinates></LineString>');
+        expect(kml).toContain('<PolyStyle><color>800000ff</color></PolyStyle>');
+        expect(kml).toContain('<outerBoundaryIs><LinearRing><coordinates>0,0 1,0 1,1 0,0</coordinates></LinearRing></outerBoundaryIs>');
+    });
+
+    it('skips features without a supported geometry', function() {
+        var kml = geoJsonToKml({
+            type: 'FeatureCollection',
+            features: [{
+                type: 'Feature',
+                geometry: { type: 'MultiPoint', coordinates: [[1, 2]] },
+                properties: {}
+            }]
+        });
+        expect(kml).not.toContain('<Placemark>');
+    });
+});
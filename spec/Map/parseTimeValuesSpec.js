@@ -0,0 +1,76 @@
+'use strict';
+
+/*global require,describe,it,expect*/
+
+var JulianDate = require('../../third_party/cesium/Source/Core/JulianDate');
+
+var parseTimeValues = require('../../src/Map/parseTimeValues');
+
+function iso(date) {
+    return JulianDate.toIso8601(date, 0);
+}
+
+describe('parseTimeValues', function() {
+    it('detects day/month/year dates from any value', function() {
+        var result = parseTimeValues(['01/02/2015', '02/03/2015', '13/03/2015']);
+        expect(result.format).toBe('dmy');
+        expect(result.vals[0]).toEqual(JulianDate.fromIso8601('2015-02-01'));
+        expect(result.hasTimesOfDay).toBe(false);
+    });
+
+    it('takes ambiguous dates as month/day/year', function() {
+        var result = parseTimeValues(['01/02/2015', '02/03/2015']);
+        expect(result.format).toBe('mdy');
+        expect(result.vals[0]).toEqual(JulianDate.fromIso8601('2015-01-02'));
+    });
+
+    it('uses an explicit format', function() {
+        var result = parseTimeValues(['01/02/2015 1:30 pm'], 'dmy');
+        expect(result.vals[0]).toEqual(JulianDate.fromIso8601('2015-02-01T13:30'));
+        expect(result.hasTimesOfDay).toBe(true);
+    });
+
+    it('parses ISO 8601 dates with times', function() {
+        var result = parseTimeValues(['2015-01-31 10:00:00Z', '2015-02-01T11:30Z', undefined, '']);
+        expect(result.format).toBe('iso8601');
+        expect(iso(result.vals[0])).toBe('2015-01-31T10:00:00Z');
+        expect(iso(result.vals[1])).toBe('2015-02-01T11:30:00Z');
+        expect(result.vals[2]).toBeUndefined();
+        expect(result.vals[3]).toBeUndefined();
+    });
+
+    it('parses ISO week dates', function() {
+        var result = parseTimeValues(['2015-W01-1T00:00Z', '2009-W53-7T00:00Z', '2015W10T00:00Z']);
+        expect(result.format).toBe('isoWeek');
+        expect(iso(result.vals[0])).toBe('2014-12-29T00:00:00Z');
+        expect(iso(result.vals[1])).toBe('2010-01-03T00:00:00Z');
+        expect(iso(result.vals[2])).toBe('2015-03-02T00:00:00Z');
+    });
+
+    it('parses epoch seconds and milliseconds', function() {
+        expect(iso(parseTimeValues([1422700200]).vals[0])).toBe('2015-01-31T10:30:00Z');
+        expect(iso(parseTimeValues([1422700200000]).vals[0])).toBe('2015-01-31T10:30:00Z');
+        expect(parseTimeValues([1422700200]).format).toBe('epochSeconds');
+        expect(parseTimeValues([1422700200000]).format).toBe('epochMilliseconds');
+    });
+
+    it('returns undefined for values that are not times', function() {
+        expect(parseTimeValues([1, 2, 3])).toBeUndefined();
+        expect(parseTimeValues(['red', 'green'])).toBeUndefined();
+    });
+
+    it('throws for mixed formats', function() {
+        expect(function() {
+            parseTimeValues(['2015-01-31', '31/01/2015']);
+        }).toThrow();
+    });
+
+    it('throws when required values are not times', function() {
+        expect(function() {
+            parseTimeValues(['red', 'green'], undefined, true);
+        }).toThrow();
+        expect(function() {
+            parseTimeValues(['2015-01-31'], 'dmy');
+        }).toThrow();
+    });
+});
@@ -0,0 +1,77 @@
+'use strict';
+
+/*global require,describe,it,expect*/
+
+var Cartesian3 = require('../../third_party/cesium/Source/Core/Cartesian3');
+var ConstantPositionProperty = require('../../third_party/cesium/Source/DataSources/ConstantPositionProperty');
+var Entity = require('../../third_party/cesium/Source/DataSources/Entity');
+var JulianDate = require('../../third_party/cesium/Source/Core/JulianDate');
+var PolygonGraphics = require('../../third_party/cesium/Source/DataSources/PolygonGraphics');
+var PolygonHierarchy = require('../../third_party/cesium/Source/Core/PolygonHierarchy');
+var PolylineGraphics = require('../../third_party/cesium/Source/DataSources/PolylineGraphics');
+var TimeInterval = require('../../third_party/cesium/Source/Core/TimeInterval');
+var TimeIntervalCollection = require('../../third_party/cesium/Source/Core/TimeIntervalCollection');
+
+var queryEntitiesInArea = require('../../src/Map/queryEntitiesInArea');
+
+var area = [[0, 0], [10, 0], [10, 10], [0, 10]];
+var time = JulianDate.fromIso8601('2015-01-01T00:00:00Z');
+
+function point(longitude, latitude, properties) {
+    var entity = new Entity({
+        name: 'Point',
+        position: new ConstantPositionProperty(Cartesian3.fromDegrees(longitude, latitude))
+    });
+    entity.properties = properties;
+    return entity;
+}
+
+describe('queryEntitiesInArea', function() {
+    it('requires entities, an area and a time', function() {
+        expect(function() {
+            queryEntitiesInArea([], area);
+        }).toThrow();
+    });
+
+    it('converts the points inside the area to GeoJSON features', function() {
+        var features = queryEntitiesInArea([point(5, 5, { id: 1 }), point(20, 5, { id: 2 })], area, time);
+        expect(features.length).toBe(1);
+        expect(features[0].geometry.type).toBe('Point');
+        expect(features[0].geometry.coordinates[0]).toBeCloseTo(5, 8);
+        expect(features[0].geometry.coordinates[1]).toBeCloseTo(5, 8);
+        expect(features[0].properties).toEqual({ id: 1 });
+    });
+
+    it('uses the name of entities without properties', function() {
+        var features = queryEntitiesInArea([point(5, 5)], area, time);
+        expect(features[0].properties).toEqual({ name: 'Point' });
+    });
+
+    it('converts lines and polygons', function() {
+        var line = new Entity({
+            polyline: new PolylineGraphics({
+                positions: Cartesian3.fromDegreesArray([-5, 5, 15, 5])
+            })
+        });
+        var polygon = new Entity({
+            polygon: new PolygonGraphics({
+                hierarchy: new PolygonHierarchy(Cartesian3.fromDegreesArray([1, 1, 2, 1, 2, 2]))
+            })
+        });
+
+        var features = queryEntitiesInArea([line, polygon], area, time);
+        expect(features.length).toBe(2);
+        expect(features[0].geometry.type).toBe('LineString');
+        expect(features[1].geometry.type).toBe('Polygon');
+        expect(features[1].geometry.coordinates[0].length).toBe(4);
+    });
+
+    it('leaves out entities that are not available at the time', function() {
+        var entity = point(5, 5);
+        entity.availability = new TimeIntervalCollection([new TimeInterval({
+            start: JulianDate.fromIso8601('2016-01-01T00:00:00Z'),
+            stop: JulianDate.fromIso8601('2017-01-01T00:00:00Z')
+        })]);
+        expect(queryEntitiesInArea([entity], area, time).length).toBe(0);
+    });
+});
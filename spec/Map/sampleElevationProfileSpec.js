@@ -0,0 +1,64 @@
+'use strict';
+
+/*global require,describe,it,expect*/
+
+var Cartographic = require('../../third_party/cesium/Source/Core/Cartographic');
+var EllipsoidTerrainProvider = require('../../third_party/cesium/Source/Core/EllipsoidTerrainProvider');
+
+var computeGeodesicLength = require('../../src/Map/computeGeodesicLength');
+var sampleElevationProfile = require('../../src/Map/sampleElevationProfile');
+
+describe('sampleElevationProfile', function() {
+    var positions = [Cartographic.fromDegrees(150.0, -33.0), Cartographic.fromDegrees(150.1, -33.0), Cartographic.fromDegrees(150.1, -33.2)];
+
+    it('requires at least two positions', function() {
+        expect(function() {
+            sampleElevationProfile(new EllipsoidTerrainProvider(), positions.slice(0, 1));
+        }).toThrow();
+    });
+
+    it('samples evenly spaced points from the start to the end of the path', function() {
+        var samples;
+        sampleElevationProfile(new EllipsoidTerrainProvider(), positions, 11).then(function(result) {
+            samples = result;
+        });
+
+        var length = computeGeodesicLength(positions);
+        expect(samples.length).toBe(11);
+        expect(samples[0].distance).toBe(0.0);
+        expect(samples[10].distance).toBeCloseTo(length, 6);
+        expect(samples[5].distance).toBeCloseTo(length / 2, 6);
+
+        expect(samples[0].position.longitude).toBeCloseTo(positions[0].longitude, 10);
+        expect(samples[10].position.latitude).toBeCloseTo(positions[2].latitude, 10);
+        expect(samples[10].position.longitude).toBeCloseTo(positions[2].longitude, 10);
+    });
+
+    it('follows each segment of the path', function() {
+        var samples;
+        sampleElevationProfile(new EllipsoidTerrainProvider(), positions, 31).then(function(result) {
+            samples = result;
+        });
+
+        // The first third of the path runs east and the rest runs south.
+        var firstLength = computeGeodesicLength(positions.slice(0, 2));
+        for (var i = 0; i < samples.length; ++i) {
+            if (samples[i].distance < firstLength) {
+                expect(samples[i].position.latitude).toBeCloseTo(positions[0].latitude, 4);
+            } else {
+                expect(samples[i].position.longitude).toBeCloseTo(positions[1].longitude, 10);
+            }
+        }
+    });
+
+    it('gives the height of the terrain at each point', function() {
+        var samples;
+        sampleElevationProfile(new EllipsoidTerrainProvider(), positions, 5).then(function(result) {
+            samples = result;
+        });
+
+        for (var i = 0; i < samples.length; ++i) {
+            expect(samples[i].position.height).toBe(0.0);
+        }
+    });
+});
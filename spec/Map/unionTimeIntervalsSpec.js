@@ -0,0 +1,47 @@
+'use strict';
+
+/*global require,describe,it,expect*/
+
+var JulianDate = require('../../third_party/cesium/Source/Core/JulianDate');
+var TimeInterval = require('../../third_party/cesium/Source/Core/TimeInterval');
+
+var unionTimeIntervals = require('../../src/Map/unionTimeIntervals');
+
+function interval(iso8601) {
+    return TimeInterval.fromIso8601({
+        iso8601: iso8601
+    });
+}
+
+function iso(intervals) {
+    return intervals.map(function(interval) {
+        return JulianDate.toIso8601(interval.start, 0) + '/' + JulianDate.toIso8601(interval.stop, 0);
+    });
+}
+
+describe('unionTimeIntervals', function() {
+    it('throws when intervals is not provided', function() {
+        expect(function() {
+            unionTimeIntervals(undefined);
+        }).toThrow();
+    });
+
+    it('merges overlapping and touching intervals', function() {
+        var result = unionTimeIntervals([
+            interval('2014-01-01T00:00:00Z/2014-06-01T00:00:00Z'),
+            interval('2011-01-01T00:00:00Z/2011-12-31T00:00:00Z'),
+            interval('2014-03-01T00:00:00Z/2014-04-01T00:00:00Z'),
+            interval('2014-06-01T00:00:00Z/2015-01-01T00:00:00Z')
+        ]);
+        expect(iso(result)).toEqual([
+            '2011-01-01T00:00:00Z/2011-12-31T00:00:00Z',
+            '2014-01-01T00:00:00Z/2015-01-01T00:00:00Z'
+        ]);
+    });
+
+    it('does not modify the given intervals', function() {
+        var first = interval('2014-01-01T00:00:00Z/2014-06-01T00:00:00Z');
+        unionTimeIntervals([first, interval('2014-05-01T00:00:00Z/2015-01-01T00:00:00Z')]);
+        expect(JulianDate.toIso8601(first.stop, 0)).toBe('2014-06-01T00:00:00Z');
+    });
+});
@@ -0,0 +1,217 @@
+'use strict';
+
+/*global require,describe,it,expect,beforeEach,afterEach*/
+
+var Application = require('../../src/Models/Application');
+var ArcGisMapServerCatalogItem = require('../../src/Models/ArcGisMapServerCatalogItem');
+var BingMapsCatalogItem = require('../../src/Models/BingMapsCatalogItem');
+var CompositeCatalogItem = require('../../src/Models/CompositeCatalogItem');
+var createCatalogMemberFromType = require('../../src/Models/createCatalogMemberFromType');
+var WebMapServiceCatalogItem = require('../../src/Models/WebMapServiceCatalogItem');
+
+var loadWithXhr = require('../../third_party/cesium/Source/Core/loadWithXhr');
+
+var application;
+
+var baseMaps = [
+    {
+        image: 'images/topo.png',
+        item: {
+            type: 'composite',
+            name: 'Topography',
+            items: [
+                {
+                    type: 'wms',
+                    name: 'Relief',
+                    url: 'http://example.com/wms',
+                    layers: 'relief'
+                },
+                {
+                    type: 'esri-mapServer',
+                    name: 'Roads',
+                    url: 'http://example.com/arcgis/rest/services/roads/MapServer'
+                }
+            ]
+        }
+    },
+    {
+        image: 'images/aerial.png',
+        item: {
+            type: 'bing-maps',
+            name: 'Aerial',
+            mapStyle: 'Aerial'
+        }
+    }
+];
+
+beforeEach(function() {
+    createCatalogMemberFromType.register('bing-maps', BingMapsCatalogItem);
+    createCatalogMemberFromType.register('composite', CompositeCatalogItem);
+    createCatalogMemberFromType.register('esri-mapServer', ArcGisMapServerCatalogItem);
+    createCatalogMemberFromType.register('wms', WebMapServiceCatalogItem);
+    application = new Application();
+});
+
+describe('Application', function() {
+    it('creates the base maps of an init source', function() {
+        application.addInitSource({ baseMaps: baseMaps });
+
+        expect(application.baseMaps.length).toBe(2);
+        expect(application.baseMaps[0].image).toBe('images/topo.png');
+
+        var topography = application.baseMaps[0].catalogItem;
+        expect(topography instanceof CompositeCatalogItem).toBe(true);
+        expect(topography.items.length).toBe(2);
+        expect(topography.items[0].type).toBe('wms');
+        expect(topography.items[0].layers).toBe('relief');
+
+        expect(application.baseMaps[1].catalogItem.type).toBe('bing-maps');
+        expect(application.baseMaps[1].catalogItem.mapStyle).toBe('Aerial');
+    });
+
+    it('chooses the default base map, or else the first', function() {
+        application.addInitSource({ baseMaps: baseMaps });
+        expect(application.baseMap.name).toBe('Topography');
+
+        application = new Application();
+        application.addInitSource({ baseMaps: baseMaps, defaultBaseMapName: 'Aerial' });
+        expect(application.baseMap.name).toBe('Aerial');
+    });
+
+    it('chooses the base map named by a later init source, as in share links', function() {
+        application.addInitSource({ baseMaps: baseMaps });
+        application.addInitSource({ baseMapName: 'Aerial' });
+        expect(application.baseMap).toBe(application.baseMaps[1].catalogItem);
+    });
+
+    it('keeps the chosen base map when the same base maps are loaded again', function() {
+        application.addInitSource({ baseMaps: baseMaps, defaultBaseMapName: 'Topography' });
+        var aerial = application.baseMaps[1].catalogItem;
+        application.baseMap = aerial;
+
+        application.addInitSource({ baseMaps: baseMaps, defaultBaseMapName: 'Topography' });
+        expect(application.baseMap).toBe(aerial);
+    });
+});
+
+describe('Application terrain', function() {
+    var terrainOptions = [
+        {
+            name: 'World',
+            type: 'cesium',
+            url: 'http://example.com/world'
+        },
+        {
+            name: 'Local',
+            type: 'cesium',
+            url: 'http://example.com/local'
+        }
+    ];
+
+    it('replaces the terrain options and chooses the default', function() {
+        application.addInitSource({ terrainOptions: terrainOptions, defaultTerrainOptionName: 'Local' });
+        expect(application.terrainOptions.length).toBe(2);
+        expect(application.terrainOption.name).toBe('Local');
+    });
+
+    it('chooses the terrain and exaggeration of a later init source, as in share links', function() {
+        application.addInitSource({ terrainOptions: terrainOptions });
+        expect(application.terrainOption.name).toBe('World');
+
+        application.addInitSource({ terrainOptionName: 'Local', terrainExaggeration: 2.5 });
+        expect(application.terrainOption.name).toBe('Local');
+        expect(application.terrainExaggeration).toBe(2.5);
+    });
+
+    it('keeps the chosen terrain when the same terrain options are loaded again', function() {
+        application.addInitSource({ terrainOptions: terrainOptions });
+        application.terrainOption = application.terrainOptions[1];
+
+        application.addInitSource({ terrainOptions: terrainOptions });
+        expect(application.terrainOption.name).toBe('Local');
+    });
+
+    it('requires each terrain option to have a name and type', function() {
+        expect(function() {
+            application.addInitSource({ terrainOptions: [{ url: 'http://example.com/world' }] });
+        }).toThrow();
+    });
+
+    describe('share links', function() {
+        var requestedUrls;
+
+        // Answers the requests of the application with the given response, or fails them if it is undefined.
+        function respondWith(response) {
+            loadWithXhr.load = function(url, responseType, method, data, headers, deferred) {
+                requestedUrls.push(url);
+                if (typeof response === 'string') {
+                    deferred.resolve(response);
+                } else {
+                    deferred.reject(new Error('404 Not Found'));
+                }
+            };
+        }
+
+        function expectNoError(e) {
+            expect(e).toBeUndefined();
+        }
+
+        beforeEach(function() {
+            requestedUrls = [];
+            application.shareServiceUrl = 'http://example.com/share/';
+        });
+
+        afterEach(function() {
+            loadWithXhr.load = loadWithXhr.defaultLoad;
+        });
+
+        it('loads the init sources of a shared map from the share service', function(done) {
+            respondWith(JSON.stringify({
+                version: '0.0.04',
+                initSources: [
+                    { terrainExaggeration: 2.5 }
+                ]
+            }));
+
+            application.updateApplicationUrl('http://example.com/#share=abc123').then(function() {
+                expect(requestedUrls).toEqual(['http://example.com/share/get/abc123']);
+                expect(application.terrainExaggeration).toBe(2.5);
+                expect(application.initSources.length).toBe(0);
+            }).otherwise(expectNoError).then(done);
+        });
+
+        it('reports a shared map that the share service does not have', function(done) {
+            respondWith(undefined);
+
+            application.updateApplicationUrl('http://example.com/#share=missing').then(function() {
+                expect('updateApplicationUrl').toBe('rejected');
+            }).otherwise(function(e) {
+                expect(e.title).toBe('Error loading shared map');
+                expect(e.message).toContain('missing');
+            }).then(done);
+        });
+
+        it('reports a shared map that is not valid JSON', function(done) {
+            respondWith('<html>Not a shared map</html>');
+
+            application.updateApplicationUrl('http://example.com/#share=abc123').then(function() {
+                expect('updateApplicationUrl').toBe('rejected');
+            }).otherwise(function(e) {
+                expect(e.title).toBe('Error loading shared map');
+                expect(e.message).toContain('abc123');
+            }).then(done);
+        });
+
+        it('reports a share link when there is no share service', function(done) {
+            application.shareServiceUrl = undefined;
+            respondWith(undefined);
+
+            application.updateApplicationUrl('http://example.com/#share=abc123').then(function() {
+                expect('updateApplicationUrl').toBe('rejected');
+            }).otherwise(function(e) {
+                expect(e.title).toBe('Share links are not supported');
+                expect(requestedUrls.length).toBe(0);
+            }).then(done);
+        });
+    });
+});
@@ -0,0 +1,154 @@
+'use strict';
+
+/*global require,describe,it,expect,beforeEach,afterEach*/
+
+var Application = require('../../src/Models/Application');
+var ArcGisFeatureServerCatalogItem = require('../../src/Models/ArcGisFeatureServerCatalogItem');
+var CatalogItem = require('../../src/Models/CatalogItem');
+
+var loadWithXhr = require('../../third_party/cesium/Source/Core/loadWithXhr');
+var queryToObject = require('../../third_party/cesium/Source/Core/queryToObject');
+
+var application;
+var item;
+
+var red = { type: 'esriSFS', color: [255, 0, 0, 255] };
+var green = { type: 'esriSFS', color: [0, 255, 0, 255] };
+var blue = { type: 'esriSFS', color: [0, 0, 255, 255] };
+
+beforeEach(function() {
+    application = new Application();
+    item = new ArcGisFeatureServerCatalogItem(application, 'http://example.com/arcgis/rest/services/Roads/FeatureServer/0');
+});
+
+describe('ArcGisFeatureServerCatalogItem', function() {
+    it('has sensible type and typeName', function() {
+        expect(item.type).toBe('esri-featureServer');
+        expect(item.typeName).toBe('Esri ArcGIS FeatureServer');
+    });
+
+    it('is derived from CatalogItem', function() {
+        expect(item instanceof CatalogItem).toBe(true);
+    });
+
+    it('can update from json', function() {
+        item.updateFromJson({
+            url: 'http://example.com/arcgis/rest/services/Parks/FeatureServer/2',
+            where: "STATE = 'NSW'",
+            useRenderer: false
+        });
+
+        expect(item.url).toBe('http://example.com/arcgis/rest/services/Parks/FeatureServer/2');
+        expect(item.where).toBe("STATE = 'NSW'");
+        expect(item.useRenderer).toBe(false);
+    });
+
+    it('uses the symbol of a simple renderer for every feature', function() {
+        var renderer = { type: 'simple', symbol: red };
+        expect(ArcGisFeatureServerCatalogItem.getSymbol(renderer, { TYPE: 'anything' })).toBe(red);
+    });
+
+    it('finds the symbol of a unique value renderer', function() {
+        var renderer = {
+            type: 'uniqueValue',
+            field1: 'STATE',
+            field2: 'CODE',
+            fieldDelimiter: ', ',
+            defaultSymbol: blue,
+            uniqueValueInfos: [
+                { value: 'NSW, 1', symbol: red },
+                { value: 'VIC, 2', symbol: green }
+            ]
+        };
+
+        expect(ArcGisFeatureServerCatalogItem.getSymbol(renderer, { STATE: 'VIC', CODE: 2 })).toBe(green);
+        expect(ArcGisFeatureServerCatalogItem.getSymbol(renderer, { STATE: 'QLD', CODE: 3 })).toBe(blue);
+    });
+
+    it('finds the symbol of a class breaks renderer', function() {
+        var renderer = {
+            type: 'classBreaks',
+            field: 'POPULATION',
+            minValue: 0,
+            defaultSymbol: blue,
+            classBreakInfos: [
+                { classMaxValue: 100, symbol: red },
+                { classMaxValue: 1000, symbol: green }
+            ]
+        };
+
+        expect(ArcGisFeatureServerCatalogItem.getSymbol(renderer, { POPULATION: 0 })).toBe(red);
+        expect(ArcGisFeatureServerCatalogItem.getSymbol(renderer, { POPULATION: 100 })).toBe(red);
+        expect(ArcGisFeatureServerCatalogItem.getSymbol(renderer, { POPULATION: 500 })).toBe(green);
+        expect(ArcGisFeatureServerCatalogItem.getSymbol(renderer, { POPULATION: 5000 })).toBe(blue);
+        expect(ArcGisFeatureServerCatalogItem.getSymbol(renderer, { POPULATION: -1 })).toBe(blue);
+        expect(ArcGisFeatureServerCatalogItem.getSymbol(renderer, { POPULATION: null })).toBe(blue);
+    });
+
+    describe('on a server without pagination', function() {
+        var queries;
+        var pendingQueries;
+        var mostPendingQueries;
+
+        function createFeature(id) {
+            return {
+                type: 'Feature',
+                properties: { OBJECTID: id },
+                geometry: { type: 'LineString', coordinates: [[150.0, -33.0 - id], [151.0, -33.0 - id]] }
+            };
+        }
+
+        // Answers the query of a request after the current call stack, as a server would.
+        function respond(url, deferred) {
+            var parameters = queryToObject(url.substring(url.indexOf('?') + 1));
+            var response;
+            if (url.indexOf('/query?') < 0) {
+                response = {
+                    name: 'Roads',
+                    maxRecordCount: 2,
+                    supportedQueryFormats: 'JSON, geoJSON'
+                };
+            } else if (parameters.returnIdsOnly) {
+                response = { objectIds: [1, 2, 3, 4, 5] };
+            } else {
+                queries.push(parameters.objectIds);
+                response = {
+                    type: 'FeatureCollection',
+                    features: parameters.objectIds.split(',').map(function(id) {
+                        return createFeature(parseInt(id, 10));
+                    })
+                };
+            }
+
+            ++pendingQueries;
+            mostPendingQueries = Math.max(mostPendingQueries, pendingQueries);
+            setTimeout(function() {
+                --pendingQueries;
+                deferred.resolve(JSON.stringify(response));
+            }, 0);
+        }
+
+        beforeEach(function() {
+            queries = [];
+            pendingQueries = 0;
+            mostPendingQueries = 0;
+            loadWithXhr.load = function(url, responseType, method, data, headers, deferred) {
+                respond(url, deferred);
+            };
+        });
+
+        afterEach(function() {
+            loadWithXhr.load = loadWithXhr.defaultLoad;
+        });
+
+        it('requests the features in batches of object IDs, one batch at a time', function(done) {
+            item.load().then(function() {
+                expect(queries).toEqual(['1,2', '3,4', '5']);
+                expect(mostPendingQueries).toBe(1);
+                expect(item._geoJsonItem._geoJsonDataSource.entities.values.length).toBe(5);
+            }).otherwise(function(e) {
+                expect(e).toBeUndefined();
+            }).then(done);
+        });
+    });
+});
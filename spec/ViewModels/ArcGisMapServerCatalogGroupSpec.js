@@ -0,0 +1,121 @@
+'use strict';
+
+/*global require,describe,it,expect,beforeEach,afterEach*/
+
+var Application = require('../../src/Models/Application');
+var ArcGisFeatureServerCatalogItem = require('../../src/Models/ArcGisFeatureServerCatalogItem');
+var ArcGisMapServerCatalogGroup = require('../../src/Models/ArcGisMapServerCatalogGroup');
+var ArcGisMapServerCatalogItem = require('../../src/Models/ArcGisMapServerCatalogItem');
+var CatalogGroup = require('../../src/Models/CatalogGroup');
+
+var loadWithXhr = require('../../third_party/cesium/Source/Core/loadWithXhr');
+
+var application;
+var group;
+
+var layers = [
+    {
+        id: 0,
+        name: 'Transport',
+        type: 'Group Layer',
+        parentLayer: null
+    },
+    {
+        id: 1,
+        name: 'Roads',
+        type: 'Feature Layer',
+        description: 'Major roads',
+        parentLayer: { id: 0, name: 'Transport' }
+    },
+    {
+        id: 2,
+        name: 'Parks',
+        type: 'Feature Layer',
+        parentLayer: null
+    }
+];
+
+// The items of a group are sorted by name, so they are found by name.
+function findItem(items, name) {
+    return items.filter(function(item) {
+        return item.name === name;
+    })[0];
+}
+
+describe('ArcGisMapServerCatalogGroup', function() {
+    beforeEach(function() {
+        application = new Application();
+        group = new ArcGisMapServerCatalogGroup(application);
+
+        loadWithXhr.load = function(url, responseType, method, data, headers, deferred) {
+            if (url.indexOf('/layers?') >= 0) {
+                deferred.resolve(JSON.stringify({ layers: layers }));
+            } else {
+                deferred.resolve(JSON.stringify({ layers: [], documentInfo: { Author: 'Example Custodian' } }));
+            }
+        };
+    });
+
+    afterEach(function() {
+        loadWithXhr.load = loadWithXhr.defaultLoad;
+    });
+
+    it('can update from json', function() {
+        group.updateFromJson({
+            url: 'http://example.com/arcgis/rest/services/Parks/MapServer',
+            featureLayersAsVectors: true
+        });
+
+        expect(group.url).toBe('http://example.com/arcgis/rest/services/Parks/MapServer');
+        expect(group.featureLayersAsVectors).toBe(true);
+    });
+
+    it('adds the feature layers of a MapServer as MapServer items by default', function(done) {
+        group.url = 'http://example.com/arcgis/rest/services/Parks/MapServer';
+
+        group.load().then(function() {
+            expect(group.items.length).toBe(2);
+
+            var transport = findItem(group.items, 'Transport');
+            expect(transport instanceof CatalogGroup).toBe(true);
+
+            var roads = findItem(transport.items, 'Roads');
+            expect(roads instanceof ArcGisMapServerCatalogItem).toBe(true);
+            expect(roads.url).toBe('http://example.com/arcgis/rest/services/Parks/MapServer');
+            expect(roads.layers).toBe('1');
+            expect(roads.dataCustodian).toBe('Example Custodian');
+        }).otherwise(function(e) {
+            expect(e).toBeUndefined();
+        }).then(done);
+    });
+
+    it('adds the feature layers of a MapServer as vectors if featureLayersAsVectors is set', function(done) {
+        group.url = 'http://example.com/arcgis/rest/services/Parks/MapServer';
+        group.featureLayersAsVectors = true;
+
+        group.load().then(function() {
+            var roads = findItem(findItem(group.items, 'Transport').items, 'Roads');
+            expect(roads instanceof ArcGisFeatureServerCatalogItem).toBe(true);
+            expect(roads.url).toBe('http://example.com/arcgis/rest/services/Parks/MapServer/1');
+            expect(roads.description).toBe('Major roads');
+
+            var parks = findItem(group.items, 'Parks');
+            expect(parks instanceof ArcGisFeatureServerCatalogItem).toBe(true);
+            expect(parks.url).toBe('http://example.com/arcgis/rest/services/Parks/MapServer/2');
+        }).otherwise(function(e) {
+            expect(e).toBeUndefined();
+        }).then(done);
+    });
+
+    it('always adds the layers of a FeatureServer as vectors', function(done) {
+        group.url = 'http://example.com/arcgis/rest/services/Parks/FeatureServer/?token=abc';
+
+        group.load().then(function() {
+            var parks = findItem(group.items, 'Parks');
+            expect(parks instanceof ArcGisFeatureServerCatalogItem).toBe(true);
+            expect(parks.url).toBe('http://example.com/arcgis/rest/services/Parks/FeatureServer/2');
+        }).otherwise(function(e) {
+            expect(e).toBeUndefined();
+        }).then(done);
+    });
+});
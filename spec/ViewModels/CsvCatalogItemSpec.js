@@ -6,11 +6,64 @@ var Application = require('../../src/Models/Application');
 var CatalogItem = require('../../src/Models/CatalogItem');
 var CsvCatalogItem = require('../../src/Models/CsvCatalogItem');
 
+var CesiumMath = require('../../third_party/cesium/Source/Core/Math');
+var JulianDate = require('../../third_party/cesium/Source/Core/JulianDate');
 var Rectangle = require('../../third_party/cesium/Source/Core/Rectangle');
 
 var application;
 var csvItem;
 
+function createRegion(code, name, west) {
+    return {
+        type: 'Feature',
+        properties: { CODE: code, NAME: name },
+        geometry: {
+            type: 'Polygon',
+            coordinates: [[[west, -10], [west + 1, -10], [west + 1, -9], [west, -9], [west, -10]]]
+        }
+    };
+}
+
+// Adds a region type whose boundaries come from an inline GeoJSON file, so that no region server is needed.
+function addTestRegions(definition) {
+    var geoJson = {
+        type: 'FeatureCollection',
+        features: [
+            createRegion('0800', 'Darwin', 130),
+            createRegion('2000', 'Sydney', 150),
+            createRegion('3000', 'Greater Melbourne', 144)
+        ]
+    };
+
+    definition = definition || {};
+    definition.geoJsonUrl = 'data:application/json,' + encodeURIComponent(JSON.stringify(geoJson));
+    definition.regionProp = 'CODE';
+    definition.aliases = ['test_region'];
+
+    application.regionMappings.updateFromJson({
+        TEST: definition
+    });
+}
+
+function getRegionEntity(item, code) {
+    return item._regionGeoJsonItem._geoJsonDataSource.entities.values.filter(function(entity) {
+        return entity.properties.CODE === code;
+    })[0];
+}
+
+function isRegionShown(item, code) {
+    return getRegionEntity(item, code).polygon.show.getValue(JulianDate.now());
+}
+
+function getPointCount(item) {
+    // The first CZML packet is the document.
+    return item._tableDataSource.getCzmlDataPointList().length - 1;
+}
+
+function expectNoError(e) {
+    expect(e).toBeUndefined();
+}
+
 beforeEach(function() {
     application = new Application();
     csvItem = new CsvCatalogItem(application);
@@ -119,6 +172,274 @@ describe('CsvCatalogItem', function() {
         expect(csvItem instanceof CatalogItem).toBe(true);
     });
 
+    it('takes x and y columns in degrees to be longitudes and latitudes', function(done) {
+        csvItem.data = 'x,y,value\n144.9,-37.8,1\n151.2,-33.9,2';
+
+        csvItem.load().then(function() {
+            expect(csvItem._regionMapped).toBeFalsy();
+            expect(getPointCount(csvItem)).toBe(2);
+            expect(csvItem.rectangle.west).toBeCloseTo(CesiumMath.toRadians(144.9), 6);
+        }).otherwise(expectNoError).then(done);
+    });
+
+    it('reports projected coordinates without a coordinate system', function(done) {
+        csvItem.data = 'easting,northing,value\n321000,5812000,1\n322000,5813000,2';
+
+        csvItem.load().then(function() {
+            expect('load').toBe('rejected');
+        }).otherwise(function(e) {
+            expect(e.title).toBe('Unknown coordinate system');
+            expect(e.message).toContain('tableStyle.crs');
+        }).then(done);
+    });
+
+    it('draws regions from the geoJsonUrl of a region type without a layer', function(done) {
+        addTestRegions();
+        csvItem.data = 'test_region,value\n0800,10\n3000,20';
+
+        csvItem.load().then(function() {
+            expect(csvItem._regionMapped).toBe(true);
+            expect(csvItem._regionGeoJsonItem).toBeDefined();
+            expect(csvItem._vectorRegionIds).toEqual(['0800', '2000', '3000']);
+
+            expect(isRegionShown(csvItem, '0800')).toBe(true);
+            expect(isRegionShown(csvItem, '3000')).toBe(true);
+            expect(isRegionShown(csvItem, '2000')).toBe(false);
+
+            var rectangle = csvItem.rectangle;
+            expect(rectangle.west).toBeCloseTo(CesiumMath.toRadians(130), 6);
+            expect(rectangle.east).toBeCloseTo(CesiumMath.toRadians(151), 6);
+            expect(rectangle.south).toBeCloseTo(CesiumMath.toRadians(-10), 6);
+            expect(rectangle.north).toBeCloseTo(CesiumMath.toRadians(-9), 6);
+        }).otherwise(expectNoError).then(done);
+    });
+
+    it('describes each region with its row of the CSV file', function(done) {
+        addTestRegions();
+        csvItem.data = 'test_region,value\n0800,10\n3000,20';
+
+        csvItem.load().then(function() {
+            var description = getRegionEntity(csvItem, '3000').description.getValue(JulianDate.now());
+            expect(description).toContain('20');
+            expect(description).not.toContain('10');
+        }).otherwise(expectNoError).then(done);
+    });
+
+    it('draws vector regions for a region type with a layer when the regionMappingMode is vector', function(done) {
+        addTestRegions({
+            layerName: 'test:FID_TEST_REGIONS'
+        });
+        csvItem.tableStyle = {
+            regionMappingMode: 'vector'
+        };
+        csvItem.data = 'test_region,value\n0800,10';
+
+        csvItem.load().then(function() {
+            expect(csvItem._regionGeoJsonItem).toBeDefined();
+            expect(isRegionShown(csvItem, '0800')).toBe(true);
+        }).otherwise(expectNoError).then(done);
+    });
+
+    it('matches regions by code regardless of leading zeros and spaces', function(done) {
+        addTestRegions();
+        csvItem.data = 'test_region,value\n800,10\n" 2000 ",20';
+
+        csvItem.load().then(function() {
+            expect(isRegionShown(csvItem, '0800')).toBe(true);
+            expect(isRegionShown(csvItem, '2000')).toBe(true);
+            expect(isRegionShown(csvItem, '3000')).toBe(false);
+            expect(csvItem.info.length).toBe(0);
+        }).otherwise(expectNoError).then(done);
+    });
+
+    it('matches regions by name regardless of case and spacing', function(done) {
+        addTestRegions({
+            nameProp: 'NAME'
+        });
+        csvItem.data = 'test_region,value\nDARWIN,10\n"greater   melbourne",20';
+
+        csvItem.load().then(function() {
+            expect(csvItem._vectorRegionNames).toEqual(['Darwin', 'Sydney', 'Greater Melbourne']);
+            expect(isRegionShown(csvItem, '0800')).toBe(true);
+            expect(isRegionShown(csvItem, '3000')).toBe(true);
+            expect(isRegionShown(csvItem, '2000')).toBe(false);
+            expect(csvItem.rowProperties('Greater Melbourne').value).toBe(20);
+        }).otherwise(expectNoError).then(done);
+    });
+
+    it('matches regions by the aliases of the region type and the table style', function(done) {
+        addTestRegions({
+            nameProp: 'NAME',
+            regionAliases: {
+                'Top End': '0800'
+            }
+        });
+        csvItem.tableStyle = {
+            regionAliases: {
+                'Melbourne': 'Greater Melbourne'
+            }
+        };
+        csvItem.data = 'test_region,value\nTop End,10\nMelbourne,20';
+
+        csvItem.load().then(function() {
+            expect(isRegionShown(csvItem, '0800')).toBe(true);
+            expect(isRegionShown(csvItem, '3000')).toBe(true);
+            expect(csvItem.info.length).toBe(0);
+        }).otherwise(expectNoError).then(done);
+    });
+
+    it('lists the rows that could not be matched to a region in its info', function(done) {
+        addTestRegions({
+            nameProp: 'NAME'
+        });
+        csvItem.data = 'test_region,value\nDarwin,10\nAtlantis,20\n<b>Lemuria</b>,30';
+
+        csvItem.load().then(function() {
+            expect(csvItem.info.length).toBe(1);
+            expect(csvItem.info[0].name).toBe('Unmatched Regions');
+
+            var content = csvItem.info[0].content;
+            expect(content).toContain('2 of 3 rows');
+            expect(content).toContain('<td>3</td><td>Atlantis</td>');
+            expect(content).toContain('<td>4</td><td>&lt;b&gt;Lemuria&lt;/b&gt;</td>');
+            expect(content).not.toContain('Darwin');
+        }).otherwise(expectNoError).then(done);
+    });
+
+    it('colors the points of each category of an enumerated variable', function(done) {
+        csvItem.tableStyle = {
+            dataVariable: 'type',
+            categoryColors: {
+                train: '#000000'
+            }
+        };
+        csvItem.data = 'lat,lon,type\n-35,149,bus\n-34,150,train\n-33,151,bus';
+
+        csvItem.load().then(function() {
+            var categories = csvItem.categories;
+            expect(categories.length).toBe(2);
+            expect(categories[0].name).toBe('bus');
+            expect(categories[0].color).toBe('rgb(228,26,28)');
+            expect(categories[0].isShown).toBe(true);
+            expect(categories[1].name).toBe('train');
+            expect(categories[1].color).toBe('rgb(0,0,0)');
+            expect(categories[1].isShown).toBe(true);
+
+            expect(csvItem.legendUrl).toBeDefined();
+            expect(getPointCount(csvItem)).toBe(3);
+        }).otherwise(expectNoError).then(done);
+    });
+
+    it('hides the points of a category when it is toggled', function(done) {
+        csvItem.tableStyle = {
+            dataVariable: 'type'
+        };
+        csvItem.data = 'lat,lon,type\n-35,149,bus\n-34,150,train\n-33,151,bus';
+
+        csvItem.load().then(function() {
+            var bus = csvItem.categories[0];
+
+            csvItem.toggleCategory(bus);
+            expect(bus.isShown).toBe(false);
+            expect(csvItem.tableStyle.hiddenCategories).toEqual(['bus']);
+            expect(getPointCount(csvItem)).toBe(1);
+
+            csvItem.toggleCategory(bus);
+            expect(bus.isShown).toBe(true);
+            expect(csvItem.tableStyle.hiddenCategories).toEqual([]);
+            expect(getPointCount(csvItem)).toBe(3);
+        }).otherwise(expectNoError).then(done);
+    });
+
+    it('starts with the categories of hiddenCategories hidden', function(done) {
+        csvItem.tableStyle = {
+            dataVariable: 'type',
+            hiddenCategories: ['train']
+        };
+        csvItem.data = 'lat,lon,type\n-35,149,bus\n-34,150,train\n-33,151,bus';
+
+        csvItem.load().then(function() {
+            expect(csvItem.categories[0].isShown).toBe(true);
+            expect(csvItem.categories[1].isShown).toBe(false);
+            expect(getPointCount(csvItem)).toBe(2);
+        }).otherwise(expectNoError).then(done);
+    });
+
+    it('hides the regions of a category when it is toggled', function(done) {
+        addTestRegions();
+        csvItem.tableStyle = {
+            dataVariable: 'party'
+        };
+        csvItem.data = 'test_region,party\n0800,red\n2000,blue\n3000,red';
+
+        csvItem.load().then(function() {
+            expect(csvItem.categories.map(function(category) {
+                return category.name;
+            })).toEqual(['red', 'blue']);
+
+            csvItem.toggleCategory(csvItem.categories[0]);
+            expect(isRegionShown(csvItem, '0800')).toBe(false);
+            expect(isRegionShown(csvItem, '2000')).toBe(true);
+            expect(isRegionShown(csvItem, '3000')).toBe(false);
+        }).otherwise(expectNoError).then(done);
+    });
+
+    it('colors the regions of each class of colorBreaks', function(done) {
+        addTestRegions();
+        csvItem.tableStyle = {
+            colorBreaks: [15]
+        };
+        csvItem.data = 'test_region,value\n0800,10\n2000,12\n3000,20';
+
+        csvItem.load().then(function() {
+            var colors = csvItem._tableDataSource._getClassification().colors;
+            expect(colors.length).toBe(2);
+
+            function getRegionColor(code) {
+                return csvItem.colorFunc(csvItem.regionIndex(code));
+            }
+            expect(getRegionColor('0800')).toEqual(colors[0]);
+            expect(getRegionColor('2000')).toEqual(colors[0]);
+            expect(getRegionColor('3000')).toEqual(colors[1]);
+
+            function getEntityColor(code) {
+                return getRegionEntity(csvItem, code).polygon.material.color.getValue(JulianDate.now());
+            }
+            expect(getEntityColor('0800')).toEqual(getEntityColor('2000'));
+            expect(getEntityColor('0800')).not.toEqual(getEntityColor('3000'));
+            expect(csvItem.legendUrl).toBeDefined();
+        }).otherwise(expectNoError).then(done);
+    });
+
+    it('reports an unknown colorBinMethod', function(done) {
+        csvItem.tableStyle = {
+            colorBinMethod: 'median'
+        };
+        csvItem.data = 'lat,lon,value\n-35,149,1\n-34,150,2';
+
+        csvItem.load().then(function() {
+            expect('load').toBe('rejected');
+        }).otherwise(function(e) {
+            expect(e.title).toBe('Invalid table style');
+            expect(e.message).toContain('median');
+            expect(e.message).toContain('quantile');
+        }).then(done);
+    });
+
+    it('reports colorBreaks that are not numbers in increasing order', function(done) {
+        csvItem.tableStyle = {
+            colorBreaks: [20, 10]
+        };
+        csvItem.data = 'lat,lon,value\n-35,149,1\n-34,150,2';
+
+        csvItem.load().then(function() {
+            expect('load').toBe('rejected');
+        }).otherwise(function(e) {
+            expect(e.title).toBe('Invalid table style');
+            expect(e.message).toContain('[20,10]');
+        }).then(done);
+    });
+
     it('correctly changes the region mapping data variable', function() {
         expect(csvItem instanceof CatalogItem).toBe(true);
     });
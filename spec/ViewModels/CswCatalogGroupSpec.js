@@ -0,0 +1,215 @@
+'use strict';
+
+/*global require,describe,it,expect,beforeEach,URI*/
+
+var Application = require('../../src/Models/Application');
+var ArcGisFeatureServerCatalogItem = require('../../src/Models/ArcGisFeatureServerCatalogItem');
+var ArcGisMapServerCatalogItem = require('../../src/Models/ArcGisMapServerCatalogItem');
+var CatalogGroup = require('../../src/Models/CatalogGroup');
+var CatalogItem = require('../../src/Models/CatalogItem');
+var CswCatalogGroup = require('../../src/Models/CswCatalogGroup');
+var KmlCatalogItem = require('../../src/Models/KmlCatalogItem');
+var WebFeatureServiceCatalogItem = require('../../src/Models/WebFeatureServiceCatalogItem');
+var WebMapServiceCatalogItem = require('../../src/Models/WebMapServiceCatalogItem');
+
+var Rectangle = require('../../third_party/cesium/Source/Core/Rectangle');
+
+var application;
+var cswGroup;
+
+// Creates an element with attributes as converted to JSON by xml2json.
+function withAttributes(text, attributes) {
+    var result = new String(text); // jshint ignore:line
+    for (var name in attributes) {
+        if (attributes.hasOwnProperty(name)) {
+            result[name] = attributes[name];
+        }
+    }
+    return result;
+}
+
+function createRecord(title, subjects, links) {
+    return {
+        identifier: title.toLowerCase().replace(/ /g, '-'),
+        title: title,
+        subject: subjects,
+        abstract: 'All about ' + title + '.',
+        publisher: 'Geoscience Australia',
+        BoundingBox: withAttributes('', { crs: 'urn:ogc:def:crs:EPSG:6.6:4326' }),
+        URI: links
+    };
+}
+
+describe('CswCatalogGroup', function() {
+    beforeEach(function() {
+        application = new Application();
+        cswGroup = new CswCatalogGroup(application);
+        cswGroup.url = 'http://example.com/geonetwork/srv/eng/csw';
+    });
+
+    it('has sensible type and typeName', function() {
+        expect(cswGroup.type).toBe('csw');
+        expect(cswGroup.typeName).toBe('Catalogue Service for the Web (CSW)');
+    });
+
+    it('is derived from CatalogGroup', function() {
+        expect(cswGroup instanceof CatalogGroup).toBe(true);
+    });
+
+    it('requests a page of records with the filter', function() {
+        cswGroup.pageSize = 20;
+        cswGroup.filter = 'AnyText like \'%water%\'';
+
+        var uri = new URI(cswGroup.getRecordsUrl(21));
+        var query = uri.search(true);
+        expect(uri.path()).toBe('/geonetwork/srv/eng/csw');
+        expect(query.request).toBe('GetRecords');
+        expect(query.startPosition).toBe('21');
+        expect(query.maxRecords).toBe('20');
+        expect(query.constraintLanguage).toBe('CQL_TEXT');
+        expect(query.constraint).toBe('AnyText like \'%water%\'');
+    });
+
+    it('requests all records without a filter', function() {
+        var query = new URI(cswGroup.getRecordsUrl(1)).search(true);
+        expect(query.constraint).toBeUndefined();
+        expect(query.constraintLanguage).toBeUndefined();
+    });
+
+    it('gets one or many records from a GetRecords response', function() {
+        expect(CswCatalogGroup.getRecords({ SearchResults: { Record: { title: 'One' } } }).length).toBe(1);
+        expect(CswCatalogGroup.getRecords({ SearchResults: { Record: [{ title: 'One' }, { title: 'Two' }] } }).length).toBe(2);
+        expect(CswCatalogGroup.getRecords({ SearchResults: { numberOfRecordsMatched: '0' } }).length).toBe(0);
+    });
+
+    it('creates a WMS item from a WMS link', function() {
+        var record = createRecord('Rivers', 'Water', [
+            withAttributes('http://example.com/wfs', { protocol: 'OGC:WFS-1.0.0-http-get-capabilities', name: 'hydro:rivers' }),
+            withAttributes('http://example.com/wms?service=WMS', { protocol: 'OGC:WMS-1.1.1-http-get-map', name: 'hydro:rivers' })
+        ]);
+        record.BoundingBox.LowerCorner = '112.5 -44';
+        record.BoundingBox.UpperCorner = '154 -10.5';
+
+        var item = CswCatalogGroup.createItemFromRecord(cswGroup, record);
+        expect(item instanceof WebMapServiceCatalogItem).toBe(true);
+        expect(item.name).toBe('Rivers');
+        expect(item.url).toBe('http://example.com/wms');
+        expect(item.layers).toBe('hydro:rivers');
+        expect(item.dataCustodian).toBe('Geoscience Australia');
+        expect(item.description).toContain('All about Rivers.');
+        expect(item.description).toContain('request=GetRecordById');
+        expect(item.description).toContain('id=rivers');
+        expect(item.rectangle).toEqual(Rectangle.fromDegrees(112.5, -44, 154, -10.5));
+    });
+
+    it('creates WFS, ArcGIS and KML items from their links', function() {
+        var wfs = CswCatalogGroup.createItemFromRecord(cswGroup, createRecord('Roads', undefined,
+            withAttributes('http://example.com/wfs?typeName=transport:roads', { protocol: 'OGC:WFS-1.1.0-http-get-feature' })));
+        expect(wfs instanceof WebFeatureServiceCatalogItem).toBe(true);
+        expect(wfs.url).toBe('http://example.com/wfs');
+        expect(wfs.typeNames).toBe('transport:roads');
+
+        var mapServer = CswCatalogGroup.createItemFromRecord(cswGroup, createRecord('Topography', undefined,
+            withAttributes('http://example.com/arcgis/rest/services/topo/MapServer', { protocol: 'ESRI:REST' })));
+        expect(mapServer instanceof ArcGisMapServerCatalogItem).toBe(true);
+        expect(mapServer.url).toBe('http://example.com/arcgis/rest/services/topo/MapServer');
+
+        var featureServer = CswCatalogGroup.createItemFromRecord(cswGroup, createRecord('Parks', undefined,
+            withAttributes('http://example.com/arcgis/rest/services/parks/FeatureServer/0', { protocol: 'ESRI:REST' })));
+        expect(featureServer instanceof ArcGisFeatureServerCatalogItem).toBe(true);
+        expect(featureServer.url).toBe('http://example.com/arcgis/rest/services/parks/FeatureServer/0');
+
+        var kml = CswCatalogGroup.createItemFromRecord(cswGroup, createRecord('Bores', undefined,
+            withAttributes('http://example.com/bores.kmz', { protocol: 'WWW:DOWNLOAD-1.0-http--download' })));
+        expect(kml instanceof KmlCatalogItem).toBe(true);
+        expect(kml.url).toBe('http://example.com/bores.kmz');
+    });
+
+    it('adds the details of the record to the metadata of the item', function() {
+        var record = createRecord('Bores', undefined,
+            withAttributes('http://example.com/bores.kml', { protocol: 'WWW:DOWNLOAD-1.0-http--download' }));
+        record.rights = 'Creative Commons Attribution 3.0 Australia';
+        record.BoundingBox.LowerCorner = '112.5 -44';
+        record.BoundingBox.UpperCorner = '154 -10.5';
+
+        var metadata = CswCatalogGroup.createItemFromRecord(cswGroup, record).metadata;
+        expect(metadata.isLoading).toBe(false);
+        expect(metadata.dataSourceErrorMessage).toBeUndefined();
+
+        var items = metadata.dataSourceMetadata.items;
+        expect(items.map(function(item) { return item.name; })).toEqual(['Abstract', 'Rights', 'Publisher', 'Bounding Box']);
+        expect(items[0].value).toBe('All about Bores.');
+        expect(items[1].value).toBe('Creative Commons Attribution 3.0 Australia');
+        expect(items[2].value).toBe('Geoscience Australia');
+        expect(items[3].value).toBe('West 112.5, South -44, East 154, North -10.5');
+    });
+
+    it('adds the details of the record to items whose type has no details of its own', function() {
+        var item = CswCatalogGroup.createItemFromRecord(cswGroup, createRecord('Roads', undefined,
+            withAttributes('http://example.com/wfs?typeName=transport:roads', { protocol: 'OGC:WFS-1.1.0-http-get-feature' })));
+        expect(item.dataSourceMetadataItems[0].name).toBe('Abstract');
+
+        var metadata = item.metadata;
+        expect(metadata.isLoading).toBe(false);
+        expect(metadata.dataSourceErrorMessage).toBeUndefined();
+        expect(metadata.serviceErrorMessage).toBe(CatalogItem.defaultMetadata.serviceErrorMessage);
+        expect(metadata.dataSourceMetadata.items[0].value).toBe('All about Roads.');
+    });
+
+    it('keeps the details of the record when the item is serialized', function() {
+        var item = CswCatalogGroup.createItemFromRecord(cswGroup, createRecord('Bores', undefined,
+            withAttributes('http://example.com/bores.kml', { protocol: 'WWW:DOWNLOAD-1.0-http--download' })));
+        var json = item.serializeToJson();
+        expect(json.metadata).toBeUndefined();
+        expect(json.dataSourceMetadataItems[0]).toEqual({ name: 'Abstract', value: 'All about Bores.' });
+
+        var copy = new KmlCatalogItem(application);
+        copy.updateFromJson(json);
+        expect(copy.metadata.dataSourceMetadata.items.map(function(item) { return item.name; })).toEqual(['Abstract', 'Publisher']);
+    });
+
+    it('does not create items for unsupported or excluded links', function() {
+        var record = createRecord('Rivers', 'Water',
+            withAttributes('http://example.com/wms', { protocol: 'OGC:WMS-1.1.1-http-get-map', name: 'hydro:rivers' }));
+        cswGroup.includeWms = false;
+        expect(CswCatalogGroup.createItemFromRecord(cswGroup, record)).toBeUndefined();
+
+        expect(CswCatalogGroup.createItemFromRecord(cswGroup, createRecord('Report', 'Water',
+            withAttributes('http://example.com/report.pdf', { protocol: 'WWW:LINK-1.0-http--link' })))).toBeUndefined();
+    });
+
+    it('uses the data custodian of the group', function() {
+        cswGroup.dataCustodian = 'Bureau of Meteorology';
+        var item = CswCatalogGroup.createItemFromRecord(cswGroup, createRecord('Rainfall', undefined,
+            withAttributes('http://example.com/wms', { protocol: 'OGC:WMS', name: 'rainfall' })));
+        expect(item.dataCustodian).toBe('Bureau of Meteorology');
+    });
+
+    it('groups items by subject', function() {
+        var wmsLink = withAttributes('http://example.com/wms', { protocol: 'OGC:WMS-1.1.1-http-get-map', name: 'layer' });
+        cswGroup.blacklist = { 'Dams': true, 'Secret': true };
+        cswGroup.addRecords([
+            createRecord('Rivers', ['Water', 'Environment'], wmsLink),
+            createRecord('Dams', 'Water', wmsLink),
+            createRecord('Bores', ['Water', 'Secret'], wmsLink),
+            createRecord('Coastline', undefined, wmsLink)
+        ]);
+
+        expect(cswGroup.items.map(function(item) { return item.name; })).toEqual(['Coastline', 'Environment', 'Water']);
+        expect(cswGroup.items[0] instanceof WebMapServiceCatalogItem).toBe(true);
+        expect(cswGroup.items[1].items.map(function(item) { return item.name; })).toEqual(['Rivers']);
+        expect(cswGroup.items[2].items.map(function(item) { return item.name; })).toEqual(['Bores', 'Rivers']);
+        expect(cswGroup.items[2].items[1]).not.toBe(cswGroup.items[1].items[0]);
+    });
+
+    it('lists items directly in the group when groupBy is none', function() {
+        var wmsLink = withAttributes('http://example.com/wms', { protocol: 'OGC:WMS-1.1.1-http-get-map', name: 'layer' });
+        cswGroup.groupBy = 'none';
+        cswGroup.addRecords([
+            createRecord('Rivers', ['Water', 'Environment'], wmsLink),
+            createRecord('Coastline', undefined, wmsLink)
+        ]);
+
+        expect(cswGroup.items.map(function(item) { return item.name; })).toEqual(['Coastline', 'Rivers']);
+    });
+});
@@ -0,0 +1,130 @@
+'use strict';
+
+/*global require,describe,it,expect,beforeEach*/
+
+var Cartographic = require('../../third_party/cesium/Source/Core/Cartographic');
+var Ellipsoid = require('../../third_party/cesium/Source/Core/Ellipsoid');
+
+var Application = require('../../src/Models/Application');
+var DrawingPanelViewModel = require('../../src/ViewModels/DrawingPanelViewModel');
+var UserDrawingCatalogItem = require('../../src/Models/UserDrawingCatalogItem');
+
+function position(longitude, latitude) {
+    return Ellipsoid.WGS84.cartographicToCartesian(Cartographic.fromDegrees(longitude, latitude));
+}
+
+describe('DrawingPanelViewModel', function() {
+    var application;
+    var viewModel;
+
+    beforeEach(function() {
+        application = new Application();
+        viewModel = new DrawingPanelViewModel({
+            application: application,
+            isVisible: true
+        });
+    });
+
+    it('handles clicks on the map only while a tool is selected', function() {
+        expect(application.mapInteractionModeStack.length).toBe(0);
+
+        viewModel.selectTool('line');
+        expect(application.mapInteractionModeStack.length).toBe(1);
+
+        application.mapInteractionModeStack[0].positionPicked.raiseEvent(position(0.0, 0.0));
+        expect(viewModel.sketchPositions.length).toBe(1);
+
+        viewModel.selectTool('line');
+        expect(viewModel.tool).toBeUndefined();
+        expect(application.mapInteractionModeStack.length).toBe(0);
+        expect(viewModel.sketchPositions.length).toBe(0);
+    });
+
+    it('adds points to a drawing in the User-Added Data group', function() {
+        viewModel.selectTool('point');
+        viewModel.addPosition(position(149.0, -35.0));
+
+        var items = application.catalog.userAddedDataGroup.items;
+        expect(items.length).toBe(1);
+        expect(items[0] instanceof UserDrawingCatalogItem).toBe(true);
+        expect(viewModel.drawing).toBe(items[0]);
+
+        var feature = viewModel.drawing.features[0];
+        expect(feature.geometry.type).toBe('Point');
+        expect(feature.geometry.coordinates[0]).toBeCloseTo(149.0, 8);
+        expect(feature.geometry.coordinates[1]).toBeCloseTo(-35.0, 8);
+        expect(feature.properties.name).toBe('Point 1');
+        expect(viewModel.selectedFeature).toBe(feature);
+    });
+
+    it('finishes lines and polygons', function() {
+        viewModel.selectTool('polygon');
+        viewModel.addPosition(position(0.0, 0.0));
+        viewModel.addPosition(position(1.0, 0.0));
+        expect(viewModel.canFinish).toBe(false);
+
+        viewModel.addPosition(position(1.0, 1.0));
+        expect(viewModel.canFinish).toBe(true);
+
+        viewModel.finish();
+        var ring = viewModel.drawing.features[0].geometry.coordinates[0];
+        expect(ring.length).toBe(4);
+        expect(ring[3]).toEqual(ring[0]);
+        expect(viewModel.sketchPositions.length).toBe(0);
+    });
+
+    it('draws rectangles from two opposite corners', function() {
+        viewModel.selectTool('rectangle');
+        viewModel.addPosition(position(2.0, 1.0));
+        viewModel.addPosition(position(0.0, 3.0));
+
+        var ring = viewModel.drawing.features[0].geometry.coordinates[0];
+        expect(ring.length).toBe(5);
+        expect(ring[0][0]).toBeCloseTo(0.0, 8);
+        expect(ring[0][1]).toBeCloseTo(1.0, 8);
+        expect(ring[2][0]).toBeCloseTo(2.0, 8);
+        expect(ring[2][1]).toBeCloseTo(3.0, 8);
+    });
+
+    it('requires the text of a label', function() {
+        viewModel.selectTool('text');
+        viewModel.addPosition(position(0.0, 0.0));
+        expect(viewModel.errorMessage).not.toBe('');
+        expect(viewModel.drawing).toBeUndefined();
+
+        viewModel.labelText = 'Lake';
+        viewModel.addPosition(position(0.0, 0.0));
+        expect(viewModel.drawing.features[0].properties.text).toBe('Lake');
+        expect(viewModel.drawing.features[0].properties.name).toBe('Lake');
+    });
+
+    it('edits the properties of the selected feature', function() {
+        viewModel.selectTool('line');
+        viewModel.addPosition(position(0.0, 0.0));
+        viewModel.addPosition(position(1.0, 0.0));
+        viewModel.finish();
+
+        viewModel.featureName = 'Track';
+        viewModel.featureColor = '#0000FF';
+        viewModel.featureWidth = '4';
+
+        var properties = viewModel.drawing.features[0].properties;
+        expect(properties.name).toBe('Track');
+        expect(properties.stroke).toBe('#0000FF');
+        expect(properties['stroke-width']).toBe(4);
+    });
+
+    it('removes features from the drawing', function() {
+        viewModel.selectTool('point');
+        viewModel.addPosition(position(0.0, 0.0));
+        viewModel.addPosition(position(1.0, 0.0));
+
+        var drawing = viewModel.drawing;
+        var second = drawing.features[1];
+        expect(viewModel.selectedFeature).toBe(second);
+
+        viewModel.removeFeature(second);
+        expect(drawing.features.length).toBe(1);
+        expect(viewModel.selectedFeature).toBeUndefined();
+    });
+});
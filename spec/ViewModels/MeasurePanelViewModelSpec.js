@@ -0,0 +1,109 @@
+'use strict';
+
+/*global require,describe,it,expect,beforeEach*/
+
+var Cartographic = require('../../third_party/cesium/Source/Core/Cartographic');
+var Ellipsoid = require('../../third_party/cesium/Source/Core/Ellipsoid');
+
+var Application = require('../../src/Models/Application');
+var MeasurePanelViewModel = require('../../src/ViewModels/MeasurePanelViewModel');
+
+function position(longitude, latitude) {
+    return Ellipsoid.WGS84.cartographicToCartesian(Cartographic.fromDegrees(longitude, latitude));
+}
+
+describe('MeasurePanelViewModel', function() {
+    var application;
+    var viewModel;
+
+    beforeEach(function() {
+        application = new Application();
+        viewModel = new MeasurePanelViewModel({
+            application: application
+        });
+    });
+
+    it('handles clicks on the map only while it is visible', function() {
+        expect(application.mapInteractionModeStack.length).toBe(0);
+
+        viewModel.isVisible = true;
+        expect(application.mapInteractionModeStack.length).toBe(1);
+        expect(application.dataSources.length).toBe(1);
+
+        application.mapInteractionModeStack[0].positionPicked.raiseEvent(position(0.0, 0.0));
+        expect(viewModel.positions.length).toBe(1);
+
+        viewModel.isVisible = false;
+        expect(application.mapInteractionModeStack.length).toBe(0);
+        expect(application.dataSources.length).toBe(0);
+        expect(viewModel.positions.length).toBe(0);
+    });
+
+    it('measures the length of a path', function() {
+        viewModel.addPosition(position(0.0, 0.0));
+        expect(viewModel.resultText).toBe('');
+
+        viewModel.addPosition(position(1.0, 0.0));
+        expect(viewModel.length).toBeCloseTo(111319.49, 1);
+        expect(viewModel.resultText).toBe('Length: 111.3 km');
+
+        viewModel.removeLastPosition();
+        expect(viewModel.length).toBe(0.0);
+    });
+
+    it('measures the area and perimeter of a polygon', function() {
+        viewModel.mode = 'area';
+        viewModel.addPosition(position(0.0, 0.0));
+        viewModel.addPosition(position(0.01, 0.0));
+        viewModel.addPosition(position(0.01, 0.01));
+        viewModel.addPosition(position(0.0, 0.01));
+
+        expect(viewModel.area).toBeGreaterThan(1220000.0);
+        expect(viewModel.area).toBeLessThan(1240000.0);
+        expect(viewModel.length).toBeCloseTo(2 * (1113.2 + 1105.7), -1);
+        expect(viewModel.resultText).toBe('Area: 1.24 km², perimeter: 4.44 km');
+    });
+
+    it('clears the points when the mode changes', function() {
+        viewModel.addPosition(position(0.0, 0.0));
+        viewModel.mode = 'area';
+        expect(viewModel.positions.length).toBe(0);
+    });
+
+    it('exports a path as a GeoJSON LineString', function() {
+        expect(viewModel.toGeoJson()).toBeUndefined();
+
+        viewModel.addPosition(position(150.0, -33.0));
+        viewModel.addPosition(position(151.0, -34.0));
+
+        var feature = viewModel.toGeoJson();
+        expect(feature.geometry.type).toBe('LineString');
+        expect(feature.geometry.coordinates.length).toBe(2);
+        expect(feature.geometry.coordinates[1][0]).toBeCloseTo(151.0, 8);
+        expect(feature.geometry.coordinates[1][1]).toBeCloseTo(-34.0, 8);
+        expect(feature.properties.length).toBe(viewModel.length);
+    });
+
+    it('exports an area as a closed GeoJSON Polygon', function() {
+        viewModel.mode = 'area';
+        viewModel.addPosition(position(150.0, -33.0));
+        viewModel.addPosition(position(151.0, -33.0));
+        viewModel.addPosition(position(151.0, -34.0));
+
+        var feature = viewModel.toGeoJson();
+        expect(feature.geometry.type).toBe('Polygon');
+        var ring = feature.geometry.coordinates[0];
+        expect(ring.length).toBe(4);
+        expect(ring[3]).toEqual(ring[0]);
+        expect(feature.properties.area).toBe(viewModel.area);
+        expect(feature.properties.perimeter).toBe(viewModel.length);
+    });
+
+    it('formats distances and areas in suitable units', function() {
+        expect(MeasurePanelViewModel.formatDistance(12.345)).toBe('12.3 m');
+        expect(MeasurePanelViewModel.formatDistance(1234.5)).toBe('1.23 km');
+        expect(MeasurePanelViewModel.formatArea(1234.5)).toBe('1235 m²');
+        expect(MeasurePanelViewModel.formatArea(123456.0)).toBe('12.35 ha');
+        expect(MeasurePanelViewModel.formatArea(123456789.0)).toBe('123.5 km²');
+    });
+});
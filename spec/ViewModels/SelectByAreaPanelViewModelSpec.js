@@ -0,0 +1,129 @@
+'use strict';
+
+/*global require,describe,it,expect,beforeEach*/
+
+var Cartographic = require('../../third_party/cesium/Source/Core/Cartographic');
+var Ellipsoid = require('../../third_party/cesium/Source/Core/Ellipsoid');
+var when = require('../../third_party/cesium/Source/ThirdParty/when');
+
+var Application = require('../../src/Models/Application');
+var SelectByAreaPanelViewModel = require('../../src/ViewModels/SelectByAreaPanelViewModel');
+
+function position(longitude, latitude) {
+    return Ellipsoid.WGS84.cartographicToCartesian(Cartographic.fromDegrees(longitude, latitude));
+}
+
+// Stands in for a shown catalog item whose features can be queried.
+function createItem(name, features) {
+    return {
+        name: name,
+        isShown: true,
+        queryFeaturesInArea: function(area) {
+            this.area = area;
+            return when(features);
+        }
+    };
+}
+
+var features = [
+    {
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [1, 2] },
+        properties: { name: 'First', count: 3 }
+    },
+    {
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [3, 4] },
+        properties: { name: 'Second, with a comma', note: 'Said "hi"' }
+    }
+];
+
+describe('SelectByAreaPanelViewModel', function() {
+    var application;
+    var viewModel;
+
+    beforeEach(function() {
+        application = new Application();
+        viewModel = new SelectByAreaPanelViewModel({
+            application: application,
+            isVisible: true
+        });
+    });
+
+    it('handles clicks on the map only while an area is being drawn', function() {
+        viewModel.selectTool('polygon');
+        expect(application.mapInteractionModeStack.length).toBe(1);
+
+        viewModel.selectTool('polygon');
+        expect(application.mapInteractionModeStack.length).toBe(0);
+    });
+
+    it('queries the shown items within a rectangle', function() {
+        var item = createItem('Points', features);
+        var hidden = createItem('Hidden', features);
+        hidden.isShown = false;
+        application.nowViewing.items.push(item, hidden);
+
+        viewModel.selectTool('rectangle');
+        viewModel.addPosition(position(10, 0));
+        viewModel.addPosition(position(0, 10));
+
+        expect(viewModel.tool).toBeUndefined();
+        expect(item.area.length).toBe(4);
+        expect(item.area[0][0]).toBeCloseTo(0, 8);
+        expect(item.area[0][1]).toBeCloseTo(0, 8);
+        expect(item.area[2][0]).toBeCloseTo(10, 8);
+        expect(item.area[2][1]).toBeCloseTo(10, 8);
+        expect(hidden.area).toBeUndefined();
+
+        expect(viewModel.results.length).toBe(1);
+        var result = viewModel.results[0];
+        expect(result.name).toBe('Points');
+        expect(result.columns).toEqual(['name', 'count', 'note']);
+        expect(result.rows).toEqual([['First', '3', ''], ['Second, with a comma', '', 'Said "hi"']]);
+    });
+
+    it('queries within a polygon once it is finished', function() {
+        var item = createItem('Points', features);
+        application.nowViewing.items.push(item);
+
+        viewModel.selectTool('polygon');
+        viewModel.addPosition(position(0, 0));
+        viewModel.addPosition(position(10, 0));
+        expect(viewModel.canFinish).toBe(false);
+
+        viewModel.addPosition(position(10, 10));
+        viewModel.finish();
+        expect(item.area.length).toBe(3);
+        expect(viewModel.results.length).toBe(1);
+    });
+
+    it('reports items that could not be queried', function() {
+        application.nowViewing.items.push({
+            name: 'Broken',
+            isShown: true,
+            queryFeaturesInArea: function() {
+                return when.reject(new Error('Failed'));
+            }
+        });
+
+        viewModel.query([[0, 0], [1, 0], [1, 1]]);
+        expect(viewModel.results[0].errorMessage).not.toBe('');
+    });
+
+    it('reports when there are no items to query', function() {
+        viewModel.query([[0, 0], [1, 0], [1, 1]]);
+        expect(viewModel.results.length).toBe(0);
+        expect(viewModel.errorMessage).not.toBe('');
+    });
+
+    it('formats the results as CSV', function() {
+        application.nowViewing.items.push(createItem('Points', features));
+        viewModel.query([[0, 0], [1, 0], [1, 1]]);
+
+        expect(SelectByAreaPanelViewModel.formatCsv(viewModel.results[0])).toBe(
+            'longitude,latitude,name,count,note\r\n' +
+            '1,2,First,3,\r\n' +
+            '3,4,"Second, with a comma",,"Said ""hi"""');
+    });
+});
@@ -0,0 +1,127 @@
+'use strict';
+
+/*global require,describe,it,expect,beforeEach,URI*/
+
+var Application = require('../../src/Models/Application');
+var CatalogGroup = require('../../src/Models/CatalogGroup');
+var CsvCatalogItem = require('../../src/Models/CsvCatalogItem');
+var GeoJsonCatalogItem = require('../../src/Models/GeoJsonCatalogItem');
+var SocrataCatalogGroup = require('../../src/Models/SocrataCatalogGroup');
+
+var application;
+var socrataGroup;
+
+function createResult(name, type, fieldNames, dataTypes, category) {
+    return {
+        resource: {
+            name: name,
+            id: name.toLowerCase().replace(/ /g, '-').substring(0, 9),
+            type: type,
+            description: 'All about ' + name + '.',
+            attribution: 'City of Chicago',
+            columns_field_name: fieldNames,
+            columns_datatype: dataTypes
+        },
+        classification: {
+            categories: [],
+            domain_category: category
+        },
+        metadata: {
+            domain: 'data.cityofchicago.org',
+            license: 'Public Domain'
+        },
+        permalink: 'https://data.cityofchicago.org/d/' + name.toLowerCase().replace(/ /g, '-').substring(0, 9)
+    };
+}
+
+describe('SocrataCatalogGroup', function() {
+    beforeEach(function() {
+        application = new Application();
+        socrataGroup = new SocrataCatalogGroup(application);
+        socrataGroup.url = 'https://data.cityofchicago.org';
+    });
+
+    it('has sensible type and typeName', function() {
+        expect(socrataGroup.type).toBe('socrata');
+        expect(socrataGroup.typeName).toBe('Socrata Open Data Portal');
+    });
+
+    it('is derived from CatalogGroup', function() {
+        expect(socrataGroup instanceof CatalogGroup).toBe(true);
+    });
+
+    it('requests a page of the maps and datasets of the portal', function() {
+        socrataGroup.pageSize = 50;
+        socrataGroup.searchText = 'crime';
+        socrataGroup.categories = ['Public Safety', 'Transportation'];
+
+        var uri = new URI(socrataGroup.getDiscoveryUrl(100));
+        var query = uri.search(true);
+        expect(uri.hostname()).toBe('api.us.socrata.com');
+        expect(query.domains).toBe('data.cityofchicago.org');
+        expect(query.only).toBe('datasets,maps');
+        expect(query.limit).toBe('50');
+        expect(query.offset).toBe('100');
+        expect(query.q).toBe('crime');
+        expect(query.categories).toBe('Public Safety,Transportation');
+    });
+
+    it('creates GeoJSON items for maps and datasets with geometry', function() {
+        var map = SocrataCatalogGroup.createItemFromResult(socrataGroup, createResult('Ward Boundaries', 'map', [], []));
+        expect(map instanceof GeoJsonCatalogItem).toBe(true);
+        expect(map.url).toBe('https://data.cityofchicago.org/api/geospatial/ward-boun?method=export&format=GeoJSON');
+
+        var dataset = SocrataCatalogGroup.createItemFromResult(socrataGroup, createResult('Crimes', 'dataset',
+            ['id', 'primary_type', 'location'], ['number', 'text', 'location']));
+        expect(dataset instanceof GeoJsonCatalogItem).toBe(true);
+        expect(dataset.url).toBe('https://data.cityofchicago.org/resource/crimes.geojson?$limit=10000');
+        expect(dataset.name).toBe('Crimes');
+        expect(dataset.dataCustodian).toBe('City of Chicago');
+        expect(dataset.description).toContain('All about Crimes.');
+        expect(dataset.description).toContain('Licence: Public Domain');
+        expect(dataset.description).toContain('https://data.cityofchicago.org/d/crimes');
+    });
+
+    it('creates CSV items for tables with latitudes and longitudes or regions', function() {
+        var points = SocrataCatalogGroup.createItemFromResult(socrataGroup, createResult('Libraries', 'dataset',
+            ['name', 'latitude', 'longitude'], ['text', 'number', 'number']));
+        expect(points instanceof CsvCatalogItem).toBe(true);
+        expect(points.url).toBe('https://data.cityofchicago.org/resource/libraries.csv?$limit=10000');
+
+        var regions = SocrataCatalogGroup.createItemFromResult(socrataGroup, createResult('Population', 'dataset',
+            ['state_name', 'population'], ['text', 'number']));
+        expect(regions instanceof CsvCatalogItem).toBe(true);
+    });
+
+    it('does not create items for tables that cannot be mapped', function() {
+        expect(SocrataCatalogGroup.createItemFromResult(socrataGroup, createResult('Salaries', 'dataset',
+            ['name', 'title', 'salary'], ['text', 'text', 'money']))).toBeUndefined();
+        expect(SocrataCatalogGroup.createItemFromResult(socrataGroup, createResult('Latency', 'dataset',
+            ['latency', 'longest_wait'], ['number', 'number']))).toBeUndefined();
+    });
+
+    it('groups items by category', function() {
+        socrataGroup.blacklist = { 'Beats': true };
+        socrataGroup.addResults([
+            createResult('Crimes', 'dataset', ['location'], ['location'], 'Public Safety'),
+            createResult('Beats', 'map', [], [], 'Public Safety'),
+            createResult('Salaries', 'dataset', ['salary'], ['money'], 'Administration'),
+            createResult('Bike Racks', 'dataset', ['lat', 'lng'], ['number', 'number'], 'Transportation'),
+            createResult('Wards', 'map', [], [])
+        ]);
+
+        expect(socrataGroup.items.map(function(item) { return item.name; })).toEqual(['Public Safety', 'Transportation', 'Wards']);
+        expect(socrataGroup.items[0].items.map(function(item) { return item.name; })).toEqual(['Crimes']);
+        expect(socrataGroup.items[1].items[0] instanceof CsvCatalogItem).toBe(true);
+    });
+
+    it('lists items directly in the group when groupBy is none', function() {
+        socrataGroup.groupBy = 'none';
+        socrataGroup.addResults([
+            createResult('Wards', 'map', [], [], 'Facilities & Geographic Boundaries'),
+            createResult('Crimes', 'dataset', ['location'], ['location'], 'Public Safety')
+        ]);
+
+        expect(socrataGroup.items.map(function(item) { return item.name; })).toEqual(['Crimes', 'Wards']);
+    });
+});
@@ -0,0 +1,89 @@
+'use strict';
+
+/*global require,describe,it,expect,beforeEach*/
+
+var Application = require('../../src/Models/Application');
+var createCatalogMemberFromType = require('../../src/Models/createCatalogMemberFromType');
+var ImageryLayerCatalogItem = require('../../src/Models/ImageryLayerCatalogItem');
+var UrlTemplateCatalogItem = require('../../src/Models/UrlTemplateCatalogItem');
+
+var Rectangle = require('../../third_party/cesium/Source/Core/Rectangle');
+
+var application;
+var item;
+
+describe('UrlTemplateCatalogItem', function() {
+    beforeEach(function() {
+        application = new Application();
+        item = new UrlTemplateCatalogItem(application);
+    });
+
+    it('has sensible type and typeName', function() {
+        expect(item.type).toBe('url-template');
+        expect(item.typeName).toBe('Tile Server (URL Template)');
+    });
+
+    it('can be constructed', function() {
+        expect(item).toBeDefined();
+    });
+
+    it('is derived from ImageryLayerCatalogItem', function() {
+        expect(item instanceof ImageryLayerCatalogItem).toBe(true);
+    });
+
+    it('can update from json', function() {
+        item.updateFromJson({
+            name: 'OpenStreetMap',
+            url: 'http://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
+            subdomains: ['a', 'b'],
+            minimumLevel: 1,
+            maximumLevel: 18,
+            tileSize: 512,
+            flipY: true,
+            attribution: '© OpenStreetMap contributors',
+            rectangle: [110, -45, 155, -10]
+        });
+
+        expect(item.name).toBe('OpenStreetMap');
+        expect(item.url).toBe('http://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png');
+        expect(item.subdomains).toEqual(['a', 'b']);
+        expect(item.minimumLevel).toBe(1);
+        expect(item.maximumLevel).toBe(18);
+        expect(item.tileSize).toBe(512);
+        expect(item.flipY).toBe(true);
+        expect(item.attribution).toBe('© OpenStreetMap contributors');
+        expect(item.rectangle).toEqual(Rectangle.fromDegrees(110, -45, 155, -10));
+    });
+
+    it('creates an imagery provider with its settings', function() {
+        item.url = 'http://tiles.example.com/{z}/{x}/{y}.png';
+        item.maximumLevel = 12;
+        item.tileSize = 512;
+        item.attribution = 'Example';
+
+        var provider = item._createImageryProvider();
+        expect(provider.url).toBe('http://tiles.example.com/{z}/{x}/{y}.png');
+        expect(provider.maximumLevel).toBe(12);
+        expect(provider.tileWidth).toBe(512);
+        expect(provider.tileHeight).toBe(512);
+        expect(provider.credit.text).toBe('Example');
+    });
+
+    it('can be used as a base map', function() {
+        createCatalogMemberFromType.register('url-template', UrlTemplateCatalogItem);
+        application.addInitSource({
+            baseMaps: [{
+                image: 'images/osm.png',
+                item: {
+                    type: 'url-template',
+                    name: 'OpenStreetMap',
+                    url: 'http://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png'
+                }
+            }]
+        });
+
+        expect(application.baseMaps.length).toBe(1);
+        expect(application.baseMaps[0].catalogItem instanceof UrlTemplateCatalogItem).toBe(true);
+        expect(application.baseMap).toBe(application.baseMaps[0].catalogItem);
+    });
+});
@@ -0,0 +1,87 @@
+'use strict';
+
+/*global require,describe,it,expect,beforeEach*/
+
+var CesiumMath = require('../../third_party/cesium/Source/Core/Math');
+
+var Application = require('../../src/Models/Application');
+var UserDrawingCatalogItem = require('../../src/Models/UserDrawingCatalogItem');
+
+var features = [
+    {
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [149.0, -35.0] },
+        properties: { name: 'Home', description: 'Where I live' }
+    },
+    {
+        type: 'Feature',
+        geometry: { type: 'Polygon', coordinates: [[[150.0, -34.0], [151.0, -34.0], [151.0, -33.0], [150.0, -34.0]]] },
+        properties: { name: 'Park', stroke: '#00FF00', fill: '#00FF00' }
+    }
+];
+
+describe('UserDrawingCatalogItem', function() {
+    var application;
+    var item;
+
+    beforeEach(function() {
+        application = new Application();
+        item = new UserDrawingCatalogItem(application);
+    });
+
+    it('has sensible type and typeName', function() {
+        expect(item.type).toBe('user-drawing');
+        expect(item.typeName).toBe('User Drawing');
+    });
+
+    it('copies the features when updated from json', function() {
+        item.updateFromJson({ name: 'My Drawing', features: features });
+        expect(item.features.length).toBe(2);
+        expect(item.features[0]).not.toBe(features[0]);
+
+        item.features[0].properties.name = 'Work';
+        expect(features[0].properties.name).toBe('Home');
+    });
+
+    it('includes the features when serialized, so that they are saved in share links', function() {
+        item.updateFromJson({ name: 'My Drawing', features: features });
+
+        var json = item.serializeToJson();
+        expect(json.type).toBe('user-drawing');
+        expect(json.name).toBe('My Drawing');
+        expect(json.features).toEqual(features);
+
+        var copy = new UserDrawingCatalogItem(application);
+        copy.updateFromJson(json);
+        expect(copy.toGeoJson().features).toEqual(features);
+    });
+
+    it('draws an entity for each feature, and an outline for polygons', function() {
+        item.features = features.slice();
+        expect(item._dataSource.entities.values.length).toBe(3);
+
+        item.features.pop();
+        expect(item._dataSource.entities.values.length).toBe(1);
+    });
+
+    it('computes a rectangle enclosing the features', function() {
+        item.features = features.slice();
+        expect(CesiumMath.toDegrees(item.rectangle.west)).toBeCloseTo(149.0, 8);
+        expect(CesiumMath.toDegrees(item.rectangle.south)).toBeCloseTo(-35.0, 8);
+        expect(CesiumMath.toDegrees(item.rectangle.east)).toBeCloseTo(151.0, 8);
+        expect(CesiumMath.toDegrees(item.rectangle.north)).toBeCloseTo(-33.0, 8);
+    });
+
+    it('exports the features as GeoJSON and KML', function() {
+        item.name = 'My Drawing';
+        item.features = features.slice();
+
+        var geoJson = item.toGeoJson();
+        expect(geoJson.type).toBe('FeatureCollection');
+        expect(geoJson.features).toEqual(features);
+
+        var kml = item.toKml();
+        expect(kml).toContain('<name>My Drawing</name>');
+        expect(kml).toContain('<name>Park</name>');
+    });
+});
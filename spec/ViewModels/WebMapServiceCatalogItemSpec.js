@@ -7,6 +7,7 @@ var ImageryLayerCatalogItem = require('../../src/Models/ImageryLayerCatalogItem'
 var WebMapServiceCatalogItem = require('../../src/Models/WebMapServiceCatalogItem');
 var WebMercatorTilingScheme = require('../../third_party/cesium/Source/Core/WebMercatorTilingScheme');
 
+var JulianDate = require('../../third_party/cesium/Source/Core/JulianDate');
 var Rectangle = require('../../third_party/cesium/Source/Core/Rectangle');
 
 var application;
@@ -157,4 +158,32 @@ describe('WebMapServiceDataItemViewModel', function() {
 
         expect(reconstructed).toEqual(wmsViewModel);
     });
+
+    it('keeps its side of the split map when serialized for sharing', function() {
+        wmsViewModel.splitDirection = 'left';
+
+        var json = wmsViewModel.serializeToJson({
+            serializeForSharing: true
+        });
+        expect(json.splitDirection).toBe('left');
+
+        var reconstructed = new WebMapServiceCatalogItem(application);
+        reconstructed.updateFromJson(json);
+        expect(reconstructed.splitDirection).toBe('left');
+    });
+
+    it('keeps its own time when serialized for sharing', function() {
+        wmsViewModel.useOwnClock = true;
+        wmsViewModel.currentTime = JulianDate.fromIso8601('2011-08-09T00:00:00Z');
+        expect(wmsViewModel.currentDisplayTime).toEqual(JulianDate.fromIso8601('2011-08-09T00:00:00Z'));
+
+        var json = wmsViewModel.serializeToJson({
+            serializeForSharing: true
+        });
+
+        var reconstructed = new WebMapServiceCatalogItem(application);
+        reconstructed.updateFromJson(json);
+        expect(reconstructed.useOwnClock).toBe(true);
+        expect(reconstructed.currentTime).toEqual(wmsViewModel.currentTime);
+    });
 });
@@ -0,0 +1,211 @@
+'use strict';
+
+/*global require,describe,it,expect,beforeEach*/
+
+var Application = require('../../src/Models/Application');
+var ImageryLayerCatalogItem = require('../../src/Models/ImageryLayerCatalogItem');
+var WebMapTileServiceCatalogItem = require('../../src/Models/WebMapTileServiceCatalogItem');
+
+var GeographicTilingScheme = require('../../third_party/cesium/Source/Core/GeographicTilingScheme');
+var JulianDate = require('../../third_party/cesium/Source/Core/JulianDate');
+var Rectangle = require('../../third_party/cesium/Source/Core/Rectangle');
+var WebMercatorTilingScheme = require('../../third_party/cesium/Source/Core/WebMercatorTilingScheme');
+
+var application;
+var wmtsItem;
+
+// A GetCapabilities document as converted to JSON by xml2json.
+function createCapabilities() {
+    return {
+        OperationsMetadata: {
+            Operation: [{
+                name: 'GetCapabilities',
+                DCP: { HTTP: { Get: { href: 'http://example.com/wmts' } } }
+            }, {
+                name: 'GetTile',
+                DCP: { HTTP: { Get: { href: 'http://example.com/wmts', Constraint: { name: 'GetEncoding', AllowedValues: { Value: 'KVP' } } } } }
+            }]
+        },
+        Contents: {
+            Layer: [{
+                Title: 'Satellite Imagery',
+                Identifier: 'satellite',
+                WGS84BoundingBox: {
+                    LowerCorner: '110 -45',
+                    UpperCorner: '155 -10'
+                },
+                Style: [{ Identifier: 'bright' }, { isDefault: 'true', Identifier: 'natural' }],
+                Format: ['image/jpeg', 'image/png'],
+                Dimension: [{
+                    Identifier: 'Time',
+                    Default: '2015-02-01',
+                    Value: ['2015-01-01', '2015-02-01']
+                }, {
+                    Identifier: 'Band',
+                    Default: 'visible',
+                    Value: ['visible', 'infrared']
+                }],
+                TileMatrixSetLink: [{ TileMatrixSet: 'WGS84' }, { TileMatrixSet: 'Mercator' }],
+                ResourceURL: {
+                    format: 'image/png',
+                    resourceType: 'tile',
+                    template: 'http://example.com/wmts/satellite/{Style}/{Time}/{TileMatrixSet}/{TileMatrix}/{TileRow}/{TileCol}.png'
+                }
+            }, {
+                Title: 'Roads',
+                Identifier: 'roads',
+                Style: { isDefault: 'true', Identifier: 'default' },
+                Format: 'image/png',
+                TileMatrixSetLink: { TileMatrixSet: 'WGS84' }
+            }],
+            TileMatrixSet: [{
+                Identifier: 'WGS84',
+                SupportedCRS: 'urn:ogc:def:crs:EPSG::4326',
+                TileMatrix: [
+                    { Identifier: 'EPSG:4326:0', MatrixWidth: '2', MatrixHeight: '1' },
+                    { Identifier: 'EPSG:4326:1', MatrixWidth: '4', MatrixHeight: '2' }
+                ]
+            }, {
+                Identifier: 'Mercator',
+                SupportedCRS: 'urn:ogc:def:crs:EPSG:6.18.3:3857',
+                TileMatrix: [
+                    { Identifier: '0', MatrixWidth: '1', MatrixHeight: '1' },
+                    { Identifier: '1', MatrixWidth: '2', MatrixHeight: '2' },
+                    { Identifier: '2', MatrixWidth: '4', MatrixHeight: '4' }
+                ]
+            }]
+        }
+    };
+}
+
+beforeEach(function() {
+    application = new Application();
+    wmtsItem = new WebMapTileServiceCatalogItem(application);
+});
+
+describe('WebMapTileServiceCatalogItem', function() {
+    it('has sensible type and typeName', function() {
+        expect(wmtsItem.type).toBe('wmts');
+        expect(wmtsItem.typeName).toBe('Web Map Tile Service (WMTS)');
+    });
+
+    it('is derived from ImageryLayerCatalogItem', function() {
+        expect(wmtsItem instanceof ImageryLayerCatalogItem).toBe(true);
+    });
+
+    it('derives metadataUrl from url if metadataUrl is not explicitly provided', function() {
+        wmtsItem.url = 'http://example.com/wmts?foo=bar';
+        expect(wmtsItem.metadataUrl).toBe('http://example.com/wmts?service=WMTS&version=1.0.0&request=GetCapabilities');
+    });
+
+    it('can update from json', function() {
+        wmtsItem.updateFromJson({
+            url: 'http://example.com/wmts',
+            layer: 'satellite',
+            style: 'natural',
+            format: 'image/jpeg',
+            tileMatrixSetID: 'Mercator',
+            tilingScheme: 'geographic',
+            dimensions: {
+                Band: 'infrared'
+            }
+        });
+
+        expect(wmtsItem.url).toBe('http://example.com/wmts');
+        expect(wmtsItem.layer).toBe('satellite');
+        expect(wmtsItem.style).toBe('natural');
+        expect(wmtsItem.format).toBe('image/jpeg');
+        expect(wmtsItem.tileMatrixSetID).toBe('Mercator');
+        expect(wmtsItem.tilingScheme instanceof GeographicTilingScheme).toBe(true);
+        expect(wmtsItem.dimensions).toEqual({ Band: 'infrared' });
+    });
+
+    it('serializes the tiling scheme by name', function() {
+        wmtsItem.tilingScheme = new WebMercatorTilingScheme();
+        var json = wmtsItem.serializeToJson();
+        expect(json.tilingScheme).toBe('web-mercator');
+    });
+
+    it('finds layers by identifier or title', function() {
+        var capabilities = createCapabilities();
+        expect(WebMapTileServiceCatalogItem.findLayer(capabilities, 'roads').Title).toBe('Roads');
+        expect(WebMapTileServiceCatalogItem.findLayer(capabilities, 'Satellite Imagery').Identifier).toBe('satellite');
+        expect(WebMapTileServiceCatalogItem.findLayer(capabilities, 'rivers')).toBeUndefined();
+    });
+
+    it('gets the rectangle of a layer from its WGS84BoundingBox', function() {
+        var layer = createCapabilities().Contents.Layer[0];
+        expect(WebMapTileServiceCatalogItem.getRectangleFromLayer(layer)).toEqual(Rectangle.fromDegrees(110, -45, 155, -10));
+    });
+
+    it('gets intervals from the Time dimension of a layer', function() {
+        var layer = createCapabilities().Contents.Layer[0];
+        var intervals = WebMapTileServiceCatalogItem.getIntervalsFromLayer(layer);
+
+        expect(intervals.length).toBe(2);
+        expect(intervals.get(0).data).toBe('2015-01-01');
+        expect(JulianDate.equals(intervals.get(0).stop, JulianDate.fromIso8601('2015-02-01'))).toBe(true);
+        expect(intervals.get(1).data).toBe('2015-02-01');
+        expect(JulianDate.equals(intervals.get(1).stop, JulianDate.fromIso8601('2015-03-04'))).toBe(true);
+    });
+
+    it('does not get intervals for a layer without a Time dimension', function() {
+        var layer = createCapabilities().Contents.Layer[1];
+        expect(WebMapTileServiceCatalogItem.getIntervalsFromLayer(layer)).toBeUndefined();
+    });
+
+    it('chooses the default style, a PNG format and a Web Mercator TileMatrixSet', function() {
+        var capabilities = createCapabilities();
+        var settings = WebMapTileServiceCatalogItem.getLayerSettings(capabilities, capabilities.Contents.Layer[0]);
+
+        expect(settings.style).toBe('natural');
+        expect(settings.format).toBe('image/png');
+        expect(settings.tileMatrixSetID).toBe('Mercator');
+        expect(settings.tileMatrixLabels).toEqual(['0', '1', '2']);
+        expect(settings.maximumLevel).toBe(2);
+        expect(settings.tilingScheme instanceof WebMercatorTilingScheme).toBe(true);
+        expect(settings.dimensions).toEqual({ Band: 'visible', Time: '2015-02-01' });
+        expect(settings.timeDimension).toBe('Time');
+        expect(settings.resourceUrl).toBeUndefined();
+    });
+
+    it('falls back to a geographic TileMatrixSet', function() {
+        var capabilities = createCapabilities();
+        var settings = WebMapTileServiceCatalogItem.getLayerSettings(capabilities, capabilities.Contents.Layer[1]);
+
+        expect(settings.tileMatrixSetID).toBe('WGS84');
+        expect(settings.tileMatrixLabels).toEqual(['EPSG:4326:0', 'EPSG:4326:1']);
+        expect(settings.tilingScheme instanceof GeographicTilingScheme).toBe(true);
+        expect(settings.tilingScheme.getNumberOfXTilesAtLevel(0)).toBe(2);
+        expect(settings.tilingScheme.getNumberOfYTilesAtLevel(0)).toBe(1);
+    });
+
+    it('uses the ResourceURL template when the server does not support KVP requests', function() {
+        var capabilities = createCapabilities();
+        capabilities.OperationsMetadata.Operation[1].DCP.HTTP.Get.Constraint.AllowedValues.Value = 'RESTful';
+        var settings = WebMapTileServiceCatalogItem.getLayerSettings(capabilities, capabilities.Contents.Layer[0]);
+
+        expect(settings.resourceUrl).toBe(capabilities.Contents.Layer[0].ResourceURL.template);
+    });
+
+    it('fills in the dimensions of a ResourceURL template', function() {
+        var url = WebMapTileServiceCatalogItem.resolveDimensions('http://example.com/{Style}/{Time}/{TileMatrix}.png', {
+            time: '2015-01-01T00:00:00Z'
+        });
+        expect(url).toBe('http://example.com/{Style}/2015-01-01T00%3A00%3A00Z/{TileMatrix}.png');
+    });
+
+    it('requests the time and other dimensions of the layer', function() {
+        var capabilities = createCapabilities();
+        wmtsItem.url = 'http://example.com/wmts';
+        wmtsItem.layer = 'satellite';
+        wmtsItem.dimensions = { Band: 'infrared' };
+        wmtsItem._settingsFromMetadata = WebMapTileServiceCatalogItem.getLayerSettings(capabilities, capabilities.Contents.Layer[0]);
+
+        var imageryProvider = wmtsItem._createImageryProvider('2015-01-01');
+        expect(imageryProvider.url).toBe('http://example.com/wmts?Band=infrared&Time=2015-01-01');
+        expect(imageryProvider.tilingScheme instanceof WebMercatorTilingScheme).toBe(true);
+        expect(imageryProvider.format).toBe('image/png');
+        expect(imageryProvider.maximumLevel).toBe(2);
+    });
+});
@@ -0,0 +1,31 @@
+'use strict';
+
+/*global require,URL*/
+var DeveloperError = require('../../third_party/cesium/Source/Core/DeveloperError');
+
+/**
+ * Saves a blob to the user's computer, as if a link to it had been clicked.
+ *
+ * @param {Blob} blob The data to save.
+ * @param {String} filename The name of the file that is suggested to the user.
+ */
+var downloadBlob = function(blob, filename) {
+    if (typeof blob === 'undefined') {
+        throw new DeveloperError('blob is required');
+    }
+
+    var url = URL.createObjectURL(blob);
+    var link = document.createElement('a');
+    link.setAttribute('href', url);
+    link.setAttribute('download', filename);
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+
+    // Give the download time to start before releasing the data.
+    setTimeout(function() {
+        URL.revokeObjectURL(url);
+    }, 10000);
+};
+
+module.exports = downloadBlob;
@@ -0,0 +1,212 @@
+'use strict';
+
+/*global require*/
+var defined = require('../../third_party/cesium/Source/Core/defined');
+var DeveloperError = require('../../third_party/cesium/Source/Core/DeveloperError');
+
+// The start of the function of the globe's fragment shader that blends each imagery layer into the color of the globe.
+var sampleAndBlendRegex = /(vec4\s+sampleAndBlend\s*\([^)]*\)\s*\{)/;
+
+// Declared before sampleAndBlend.  sampleAndBlend is called once for each texture, in order, so a counter gives the
+// index of the texture being blended.  Uniform arrays may only be indexed with constants or loop indices in a
+// fragment shader, hence the loop.
+var splitDeclarationsSource = '\n\
+#if TEXTURE_UNITS > 0\n\
+uniform float u_splitPosition;\n\
+uniform float u_dayTextureSplit[TEXTURE_UNITS];\n\
+int splitTextureIndex = 0;\n\
+float getDayTextureSplit(int index)\n\
+{\n\
+    for (int i = 0; i < TEXTURE_UNITS; ++i)\n\
+    {\n\
+        if (i == index)\n\
+        {\n\
+            return u_dayTextureSplit[i];\n\
+        }\n\
+    }\n\
+    return 0.0;\n\
+}\n\
+#endif\n';
+
+// Inserted at the start of sampleAndBlend.  The split of a texture is -1 on the left, 1 on the right and 0 on both sides.
+var splitClipSource = '\n\
+#if TEXTURE_UNITS > 0\n\
+    float split = getDayTextureSplit(splitTextureIndex);\n\
+    splitTextureIndex += 1;\n\
+    if (split != 0.0 && (split > 0.0) != (gl_FragCoord.x > u_splitPosition))\n\
+    {\n\
+        textureAlpha = 0.0;\n\
+    }\n\
+#endif\n';
+
+/**
+ * Clips imagery layers on the Cesium globe to one side of a vertical line on the screen, so that they can be compared
+ * side by side.  Cesium has no API for this, so the globe's fragment shader is given two uniforms of its own: the
+ * position of the line in pixels, and the side on which each of the tile's textures is shown.  The alpha and all other
+ * properties of the layers are left as they are.  If the shader or the tile provider of the globe are not in the
+ * expected form, as may happen when Cesium is upgraded, {@link CesiumImagerySplitter#isSupported} is false and layers
+ * are shown on both sides.  The splitter must be created before the globe is first rendered.
+ *
+ * @alias CesiumImagerySplitter
+ * @constructor
+ *
+ * @param {Scene} scene The scene whose globe is split.
+ */
+var CesiumImagerySplitter = function(scene) {
+    //>>includeStart('debug', pragmas.debug);
+    if (!defined(scene)) {
+        throw new DeveloperError('scene is required.');
+    }
+    //>>includeEnd('debug')
+
+    this._scene = scene;
+    this._layers = [];
+    this._splitDirections = [];
+
+    /**
+     * Gets or sets the position of the split, as a fraction of the width of the screen from its left edge.
+     * @type {Number}
+     * @default 0.5
+     */
+    this.position = 0.5;
+
+    /**
+     * Gets a value indicating whether layers can be clipped with this version of Cesium.
+     * @type {Boolean}
+     */
+    this.isSupported = installSplit(this, scene.globe);
+};
+
+/**
+ * Gets the side of the split on which an imagery layer is shown.
+ *
+ * @param {ImageryLayer} layer The layer.
+ * @return {String} 'left' or 'right' if the layer is shown on only that side of the split, otherwise undefined.
+ */
+CesiumImagerySplitter.prototype.getSplitDirection = function(layer) {
+    var index = this._layers.indexOf(layer);
+    return index >= 0 ? this._splitDirections[index] : undefined;
+};
+
+/**
+ * Shows an imagery layer on just one side of the split, or on both sides.
+ *
+ * @param {ImageryLayer} layer The layer.
+ * @param {String} splitDirection 'left' or 'right' to show the layer on only that side of the split, or undefined to
+ *                                show it on both sides.
+ */
+CesiumImagerySplitter.prototype.setSplitDirection = function(layer, splitDirection) {
+    var index = this._layers.indexOf(layer);
+    if (index >= 0) {
+        this._layers.splice(index, 1);
+        this._splitDirections.splice(index, 1);
+    }
+
+    if (splitDirection === 'left' || splitDirection === 'right') {
+        this._layers.push(layer);
+        this._splitDirections.push(splitDirection);
+    }
+};
+
+/**
+ * Shows all imagery layers on both sides of the split.
+ */
+CesiumImagerySplitter.prototype.removeAll = function() {
+    this._layers.length = 0;
+    this._splitDirections.length = 0;
+};
+
+// The value of u_dayTextureSplit for a texture of a layer.
+function getTextureSplit(splitter, layer) {
+    var splitDirection = splitter.getSplitDirection(layer);
+    if (splitDirection === 'left') {
+        return -1.0;
+    } else if (splitDirection === 'right') {
+        return 1.0;
+    }
+    return 0.0;
+}
+
+// Gets the imagery layer of a texture drawn on a tile, or undefined if it is not one of the tile's textures.
+function getLayerOfTexture(tile, texture) {
+    var tileImageryCollection = defined(tile) && defined(tile.data) ? tile.data.imagery : undefined;
+    if (!defined(tileImageryCollection)) {
+        return undefined;
+    }
+
+    for (var i = 0; i < tileImageryCollection.length; ++i) {
+        var imagery = tileImageryCollection[i].readyImagery;
+        if (defined(imagery) && imagery.texture === texture) {
+            return imagery.imageryLayer;
+        }
+    }
+    return undefined;
+}
+
+// Adds the split uniforms to the uniform map of each of the globe's draw commands, after the tile provider has filled in
+// the textures of the frame.
+function updateUniformMaps(splitter, tileProvider) {
+    var drawCommands = tileProvider._drawCommands;
+    var uniformMaps = tileProvider._uniformMaps;
+
+    for (var i = 0; i < tileProvider._usedDrawCommands; ++i) {
+        var uniformMap = uniformMaps[i];
+        if (!defined(uniformMap.u_splitPosition)) {
+            addSplitUniforms(splitter, uniformMap);
+        }
+
+        var dayTextures = uniformMap.dayTextures;
+        var dayTextureSplit = uniformMap.dayTextureSplit;
+        dayTextureSplit.length = dayTextures.length;
+        for (var j = 0; j < dayTextures.length; ++j) {
+            dayTextureSplit[j] = getTextureSplit(splitter, getLayerOfTexture(drawCommands[i].owner, dayTextures[j]));
+        }
+    }
+}
+
+function addSplitUniforms(splitter, uniformMap) {
+    uniformMap.dayTextureSplit = [];
+    uniformMap.u_dayTextureSplit = function() {
+        return this.dayTextureSplit;
+    };
+    uniformMap.u_splitPosition = function() {
+        return splitter._scene.drawingBufferWidth * splitter.position;
+    };
+}
+
+function addSplitToTileProvider(splitter, tileProvider) {
+    var endUpdate = tileProvider.endUpdate;
+    tileProvider.endUpdate = function(frameState) {
+        var result = endUpdate.apply(this, arguments);
+        updateUniformMaps(splitter, this);
+        return result;
+    };
+}
+
+// Adds the split to the globe's fragment shader and to the uniforms of its tiles, if both are in the expected form.
+function installSplit(splitter, globe) {
+    var shaderSet = defined(globe) ? globe._surfaceShaderSet : undefined;
+    var shaderSource = defined(shaderSet) ? shaderSet.baseFragmentShaderSource : undefined;
+    var surface = defined(globe) ? globe._surface : undefined;
+    var tileProvider = defined(surface) ? surface._tileProvider : undefined;
+    if (!defined(shaderSource) || !defined(shaderSource.sources) ||
+        !defined(tileProvider) || typeof tileProvider.endUpdate !== 'function' ||
+        !Array.isArray(tileProvider._drawCommands) || !Array.isArray(tileProvider._uniformMaps) ||
+        typeof tileProvider._usedDrawCommands !== 'number') {
+        return false;
+    }
+
+    var sources = shaderSource.sources;
+    for (var i = 0; i < sources.length; ++i) {
+        var match = sampleAndBlendRegex.exec(sources[i]);
+        if (match !== null) {
+            sources[i] = sources[i].substring(0, match.index) + splitDeclarationsSource + match[1] + splitClipSource +
+                         sources[i].substring(match.index + match[1].length);
+            addSplitToTileProvider(splitter, tileProvider);
+            return true;
+        }
+    }
+    return false;
+}
+
+module.exports = CesiumImagerySplitter;
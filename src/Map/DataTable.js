@@ -4,8 +4,11 @@
 var VarType = require('./VarType');
 var DataVariable = require('./DataVariable');
 
+var combine = require('../../third_party/cesium/Source/Core/combine');
+var defaultValue = require('../../third_party/cesium/Source/Core/defaultValue');
 var defined = require('../../third_party/cesium/Source/Core/defined');
 var destroyObject = require('../../third_party/cesium/Source/Core/destroyObject');
+var JulianDate = require('../../third_party/cesium/Source/Core/JulianDate');
 var Rectangle = require('../../third_party/cesium/Source/Core/Rectangle');
 
 /*!
@@ -43,6 +46,15 @@ DataTable.prototype.hasTimeData = function () {
     return (defined(this.selected.time));
 };
 
+/**
+* Determine if dataset has an ID variable identifying the feature that each row is about
+*
+* @returns {Boolean} True if an ID variable is set
+*/
+DataTable.prototype.hasIdData = function () {
+    return (defined(this.selected.id));
+};
+
 /**
 * Return the geographic extent of the dataset
 *
@@ -74,7 +86,14 @@ DataTable.prototype.getTimeMinValue = function () {
 */
 DataTable.prototype.getTimeMaxValue = function () {
     if (defined(this.selected.time)) {
-        return this.variables[this.selected.time].timeVar.maxVal;
+        var maxVal = this.variables[this.selected.time].timeVar.maxVal;
+        if (defined(this.selected.endTime)) {
+            var endMaxVal = this.variables[this.selected.endTime].timeVar.maxVal;
+            if (defined(endMaxVal) && (!defined(maxVal) || JulianDate.greaterThan(endMaxVal, maxVal))) {
+                maxVal = endMaxVal;
+            }
+        }
+        return maxVal;
     }
 };
 
@@ -164,8 +183,20 @@ DataTable.prototype.getVariableNamesByType = function (varType) {
 * Load a JSON object into a dataset
 *
 * @param {Object} jsonTable Table data in JSON format.
+* @param {Object} [options] Object with the following properties:
+* @param {Object} [options.columns] An object mapping column names to explicit settings for them (see {@link DataVariable}).
+* @param {String} [options.timeFormat] The format of the date columns that do not have their own, one of the names of
+*        {@link parseTimeValues.formats}.  It is not used for a separate column of times of day.  If undefined, the format
+*        is detected from the values.
+* @param {String} [options.timeColumn] The name of the column holding the time, or start time, of each row.  If undefined,
+*        the first time column is used.
+* @param {String} [options.endTimeColumn] The name of the column holding the end time of each row.
+* @param {String} [options.idColumn] The name of the column identifying the feature that each row is about.  A row without an
+*        end time lasts until the next row for the same feature.
 */
-DataTable.prototype.loadJson = function (jsonTable) {
+DataTable.prototype.loadJson = function (jsonTable, options) {
+    options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+    var columns = defaultValue(options.columns, defaultValue.EMPTY_OBJECT);
 
     if (!defined(jsonTable) || jsonTable.length === 0 || jsonTable[0].length === 0) {
         return;
@@ -180,33 +211,110 @@ DataTable.prototype.loadJson = function (jsonTable) {
         for (var i = 1; i < jsonTable.length; ++i) {
             values.push(jsonTable[i][c]);
         }
-        this.variables[name] = new DataVariable(name, values);
+        var variableOptions = combine(columns[name], {});
+        if (name === options.timeColumn || name === options.endTimeColumn) {
+            variableOptions.type = 'time';
+        }
+        this.variables[name] = createVariable(name, values, variableOptions, options.timeFormat);
     }
 
     //set default active variables
     this.selected = {};
-    this.selected.lat = this.getVariableNamesByType(VarType.LAT)[0];
-    this.selected.lon = this.getVariableNamesByType(VarType.LON)[0];
+    this.selected.lat = this._getLocationVariableName(VarType.LAT);
+    this.selected.lon = this._getLocationVariableName(VarType.LON);
     this.selected.alt = this.getVariableNamesByType(VarType.ALT)[0];
-    this.selected.time = this.getVariableNamesByType(VarType.TIME)[0];
-    this.selected.data = this.getVariableNamesByType([VarType.SCALAR,VarType.ENUM])[0];
+    this.selected.endTime = this._getTimeVariableName(options.endTimeColumn);
+    this.selected.time = this._getTimeVariableName(options.timeColumn) || this.getVariableNamesByType(VarType.TIME).filter(function(name) {
+        return name !== this.selected.endTime;
+    }, this)[0];
+    this.selected.id = defined(this.variables[options.idColumn]) ? options.idColumn : undefined;
+    this.selected.data = this.getVariableNamesByType([VarType.SCALAR,VarType.ENUM]).filter(function(name) {
+        return name !== this.selected.id;
+    }, this)[0];
+
+    //add the times of day from a separate column, if there is one, to dates without them
+    var timeVar = this.variables[this.selected.time];
+    if (defined(timeVar) && !timeVar.hasTimesOfDay) {
+        for (var v in this.variables) {
+            if (this.variables.hasOwnProperty(v) && defined(this.variables[v].timesOfDay)) {
+                timeVar.addTimesOfDay(this.variables[v].timesOfDay);
+                break;
+            }
+        }
+    }
 
     console.log(this);
 };
 
+// Prefer longitude and latitude columns to columns guessed to hold projected coordinates, such as x and y
+DataTable.prototype._getLocationVariableName = function (varType) {
+    var names = this.getVariableNamesByType(varType);
+    var geographicNames = names.filter(function(name) {
+        return !this.variables[name].isProjected;
+    }, this);
+    return geographicNames.length > 0 ? geographicNames[0] : names[0];
+};
+
+DataTable.prototype._getTimeVariableName = function (varName) {
+    var variable = this.variables[varName];
+    return (defined(variable) && defined(variable.timeVar)) ? varName : undefined;
+};
+
 /**
 * Load text into a dataset
 *
 * @param {String} text Text to load as dataset
+* @param {Object} [options] Options for interpreting the columns (see {@link DataTable#loadJson}).
 *
 */
-DataTable.prototype.loadText = function (text) {
+DataTable.prototype.loadText = function (text, options) {
         //normalize line breaks
     text = text.replace(/\r\n|\r|\n/g, "\r\n");
     var jsonTable = $.csv.toArrays(text, {
             onParseValue: $.csv.hooks.castToScalar
         });
-    this.loadJson(jsonTable);
+    this.loadJson(jsonTable, options);
+};
+
+/**
+* Get the errors from parsing the time variables of the dataset
+*
+* @returns {Array} An array of error messages, empty if there were no errors
+*
+*/
+DataTable.prototype.getTimeErrors = function () {
+    var errors = [];
+    for (var v in this.variables) {
+        if (this.variables.hasOwnProperty(v) && defined(this.variables[v].timeError)) {
+            errors.push(this.variables[v].timeError);
+        }
+    }
+    return errors;
+};
+
+/**
+* Reproject the positions of the dataset to longitude and latitude in degrees
+*
+* @param {Function} reprojectPoint A function that takes an [x, y] point in the source coordinate system and
+*   returns the [longitude, latitude] point
+*
+*/
+DataTable.prototype.reprojectPositions = function (reprojectPoint) {
+    var lonVar = this.variables[this.selected.lon];
+    var latVar = this.variables[this.selected.lat];
+    if (!defined(lonVar) || !defined(latVar)) {
+        return;
+    }
+    for (var i = 0; i < lonVar.vals.length; i++) {
+        if (this.isNoData(lonVar.vals[i]) || this.isNoData(latVar.vals[i])) {
+            continue;
+        }
+        var pt = reprojectPoint([lonVar.vals[i], latVar.vals[i]]);
+        lonVar.vals[i] = pt[0];
+        latVar.vals[i] = pt[1];
+    }
+    lonVar._calculateVarMinMax();
+    latVar._calculateVarMinMax();
 };
 
 /**
@@ -273,6 +381,45 @@ DataTable.prototype.getDataRow = function (row) {
     return rowObj;
 };
 
+/**
+* Get a data row as object for display, keyed by the variables' display names and with units added to the values
+*
+* @param {Integer} row Index of row
+*
+* @returns {Object} Object containing all row members
+*/
+DataTable.prototype.getDisplayDataRow = function (row) {
+    var rowObj = {};
+    if (defined(row)) {
+        for (var id in this.variables) {
+            if (this.variables.hasOwnProperty(id)) {
+                var variable = this.variables[id];
+                var value = this.getDataValue(id, row);
+                if (defined(value) && defined(variable.units) && variable.varType !== VarType.TIME) {
+                    value = value + ' ' + variable.units;
+                }
+                rowObj[variable.displayName] = value;
+            }
+        }
+    }
+    return rowObj;
+};
+
+/**
+* Get the name to show for a variable, including its units if it has them
+*
+* @param {String} varName The name of the variable
+*
+* @returns {String} The display name of the variable
+*/
+DataTable.prototype.getVariableDisplayName = function (varName) {
+    var variable = this.variables[varName];
+    if (!defined(variable)) {
+        return varName;
+    }
+    return defined(variable.units) ? variable.displayName + ' (' + variable.units + ')' : variable.displayName;
+};
+
 /**
 * Get all of the data values
 *
@@ -318,6 +465,85 @@ DataTable.prototype.isNoData = function (ptVal) {
     return _float_equals(this.noData, ptVal);
 };
 
+/**
+* Get the end time of each row: the time in the end time column if there is one, otherwise the time of the next row
+*   for the same feature, or the maximum time for the last row of a feature.  Without an end time or ID column,
+*   rows have no end time, and are shown for the display time of the data source.
+*
+* @returns {Array} An array of end times in Cesium JulianTime, undefined for rows with no end time
+*/
+DataTable.prototype.getEndTimes = function () {
+    if (!defined(this.selected.time)) {
+        return undefined;
+    }
+    var time = this.variables[this.selected.time].timeVar.vals;
+    var endTime = new Array(time.length);
+    if (defined(this.selected.endTime)) {
+        var endVals = this.variables[this.selected.endTime].timeVar.vals;
+        for (var e = 0; e < endVals.length; e++) {
+            endTime[e] = endVals[e];
+        }
+    }
+    if (!defined(this.selected.id)) {
+        return endTime;
+    }
+
+    //group the rows by feature, and end each row without an end time at the next row for its feature
+    var rowsById = {};
+    var i, featureId;
+    for (i = 0; i < time.length; i++) {
+        if (!defined(time[i])) {
+            continue;
+        }
+        featureId = this.getDataValue(this.selected.id, i);
+        if (!defined(rowsById[featureId])) {
+            rowsById[featureId] = [];
+        }
+        rowsById[featureId].push(i);
+    }
+
+    var maxTime = this.getTimeMaxValue();
+    for (featureId in rowsById) {
+        if (rowsById.hasOwnProperty(featureId)) {
+            var rows = rowsById[featureId];
+            rows.sort(compareRowTimes(time));
+            for (i = 0; i < rows.length; i++) {
+                if (defined(endTime[rows[i]])) {
+                    continue;
+                }
+                if (i < rows.length - 1) {
+                    endTime[rows[i]] = time[rows[i + 1]];
+                } else if (JulianDate.lessThan(time[rows[i]], maxTime)) {
+                    endTime[rows[i]] = maxTime;
+                }
+            }
+        }
+    }
+    return endTime;
+};
+
+// Create the variable of a column.  The time format of the table is only used for columns of dates, not for a separate
+// column of times of day or for columns that are not times at all, so the values are first parsed without it to see what they are.
+function createVariable(name, values, variableOptions, timeFormat) {
+    if (!defined(timeFormat) || defined(variableOptions.format)) {
+        return new DataVariable(name, values, variableOptions);
+    }
+
+    //enumerated variables replace their values, so keep the originals
+    var variable = new DataVariable(name, values.slice(), variableOptions);
+    var isDate = defined(variable.timeVar) || defined(variable.timeError) || variableOptions.type === 'time';
+    if (isDate && !defined(variable.timesOfDay)) {
+        variable = new DataVariable(name, values, combine({ format: timeFormat }, variableOptions));
+    }
+    return variable;
+}
+
+function compareRowTimes(time) {
+    return function(a, b) {
+        return JulianDate.compare(time[a], time[b]);
+    };
+}
+
 /**
 * Get a set of values, positions, and times for the current data variable
 *
@@ -334,6 +560,7 @@ DataTable.prototype.getPointList = function (maxPoints) {
     var lat = defined(this.selected.lat) ? this.variables[this.selected.lat].vals : undefined;
     var alt = defined(this.selected.alt) ? this.variables[this.selected.alt].vals : undefined;
     var time = this.selected.time ? this.variables[this.selected.time].timeVar.vals : undefined;
+    var endTime = time ? this.getEndTimes() : undefined;
     var vals = this.variables[this.selected.data].vals;
     if (!defined(maxPoints)) {
         maxPoints = vals.length;
@@ -343,9 +570,10 @@ DataTable.prototype.getPointList = function (maxPoints) {
     for (var i = 0; i < vals.length && i < maxPoints; i++) {
         var rec = {val: vals[i]};
         rec.time =  time ? time[i] : undefined;
+        rec.endTime = endTime ? endTime[i] : undefined;
         rec.pos = [lon ? lon[i] : 0.0, lat ? lat[i] : 0.0, alt ? alt[i] : 0.0];
         rec.row = i;
-        if (this.isNoData(rec.pos[0]) || this.isNoData(rec.pos[1])) {
+        if (this.isNoData(rec.pos[0]) || this.isNoData(rec.pos[1]) || (time && !defined(rec.time))) {
             continue;
         }
         ret.push(rec);
@@ -353,6 +581,34 @@ DataTable.prototype.getPointList = function (maxPoints) {
     return ret;
 };
 
+/**
+* Group a list of points by the value of their ID variable, sorting each group by time
+*
+* @param {Array} pointList An array of point objects from {@link DataTable#getPointList}
+*
+* @returns {Object} An object mapping each ID value to an array of its points
+*/
+DataTable.prototype.groupPointsById = function (pointList) {
+    var groups = {};
+    for (var i = 0; i < pointList.length; i++) {
+        var featureId = this.getDataValue(this.selected.id, pointList[i].row);
+        if (!defined(groups[featureId])) {
+            groups[featureId] = [];
+        }
+        groups[featureId].push(pointList[i]);
+    }
+    for (var id in groups) {
+        if (groups.hasOwnProperty(id) && defined(this.selected.time)) {
+            groups[id].sort(comparePointTimes);
+        }
+    }
+    return groups;
+};
+
+function comparePointTimes(a, b) {
+    return JulianDate.compare(a.time, b.time);
+}
+
 /**
 * Destroy the object and release resources
 *
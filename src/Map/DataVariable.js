@@ -5,9 +5,12 @@
  * Copyright(c) 2012-2013 National ICT Australia Limited (NICTA).  All rights reserved.
  */
 
+var defaultValue = require('../../third_party/cesium/Source/Core/defaultValue');
 var defined = require('../../third_party/cesium/Source/Core/defined');
 var destroyObject = require('../../third_party/cesium/Source/Core/destroyObject');
 var JulianDate = require('../../third_party/cesium/Source/Core/JulianDate');
+var RuntimeError = require('../../third_party/cesium/Source/Core/RuntimeError');
+var parseTimeValues = require('./parseTimeValues');
 var VarType = require('./VarType');
 
 /**
@@ -17,16 +20,38 @@ var VarType = require('./VarType');
 * @alias DataVariable
 * @internalConstructor
 * @constructor
+*
+* @param {String} name The name of the variable.
+* @param {Array} [values] The values of the variable.
+* @param {Object} [options] Explicit settings for the variable, overriding what would be guessed from its name.
+* @param {String} [options.type] The role of the variable: 'lon', 'lat', 'alt', 'time', 'scalar' or 'enum'.
+* @param {String} [options.units] The units of the variable's values, such as 'mm'.
+* @param {String} [options.name] The name to show for the variable in legends and feature information.
+* @param {String} [options.format] The format of a time variable's values, one of the names of {@link parseTimeValues.formats}.
+*        If undefined, the format is detected from the values.
 */
-var DataVariable = function (name, values) {
+var DataVariable = function (name, values, options) {
+    options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+
     this.name = name;
+    this.displayName = defaultValue(options.name, name);
+    this.units = options.units;
     this.vals = values || [];
-    this.varType = undefined;
+    this.varType = defined(options.type) ? VarType[options.type.toUpperCase()] : undefined;
     this.noData = 1e-34;
     this.minVal = undefined;
     this.maxVal = undefined;
     this.timeVar = undefined;
+    this.timeFormat = options.format;
+    this.timeError = undefined;
+    this.timesOfDay = undefined;
+    this.hasTimesOfDay = false;
     this.enumList = undefined;
+    this.isProjected = false;
+
+    // Values that cannot be parsed are an error, rather than a sign that this is not a time variable after all,
+    // if we were told that this is a time variable.
+    this._timeRequired = options.type === 'time' || defined(options.format);
 
     if (this.vals.length > 0) {
         this.update();
@@ -58,6 +83,8 @@ DataVariable.prototype.update = function () {
         //if min/max failed then handle as enumerated thiss
     if (this.varType === VarType.SCALAR && this.minVal > this.maxVal) {
         this.varType = VarType.ENUM;
+    }
+    if (this.varType === VarType.ENUM && !defined(this.enumList)) {
         this._processEnumVariable();            //calculate enum variables
     }
 };
@@ -66,12 +93,17 @@ DataVariable.prototype.update = function () {
 // Based on variable name, try to determine best default for varType
 DataVariable.prototype._guessVariableType = function () {
     //functions to try to figure out position and time variables.
-    function matchColumn(name, hints) {
-        name = name.toLowerCase();
-        for (var h in hints) {
-            if (hints.hasOwnProperty(h)) {
-                var hint = hints[h].toLowerCase();
-                if (name.indexOf(hint) === 0 || name.indexOf(' ' + hint) !== -1 || name.indexOf('_' + hint) !== -1) {
+    //  'words' must match a whole word of the name, so that 'latency' is not taken as a latitude,
+    //  while 'prefixes' only need to start one
+    function matchColumn(name, hintSet) {
+        var words = name.toLowerCase().split(/[^a-z]+/);
+        for (var i = 0; i < words.length; i++) {
+            var word = words[i];
+            if (defined(hintSet.words) && hintSet.words.indexOf(word) !== -1) {
+                return true;
+            }
+            for (var h = 0; defined(hintSet.prefixes) && h < hintSet.prefixes.length; h++) {
+                if (word.indexOf(hintSet.prefixes[h]) === 0) {
                     return true;
                 }
             }
@@ -79,15 +111,18 @@ DataVariable.prototype._guessVariableType = function () {
         return false;
     }
 
-    var hintSet = [
-        { hints: ['lon'], type: VarType.LON },
-        { hints: ['lat'], type: VarType.LAT },
-        { hints: ['depth', 'height', 'elevation'], type: VarType.ALT },
-        { hints: ['time', 'date'], type: VarType.TIME }];
+    var hintSets = [
+        { words: ['lon', 'long', 'longitude', 'lng'], type: VarType.LON },
+        { words: ['lat', 'latitude'], type: VarType.LAT },
+        { words: ['x', 'easting', 'eastings'], type: VarType.LON, isProjected: true },
+        { words: ['y', 'northing', 'northings'], type: VarType.LAT, isProjected: true },
+        { prefixes: ['depth', 'height', 'elevation'], type: VarType.ALT },
+        { prefixes: ['time', 'date'], words: ['when'], type: VarType.TIME }];
 
-    for (var vt in hintSet) {
-        if (matchColumn(this.name, hintSet[vt].hints)) {
-            this.varType = hintSet[vt].type;
+    for (var i = 0; i < hintSets.length; i++) {
+        if (matchColumn(this.name, hintSets[i])) {
+            this.varType = hintSets[i].type;
+            this.isProjected = hintSets[i].isProjected === true;
             return;
         }
     }
@@ -102,7 +137,7 @@ DataVariable.prototype._calculateVarMinMax = function () {
         if (vals[i] === undefined || vals[i] === null) {
             vals[i] = this.noData;
         }
-        else {
+        else if (vals[i] !== this.noData) {
             if (minVal > vals[i]) {
                 minVal = vals[i];
             }
@@ -117,13 +152,15 @@ DataVariable.prototype._calculateVarMinMax = function () {
 
 DataVariable.prototype._calculateTimeMinMax = function () {
     var vals = this.vals;
-    var minVal = vals[0];
-    var maxVal = vals[0];
-    for (var i = 1; i < vals.length; i++) {
-        if (JulianDate.greaterThan(minVal, vals[i])) {
+    var minVal, maxVal;
+    for (var i = 0; i < vals.length; i++) {
+        if (!defined(vals[i])) {
+            continue;
+        }
+        if (!defined(minVal) || JulianDate.greaterThan(minVal, vals[i])) {
             minVal = vals[i];
         }
-        if (JulianDate.lessThan(maxVal, vals[i])) {
+        if (!defined(maxVal) || JulianDate.lessThan(maxVal, vals[i])) {
             maxVal = vals[i];
         }
     }
@@ -133,50 +170,60 @@ DataVariable.prototype._calculateTimeMinMax = function () {
 
 // Convert input time variable to Cesium Time variable
 DataVariable.prototype._processTimeVariable = function () {
-    if (this.varType !== VarType.TIME || this.vals.length === 0 || typeof this.vals[0] !== 'string') {
+    if (this.varType !== VarType.TIME || this.vals.length === 0) {
         return;
     }
-    
-    function swapDateFormat(v) {
-        var part = v.split(/[/-]/);
-        if (part.length === 3) {
-            v = part[1] + '/' + part[0] + '/' + part[2];
+
+    var result;
+    try {
+        result = parseTimeValues(this.vals, this.timeFormat, this._timeRequired);
+    }
+    catch (err) {
+        if (!(err instanceof RuntimeError)) {
+            throw err;
         }
-        return v;
+        this.timeError = 'Unable to parse the dates in column "' + this.name + '": ' + err.message;
+        return;
     }
 
-    //create new Cessium time variable to attach to the variable
-    var timeVar = new DataVariable();
-    var vals = this.vals;
+    if (!defined(result)) {
+        return;
+    }
 
-    //simple check to try to guess date format
-    var max = 0;
-    vals.map( function (v) {
-        max = Math.max(max, parseInt(v));
-    });
+    this.timeFormat = result.format;
 
-    var parseFunc;
-    if (max > 31) {  //iso format  yyyy-mm-dd
-        parseFunc = function(v) { return JulianDate.fromIso8601(v); };
-    }
-    else if (max > 12) { //intl javascript format dd-mm-yyyy
-        parseFunc = function(v) { return JulianDate.fromDate(new Date(swapDateFormat(v))); };
-    }
-    else {  //us javascript date format mm-dd-yyyy
-        parseFunc = function(v) { return JulianDate.fromDate(new Date(v)); };
+    //times of day are combined with a separate date variable by the table
+    if (result.format === 'timeOfDay') {
+        this.timesOfDay = result.vals;
+        return;
     }
 
-    //parse the time values trying iso and javascript date parsing
-    try {
-        for (var i = 0; i < vals.length; i++) {
-            timeVar.vals[i] = parseFunc(vals[i].toString());
-        }
-        timeVar._calculateTimeMinMax();
-        this.timeVar = timeVar;
+    //create new Cessium time variable to attach to the variable
+    var timeVar = new DataVariable();
+    timeVar.vals = result.vals;
+    this.hasTimesOfDay = result.hasTimesOfDay;
+    timeVar._calculateTimeMinMax();
+    this.timeVar = timeVar;
+};
+
+/**
+* Add times of day, from a separate column, to the dates of a time variable
+*
+* @param {Array} timesOfDay The seconds since midnight to add to each date
+*
+*/
+DataVariable.prototype.addTimesOfDay = function (timesOfDay) {
+    var timeVar = this.timeVar;
+    if (!defined(timeVar)) {
+        return;
     }
-    catch (err) {
-        console.log('Unable to parse date', err);
+    for (var i = 0; i < timeVar.vals.length; i++) {
+        if (defined(timeVar.vals[i]) && defined(timesOfDay[i])) {
+            JulianDate.addSeconds(timeVar.vals[i], timesOfDay[i], timeVar.vals[i]);
+        }
     }
+    this.hasTimesOfDay = true;
+    timeVar._calculateTimeMinMax();
 };
 
 
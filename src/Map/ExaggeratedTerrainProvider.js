@@ -0,0 +1,196 @@
+'use strict';
+
+/*global require*/
+var BoundingSphere = require('../../third_party/cesium/Source/Core/BoundingSphere');
+var Cartesian3 = require('../../third_party/cesium/Source/Core/Cartesian3');
+var clone = require('../../third_party/cesium/Source/Core/clone');
+var defaultValue = require('../../third_party/cesium/Source/Core/defaultValue');
+var defined = require('../../third_party/cesium/Source/Core/defined');
+var defineProperties = require('../../third_party/cesium/Source/Core/defineProperties');
+var DeveloperError = require('../../third_party/cesium/Source/Core/DeveloperError');
+var EllipsoidalOccluder = require('../../third_party/cesium/Source/Core/EllipsoidalOccluder');
+var HeightmapTerrainData = require('../../third_party/cesium/Source/Core/HeightmapTerrainData');
+var QuantizedMeshTerrainData = require('../../third_party/cesium/Source/Core/QuantizedMeshTerrainData');
+var when = require('../../third_party/cesium/Source/ThirdParty/when');
+
+/**
+ * A terrain provider that exaggerates the heights of the terrain from another terrain provider, to make the relief of
+ * flat areas easier to see.  Cesium has no way to exaggerate terrain, so the heights in the data of each tile are scaled
+ * as it is loaded.  Tiles that Cesium creates from their parents, when it zooms in further than the terrain has data,
+ * are then made from the exaggerated heights as well.
+ *
+ * @alias ExaggeratedTerrainProvider
+ * @constructor
+ *
+ * @param {Object} options Object with the following properties:
+ * @param {TerrainProvider} options.terrainProvider The terrain provider whose terrain is exaggerated.
+ * @param {Number} [options.exaggeration=1.0] The factor by which heights are multiplied.
+ */
+var ExaggeratedTerrainProvider = function(options) {
+    if (!defined(options) || !defined(options.terrainProvider)) {
+        throw new DeveloperError('options.terrainProvider is required.');
+    }
+
+    this._terrainProvider = options.terrainProvider;
+    this._exaggeration = defaultValue(options.exaggeration, 1.0);
+};
+
+defineProperties(ExaggeratedTerrainProvider.prototype, {
+    /**
+     * Gets the terrain provider whose terrain is exaggerated.
+     * @memberOf ExaggeratedTerrainProvider.prototype
+     * @type {TerrainProvider}
+     */
+    terrainProvider : {
+        get : function() {
+            return this._terrainProvider;
+        }
+    },
+
+    /**
+     * Gets the factor by which heights are multiplied.
+     * @memberOf ExaggeratedTerrainProvider.prototype
+     * @type {Number}
+     */
+    exaggeration : {
+        get : function() {
+            return this._exaggeration;
+        }
+    },
+
+    errorEvent : {
+        get : function() {
+            return this._terrainProvider.errorEvent;
+        }
+    },
+
+    credit : {
+        get : function() {
+            return this._terrainProvider.credit;
+        }
+    },
+
+    tilingScheme : {
+        get : function() {
+            return this._terrainProvider.tilingScheme;
+        }
+    },
+
+    ready : {
+        get : function() {
+            return this._terrainProvider.ready;
+        }
+    },
+
+    hasWaterMask : {
+        get : function() {
+            return this._terrainProvider.hasWaterMask;
+        }
+    },
+
+    hasVertexNormals : {
+        get : function() {
+            return this._terrainProvider.hasVertexNormals;
+        }
+    },
+
+    availability : {
+        get : function() {
+            return this._terrainProvider.availability;
+        }
+    }
+});
+
+ExaggeratedTerrainProvider.prototype.requestTileGeometry = function(x, y, level, throttleRequests) {
+    var promise = this._terrainProvider.requestTileGeometry(x, y, level, throttleRequests);
+    if (!defined(promise) || this._exaggeration === 1.0) {
+        return promise;
+    }
+
+    var exaggeration = this._exaggeration;
+    var ellipsoid = this._terrainProvider.tilingScheme.ellipsoid;
+    return when(promise, function(terrainData) {
+        return exaggerate(terrainData, exaggeration, ellipsoid);
+    });
+};
+
+ExaggeratedTerrainProvider.prototype.getLevelMaximumGeometricError = function(level) {
+    // Errors in height are exaggerated along with the heights.
+    return this._terrainProvider.getLevelMaximumGeometricError(level) * Math.max(this._exaggeration, 1.0);
+};
+
+ExaggeratedTerrainProvider.prototype.getTileDataAvailable = function(x, y, level) {
+    return this._terrainProvider.getTileDataAvailable(x, y, level);
+};
+
+// Scales the heights of a tile's terrain data in place.  This relies on the private properties of the terrain data
+// types in the version of Cesium that is used, so a tile whose data does not have them is left as it is.
+function exaggerate(terrainData, exaggeration, ellipsoid) {
+    if (terrainData instanceof QuantizedMeshTerrainData && hasQuantizedMeshProperties(terrainData)) {
+        // Quantized heights are fractions of the range from the minimum to the maximum height, so scaling the range scales them.
+        var greatestHeight = Math.max(Math.abs(terrainData._minimumHeight), Math.abs(terrainData._maximumHeight));
+        terrainData._minimumHeight *= exaggeration;
+        terrainData._maximumHeight *= exaggeration;
+
+        var boundingSphere = terrainData._boundingSphere;
+        boundingSphere = new BoundingSphere(boundingSphere.center, boundingSphere.radius + Math.abs(exaggeration - 1.0) * greatestHeight);
+        terrainData._boundingSphere = boundingSphere;
+
+        // The horizon occlusion point was computed for the original heights, so it is computed again for the
+        // exaggerated bounding sphere, and the tile is still culled when it is behind the horizon.
+        terrainData._horizonOcclusionPoint = computeHorizonOcclusionPoint(boundingSphere, ellipsoid);
+
+        // Newer versions of Cesium also cull with an oriented bounding box, which is computed for the original heights.
+        // Without it the bounding sphere is used instead.
+        if (defined(terrainData._orientedBoundingBox)) {
+            terrainData._orientedBoundingBox = undefined;
+        }
+
+        var skirtScale = Math.max(exaggeration, 1.0);
+        terrainData._westSkirtHeight *= skirtScale;
+        terrainData._southSkirtHeight *= skirtScale;
+        terrainData._eastSkirtHeight *= skirtScale;
+        terrainData._northSkirtHeight *= skirtScale;
+    } else if (terrainData instanceof HeightmapTerrainData && typeof terrainData._structure === 'object') {
+        var structure = clone(terrainData._structure);
+        structure.heightScale = defaultValue(structure.heightScale, 1.0) * exaggeration;
+        structure.heightOffset = defaultValue(structure.heightOffset, 0.0) * exaggeration;
+        terrainData._structure = structure;
+    }
+
+    return terrainData;
+}
+
+var quantizedMeshNumberProperties = ['_minimumHeight', '_maximumHeight', '_westSkirtHeight', '_southSkirtHeight', '_eastSkirtHeight', '_northSkirtHeight'];
+
+function hasQuantizedMeshProperties(terrainData) {
+    for (var i = 0; i < quantizedMeshNumberProperties.length; ++i) {
+        if (typeof terrainData[quantizedMeshNumberProperties[i]] !== 'number') {
+            return false;
+        }
+    }
+    return terrainData._boundingSphere instanceof BoundingSphere && '_horizonOcclusionPoint' in terrainData;
+}
+
+// Computes a horizon occlusion point from the corners of the box around the bounding sphere, all of which are behind the
+// horizon if the point is.  It is undefined, so that the tile is never culled by it, if there is no such point, as for
+// the largest tiles, where a corner can never be hidden by a point in the direction of the center.
+function computeHorizonOcclusionPoint(boundingSphere, ellipsoid) {
+    var occluder = new EllipsoidalOccluder(ellipsoid, Cartesian3.ZERO);
+    var center = boundingSphere.center;
+    var radius = boundingSphere.radius;
+    var corners = [];
+    for (var i = 0; i < 8; ++i) {
+        var corner = new Cartesian3(center.x + ((i & 1) ? radius : -radius),
+                                    center.y + ((i & 2) ? radius : -radius),
+                                    center.z + ((i & 4) ? radius : -radius));
+        if (!defined(occluder.computeHorizonCullingPoint(center, [corner]))) {
+            return undefined;
+        }
+        corners.push(corner);
+    }
+
+    return occluder.computeHorizonCullingPoint(center, corners);
+}
+
+module.exports = ExaggeratedTerrainProvider;
@@ -0,0 +1,331 @@
+'use strict';
+
+/*global require*/
+
+var clone = require('../../third_party/cesium/Source/Core/clone');
+var defaultValue = require('../../third_party/cesium/Source/Core/defaultValue');
+var defined = require('../../third_party/cesium/Source/Core/defined');
+var DeveloperError = require('../../third_party/cesium/Source/Core/DeveloperError');
+
+var ModelError = require('../Models/ModelError');
+
+/**
+ * The set of region types that CSV data can be region-mapped against.  Each region type is described by a
+ * definition with the following properties:
+ * <ul>
+ *   <li>`layerName`: The name of the FID-encoded WMS layer that draws the regions.</li>
+ *   <li>`geoJsonUrl`: The URL of a GeoJSON or TopoJSON file with the region boundaries.  Regions are drawn from this file
+ *       when there is no `layerName`, or when a CSV's `tableStyle.regionMappingMode` is 'vector'.</li>
+ *   <li>`regionProp`: The name of the layer property holding the region code.</li>
+ *   <li>`geoJsonRegionProp`: The name of the feature property holding the region code in the `geoJsonUrl` file.  If undefined, `regionProp` is used.</li>
+ *   <li>`nameProp`: The name of the layer property holding the region name, so that CSV columns of names such as
+ *       'Greater Geelong' can be matched as well as codes.</li>
+ *   <li>`geoJsonNameProp`: The name of the feature property holding the region name in the `geoJsonUrl` file.  If undefined, `nameProp` is used.</li>
+ *   <li>`regionAliases`: An object mapping alternative names or codes, as they may appear in CSV files, to region codes or names.</li>
+ *   <li>`aliases`: Lower-case prefixes of CSV column names that identify a column as holding this type of region.</li>
+ *   <li>`digits`: The number of digits in this region type's codes, used to guess the region type of a column of bare codes.</li>
+ *   <li>`server`: The WMS/WFS server providing the layer.  If undefined, {@link RegionMappingRegistry#defaultServer} is used.</li>
+ * </ul>
+ * The registry is populated with the Australian ABS regions and the world's countries by default, and can be
+ * extended with the `regionMappings` property of `config.json` or an init file.  The server of the default region
+ * types, and of any others without a `server`, is set with the `regionMappingServer` property of `config.json`.
+ * <p>
+ * When guessing the region type of a dataset, the region types added after the defaults are consulted first, in the
+ * order in which they were added, and then the defaults.  So a region type in `config.json` whose aliases or digits are
+ * the same as those of a default region type is preferred to it.
+ *
+ * @alias RegionMappingRegistry
+ * @constructor
+ */
+var RegionMappingRegistry = function() {
+    /**
+     * Gets or sets the server providing region layers for definitions that do not specify their own `server`.
+     * @type {String}
+     */
+    this.defaultServer = RegionMappingRegistry.defaultServer;
+
+    this._regionTypes = [];
+    this._definitions = {};
+
+    // The number of region types at the start of _regionTypes that were added after the defaults.
+    this._addedRegionTypeCount = 0;
+
+    var defaultRegions = RegionMappingRegistry.defaultRegions;
+    for (var regionType in defaultRegions) {
+        if (defaultRegions.hasOwnProperty(regionType)) {
+            insertRegionType(this, regionType, defaultRegions[regionType], this._regionTypes.length);
+        }
+    }
+};
+
+/**
+ * The default server providing region layers.
+ * @type {String}
+ */
+RegionMappingRegistry.defaultServer = 'http://geoserver.nationalmap.nicta.com.au/region_map/ows';
+
+/**
+ * The region types that are in every new {@link RegionMappingRegistry}.
+ * @type {Object}
+ */
+RegionMappingRegistry.defaultRegions = {
+    'STE': {
+        layerName: 'region_map:FID_STE_2011_AUST',
+        regionProp: 'STE_CODE11',
+        nameProp: 'STE_NAME11',
+        aliases: ['state', 'ste'],
+        digits: 1
+    },
+    'SA4': {
+        layerName: 'region_map:FID_SA4_2011_AUST',
+        regionProp: 'SA4_CODE11',
+        nameProp: 'SA4_NAME11',
+        aliases: ['sa4'],
+        digits: 3
+    },
+    'SA3': {
+        layerName: 'region_map:FID_SA3_2011_AUST',
+        regionProp: 'SA3_CODE11',
+        nameProp: 'SA3_NAME11',
+        aliases: ['sa3'],
+        digits: 5
+    },
+    'SA2': {
+        layerName: 'region_map:FID_SA2_2011_AUST',
+        regionProp: 'SA2_MAIN11',
+        nameProp: 'SA2_NAME11',
+        aliases: ['sa2'],
+        digits: 9
+    },
+// COMMENTING OUT SA1: it works, but server performance is just too slow to be widely usable
+//    'SA1': {
+//        layerName: 'region_map:FID_SA1_2011_AUST',
+//        regionProp: 'SA1_7DIG11',
+//        aliases: ['sa1'],
+//        digits: 11
+//    },
+    'POA': {
+        layerName: 'region_map:FID_POA_2011_AUST',
+        regionProp: 'POA_CODE',
+        aliases: ['poa', 'postcode'],
+        digits: 4
+    },
+    'CED': {
+        layerName: 'region_map:FID_CED_2011_AUST',
+        regionProp: 'CED_CODE',
+        nameProp: 'CED_NAME',
+        aliases: ['ced'],
+        digits: 3
+    },
+    'SED': {
+        layerName: 'region_map:FID_SED_2011_AUST',
+        regionProp: 'SED_CODE',
+        nameProp: 'SED_NAME',
+        aliases: ['sed'],
+        digits: 5
+    },
+    'LGA': {
+        layerName: 'region_map:FID_LGA_2011_AUST',
+        regionProp: 'LGA_CODE11',
+        nameProp: 'LGA_NAME11',
+        aliases: ['lga'],
+        digits: 5
+    },
+    'SSC': {
+        layerName: 'region_map:FID_SCC_2011_AUST',
+        regionProp: 'SSC_CODE',
+        nameProp: 'SSC_NAME',
+        aliases: ['ssc', 'suburb'],
+        digits: 5
+    },
+    'CNT2': {
+        layerName: 'region_map:FID_TM_WORLD_BORDERS',
+        regionProp: 'ISO2',
+        aliases: ['iso2'],
+        digits: 2
+    },
+    'CNT3': {
+        layerName: 'region_map:FID_TM_WORLD_BORDERS',
+        regionProp: 'ISO3',
+        nameProp: 'NAME',
+        aliases: ['country', 'iso3'],
+        digits: 3
+    }
+};
+
+/**
+ * Adds a region type to the registry, replacing any existing definition of the same type.  The region type is
+ * consulted before the default region types, and after those added before it, when guessing the region type of a
+ * dataset.
+ *
+ * @param {String} regionType The region type, such as 'LGA'.
+ * @param {Object} definition The definition of the region type, as described in {@link RegionMappingRegistry}.
+ */
+RegionMappingRegistry.prototype.add = function(regionType, definition) {
+    if (!defined(regionType)) {
+        throw new DeveloperError('regionType is required.');
+    }
+    if (!defined(definition) || !defined(definition.regionProp)) {
+        throw new DeveloperError('definition.regionProp is required.');
+    }
+    if (!defined(definition.layerName) && !defined(definition.geoJsonUrl)) {
+        throw new DeveloperError('Either definition.layerName or definition.geoJsonUrl is required.');
+    }
+
+    this.remove(regionType);
+    insertRegionType(this, regionType, definition, this._addedRegionTypeCount);
+    ++this._addedRegionTypeCount;
+};
+
+function insertRegionType(registry, regionType, definition, index) {
+    var result = clone(definition);
+    result.regionType = regionType;
+    result.aliases = defaultValue(definition.aliases, [regionType.toLowerCase()]).map(function(alias) {
+        return alias.toLowerCase();
+    });
+
+    registry._regionTypes.splice(index, 0, regionType);
+    registry._definitions[regionType] = result;
+}
+
+/**
+ * Removes a region type from the registry.
+ *
+ * @param {String} regionType The region type to remove.
+ */
+RegionMappingRegistry.prototype.remove = function(regionType) {
+    var index = this._regionTypes.indexOf(regionType);
+    if (index >= 0) {
+        this._regionTypes.splice(index, 1);
+        delete this._definitions[regionType];
+
+        if (index < this._addedRegionTypeCount) {
+            --this._addedRegionTypeCount;
+        }
+    }
+};
+
+/**
+ * Gets the definition of a region type.
+ *
+ * @param {String} regionType The region type.
+ * @return {Object} The definition, or undefined if the region type is not registered.
+ */
+RegionMappingRegistry.prototype.get = function(regionType) {
+    return this._definitions[regionType];
+};
+
+/**
+ * Gets the registered region types, in the order in which they are consulted when guessing the region type of a dataset.
+ *
+ * @return {String[]} The region types.
+ */
+RegionMappingRegistry.prototype.getRegionTypes = function() {
+    return this._regionTypes.slice();
+};
+
+/**
+ * Gets the server providing the layer of a region type.
+ *
+ * @param {String} regionType The region type.
+ * @return {String} The server URL.
+ */
+RegionMappingRegistry.prototype.getServer = function(regionType) {
+    var definition = this._definitions[regionType];
+    if (!defined(definition)) {
+        return undefined;
+    }
+    return defaultValue(definition.server, this.defaultServer);
+};
+
+/**
+ * Adds, replaces, or removes region types from a JSON object mapping region types to definitions, such as the
+ * `regionMappings` property of `config.json` or an init file.  A definition of null removes the region type.
+ * The definitions are checked before any are added.
+ *
+ * @param {Object} json The region types to update.
+ * @throws {ModelError} If a definition is not an object, lacks a `regionProp`, or has neither a `layerName` nor a
+ *                      `geoJsonUrl`, or if its `aliases` are not an array of strings.
+ */
+RegionMappingRegistry.prototype.updateFromJson = function(json) {
+    var regionType;
+    for (regionType in json) {
+        if (json.hasOwnProperty(regionType) && json[regionType] !== null) {
+            validateDefinition(regionType, json[regionType]);
+        }
+    }
+
+    for (regionType in json) {
+        if (json.hasOwnProperty(regionType)) {
+            if (json[regionType] === null) {
+                this.remove(regionType);
+            } else {
+                this.add(regionType, json[regionType]);
+            }
+        }
+    }
+};
+
+function validateDefinition(regionType, definition) {
+    var problem;
+    if (typeof definition !== 'object' || definition instanceof Array) {
+        problem = 'is not an object';
+    } else if (typeof definition.regionProp !== 'string') {
+        problem = 'does not have a <code>regionProp</code>';
+    } else if (typeof definition.layerName !== 'string' && typeof definition.geoJsonUrl !== 'string') {
+        problem = 'has neither a <code>layerName</code> nor a <code>geoJsonUrl</code>';
+    } else if (defined(definition.aliases) && !isArrayOfStrings(definition.aliases)) {
+        problem = 'has <code>aliases</code> that are not a list of strings';
+    }
+
+    if (defined(problem)) {
+        throw new ModelError({
+            title: 'Invalid region mapping',
+            message: 'The definition of the region type <strong>' + regionType + '</strong> in <code>regionMappings</code> ' + problem + '.'
+        });
+    }
+}
+
+function isArrayOfStrings(value) {
+    return value instanceof Array && value.every(function(item) {
+        return typeof item === 'string';
+    });
+}
+
+/**
+ * Finds the first variable name that matches the aliases of a registered region type.
+ *
+ * @param {String[]} varNames The variable names to consider.
+ * @return {Object} An object with `regionType` and `regionVariable` properties, or undefined if no variable matches.
+ */
+RegionMappingRegistry.prototype.findRegionVariable = function(varNames) {
+    for (var i = 0; i < this._regionTypes.length; ++i) {
+        var definition = this._definitions[this._regionTypes[i]];
+        for (var j = 0; j < varNames.length; ++j) {
+            var varName = varNames[j].toLowerCase();
+            for (var k = 0; k < definition.aliases.length; ++k) {
+                if (varName.substring(0, definition.aliases[k].length) === definition.aliases[k]) {
+                    return { regionType: definition.regionType, regionVariable: varNames[j] };
+                }
+            }
+        }
+    }
+    return undefined;
+};
+
+/**
+ * Finds the first region type whose codes have a given number of digits.
+ *
+ * @param {Number} digits The number of digits.
+ * @return {String} The region type, or undefined if there is none.
+ */
+RegionMappingRegistry.prototype.findRegionTypeByDigits = function(digits) {
+    for (var i = 0; i < this._regionTypes.length; ++i) {
+        if (this._definitions[this._regionTypes[i]].digits === digits) {
+            return this._regionTypes[i];
+        }
+    }
+    return undefined;
+};
+
+module.exports = RegionMappingRegistry;
@@ -1,7 +1,9 @@
 /*global require*/
 "use strict";
 
+var computeClassBreaks = require('./computeClassBreaks');
 var DataTable = require('./DataTable');
+var VarType = require('./VarType');
 
 /*
 TableDataSource object for displaying geo-located datasets
@@ -9,6 +11,7 @@ For the time being it acts as a layer on top of a CzmlDataSource
 And writes a czml file for it to display
 */
 
+var Color = require('../../third_party/cesium/Source/Core/Color');
 var defined = require('../../third_party/cesium/Source/Core/defined');
 var CzmlDataSource = require('../../third_party/cesium/Source/DataSources/CzmlDataSource');
 var defineProperties = require('../../third_party/cesium/Source/Core/defineProperties');
@@ -37,6 +40,17 @@ var TableDataSource = function () {
     this.scaleByValue = false;
     this.imageUrl = '';
     this.displayTime = 60;  //minutes
+    this._isDisplayTimeStyled = false;
+    this.dataVariable = undefined;
+    this.trailTime = undefined;  //minutes
+    this.colorBinMethod = undefined;
+    this.colorBins = 5;
+    this.colorBreaks = undefined;
+    this.categoryPalette = TableDataSource.categoryPalette;
+    this.categoryColors = undefined;
+    this.hiddenCategories = [];
+
+    this._classification = undefined;
     this.minDisplayValue = undefined;
     this.maxDisplayValue = undefined;
     this.clampDisplayValue = true;
@@ -50,6 +64,16 @@ var TableDataSource = function () {
     ]);
 };
 
+/**
+ * The default colors of the categories of an enumerated data variable, in order.  When there are more categories
+ * than colors, the colors are reused from the start.
+ * @type {String[]}
+ */
+TableDataSource.categoryPalette = [
+    '#e41a1c', '#377eb8', '#4daf4a', '#984ea3', '#ff7f00', '#ffff33',
+    '#a65628', '#f781bf', '#1b9e77', '#66a61e', '#e6ab02', '#999999'
+];
+
 defineProperties(TableDataSource.prototype, {
         /**
          * Gets a human-readable name for this instance.
@@ -128,7 +152,8 @@ defineProperties(TableDataSource.prototype, {
 
 
 /**
- * Set the table display style parameters
+ * Set the table display style parameters.  The points are only redrawn if the data variable changes, so the style
+ * should be set before the data is loaded.
  *
  * @param {Object} style An object containing the style parameters for the datasource.
  * @param {Float} [style.scaleByValue] The scale of the displayed point. 
@@ -139,6 +164,14 @@ defineProperties(TableDataSource.prototype, {
  * @param {Float} [style.clampDisplayValue] Display values that fall outside the display range as min and max colors. 
  * @param {Array} [style.colorMap] A colormap applied to color the data points.
  * @param {String}[style.dataVariable] Which data variable to display.
+ * @param {Float} [style.trailTime] The number of minutes of path to draw behind features that move, if the data has an ID column.
+ * @param {String} [style.colorBinMethod] Color the points by class rather than on a continuous scale, with classes computed
+ *   by 'quantile', 'equalInterval' or 'jenks' (natural breaks) classification.
+ * @param {Integer} [style.colorBins] The number of classes for colorBinMethod.
+ * @param {Array} [style.colorBreaks] The values that separate classes, in increasing order, to use instead of colorBinMethod.
+ * @param {Array} [style.categoryPalette] The CSS colors of the categories of an enumerated data variable, in order.
+ * @param {Object} [style.categoryColors] The CSS colors of particular categories, by value, overriding categoryPalette.
+ * @param {Array} [style.hiddenCategories] The values of the categories whose points are not displayed.
  *
  */
 TableDataSource.prototype.setDisplayStyle = function (style) {
@@ -150,14 +183,24 @@ TableDataSource.prototype.setDisplayStyle = function (style) {
     this.scaleByValue = style.scaleByValue || this.scaleByValue;
     this.imageUrl = style.imageUrl || this.imageUrl;
     this.displayTime = style.displayTime || this.displayTime;
+    this._isDisplayTimeStyled = defined(style.displayTime);
     this.minDisplayValue = style.minDisplayValue;
     this.maxDisplayValue = style.maxDisplayValue;
     this.clampDisplayValue = style.clampDisplayValue || this.clampDisplayValue;
+    this.trailTime = style.trailTime;
+    this.colorBinMethod = style.colorBinMethod;
+    this.colorBins = style.colorBins || this.colorBins;
+    this.colorBreaks = style.colorBreaks;
+    this.categoryPalette = style.categoryPalette || this.categoryPalette;
+    this.categoryColors = style.categoryColors;
+    this.hiddenCategories = style.hiddenCategories || [];
+    this._classification = undefined;
 
     if (defined(style.colorMap)) {
         this.setColorGradient(style.colorMap);
     }
-    if (defined(style.dataVariable)) {
+    this.dataVariable = style.dataVariable;
+    if (defined(style.dataVariable) && style.dataVariable !== this.dataset.getDataVariable()) {
         this.setDataVariable(style.dataVariable);
     }
 };
@@ -181,7 +224,14 @@ TableDataSource.prototype.getDisplayStyle = function () {
         maxDisplayValue: this.maxDisplayValue,
         clampDisplayValue: this.clampDisplayValue,
         colorMap: this.colorMap,
-        dataVariable: this.dataVariable
+        dataVariable: this.dataVariable,
+        trailTime: this.trailTime,
+        colorBinMethod: this.colorBinMethod,
+        colorBins: this.colorBins,
+        colorBreaks: this.colorBreaks,
+        categoryPalette: this.categoryPalette,
+        categoryColors: this.categoryColors,
+        hiddenCategories: this.hiddenCategories
     };
 };
 
@@ -208,11 +258,13 @@ TableDataSource.prototype.loadUrl = function (url) {
  * Loads the Table from text, replacing any existing data.
  *
  * @param {Object} text The text to be processed.
+ * @param {Object} [options] Options for interpreting the columns (see {@link DataTable#loadJson}).
  *
  */
-TableDataSource.prototype.loadText = function (text) {
-    this.dataset.loadText(text);
-    if (this.dataset && this.dataset.hasTimeData() && defined(this.dataset.getTimeMaxValue())) {
+TableDataSource.prototype.loadText = function (text, options) {
+    this.dataset.loadText(text, options);
+    this._classification = undefined;
+    if (!this._isDisplayTimeStyled && this.dataset.hasTimeData() && defined(this.dataset.getTimeMaxValue())) {
         var percentDisplay = 1.0;
         this.displayTime = JulianDate.secondsDifference(this.dataset.getTimeMaxValue(), this.dataset.getTimeMinValue()) * percentDisplay / (60.0 * 100.0);
     }
@@ -235,16 +287,28 @@ TableDataSource.prototype.setDataVariable = function (varName) {
 var endScratch = new JulianDate();
 
 
+function formatValue(value, showTimeOfDay) {
+    if (value instanceof JulianDate) {
+//        return JulianDate.toIso8601(value, 0);
+        var date = JulianDate.toDate(value);
+        return showTimeOfDay ? date.toDateString() + ' ' + date.toTimeString().substring(0, 8) : date.toDateString();
+    }
+    return value;
+}
+
+// Dates are only shown with times of day if the data has them, so that rows on the same day can be told apart
+TableDataSource.prototype._hasTimesOfDay = function () {
+    var timeVar = this.dataset.variables[this.dataset.selected.time];
+    return defined(timeVar) && timeVar.hasTimesOfDay;
+};
+
 TableDataSource.prototype.describe = function(properties) {
     var html = '<table class="cesium-infoBox-defaultTable">';
     for ( var key in properties) {
         if (properties.hasOwnProperty(key)) {
             var value = properties[key];
             if (defined(value)) {
-                if (value instanceof JulianDate) {
-//                    value = JulianDate.toIso8601(value, 0);
-                    value = JulianDate.toDate(value).toDateString();
-                }
+                value = formatValue(value, this._hasTimesOfDay());
                 if (typeof value === 'object') {
                     html += '<tr><td>' + key + '</td><td>' + this.describe(value) + '</td></tr>';
                 } else {
@@ -288,7 +352,7 @@ TableDataSource.prototype._czmlRecFromPoint = function (point) {
 
     if (this.dataset.hasTimeData()) {
         var start = point.time;
-        var finish = JulianDate.addMinutes(point.time, this.displayTime, endScratch);
+        var finish = defined(point.endTime) ? point.endTime : JulianDate.addMinutes(point.time, this.displayTime, endScratch);
         rec.availability = JulianDate.toIso8601(start) + '/' + JulianDate.toIso8601(finish);
         show[1].interval = rec.availability;
     }
@@ -322,6 +386,114 @@ TableDataSource.prototype._czmlRecFromPoint = function (point) {
 };
 
 
+/**
+* Describe the history of a feature as a table with a row for each row of the dataset
+*
+* @param {Array} rows The indices of the dataset rows for the feature, in time order
+*
+* @returns {String} The HTML description
+*
+*/
+TableDataSource.prototype.describeHistory = function(rows) {
+    var html = '<table class="cesium-infoBox-defaultTable"><tr>';
+    var keys = Object.keys(this.dataset.getDisplayDataRow(rows[0]));
+    var showTimeOfDay = this._hasTimesOfDay();
+    for (var k = 0; k < keys.length; k++) {
+        html += '<th>' + keys[k] + '</th>';
+    }
+    html += '</tr>';
+    for (var i = 0; i < rows.length; i++) {
+        var properties = this.dataset.getDisplayDataRow(rows[i]);
+        html += '<tr>';
+        for (k = 0; k < keys.length; k++) {
+            var value = properties[keys[k]];
+            html += '<td>' + (defined(value) ? formatValue(value, showTimeOfDay) : '') + '</td>';
+        }
+        html += '</tr>';
+    }
+    html += '</table>';
+    return html;
+};
+
+// Build a single czml packet for all of the points of a moving feature, in time order
+TableDataSource.prototype._czmlRecFromTrack = function (featureId, points) {
+    var first = points[0];
+    var last = points[points.length - 1];
+    var start = first.time;
+    var finish = defined(last.endTime) ? last.endTime : JulianDate.addMinutes(last.time, this.displayTime, new JulianDate());
+
+    var rec = {
+        "name": featureId.toString(),
+        "description": this.describeHistory(points.map(function(point) { return point.row; })),
+        "availability": JulianDate.toIso8601(start) + '/' + JulianDate.toIso8601(finish)
+    };
+
+    if (points.length === 1) {
+        rec.position = { "cartographicDegrees" : first.pos };
+    }
+    else {
+        //sample the position at each point, holding the last position until the feature disappears
+        var samples = [];
+        for (var i = 0; i < points.length; i++) {
+            samples.push(JulianDate.secondsDifference(points[i].time, start), points[i].pos[0], points[i].pos[1], points[i].pos[2]);
+        }
+        if (JulianDate.greaterThan(finish, last.time)) {
+            samples.push(JulianDate.secondsDifference(finish, start), last.pos[0], last.pos[1], last.pos[2]);
+        }
+        rec.position = {
+            "epoch" : JulianDate.toIso8601(start),
+            "cartographicDegrees" : samples,
+            "interpolationAlgorithm" : "LAGRANGE",
+            "interpolationDegree" : 1
+        };
+    }
+
+    //each point's color and scale apply until the next point
+    var colors = [];
+    var scales = [];
+    for (var p = 0; p < points.length; p++) {
+        var intervalEnd = (p < points.length - 1) ? points[p + 1].time : finish;
+        var interval = JulianDate.toIso8601(points[p].time) + '/' + JulianDate.toIso8601(intervalEnd);
+        colors.push({ "interval" : interval, "rgba" : this._mapValue2Color(points[p].val) });
+        scales.push({ "interval" : interval, "number" : this._mapValue2Scale(points[p].val) });
+    }
+
+    if (!defined(this.imageUrl) || this.imageUrl === '') {
+        rec.point = {
+            outlineColor: { "rgba" : [0, 0, 0, 255] },
+            outlineWidth: 1,
+            pixelSize: scales.map(function(scale) {
+                return { "interval" : scale.interval, "number" : 8 * scale.number };
+            }),
+            color: colors
+        };
+    }
+    else {
+        rec.billboard = {
+            horizontalOrigin : "CENTER",
+            verticalOrigin : "BOTTOM",
+            image : this.imageUrl,
+            scale : scales,
+            color : colors
+        };
+    }
+
+    if (defined(this.trailTime) && points.length > 1) {
+        rec.path = {
+            leadTime: 0,
+            trailTime: this.trailTime * 60,
+            width: 2,
+            material: {
+                solidColor: {
+                    color: { "rgba" : [255, 255, 255, 192] }
+                }
+            }
+        };
+    }
+
+    return rec;
+};
+
 /**
 * Get a list of display records for the current point list in czml format.
 *
@@ -333,17 +505,28 @@ TableDataSource.prototype.getCzmlDataPointList = function () {
         return;
     }
 
-    var pointList = this.dataset.getPointList();
+    var pointList = this.dataset.getPointList().filter(this._isPointShown, this);
     
     var dispRecords = [{
         id : 'document',
         version : '1.0'
     }];
     
+    //with an ID column, the points of each feature make up a single moving feature
+    if (this.dataset.hasTimeData() && this.dataset.hasIdData()) {
+        var tracks = this.dataset.groupPointsById(pointList);
+        for (var featureId in tracks) {
+            if (tracks.hasOwnProperty(featureId)) {
+                dispRecords.push(this._czmlRecFromTrack(featureId, tracks[featureId]));
+            }
+        }
+        return dispRecords;
+    }
+
     for (var i = 0; i < pointList.length; i++) {
             //set position, scale, color, and display time
         var rec = this._czmlRecFromPoint(pointList[i]);
-        rec.description = this.describe(this.dataset.getDataRow(pointList[i].row));
+        rec.description = this.describe(this.dataset.getDisplayDataRow(pointList[i].row));
         dispRecords.push(rec);
     }
     return dispRecords;
@@ -363,7 +546,7 @@ TableDataSource.prototype.getDataPointList = function (time) {
         return;
     }
 
-    var pointList = this.dataset.getPointList();
+    var pointList = this.dataset.getPointList().filter(this._isPointShown, this);
     
     var dispRecords = [];
     
@@ -374,8 +557,15 @@ TableDataSource.prototype.getDataPointList = function (time) {
     }
     for (var i = 0; i < pointList.length; i++) {
         if (this.dataset.hasTimeData()) {
-            if (JulianDate.lessThan(pointList[i].time, start) || 
-                JulianDate.greaterThan(pointList[i].time, finish)) {
+            var point = pointList[i];
+            if (defined(point.endTime)) {
+                //rows with an end time are shown from their start time to their end time
+                if (JulianDate.greaterThan(point.time, time) || !JulianDate.lessThan(time, point.endTime)) {
+                    continue;
+                }
+            }
+            else if (JulianDate.lessThan(point.time, start) ||
+                JulianDate.greaterThan(point.time, finish)) {
                 continue;
             }
         }
@@ -409,11 +599,135 @@ TableDataSource.prototype._mapValue2Scale = function (pntVal) {
 };
 
 
+/**
+* Get the categories of the current data variable, if it is enumerated
+*
+* @returns {Array} An array of objects with the name, color (as an array of bytes), and whether the points of each
+*   category are shown, or undefined if the data variable is not enumerated
+*
+*/
+TableDataSource.prototype.getCategories = function () {
+    var variable = this.dataset.variables[this.dataset.getDataVariable()];
+    if (!defined(variable) || variable.varType !== VarType.ENUM) {
+        return undefined;
+    }
+    var hidden = this.hiddenCategories.map(String);
+    var categories = [];
+    for (var i = 0; i < variable.enumList.length; i++) {
+        var name = variable.enumList[i];
+        var cssColor = this.categoryPalette[i % this.categoryPalette.length];
+        if (defined(this.categoryColors) && this.categoryColors.hasOwnProperty(name)) {
+            cssColor = this.categoryColors[name];
+        }
+        categories.push({
+            name: name,
+            color: Color.fromCssColorString(cssColor).toBytes(),
+            isShown: hidden.indexOf(String(name)) === -1
+        });
+    }
+    return categories;
+};
+
+/**
+* Set the categories of an enumerated data variable whose points are not displayed
+*
+* @param {Array} hiddenCategories The values of the categories to hide
+*
+*/
+TableDataSource.prototype.setHiddenCategories = function (hiddenCategories) {
+    this.hiddenCategories = hiddenCategories;
+    this._classification = undefined;
+    if (this.dataset.hasLocationData()) {
+        this.czmlDataSource.load(this.getCzmlDataPointList());
+    }
+};
+
+TableDataSource.prototype._isPointShown = function (point) {
+    var classification = this._getClassification();
+    if (!defined(classification) || !defined(classification.categories)) {
+        return true;
+    }
+    var category = classification.categories[point.val];
+    return !defined(category) || category.isShown;
+};
+
+// Get the breaks between classes and the color of each class for the current data variable, or undefined if
+// the data is colored on a continuous scale
+TableDataSource.prototype._getClassification = function () {
+    var varName = this.dataset.getDataVariable();
+    var variable = this.dataset.variables[varName];
+    if (!defined(variable) || !defined(this.dataImage)) {
+        return undefined;
+    }
+    if (defined(this._classification) && this._classification.varName === varName) {
+        return this._classification;
+    }
+
+    //each category of an enumerated variable is a class of its own, with hidden categories transparent
+    if (variable.varType === VarType.ENUM) {
+        var categories = this.getCategories();
+        this._classification = {
+            varName: varName,
+            categories: categories,
+            colors: categories.map(function(category) {
+                return category.isShown ? category.color : [0, 0, 0, 0];
+            })
+        };
+        return this._classification;
+    }
+
+    if ((!defined(this.colorBinMethod) && !defined(this.colorBreaks)) || variable.varType !== VarType.SCALAR) {
+        return undefined;
+    }
+
+    var breaks;
+    if (defined(this.colorBreaks)) {
+        breaks = this.colorBreaks;
+    }
+    else {
+        var dataset = this.dataset;
+        var values = variable.vals.filter(function(value) {
+            return !dataset.isNoData(value);
+        });
+        breaks = computeClassBreaks(values, this.colorBinMethod, this.colorBins, this.minDisplayValue, this.maxDisplayValue);
+    }
+
+    //spread the class colors over the whole color map
+    var colors = [];
+    var pixels = this.dataImage.data.length / 4;
+    for (var i = 0; i <= breaks.length; i++) {
+        var offset = breaks.length > 0 ? i / breaks.length : 0.5;
+        var colorIndex = Math.floor(offset * (pixels - 1)) * 4;
+        colors.push(Array.prototype.slice.call(this.dataImage.data, colorIndex, colorIndex + 4));
+    }
+
+    this._classification = {
+        varName: varName,
+        breaks: breaks,
+        colors: colors
+    };
+    return this._classification;
+};
+
 TableDataSource.prototype._mapValue2Color = function (pntVal) {
     var colors = this.dataImage;
     if (colors === undefined) {
         return this.color;
     }
+    var classification = this._getClassification();
+    if (defined(classification)) {
+        if (this.dataset.isNoData(pntVal)) {
+            return [0, 0, 0, 0];
+        }
+        if (defined(classification.categories)) {
+            return defined(classification.colors[pntVal]) ? classification.colors[pntVal].slice() : [0, 0, 0, 0];
+        }
+        var classIndex = 0;
+        while (classIndex < classification.breaks.length && pntVal >= classification.breaks[classIndex]) {
+            ++classIndex;
+        }
+        return classification.colors[classIndex].slice();
+    }
     var normPoint = this._getNormalizedPoint(pntVal);
     var color = [0, 0, 0, 0];
     if (normPoint !== undefined) {
@@ -439,6 +753,14 @@ TableDataSource.prototype.getLegendGraphic = function () {
         return undefined;
     }
 
+    var classification = this._getClassification();
+    if (defined(classification) && defined(classification.categories)) {
+        return this._getCategoryLegendGraphic(classification.categories);
+    }
+    if (defined(classification)) {
+        return this._getClassLegendGraphic(classification);
+    }
+
     var canvas = document.createElement("canvas");
     if (!defined(canvas)) {
         return;
@@ -468,7 +790,7 @@ TableDataSource.prototype.getLegendGraphic = function () {
     var val;
     var minText = (val = this.minDisplayValue || this.dataset.getDataMinValue()) === undefined ? 'und.' : val.toString();
     var maxText = (val = this.maxDisplayValue || this.dataset.getDataMaxValue()) === undefined ? 'und.' : val.toString();
-    var varText = this.dataset.getDataVariable();
+    var varText = this.dataset.getVariableDisplayName(this.dataset.getDataVariable());
     
     ctx.setTransform(1,0,0,1,0,0);
     ctx.font = "16px Arial Narrow";
@@ -481,6 +803,85 @@ TableDataSource.prototype.getLegendGraphic = function () {
 };
 
 
+function formatLegendValue(value) {
+    return (Math.round(value * 100) / 100).toString();
+}
+
+// Draw a stepped legend with a box and range of values for each class, highest at the top
+TableDataSource.prototype._getClassLegendGraphic = function (classification) {
+    var canvas = document.createElement("canvas");
+    if (!defined(canvas)) {
+        return;
+    }
+    var boxW = 30;
+    var boxH = 20;
+    var classCount = classification.colors.length;
+    var w = canvas.width = 210;
+    var h = canvas.height = 25 + classCount * boxH + 5;
+    var ctx = canvas.getContext('2d');
+
+    ctx.fillStyle = "#2F353C";
+    ctx.fillRect(0,0,w,h);
+
+    ctx.font = "16px Arial Narrow";
+    ctx.fillStyle = "#FFFFFF";
+    ctx.fillText(this.dataset.getVariableDisplayName(this.dataset.getDataVariable()), 5, 15);
+
+    var breaks = classification.breaks;
+    var minVal = this.dataset.getDataMinValue();
+    var maxVal = this.dataset.getDataMaxValue();
+    ctx.font = "14px Arial Narrow";
+    for (var i = 0; i < classCount; i++) {
+        var y = 25 + (classCount - 1 - i) * boxH;
+        var color = classification.colors[i];
+        ctx.fillStyle = 'rgba(' + color[0] + ',' + color[1] + ',' + color[2] + ',' + (color[3] / 255) + ')';
+        ctx.fillRect(15, y, boxW, boxH);
+
+        var low = (i === 0) ? minVal : breaks[i - 1];
+        var high = (i === classCount - 1) ? maxVal : breaks[i];
+        ctx.fillStyle = "#FFFFFF";
+        ctx.fillText(formatLegendValue(low) + ' - ' + formatLegendValue(high), boxW + 25, y + boxH - 5);
+    }
+
+    return canvas.toDataURL("image/png");
+};
+
+
+// Draw a legend with a box and name for each category, dimming the hidden categories
+TableDataSource.prototype._getCategoryLegendGraphic = function (categories) {
+    var canvas = document.createElement("canvas");
+    if (!defined(canvas)) {
+        return;
+    }
+    var boxW = 30;
+    var boxH = 20;
+    var w = canvas.width = 210;
+    var h = canvas.height = 25 + categories.length * boxH + 5;
+    var ctx = canvas.getContext('2d');
+
+    ctx.fillStyle = "#2F353C";
+    ctx.fillRect(0,0,w,h);
+
+    ctx.font = "16px Arial Narrow";
+    ctx.fillStyle = "#FFFFFF";
+    ctx.fillText(this.dataset.getVariableDisplayName(this.dataset.getDataVariable()), 5, 15);
+
+    ctx.font = "14px Arial Narrow";
+    for (var i = 0; i < categories.length; i++) {
+        var y = 25 + i * boxH;
+        var color = categories[i].color;
+        ctx.globalAlpha = categories[i].isShown ? 1.0 : 0.3;
+        ctx.fillStyle = 'rgb(' + color[0] + ',' + color[1] + ',' + color[2] + ')';
+        ctx.fillRect(15, y + 2, boxW, boxH - 4);
+        ctx.fillStyle = "#FFFFFF";
+        ctx.fillText(categories[i].name.toString(), boxW + 25, y + boxH - 5);
+    }
+    ctx.globalAlpha = 1.0;
+
+    return canvas.toDataURL("image/png");
+};
+
+
 /**
 * Set the gradient used to color the data points
 *
@@ -520,6 +921,7 @@ TableDataSource.prototype.setColorGradient = function (colorMap) {
     ctx.fillRect(0,0,w,h);
 
     this.dataImage = ctx.getImageData(0, 0, 1, 256);
+    this._classification = undefined;
 };
 
 /**
@@ -0,0 +1,210 @@
+'use strict';
+
+/*global require*/
+var Credit = require('../../third_party/cesium/Source/Core/Credit');
+var defaultValue = require('../../third_party/cesium/Source/Core/defaultValue');
+var defined = require('../../third_party/cesium/Source/Core/defined');
+var defineProperties = require('../../third_party/cesium/Source/Core/defineProperties');
+var DeveloperError = require('../../third_party/cesium/Source/Core/DeveloperError');
+var CesiumEvent = require('../../third_party/cesium/Source/Core/Event');
+var ImageryProvider = require('../../third_party/cesium/Source/Scene/ImageryProvider');
+var Rectangle = require('../../third_party/cesium/Source/Core/Rectangle');
+var WebMercatorTilingScheme = require('../../third_party/cesium/Source/Core/WebMercatorTilingScheme');
+
+/**
+ * An imagery provider that requests tiles from a URL template such as 'http://{s}.tile.example.com/{z}/{x}/{y}.png', as
+ * used by OpenStreetMap, TMS and most tile caches.  The version of Cesium that is used has no such provider.  The
+ * template may contain the following placeholders:
+ * <ul>
+ * <li><code>{z}</code>: The level of the tile.</li>
+ * <li><code>{x}</code>: The column of the tile, counting from the west.</li>
+ * <li><code>{y}</code>: The row of the tile, counting from the north, or from the south if <code>flipY</code> is true.</li>
+ * <li><code>{reverseY}</code>: The row of the tile, counting from the south, as in TMS.</li>
+ * <li><code>{s}</code>: One of the subdomains, chosen so that requests are spread across all of them.</li>
+ * </ul>
+ *
+ * @alias UrlTemplateImageryProvider
+ * @constructor
+ *
+ * @param {Object} options Object with the following properties:
+ * @param {String} options.url The URL template.
+ * @param {String|String[]} [options.subdomains='abc'] The subdomains substituted for <code>{s}</code>, either as an array or
+ *        as a string of single-character subdomains.
+ * @param {Boolean} [options.flipY=false] True if <code>{y}</code> counts rows from the south, as in TMS.
+ * @param {TilingScheme} [options.tilingScheme=new WebMercatorTilingScheme()] The tiling scheme of the tiles.
+ * @param {Rectangle} [options.rectangle=options.tilingScheme.rectangle] The rectangle covered by the tiles.  It is clamped
+ *        to the rectangle of the tiling scheme.
+ * @param {Number} [options.minimumLevel=0] The lowest level for which tiles are requested.
+ * @param {Number} [options.maximumLevel] The highest level for which tiles are available, or undefined if there is no limit.
+ * @param {Number} [options.tileWidth=256] The width of each tile in pixels.
+ * @param {Number} [options.tileHeight=256] The height of each tile in pixels.
+ * @param {Credit|String} [options.credit] The attribution to display when the tiles are shown.
+ * @param {Boolean} [options.hasAlphaChannel=true] True if the tiles have transparent areas.
+ * @param {Object} [options.proxy] A proxy with which to request the tiles.
+ */
+var UrlTemplateImageryProvider = function(options) {
+    if (!defined(options) || !defined(options.url)) {
+        throw new DeveloperError('options.url is required.');
+    }
+
+    this._url = options.url;
+
+    var subdomains = defaultValue(options.subdomains, 'abc');
+    this._subdomains = typeof subdomains === 'string' ? subdomains.split('') : subdomains;
+
+    this._flipY = defaultValue(options.flipY, false);
+    this._tilingScheme = defaultValue(options.tilingScheme, new WebMercatorTilingScheme());
+    this._rectangle = clampRectangle(defaultValue(options.rectangle, this._tilingScheme.rectangle), this._tilingScheme.rectangle);
+    this._minimumLevel = defaultValue(options.minimumLevel, 0);
+    this._maximumLevel = options.maximumLevel;
+    this._tileWidth = defaultValue(options.tileWidth, 256);
+    this._tileHeight = defaultValue(options.tileHeight, 256);
+    this._hasAlphaChannel = defaultValue(options.hasAlphaChannel, true);
+    this._proxy = options.proxy;
+    this._errorEvent = new CesiumEvent();
+
+    var credit = options.credit;
+    if (typeof credit === 'string') {
+        credit = new Credit(credit);
+    }
+    this._credit = credit;
+};
+
+defineProperties(UrlTemplateImageryProvider.prototype, {
+    /**
+     * Gets the URL template.
+     * @memberOf UrlTemplateImageryProvider.prototype
+     * @type {String}
+     */
+    url : {
+        get : function() {
+            return this._url;
+        }
+    },
+
+    proxy : {
+        get : function() {
+            return this._proxy;
+        }
+    },
+
+    tileWidth : {
+        get : function() {
+            return this._tileWidth;
+        }
+    },
+
+    tileHeight : {
+        get : function() {
+            return this._tileHeight;
+        }
+    },
+
+    maximumLevel : {
+        get : function() {
+            return this._maximumLevel;
+        }
+    },
+
+    minimumLevel : {
+        get : function() {
+            return this._minimumLevel;
+        }
+    },
+
+    tilingScheme : {
+        get : function() {
+            return this._tilingScheme;
+        }
+    },
+
+    rectangle : {
+        get : function() {
+            return this._rectangle;
+        }
+    },
+
+    tileDiscardPolicy : {
+        get : function() {
+            return undefined;
+        }
+    },
+
+    errorEvent : {
+        get : function() {
+            return this._errorEvent;
+        }
+    },
+
+    ready : {
+        get : function() {
+            return true;
+        }
+    },
+
+    credit : {
+        get : function() {
+            return this._credit;
+        }
+    },
+
+    hasAlphaChannel : {
+        get : function() {
+            return this._hasAlphaChannel;
+        }
+    }
+});
+
+UrlTemplateImageryProvider.prototype.getTileCredits = function(x, y, level) {
+    return undefined;
+};
+
+UrlTemplateImageryProvider.prototype.requestImage = function(x, y, level) {
+    return ImageryProvider.loadImage(this, this.getTileUrl(x, y, level));
+};
+
+UrlTemplateImageryProvider.prototype.pickFeatures = function(x, y, level, longitude, latitude) {
+    return undefined;
+};
+
+/**
+ * Gets the URL of a tile.
+ *
+ * @param {Number} x The column of the tile, counting from the west.
+ * @param {Number} y The row of the tile, counting from the north.
+ * @param {Number} level The level of the tile.
+ * @return {String} The URL of the tile, including the proxy, if any.
+ */
+UrlTemplateImageryProvider.prototype.getTileUrl = function(x, y, level) {
+    var reverseY = this._tilingScheme.getNumberOfYTilesAtLevel(level) - y - 1;
+    var subdomains = this._subdomains;
+
+    var values = {
+        z: level,
+        x: x,
+        y: this._flipY ? reverseY : y,
+        reverseY: reverseY,
+        s: subdomains.length > 0 ? subdomains[(x + y + level) % subdomains.length] : ''
+    };
+
+    var url = this._url.replace(/\{(z|x|y|reverseY|s)\}/g, function(placeholder, name) {
+        return values[name];
+    });
+
+    if (defined(this._proxy)) {
+        url = this._proxy.getURL(url);
+    }
+
+    return url;
+};
+
+// Tiles outside the rectangle of the tiling scheme do not exist, and Web Mercator in particular does not reach the poles.
+function clampRectangle(rectangle, bounds) {
+    return new Rectangle(
+        Math.max(rectangle.west, bounds.west),
+        Math.max(rectangle.south, bounds.south),
+        Math.min(rectangle.east, bounds.east),
+        Math.min(rectangle.north, bounds.north));
+}
+
+module.exports = UrlTemplateImageryProvider;
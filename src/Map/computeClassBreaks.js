@@ -0,0 +1,132 @@
+'use strict';
+
+/*global require*/
+var defined = require('../../third_party/cesium/Source/Core/defined');
+var DeveloperError = require('../../third_party/cesium/Source/Core/DeveloperError');
+
+// Jenks natural breaks takes time proportional to the square of the number of values, so larger datasets are sampled.
+var maxJenksValues = 1000;
+
+/**
+ * Computes the values that divide a set of numbers into classes, for classified color maps.  A value belongs to the
+ * first class if it is less than the first break, the second class if it is less than the second break, and so on.
+ *
+ * @param {Number[]} values The values to classify.
+ * @param {String} method The classification method: 'quantile' for classes with equal numbers of values,
+ *        'equalInterval' for classes with equal ranges of values, or 'jenks' for Jenks natural breaks, which
+ *        minimises the variance within classes.
+ * @param {Number} numberOfClasses The number of classes.
+ * @param {Number} [minValue] The minimum of the range to divide for 'equalInterval'.  If undefined, the minimum value is used.
+ * @param {Number} [maxValue] The maximum of the range to divide for 'equalInterval'.  If undefined, the maximum value is used.
+ * @return {Number[]} The breaks between classes, in increasing order.  There may be fewer than numberOfClasses - 1
+ *         breaks if the values do not have enough distinct values.
+ */
+var computeClassBreaks = function(values, method, numberOfClasses, minValue, maxValue) {
+    if (!defined(computeClassBreaks.methods[method])) {
+        throw new DeveloperError('Unknown classification method: ' + method);
+    }
+
+    var sorted = values.slice().sort(function(a, b) {
+        return a - b;
+    });
+    if (sorted.length === 0 || numberOfClasses < 2) {
+        return [];
+    }
+
+    var breaks = computeClassBreaks.methods[method](sorted, numberOfClasses,
+        defined(minValue) ? minValue : sorted[0],
+        defined(maxValue) ? maxValue : sorted[sorted.length - 1]);
+
+    // Remove breaks that would make empty classes
+    return breaks.filter(function(value, index) {
+        return value > sorted[0] && (index === 0 || value > breaks[index - 1]);
+    });
+};
+
+/**
+ * The classification methods, each a function taking the sorted values, the number of classes, and the range to
+ * classify, and returning the breaks between classes.
+ * @type {Object}
+ */
+computeClassBreaks.methods = {
+    quantile: function(sorted, numberOfClasses) {
+        var breaks = [];
+        for (var i = 1; i < numberOfClasses; i++) {
+            breaks.push(sorted[Math.min(sorted.length - 1, Math.floor(i * sorted.length / numberOfClasses))]);
+        }
+        return breaks;
+    },
+    equalInterval: function(sorted, numberOfClasses, minValue, maxValue) {
+        var breaks = [];
+        for (var i = 1; i < numberOfClasses; i++) {
+            breaks.push(minValue + i * (maxValue - minValue) / numberOfClasses);
+        }
+        return breaks;
+    },
+    jenks: function(sorted, numberOfClasses) {
+        if (sorted.length > maxJenksValues) {
+            var sample = [];
+            for (var s = 0; s < maxJenksValues; s++) {
+                sample.push(sorted[Math.floor(s * (sorted.length - 1) / (maxJenksValues - 1))]);
+            }
+            sorted = sample;
+        }
+        return jenksBreaks(sorted, Math.min(numberOfClasses, sorted.length));
+    }
+};
+
+// Jenks natural breaks by dynamic programming (Jenks, 1977), returning the first value of each class after the first
+function jenksBreaks(data, numberOfClasses) {
+    var n = data.length;
+    var lowerClassLimits = [];
+    var varianceCombinations = [];
+    var i, j, l;
+
+    for (i = 0; i <= n; i++) {
+        lowerClassLimits.push(new Array(numberOfClasses + 1));
+        varianceCombinations.push(new Array(numberOfClasses + 1));
+        for (j = 0; j <= numberOfClasses; j++) {
+            lowerClassLimits[i][j] = 0;
+            varianceCombinations[i][j] = (i >= 2) ? Infinity : 0;
+        }
+    }
+    for (j = 1; j <= numberOfClasses; j++) {
+        lowerClassLimits[1][j] = 1;
+    }
+
+    for (l = 2; l <= n; l++) {
+        var sum = 0;
+        var sumSquares = 0;
+        var variance = 0;
+        for (var m = 1; m <= l; m++) {
+            var lowerClassLimit = l - m + 1;
+            var value = data[lowerClassLimit - 1];
+            sum += value;
+            sumSquares += value * value;
+            variance = sumSquares - (sum * sum) / m;
+
+            var previous = lowerClassLimit - 1;
+            if (previous !== 0) {
+                for (j = 2; j <= numberOfClasses; j++) {
+                    if (varianceCombinations[l][j] >= variance + varianceCombinations[previous][j - 1]) {
+                        lowerClassLimits[l][j] = lowerClassLimit;
+                        varianceCombinations[l][j] = variance + varianceCombinations[previous][j - 1];
+                    }
+                }
+            }
+        }
+        lowerClassLimits[l][1] = 1;
+        varianceCombinations[l][1] = variance;
+    }
+
+    var breaks = [];
+    var k = n;
+    for (j = numberOfClasses; j >= 2; j--) {
+        var first = lowerClassLimits[k][j] - 1;
+        breaks.unshift(data[first]);
+        k = first;
+    }
+    return breaks;
+}
+
+module.exports = computeClassBreaks;
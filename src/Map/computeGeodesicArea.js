@@ -0,0 +1,40 @@
+'use strict';
+
+/*global require*/
+var CesiumMath = require('../../third_party/cesium/Source/Core/Math');
+var defined = require('../../third_party/cesium/Source/Core/defined');
+var DeveloperError = require('../../third_party/cesium/Source/Core/DeveloperError');
+
+// The radius of the sphere with the same surface area as the WGS84 ellipsoid.
+var authalicRadius = 6371007.2;
+
+/**
+ * Computes the area of a polygon on the surface of the Earth.  The area is computed on the sphere with the same surface
+ * area as the WGS84 ellipsoid, which is accurate to within about half a percent.  Heights are ignored.
+ * @param {Cartographic[]} positions The positions of the polygon's vertices, in either order.  The polygon is closed
+ *        from the last position back to the first, and its edges must not cross.
+ * @return {Number} The area of the polygon, in square meters.
+ */
+var computeGeodesicArea = function(positions) {
+    if (!defined(positions)) {
+        throw new DeveloperError('positions is required');
+    }
+
+    if (positions.length < 3) {
+        return 0.0;
+    }
+
+    // Sum the signed areas between each edge and the south pole, as derived in "Some Algorithms for Polygons on a
+    // Sphere" by Chamberlain and Duquette (JPL Publication 07-03).
+    var total = 0.0;
+    for (var i = 0; i < positions.length; ++i) {
+        var start = positions[i];
+        var end = positions[(i + 1) % positions.length];
+        var longitudeDifference = CesiumMath.negativePiToPi(end.longitude - start.longitude);
+        total += longitudeDifference * (2.0 + Math.sin(start.latitude) + Math.sin(end.latitude));
+    }
+
+    return Math.abs(total) * authalicRadius * authalicRadius / 2.0;
+};
+
+module.exports = computeGeodesicArea;
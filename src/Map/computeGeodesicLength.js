@@ -0,0 +1,43 @@
+'use strict';
+
+/*global require*/
+var defined = require('../../third_party/cesium/Source/Core/defined');
+var DeveloperError = require('../../third_party/cesium/Source/Core/DeveloperError');
+var EllipsoidGeodesic = require('../../third_party/cesium/Source/Core/EllipsoidGeodesic');
+
+var geodesic = new EllipsoidGeodesic();
+
+/**
+ * Computes the length of a path along the surface of the WGS84 ellipsoid, following the shortest route between each
+ * pair of consecutive positions.  Heights are ignored.
+ * @param {Cartographic[]} positions The positions along the path.
+ * @param {Boolean} [closed=false] True if the path returns from the last position to the first, as the perimeter of a
+ *        polygon does.
+ * @return {Number} The length of the path, in meters.
+ */
+var computeGeodesicLength = function(positions, closed) {
+    if (!defined(positions)) {
+        throw new DeveloperError('positions is required');
+    }
+
+    var length = 0.0;
+    for (var i = 1; i < positions.length; ++i) {
+        length += computeDistance(positions[i - 1], positions[i]);
+    }
+
+    if (closed && positions.length > 2) {
+        length += computeDistance(positions[positions.length - 1], positions[0]);
+    }
+
+    return length;
+};
+
+function computeDistance(start, end) {
+    if (start.longitude === end.longitude && start.latitude === end.latitude) {
+        return 0.0;
+    }
+    geodesic.setEndPoints(start, end);
+    return geodesic.surfaceDistance;
+}
+
+module.exports = computeGeodesicLength;
@@ -0,0 +1,44 @@
+'use strict';
+
+/*global require*/
+var CesiumMath = require('../../third_party/cesium/Source/Core/Math');
+var defined = require('../../third_party/cesium/Source/Core/defined');
+var DeveloperError = require('../../third_party/cesium/Source/Core/DeveloperError');
+var Rectangle = require('../../third_party/cesium/Source/Core/Rectangle');
+
+/**
+ * Computes the rectangle with two opposite corners, such as the points where the user started and stopped dragging
+ * out a rectangle on the map.  The corners may be given in any order.
+ *
+ * @param {Cartographic} corner1 One corner of the rectangle.
+ * @param {Cartographic} corner2 The opposite corner of the rectangle.
+ * @param {Rectangle} [result] The object in which to store the result.
+ * @return {Rectangle} The rectangle, or undefined if the corners are so close in longitude or latitude that the
+ *         rectangle has no area.
+ */
+var computeRectangleFromCorners = function(corner1, corner2, result) {
+    if (!defined(corner1) || !defined(corner2)) {
+        throw new DeveloperError('corner1 and corner2 are required.');
+    }
+
+    var west = Math.min(corner1.longitude, corner2.longitude);
+    var east = Math.max(corner1.longitude, corner2.longitude);
+    var south = Math.min(corner1.latitude, corner2.latitude);
+    var north = Math.max(corner1.latitude, corner2.latitude);
+
+    if (east - west < CesiumMath.EPSILON6 || north - south < CesiumMath.EPSILON6) {
+        return undefined;
+    }
+
+    if (!defined(result)) {
+        return new Rectangle(west, south, east, north);
+    }
+
+    result.west = west;
+    result.south = south;
+    result.east = east;
+    result.north = north;
+    return result;
+};
+
+module.exports = computeRectangleFromCorners;
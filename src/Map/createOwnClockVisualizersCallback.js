@@ -0,0 +1,53 @@
+'use strict';
+
+/*global require*/
+var defined = require('../../third_party/cesium/Source/Core/defined');
+var DeveloperError = require('../../third_party/cesium/Source/Core/DeveloperError');
+
+// Wraps a visualizer so that it is updated at the display time of its data source.
+var OwnClockVisualizer = function(application, dataSource, visualizer) {
+    this._application = application;
+    this._dataSource = dataSource;
+    this._visualizer = visualizer;
+
+    if (defined(visualizer.getBoundingSphere)) {
+        this.getBoundingSphere = visualizer.getBoundingSphere.bind(visualizer);
+    }
+};
+
+// The time given by the DataSourceDisplay is always that of the application's clock, so it is replaced.
+OwnClockVisualizer.prototype.update = function() {
+    return this._visualizer.update(this._application.nowViewing.getDisplayTime(this._dataSource));
+};
+
+OwnClockVisualizer.prototype.isDestroyed = function() {
+    return this._visualizer.isDestroyed();
+};
+
+OwnClockVisualizer.prototype.destroy = function() {
+    return this._visualizer.destroy();
+};
+
+/**
+ * Creates a callback for a {@link DataSourceDisplay} that creates the visualizers of each data source with another
+ * callback, but updates them at the time given by {@link NowViewing#getDisplayTime} for the data source.  Items that use
+ * their own clock (see {@link CatalogItem#useOwnClock}) are then drawn at their own time, while all other data sources
+ * are drawn at the time of the application's clock.
+ *
+ * @param {Application} application The application.
+ * @param {DataSourceDisplay~VisualizersCallback} visualizersCallback The callback that creates the visualizers.
+ * @return {DataSourceDisplay~VisualizersCallback} The callback to pass to the DataSourceDisplay.
+ */
+var createOwnClockVisualizersCallback = function(application, visualizersCallback) {
+    if (!defined(application) || !defined(visualizersCallback)) {
+        throw new DeveloperError('application and visualizersCallback are required.');
+    }
+
+    return function(scene, dataSource) {
+        return visualizersCallback(scene, dataSource).map(function(visualizer) {
+            return new OwnClockVisualizer(application, dataSource, visualizer);
+        });
+    };
+};
+
+module.exports = createOwnClockVisualizersCallback;
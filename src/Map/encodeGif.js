@@ -0,0 +1,261 @@
+'use strict';
+
+/*global require,Uint8Array,Uint32Array,Int16Array,Float64Array*/
+var defaultValue = require('../../third_party/cesium/Source/Core/defaultValue');
+var defined = require('../../third_party/cesium/Source/Core/defined');
+var DeveloperError = require('../../third_party/cesium/Source/Core/DeveloperError');
+
+// Colors are counted in bins of 5 bits per channel when choosing the palette.
+var binCount = 32 * 32 * 32;
+
+// About this many pixels are sampled when choosing the palette, however many frames there are.
+var maxPaletteSamples = 500000;
+
+/**
+ * Encodes a sequence of frames as an animated GIF.  GIFs have at most 256 colors, so the frames share a palette of
+ * the colors that are most common across all of them, and each pixel is drawn with the nearest palette color.
+ *
+ * @param {ImageData[]} frames The frames, which must all be the same size.  Only their `width`, `height`, and RGBA
+ *        `data` are used, so objects with those properties may be used as well as ImageData.
+ * @param {Object} [options] Object with the following properties:
+ * @param {Number} [options.delay=200] The time for which each frame is shown, in milliseconds.  GIFs store this in
+ *        hundredths of a second.
+ * @param {Boolean} [options.loop=true] True if the animation should repeat forever, false if it should play once.
+ * @return {Uint8Array} The GIF file.
+ */
+var encodeGif = function(frames, options) {
+    if (!defined(frames) || frames.length === 0) {
+        throw new DeveloperError('At least one frame is required.');
+    }
+
+    options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+    var delay = Math.round(defaultValue(options.delay, 200) / 10);
+    var loop = defaultValue(options.loop, true);
+
+    var width = frames[0].width;
+    var height = frames[0].height;
+    var palette = computePalette(frames);
+
+    var out = [];
+    writeString(out, 'GIF89a');
+    writeShort(out, width);
+    writeShort(out, height);
+    // A global color table of 256 entries with 8 bits per channel, no background color, and square pixels.
+    out.push(0xf7, 0, 0);
+    for (var i = 0; i < 256 * 3; ++i) {
+        out.push(defaultValue(palette.colors[i], 0));
+    }
+
+    if (loop) {
+        // The Netscape application extension, which makes the animation repeat forever.
+        out.push(0x21, 0xff, 11);
+        writeString(out, 'NETSCAPE2.0');
+        out.push(3, 1, 0, 0, 0);
+    }
+
+    for (var f = 0; f < frames.length; ++f) {
+        var frame = frames[f];
+        if (frame.width !== width || frame.height !== height) {
+            throw new DeveloperError('All frames must be the same size.');
+        }
+
+        // Graphic control extension with the frame delay.
+        out.push(0x21, 0xf9, 4, 0);
+        writeShort(out, delay);
+        out.push(0, 0);
+
+        // Image descriptor covering the whole image, without a local color table.
+        out.push(0x2c);
+        writeShort(out, 0);
+        writeShort(out, 0);
+        writeShort(out, width);
+        writeShort(out, height);
+        out.push(0);
+
+        writeLzw(out, indexPixels(frame.data, palette));
+    }
+
+    out.push(0x3b);
+
+    return new Uint8Array(out);
+};
+
+function writeString(out, value) {
+    for (var i = 0; i < value.length; ++i) {
+        out.push(value.charCodeAt(i));
+    }
+}
+
+function writeShort(out, value) {
+    out.push(value & 0xff, (value >> 8) & 0xff);
+}
+
+function binOf(data, offset) {
+    return ((data[offset] >> 3) << 10) | ((data[offset + 1] >> 3) << 5) | (data[offset + 2] >> 3);
+}
+
+// Chooses the (up to) 256 most common colors, each the average of the colors in its bin.
+function computePalette(frames) {
+    var counts = new Uint32Array(binCount);
+    var sums = new Float64Array(binCount * 3);
+
+    var totalPixels = frames.length * frames[0].width * frames[0].height;
+    var stride = Math.max(1, Math.floor(totalPixels / maxPaletteSamples)) * 4;
+
+    var bin, i;
+    for (var f = 0; f < frames.length; ++f) {
+        var data = frames[f].data;
+        for (i = 0; i < data.length; i += stride) {
+            bin = binOf(data, i);
+            ++counts[bin];
+            sums[bin * 3] += data[i];
+            sums[bin * 3 + 1] += data[i + 1];
+            sums[bin * 3 + 2] += data[i + 2];
+        }
+    }
+
+    var bins = [];
+    for (bin = 0; bin < binCount; ++bin) {
+        if (counts[bin] > 0) {
+            bins.push(bin);
+        }
+    }
+    bins.sort(function(a, b) {
+        return counts[b] - counts[a];
+    });
+    bins.length = Math.min(bins.length, 256);
+
+    var colors = [];
+    for (i = 0; i < bins.length; ++i) {
+        bin = bins[i];
+        colors.push(Math.round(sums[bin * 3] / counts[bin]),
+                    Math.round(sums[bin * 3 + 1] / counts[bin]),
+                    Math.round(sums[bin * 3 + 2] / counts[bin]));
+    }
+
+    // The palette index for each bin, found as it is needed.
+    var lookup = new Int16Array(binCount);
+    for (i = 0; i < binCount; ++i) {
+        lookup[i] = -1;
+    }
+
+    return {
+        colors: colors,
+        lookup: lookup
+    };
+}
+
+function nearestColor(palette, bin) {
+    var red = ((bin >> 10) << 3) + 4;
+    var green = (((bin >> 5) & 31) << 3) + 4;
+    var blue = ((bin & 31) << 3) + 4;
+
+    var colors = palette.colors;
+    var best = 0;
+    var bestDistance = Number.MAX_VALUE;
+    for (var i = 0; i < colors.length; i += 3) {
+        var dr = colors[i] - red;
+        var dg = colors[i + 1] - green;
+        var db = colors[i + 2] - blue;
+        var distance = dr * dr + dg * dg + db * db;
+        if (distance < bestDistance) {
+            bestDistance = distance;
+            best = i / 3;
+        }
+    }
+    return best;
+}
+
+function indexPixels(data, palette) {
+    var lookup = palette.lookup;
+    var indices = new Uint8Array(data.length / 4);
+    for (var i = 0; i < indices.length; ++i) {
+        var bin = binOf(data, i * 4);
+        if (lookup[bin] < 0) {
+            lookup[bin] = nearestColor(palette, bin);
+        }
+        indices[i] = lookup[bin];
+    }
+    return indices;
+}
+
+// Writes the palette indices of a frame as GIF LZW-compressed data sub-blocks.
+function writeLzw(out, indices) {
+    var minCodeSize = 8;
+    var clearCode = 1 << minCodeSize;
+    var endCode = clearCode + 1;
+
+    out.push(minCodeSize);
+
+    var block = [];
+    var bits = 0;
+    var bitCount = 0;
+    var codeSize = minCodeSize + 1;
+
+    function writeCode(code) {
+        bits |= code << bitCount;
+        bitCount += codeSize;
+        while (bitCount >= 8) {
+            block.push(bits & 0xff);
+            bits >>>= 8;
+            bitCount -= 8;
+            if (block.length === 255) {
+                out.push(255);
+                Array.prototype.push.apply(out, block);
+                block = [];
+            }
+        }
+    }
+
+    // The code for each string, keyed by the code of its prefix and its last index.  Zero means no code,
+    // and the keys that have been set are remembered so that the table can be cleared quickly.
+    var table = new Int16Array(4096 * 256);
+    var keys = [];
+    var nextCode = endCode + 1;
+
+    writeCode(clearCode);
+
+    var prefix = indices[0];
+    for (var i = 1; i < indices.length; ++i) {
+        var index = indices[i];
+        var key = prefix * 256 + index;
+        if (table[key] !== 0) {
+            prefix = table[key];
+            continue;
+        }
+
+        writeCode(prefix);
+
+        if (nextCode === 4096) {
+            writeCode(clearCode);
+            for (var k = 0; k < keys.length; ++k) {
+                table[keys[k]] = 0;
+            }
+            keys.length = 0;
+            nextCode = endCode + 1;
+            codeSize = minCodeSize + 1;
+        } else {
+            if (nextCode >= (1 << codeSize)) {
+                ++codeSize;
+            }
+            table[key] = nextCode++;
+            keys.push(key);
+        }
+
+        prefix = index;
+    }
+
+    writeCode(prefix);
+    writeCode(endCode);
+
+    if (bitCount > 0) {
+        block.push(bits & 0xff);
+    }
+    if (block.length > 0) {
+        out.push(block.length);
+        Array.prototype.push.apply(out, block);
+    }
+    out.push(0);
+}
+
+module.exports = encodeGif;
@@ -0,0 +1,100 @@
+'use strict';
+
+/*global require,Uint8Array*/
+var defined = require('../../third_party/cesium/Source/Core/defined');
+var DeveloperError = require('../../third_party/cesium/Source/Core/DeveloperError');
+
+/**
+ * Encodes a single-page PDF document whose page is filled by a JPEG image.  PDF readers decode JPEG images themselves,
+ * so the image is stored as it is.
+ *
+ * @param {Uint8Array} jpeg The JPEG file, which must use RGB colors.
+ * @param {Object} options Object with the following properties:
+ * @param {Number} options.imageWidth The width of the image, in pixels.
+ * @param {Number} options.imageHeight The height of the image, in pixels.
+ * @param {Number} options.pageWidth The width of the page, in points (1/72 inch).
+ * @param {Number} options.pageHeight The height of the page, in points (1/72 inch).
+ * @return {Uint8Array} The PDF file.
+ */
+var encodePdf = function(jpeg, options) {
+    if (!defined(jpeg)) {
+        throw new DeveloperError('jpeg is required.');
+    }
+    if (!defined(options) || !defined(options.imageWidth) || !defined(options.imageHeight) ||
+        !defined(options.pageWidth) || !defined(options.pageHeight)) {
+        throw new DeveloperError('The image and page sizes are required.');
+    }
+
+    var pageWidth = formatNumber(options.pageWidth);
+    var pageHeight = formatNumber(options.pageHeight);
+
+    // Draw the image, which is one unit square, scaled to cover the page.
+    var contents = 'q ' + pageWidth + ' 0 0 ' + pageHeight + ' 0 0 cm /Im0 Do Q';
+
+    var objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+        '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ' + pageWidth + ' ' + pageHeight + '] ' +
+            '/Resources << /XObject << /Im0 4 0 R >> >> /Contents 5 0 R >>',
+        ['<< /Type /XObject /Subtype /Image /Width ' + options.imageWidth + ' /Height ' + options.imageHeight +
+            ' /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ' + jpeg.length + ' >>\nstream\n',
+         jpeg,
+         '\nendstream'],
+        '<< /Length ' + contents.length + ' >>\nstream\n' + contents + '\nendstream'
+    ];
+
+    var parts = [];
+    var length = 0;
+    function write(part) {
+        if (typeof part === 'string') {
+            part = stringToBytes(part);
+        }
+        parts.push(part);
+        length += part.length;
+    }
+
+    // The comment with bytes above 127 tells file transfer programs that the file is binary.
+    write('%PDF-1.4\n');
+    write(new Uint8Array([0x25, 0xe2, 0xe3, 0xcf, 0xd3, 0x0a]));
+
+    var offsets = [];
+    for (var i = 0; i < objects.length; ++i) {
+        offsets.push(length);
+        write((i + 1) + ' 0 obj\n');
+        var object = typeof objects[i] === 'string' ? [objects[i]] : objects[i];
+        for (var j = 0; j < object.length; ++j) {
+            write(object[j]);
+        }
+        write('\nendobj\n');
+    }
+
+    var xrefOffset = length;
+    var xref = 'xref\n0 ' + (objects.length + 1) + '\n0000000000 65535 f \n';
+    for (i = 0; i < offsets.length; ++i) {
+        xref += ('0000000000' + offsets[i]).slice(-10) + ' 00000 n \n';
+    }
+    write(xref);
+    write('trailer\n<< /Size ' + (objects.length + 1) + ' /Root 1 0 R >>\nstartxref\n' + xrefOffset + '\n%%EOF\n');
+
+    var result = new Uint8Array(length);
+    var offset = 0;
+    for (i = 0; i < parts.length; ++i) {
+        result.set(parts[i], offset);
+        offset += parts[i].length;
+    }
+    return result;
+};
+
+function formatNumber(value) {
+    return parseFloat(value.toFixed(2)).toString();
+}
+
+function stringToBytes(value) {
+    var bytes = new Uint8Array(value.length);
+    for (var i = 0; i < value.length; ++i) {
+        bytes[i] = value.charCodeAt(i);
+    }
+    return bytes;
+}
+
+module.exports = encodePdf;
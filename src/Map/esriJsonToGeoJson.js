@@ -0,0 +1,159 @@
+'use strict';
+
+/*global require*/
+var defined = require('../../third_party/cesium/Source/Core/defined');
+var DeveloperError = require('../../third_party/cesium/Source/Core/DeveloperError');
+
+/**
+ * Converts a FeatureSet returned by an ArcGIS REST query, in Esri JSON, to a GeoJSON FeatureCollection.  The coordinates
+ * of the features must already be longitudes and latitudes, as when the query's outSR is 4326.  The rings of an Esri
+ * polygon are outer rings if they are clockwise and holes if they are counterclockwise, and each hole is added to the
+ * outer ring that contains it.
+ *
+ * @param {Object} featureSet The Esri JSON FeatureSet.
+ * @return {Object} The GeoJSON FeatureCollection.
+ */
+var esriJsonToGeoJson = function(featureSet) {
+    if (!defined(featureSet)) {
+        throw new DeveloperError('featureSet is required.');
+    }
+
+    var features = defined(featureSet.features) ? featureSet.features : [];
+    var result = [];
+
+    for (var i = 0; i < features.length; ++i) {
+        var feature = features[i];
+        var geometry = defined(feature.geometry) ? convertGeometry(feature.geometry) : undefined;
+        if (!defined(geometry)) {
+            continue;
+        }
+
+        result.push({
+            type: 'Feature',
+            geometry: geometry,
+            properties: defined(feature.attributes) ? feature.attributes : {}
+        });
+    }
+
+    return {
+        type: 'FeatureCollection',
+        crs: { type: 'EPSG', properties: { code: '4326' } },
+        features: result
+    };
+};
+
+function convertGeometry(geometry) {
+    if (defined(geometry.x) && defined(geometry.y)) {
+        if (isNaN(geometry.x) || isNaN(geometry.y)) {
+            // An empty point.
+            return undefined;
+        }
+        return {
+            type: 'Point',
+            coordinates: [geometry.x, geometry.y]
+        };
+    }
+
+    if (defined(geometry.points)) {
+        return {
+            type: 'MultiPoint',
+            coordinates: geometry.points
+        };
+    }
+
+    if (defined(geometry.paths)) {
+        if (geometry.paths.length === 1) {
+            return {
+                type: 'LineString',
+                coordinates: geometry.paths[0]
+            };
+        }
+        return {
+            type: 'MultiLineString',
+            coordinates: geometry.paths
+        };
+    }
+
+    if (defined(geometry.rings)) {
+        var polygons = ringsToPolygons(geometry.rings);
+        if (polygons.length === 1) {
+            return {
+                type: 'Polygon',
+                coordinates: polygons[0]
+            };
+        }
+        return {
+            type: 'MultiPolygon',
+            coordinates: polygons
+        };
+    }
+
+    return undefined;
+}
+
+function ringsToPolygons(rings) {
+    var polygons = [];
+    var holes = [];
+
+    for (var i = 0; i < rings.length; ++i) {
+        var ring = rings[i];
+        if (ring.length < 4) {
+            continue;
+        }
+
+        if (isClockwise(ring)) {
+            polygons.push([ring]);
+        } else {
+            holes.push(ring);
+        }
+    }
+
+    for (var j = 0; j < holes.length; ++j) {
+        var hole = holes[j];
+        var outer = findPolygonContaining(polygons, hole[0]);
+        if (defined(outer)) {
+            outer.push(hole);
+        } else {
+            // A counterclockwise ring that is not inside any outer ring is an outer ring wound the wrong way.
+            polygons.push([hole.slice().reverse()]);
+        }
+    }
+
+    return polygons;
+}
+
+function findPolygonContaining(polygons, point) {
+    for (var i = 0; i < polygons.length; ++i) {
+        if (isPointInRing(point, polygons[i][0])) {
+            return polygons[i];
+        }
+    }
+    return undefined;
+}
+
+// A ring is clockwise if its signed area, with y pointing up, is negative.
+function isClockwise(ring) {
+    var sum = 0;
+    for (var i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        sum += (ring[i][0] - ring[j][0]) * (ring[i][1] + ring[j][1]);
+    }
+    return sum > 0;
+}
+
+function isPointInRing(point, ring) {
+    var x = point[0];
+    var y = point[1];
+    var isInside = false;
+
+    for (var i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        var xi = ring[i][0], yi = ring[i][1];
+        var xj = ring[j][0], yj = ring[j][1];
+        if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+            isInside = !isInside;
+        }
+    }
+
+    return isInside;
+}
+
+module.exports = esriJsonToGeoJson;
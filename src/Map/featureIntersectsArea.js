@@ -0,0 +1,144 @@
+'use strict';
+
+/*global require*/
+var defined = require('../../third_party/cesium/Source/Core/defined');
+var DeveloperError = require('../../third_party/cesium/Source/Core/DeveloperError');
+
+/**
+ * Determines whether a GeoJSON feature lies at least partly within an area of the map.  A feature is within the area if
+ * any of its points are inside the area, if any of its lines cross the boundary of the area, or if it is a polygon that
+ * contains the area.  Coordinates are treated as planar longitudes and latitudes, so lines follow the map's grid rather
+ * than great circles, and areas that cross the antimeridian are not supported.
+ *
+ * @param {Object} feature The GeoJSON feature, whose coordinates are longitudes and latitudes in degrees.
+ * @param {Number[][]} area The corners of the area, as [longitude, latitude] pairs in degrees.  The last corner is joined
+ *        to the first.
+ * @return {Boolean} True if the feature is within the area; otherwise, false.
+ */
+var featureIntersectsArea = function(feature, area) {
+    if (!defined(feature) || !defined(area)) {
+        throw new DeveloperError('feature and area are required.');
+    }
+
+    var geometry = feature.geometry;
+    if (!defined(geometry) || area.length < 3) {
+        return false;
+    }
+
+    var lines = [];
+    var polygons = [];
+    collectGeometry(geometry, lines, polygons);
+
+    var i, j;
+    for (i = 0; i < lines.length; ++i) {
+        var line = lines[i];
+        for (j = 0; j < line.length; ++j) {
+            if (isPointInRing(line[j], area)) {
+                return true;
+            }
+        }
+    }
+
+    for (i = 0; i < lines.length; ++i) {
+        if (linesCross(lines[i], area)) {
+            return true;
+        }
+    }
+
+    // The area may be entirely inside a polygon, so that none of the polygon's corners or edges are inside the area.
+    for (i = 0; i < polygons.length; ++i) {
+        var rings = polygons[i];
+        if (isPointInRing(area[0], rings[0])) {
+            var isInHole = false;
+            for (j = 1; j < rings.length; ++j) {
+                isInHole = isInHole || isPointInRing(area[0], rings[j]);
+            }
+            if (!isInHole) {
+                return true;
+            }
+        }
+    }
+
+    return false;
+};
+
+// Collects the lines of a geometry, as arrays of positions, and the polygons, as arrays of rings.  A point is collected as a
+// line with a single position, and each ring of a polygon is also collected as a line.
+function collectGeometry(geometry, lines, polygons) {
+    var coordinates = geometry.coordinates;
+    var i;
+
+    switch (geometry.type) {
+        case 'Point':
+            lines.push([coordinates]);
+            break;
+        case 'MultiPoint':
+            for (i = 0; i < coordinates.length; ++i) {
+                lines.push([coordinates[i]]);
+            }
+            break;
+        case 'LineString':
+            lines.push(coordinates);
+            break;
+        case 'MultiLineString':
+            lines.push.apply(lines, coordinates);
+            break;
+        case 'Polygon':
+            lines.push.apply(lines, coordinates);
+            polygons.push(coordinates);
+            break;
+        case 'MultiPolygon':
+            for (i = 0; i < coordinates.length; ++i) {
+                lines.push.apply(lines, coordinates[i]);
+                polygons.push(coordinates[i]);
+            }
+            break;
+        case 'GeometryCollection':
+            for (i = 0; i < geometry.geometries.length; ++i) {
+                collectGeometry(geometry.geometries[i], lines, polygons);
+            }
+            break;
+    }
+}
+
+// Uses the even-odd rule, by counting the edges of the ring that a ray from the point crosses.
+function isPointInRing(point, ring) {
+    var x = point[0];
+    var y = point[1];
+    var isInside = false;
+
+    for (var i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        var xi = ring[i][0], yi = ring[i][1];
+        var xj = ring[j][0], yj = ring[j][1];
+        if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+            isInside = !isInside;
+        }
+    }
+
+    return isInside;
+}
+
+function linesCross(line, area) {
+    for (var i = 1; i < line.length; ++i) {
+        for (var j = 0, k = area.length - 1; j < area.length; k = j++) {
+            if (segmentsCross(line[i - 1], line[i], area[k], area[j])) {
+                return true;
+            }
+        }
+    }
+    return false;
+}
+
+function segmentsCross(a, b, c, d) {
+    var abc = orientation(a, b, c);
+    var abd = orientation(a, b, d);
+    var cda = orientation(c, d, a);
+    var cdb = orientation(c, d, b);
+    return abc * abd < 0 && cda * cdb < 0;
+}
+
+function orientation(a, b, c) {
+    return (b[0] - a[0]) * (c[1] - a[1]) - (b[1] - a[1]) * (c[0] - a[0]);
+}
+
+module.exports = featureIntersectsArea;
@@ -0,0 +1,119 @@
+'use strict';
+
+/*global require*/
+var Color = require('../../third_party/cesium/Source/Core/Color');
+var defaultValue = require('../../third_party/cesium/Source/Core/defaultValue');
+var defined = require('../../third_party/cesium/Source/Core/defined');
+var DeveloperError = require('../../third_party/cesium/Source/Core/DeveloperError');
+
+var defaultColor = '#F5A623';
+
+/**
+ * Converts a GeoJSON FeatureCollection of Points, LineStrings and Polygons to a KML document.  The `name` and
+ * `description` properties of each feature become the name and description of its placemark, and its simplestyle
+ * properties (`stroke`, `stroke-width`, `fill`, `fill-opacity` and `marker-color`) become the placemark's style.
+ * A Point with a `text` property becomes a placemark that shows the text as a label, without an icon.
+ *
+ * @param {Object} featureCollection The GeoJSON FeatureCollection.
+ * @param {String} [name] The name of the KML document.
+ * @return {String} The KML document.
+ */
+var geoJsonToKml = function(featureCollection, name) {
+    if (!defined(featureCollection) || !defined(featureCollection.features)) {
+        throw new DeveloperError('featureCollection is required.');
+    }
+
+    var lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<kml xmlns="http://www.opengis.net/kml/2.2">',
+        '<Document>'
+    ];
+
+    if (defined(name)) {
+        lines.push('<name>' + escapeXml(name) + '</name>');
+    }
+
+    featureCollection.features.forEach(function(feature) {
+        var placemark = createPlacemark(feature);
+        if (defined(placemark)) {
+            lines.push(placemark);
+        }
+    });
+
+    lines.push('</Document>', '</kml>');
+
+    return lines.join('\n');
+};
+
+function createPlacemark(feature) {
+    var geometry = feature.geometry;
+    if (!defined(geometry)) {
+        return undefined;
+    }
+
+    var properties = defaultValue(feature.properties, defaultValue.EMPTY_OBJECT);
+    var stroke = defaultValue(properties.stroke, defaultColor);
+    var geometryXml;
+    var styleXml;
+
+    if (geometry.type === 'Point') {
+        geometryXml = '<Point><coordinates>' + formatCoordinates([geometry.coordinates]) + '</coordinates></Point>';
+        if (defined(properties.text)) {
+            styleXml = '<IconStyle><scale>0</scale></IconStyle>' +
+                       '<LabelStyle><color>' + toKmlColor(stroke, 1.0) + '</color></LabelStyle>';
+        } else {
+            styleXml = '<IconStyle><color>' + toKmlColor(defaultValue(properties['marker-color'], defaultColor), 1.0) + '</color></IconStyle>';
+        }
+    } else if (geometry.type === 'LineString') {
+        geometryXml = '<LineString><tessellate>1</tessellate><coordinates>' + formatCoordinates(geometry.coordinates) + '</coordinates></LineString>';
+        styleXml = createLineStyle(properties, stroke);
+    } else if (geometry.type === 'Polygon') {
+        geometryXml = '<Polygon><tessellate>1</tessellate>' +
+                      '<outerBoundaryIs><LinearRing><coordinates>' + formatCoordinates(geometry.coordinates[0]) + '</coordinates></LinearRing></outerBoundaryIs>' +
+                      geometry.coordinates.slice(1).map(function(ring) {
+                          return '<innerBoundaryIs><LinearRing><coordinates>' + formatCoordinates(ring) + '</coordinates></LinearRing></innerBoundaryIs>';
+                      }).join('') +
+                      '</Polygon>';
+        styleXml = createLineStyle(properties, stroke) +
+                   '<PolyStyle><color>' + toKmlColor(defaultValue(properties.fill, stroke), defaultValue(properties['fill-opacity'], 0.4)) + '</color></PolyStyle>';
+    } else {
+        return undefined;
+    }
+
+    var name = defaultValue(properties.text, properties.name);
+
+    return '<Placemark>' +
+           (defined(name) ? '<name>' + escapeXml(name) + '</name>' : '') +
+           (defined(properties.description) ? '<description>' + escapeXml(properties.description) + '</description>' : '') +
+           '<Style>' + styleXml + '</Style>' +
+           geometryXml +
+           '</Placemark>';
+}
+
+function createLineStyle(properties, stroke) {
+    return '<LineStyle><color>' + toKmlColor(stroke, 1.0) + '</color><width>' + defaultValue(properties['stroke-width'], 2) + '</width></LineStyle>';
+}
+
+function formatCoordinates(positions) {
+    return positions.map(function(position) {
+        return position.join(',');
+    }).join(' ');
+}
+
+// KML colors are written as aabbggrr in hexadecimal.
+function toKmlColor(cssColor, alpha) {
+    var color = defaultValue(Color.fromCssColorString(cssColor), Color.WHITE);
+    var bytes = color.withAlpha(alpha).toBytes();
+    return [bytes[3], bytes[2], bytes[1], bytes[0]].map(function(value) {
+        return (value < 16 ? '0' : '') + value.toString(16);
+    }).join('');
+}
+
+function escapeXml(text) {
+    return String(text).replace(/&/g, '&amp;')
+                       .replace(/</g, '&lt;')
+                       .replace(/>/g, '&gt;')
+                       .replace(/"/g, '&quot;');
+}
+
+module.exports = geoJsonToKml;
@@ -0,0 +1,271 @@
+'use strict';
+
+/*global require*/
+var defined = require('../../third_party/cesium/Source/Core/defined');
+var JulianDate = require('../../third_party/cesium/Source/Core/JulianDate');
+var RuntimeError = require('../../third_party/cesium/Source/Core/RuntimeError');
+
+var timeOfDayPattern = '(\\d{1,2}):(\\d{2})(?::(\\d{2}(?:\\.\\d+)?))?\\s*([ap]m)?';
+var dayMonthYearRegex = new RegExp('^(\\d{1,2})[/.-](\\d{1,2})[/.-](\\d{4}|\\d{2})(?:[T ]+' + timeOfDayPattern + ')?$', 'i');
+var yearMonthDayRegex = new RegExp('^(\\d{4})[/.-](\\d{1,2})[/.-](\\d{1,2})(?:[T ]+' + timeOfDayPattern + ')?$', 'i');
+var timeOfDayRegex = new RegExp('^' + timeOfDayPattern + '$', 'i');
+var isoWeekRegex = /^(\d{4})-?W(\d{2})(?:-?([1-7]))?(?:[T ](.+))?$/;
+var timePartRegex = /\d[T ]+\d{1,2}:?\d{2}/;
+
+function pad2(n) {
+    return (n < 10 ? '0' : '') + n;
+}
+
+function fromIso8601(iso) {
+    try {
+        return JulianDate.fromIso8601(iso);
+    } catch (e) {
+        return undefined;
+    }
+}
+
+// Returns the seconds since midnight of the time in the tokens starting at index, or undefined if it is invalid
+function secondsOfDay(tokens, index) {
+    var hours = parseInt(tokens[index], 10);
+    var minutes = parseInt(tokens[index + 1], 10);
+    var seconds = defined(tokens[index + 2]) ? parseFloat(tokens[index + 2]) : 0;
+    var amPm = defined(tokens[index + 3]) ? tokens[index + 3].toLowerCase() : undefined;
+
+    if (defined(amPm)) {
+        if (hours < 1 || hours > 12) {
+            return undefined;
+        }
+        hours = (hours % 12) + (amPm === 'pm' ? 12 : 0);
+    }
+    if (hours > 23 || minutes > 59 || seconds >= 60) {
+        return undefined;
+    }
+    return hours * 3600 + minutes * 60 + seconds;
+}
+
+function fromParts(year, month, day, tokens, timeIndex) {
+    if (year < 100) {
+        year += year < 50 ? 2000 : 1900;
+    }
+    var date = fromIso8601(year + '-' + pad2(month) + '-' + pad2(day));
+    if (!defined(date) || !defined(tokens[timeIndex])) {
+        return date;
+    }
+    var seconds = secondsOfDay(tokens, timeIndex);
+    return defined(seconds) ? JulianDate.addSeconds(date, seconds, date) : undefined;
+}
+
+function parseDayMonthYear(value, dayIndex, monthIndex) {
+    var tokens = dayMonthYearRegex.exec(value);
+    if (tokens === null) {
+        return undefined;
+    }
+    return fromParts(parseInt(tokens[3], 10), parseInt(tokens[monthIndex], 10), parseInt(tokens[dayIndex], 10), tokens, 4);
+}
+
+function isEpoch(value, min, max) {
+    return typeof value === 'number' && value >= min && value < max;
+}
+
+/**
+ * The formats understood by {@link parseTimeValues}.  Each has a `parse` function that returns a {@link JulianDate}
+ * (or, for 'timeOfDay', the seconds since midnight), or undefined if the value is not in that format.  Formats that
+ * would accept values that are probably not times at all also have a `detect` function used when guessing the format.
+ * @type {Object}
+ */
+parseTimeValues.formats = {
+    epochSeconds: {
+        parse: function(value) {
+            return typeof value === 'number' ? JulianDate.fromDate(new Date(value * 1000)) : undefined;
+        },
+        // 1973 to 2286
+        detect: function(value) {
+            return isEpoch(value, 1e8, 1e10);
+        }
+    },
+    epochMilliseconds: {
+        parse: function(value) {
+            return typeof value === 'number' ? JulianDate.fromDate(new Date(value)) : undefined;
+        },
+        detect: function(value) {
+            return isEpoch(value, 1e11, 1e13);
+        }
+    },
+    iso8601: {
+        parse: function(value) {
+            if (typeof value === 'number') {
+                // Years, and basic format dates such as 20150131
+                return (value % 1 === 0 && /^(\d{4}|\d{8})$/.test(value.toString())) ? fromIso8601(value.toString()) : undefined;
+            }
+            // Leave week dates to isoWeek
+            if (typeof value !== 'string' || value.indexOf('W') !== -1) {
+                return undefined;
+            }
+            return fromIso8601(value.replace(' ', 'T'));
+        }
+    },
+    isoWeek: {
+        parse: function(value) {
+            var tokens = isoWeekRegex.exec(value);
+            if (tokens === null) {
+                return undefined;
+            }
+            var year = parseInt(tokens[1], 10);
+            var week = parseInt(tokens[2], 10);
+            var dayOfWeek = defined(tokens[3]) ? parseInt(tokens[3], 10) : 1;
+            if (week < 1 || week > 53) {
+                return undefined;
+            }
+
+            // Week 1 is the week with the year's first Thursday in it, and so the week containing 4 January.
+            var date = new Date(Date.UTC(year, 0, 4));
+            var january4DayOfWeek = date.getUTCDay() || 7;
+            date.setUTCDate(4 - january4DayOfWeek + 1 + (week - 1) * 7 + dayOfWeek - 1);
+
+            var iso = date.getUTCFullYear() + '-' + pad2(date.getUTCMonth() + 1) + '-' + pad2(date.getUTCDate());
+            if (defined(tokens[4])) {
+                iso += 'T' + tokens[4];
+            }
+            return fromIso8601(iso);
+        }
+    },
+    ymd: {
+        parse: function(value) {
+            var tokens = yearMonthDayRegex.exec(value);
+            if (tokens === null) {
+                return undefined;
+            }
+            return fromParts(parseInt(tokens[1], 10), parseInt(tokens[2], 10), parseInt(tokens[3], 10), tokens, 4);
+        }
+    },
+    mdy: {
+        parse: function(value) {
+            return parseDayMonthYear(value, 2, 1);
+        }
+    },
+    dmy: {
+        parse: function(value) {
+            return parseDayMonthYear(value, 1, 2);
+        }
+    },
+    timeOfDay: {
+        parse: function(value) {
+            var tokens = timeOfDayRegex.exec(value);
+            return tokens === null ? undefined : secondsOfDay(tokens, 1);
+        }
+    }
+};
+
+// The order in which formats are tried when guessing.  Dates that could be either month/day/year or
+// day/month/year are taken as month/day/year, as JavaScript does.
+var detectionOrder = ['epochSeconds', 'epochMilliseconds', 'iso8601', 'isoWeek', 'ymd', 'mdy', 'dmy', 'timeOfDay'];
+
+function isEmpty(value) {
+    return !defined(value) || value === null || value === '';
+}
+
+function parseWith(format, value, detecting) {
+    if (detecting && defined(format.detect) && !format.detect(value)) {
+        return undefined;
+    }
+    return format.parse(typeof value === 'string' ? value.trim() : value);
+}
+
+/**
+ * Parses a column of date and time values.  If no format is given, the format is detected by checking every value
+ * against each of {@link parseTimeValues.formats} in turn.  Empty values are parsed as undefined.
+ *
+ * @param {Array} values The values to parse.
+ * @param {String} [format] The name of the format of the values, such as 'dmy' or 'epochSeconds'.
+ * @param {Boolean} [required=false] True if the values must be times, so that failing to detect their format is an error.
+ * @return {Object} An object with the `format` of the values, the parsed `vals`, and `hasTimesOfDay`, which is true if
+ *         the values include times of day as well as dates.  Undefined if the format is not given and not required,
+ *         and no value looks like a time.
+ * @exception {RuntimeError} The format is unknown, or a value could not be parsed.
+ */
+function parseTimeValues(values, format, required) {
+    var name, i;
+
+    if (defined(format)) {
+        if (!defined(parseTimeValues.formats[format])) {
+            throw new RuntimeError('Unknown time format: ' + format + '.');
+        }
+        name = format;
+    } else {
+        var firstValue = 0;
+        while (firstValue < values.length && isEmpty(values[firstValue])) {
+            ++firstValue;
+        }
+        if (firstValue === values.length) {
+            if (required) {
+                throw new RuntimeError('There are no date or time values.');
+            }
+            return undefined;
+        }
+
+        var bestName, bestCount = -1, bestFailure;
+        var count, failure;
+        for (var f = 0; f < detectionOrder.length && !defined(name); f++) {
+            count = 0;
+            failure = undefined;
+            for (i = 0; i < values.length; i++) {
+                if (isEmpty(values[i])) {
+                    continue;
+                }
+                if (defined(parseWith(parseTimeValues.formats[detectionOrder[f]], values[i], true))) {
+                    ++count;
+                } else if (!defined(failure)) {
+                    failure = i;
+                }
+            }
+            if (!defined(failure)) {
+                name = detectionOrder[f];
+            } else if (count > bestCount) {
+                bestName = detectionOrder[f];
+                bestCount = count;
+                bestFailure = failure;
+            }
+        }
+
+        // Columns of numbers that are not all in one format, such as 730 for 7:30, are not times,
+        // even if some of them could be years.
+        var allStrings = values.every(function(value) {
+            return isEmpty(value) || typeof value === 'string';
+        });
+
+        if (!defined(name)) {
+            if (bestCount <= 0 || (!allStrings && !required)) {
+                if (required) {
+                    throw new RuntimeError('The values are not in a recognised date or time format, such as "' + values[bestFailure] + '" in row ' + (bestFailure + 2) + '.');
+                }
+                return undefined;
+            }
+            throw new RuntimeError('The value "' + values[bestFailure] + '" in row ' + (bestFailure + 2) +
+                ' is not in the same date format (' + bestName + ') as the other values.  Set the time format to use explicitly with timeFormat.');
+        }
+    }
+
+    var formatter = parseTimeValues.formats[name];
+    var vals = new Array(values.length);
+    var hasTimesOfDay = name === 'epochSeconds' || name === 'epochMilliseconds';
+    for (i = 0; i < values.length; i++) {
+        if (isEmpty(values[i])) {
+            continue;
+        }
+        vals[i] = parseWith(formatter, values[i], false);
+        if (!defined(vals[i])) {
+            throw new RuntimeError('The value "' + values[i] + '" in row ' + (i + 2) + ' is not a ' + name + ' time.');
+        }
+        if (typeof values[i] === 'string' && timePartRegex.test(values[i])) {
+            hasTimesOfDay = true;
+        }
+    }
+
+    return {
+        format: name,
+        vals: vals,
+        hasTimesOfDay: hasTimesOfDay
+    };
+}
+
+module.exports = parseTimeValues;
@@ -0,0 +1,111 @@
+'use strict';
+
+/*global require*/
+var CesiumMath = require('../../third_party/cesium/Source/Core/Math');
+var clone = require('../../third_party/cesium/Source/Core/clone');
+var defined = require('../../third_party/cesium/Source/Core/defined');
+var DeveloperError = require('../../third_party/cesium/Source/Core/DeveloperError');
+var Ellipsoid = require('../../third_party/cesium/Source/Core/Ellipsoid');
+
+var featureIntersectsArea = require('./featureIntersectsArea');
+
+/**
+ * Finds the entities, such as those of a GeoJSON or KML data source, that lie within an area of the map at a given time,
+ * and converts them to GeoJSON features.  The properties of each feature are the entity's properties, as read from a
+ * GeoJSON file, or else just its name.  Entities that are not available at the time, or that have no point, line or
+ * polygon, are left out.
+ *
+ * @param {Entity[]} entities The entities.
+ * @param {Number[][]} area The corners of the area, as [longitude, latitude] pairs in degrees.
+ * @param {JulianDate} time The time at which to find the positions of the entities.
+ * @return {Object[]} The GeoJSON features of the entities within the area.
+ *
+ * @see featureIntersectsArea
+ */
+var queryEntitiesInArea = function(entities, area, time) {
+    if (!defined(entities) || !defined(area) || !defined(time)) {
+        throw new DeveloperError('entities, area and time are required.');
+    }
+
+    var result = [];
+
+    for (var i = 0; i < entities.length; ++i) {
+        var entity = entities[i];
+        if (defined(entity.availability) && !entity.availability.contains(time)) {
+            continue;
+        }
+
+        var geometry = getGeometry(entity, time);
+        if (!defined(geometry)) {
+            continue;
+        }
+
+        var feature = {
+            type: 'Feature',
+            geometry: geometry,
+            properties: defined(entity.properties) ? clone(entity.properties, true) : { name: entity.name }
+        };
+
+        if (featureIntersectsArea(feature, area)) {
+            result.push(feature);
+        }
+    }
+
+    return result;
+};
+
+function getGeometry(entity, time) {
+    if (defined(entity.polygon) && defined(entity.polygon.hierarchy)) {
+        var hierarchy = entity.polygon.hierarchy.getValue(time);
+        if (defined(hierarchy)) {
+            // The hierarchy may be a PolygonHierarchy, or just the positions of its outer ring.
+            var rings = defined(hierarchy.positions) ? [hierarchy.positions].concat((hierarchy.holes || []).map(function(hole) {
+                return hole.positions;
+            })) : [hierarchy];
+
+            return {
+                type: 'Polygon',
+                coordinates: rings.map(function(ring) {
+                    var coordinates = toCoordinatesArray(ring);
+                    coordinates.push(coordinates[0]);
+                    return coordinates;
+                })
+            };
+        }
+    }
+
+    if (defined(entity.polyline) && defined(entity.polyline.positions)) {
+        var positions = entity.polyline.positions.getValue(time);
+        if (defined(positions)) {
+            return {
+                type: 'LineString',
+                coordinates: toCoordinatesArray(positions)
+            };
+        }
+    }
+
+    if (defined(entity.position)) {
+        var position = entity.position.getValue(time);
+        if (defined(position)) {
+            return {
+                type: 'Point',
+                coordinates: toCoordinates(position)
+            };
+        }
+    }
+
+    return undefined;
+}
+
+function toCoordinatesArray(positions) {
+    return positions.map(function(position) {
+        return toCoordinates(position);
+    });
+}
+
+function toCoordinates(position) {
+    var cartographic = Ellipsoid.WGS84.cartesianToCartographic(position);
+    return [CesiumMath.toDegrees(cartographic.longitude), CesiumMath.toDegrees(cartographic.latitude)];
+}
+
+module.exports = queryEntitiesInArea;
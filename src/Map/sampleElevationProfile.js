@@ -0,0 +1,90 @@
+'use strict';
+
+/*global require*/
+var Cartographic = require('../../third_party/cesium/Source/Core/Cartographic');
+var CesiumMath = require('../../third_party/cesium/Source/Core/Math');
+var defaultValue = require('../../third_party/cesium/Source/Core/defaultValue');
+var defined = require('../../third_party/cesium/Source/Core/defined');
+var DeveloperError = require('../../third_party/cesium/Source/Core/DeveloperError');
+var EllipsoidGeodesic = require('../../third_party/cesium/Source/Core/EllipsoidGeodesic');
+var sampleTerrain = require('../../third_party/cesium/Source/Core/sampleTerrain');
+
+var computeGeodesicLength = require('./computeGeodesicLength');
+
+// The circumference of the Earth at the equator, in meters, and the most detailed terrain level that is sampled.
+// Few terrain servers have more detailed levels everywhere, and samples from levels that are missing have no height.
+var equatorialCircumference = 40075017.0;
+var maximumLevel = 11;
+
+/**
+ * Samples the heights of the terrain at evenly spaced points along a path, to draw an elevation profile.
+ * @param {TerrainProvider} terrainProvider The terrain provider from which to sample heights.
+ * @param {Cartographic[]} positions The positions along the path.
+ * @param {Number} [sampleCount=200] The number of points to sample along the whole path.
+ * @return {Promise} A promise that resolves to an array of samples, each with a `distance` along the path and a
+ *         `position`, which is a {@link Cartographic} whose height is the height of the terrain there, or undefined if
+ *         the terrain could not be sampled there.
+ */
+var sampleElevationProfile = function(terrainProvider, positions, sampleCount) {
+    if (!defined(terrainProvider)) {
+        throw new DeveloperError('terrainProvider is required');
+    }
+    if (!defined(positions) || positions.length < 2) {
+        throw new DeveloperError('at least two positions are required');
+    }
+
+    sampleCount = defaultValue(sampleCount, 200);
+
+    var length = computeGeodesicLength(positions);
+    var spacing = length / (sampleCount - 1);
+
+    var samples = [];
+    var geodesic = new EllipsoidGeodesic();
+    var segmentStart = 0.0;
+    var segmentIndex = 0;
+    var segmentLength = setSegment(geodesic, positions, segmentIndex);
+
+    for (var i = 0; i < sampleCount; ++i) {
+        var distance = Math.min(i * spacing, length);
+        while (distance > segmentStart + segmentLength && segmentIndex < positions.length - 2) {
+            segmentStart += segmentLength;
+            ++segmentIndex;
+            segmentLength = setSegment(geodesic, positions, segmentIndex);
+        }
+
+        var position;
+        if (segmentLength === 0.0) {
+            position = Cartographic.clone(positions[segmentIndex]);
+        } else {
+            position = geodesic.interpolateUsingSurfaceDistance(Math.min(distance - segmentStart, segmentLength), new Cartographic());
+        }
+        position.height = 0.0;
+
+        samples.push({
+            distance: distance,
+            position: position
+        });
+    }
+
+    // Sample from the level whose tiles, of about 64 heights across, are spaced about as closely as the samples.
+    var level = Math.ceil(Math.log(equatorialCircumference / (64.0 * Math.max(spacing, 1.0))) / Math.LN2) - 1;
+    level = CesiumMath.clamp(level, 0, maximumLevel);
+
+    return sampleTerrain(terrainProvider, level, samples.map(function(sample) {
+        return sample.position;
+    })).then(function() {
+        return samples;
+    });
+};
+
+function setSegment(geodesic, positions, index) {
+    var start = positions[index];
+    var end = positions[index + 1];
+    if (start.longitude === end.longitude && start.latitude === end.latitude) {
+        return 0.0;
+    }
+    geodesic.setEndPoints(start, end);
+    return geodesic.surfaceDistance;
+}
+
+module.exports = sampleElevationProfile;
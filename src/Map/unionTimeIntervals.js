@@ -0,0 +1,44 @@
+'use strict';
+
+/*global require*/
+var defined = require('../../third_party/cesium/Source/Core/defined');
+var DeveloperError = require('../../third_party/cesium/Source/Core/DeveloperError');
+var JulianDate = require('../../third_party/cesium/Source/Core/JulianDate');
+var TimeInterval = require('../../third_party/cesium/Source/Core/TimeInterval');
+
+/**
+ * Computes the union of a set of time intervals, merging intervals that overlap or touch.  The data of the
+ * intervals is ignored.
+ * @param {TimeInterval[]} intervals The intervals to union, in any order.
+ * @return {TimeInterval[]} The merged intervals, in time order.
+ */
+var unionTimeIntervals = function(intervals) {
+    if (!defined(intervals)) {
+        throw new DeveloperError('intervals is required');
+    }
+
+    var sorted = intervals.filter(function(interval) {
+        return !interval.isEmpty;
+    }).sort(function(a, b) {
+        return JulianDate.compare(a.start, b.start);
+    });
+
+    var result = [];
+    for (var i = 0; i < sorted.length; ++i) {
+        var last = result[result.length - 1];
+        if (defined(last) && JulianDate.lessThanOrEquals(sorted[i].start, last.stop)) {
+            if (JulianDate.greaterThan(sorted[i].stop, last.stop)) {
+                last.stop = JulianDate.clone(sorted[i].stop);
+            }
+        } else {
+            result.push(new TimeInterval({
+                start: JulianDate.clone(sorted[i].start),
+                stop: JulianDate.clone(sorted[i].stop)
+            }));
+        }
+    }
+
+    return result;
+};
+
+module.exports = unionTimeIntervals;
@@ -16,7 +16,9 @@ var when = require('../../third_party/cesium/Source/ThirdParty/when');
 var CameraView = require('./CameraView');
 var Catalog = require('./Catalog');
 var corsProxy = require('../Core/corsProxy');
+var createCatalogMemberFromType = require('./createCatalogMemberFromType');
 var NowViewing = require('./NowViewing');
+var RegionMappingRegistry = require('../Map/RegionMappingRegistry');
 var Services = require('./Services');
 var ViewerMode = require('./ViewerMode');
 var ModelError = require('./ModelError');
@@ -48,6 +50,60 @@ var Application = function() {
      */
     this.baseMap = undefined;
 
+    /**
+     * Gets or sets the base maps that the user may choose from, each an object with a `catalogItem` and the URL of an
+     * `image` that represents it.  The list is replaced by the `baseMaps` property of init sources, each element of which
+     * has the catalog item's JSON as its `item` property, and the URL of the `image`.
+     * @type {Object[]}
+     */
+    this.baseMaps = [];
+
+    /**
+     * Gets or sets the name of the base map that is chosen at startup, if the user hasn't already chosen one.  It may be
+     * set by the `defaultBaseMapName` property of `config.json` or of init sources.  If undefined or there is no base map
+     * with this name, the first base map is chosen.
+     * @type {String}
+     */
+    this.defaultBaseMapName = undefined;
+
+    // The JSON of the base maps that were last loaded, so that they aren't recreated when the same init source is loaded again.
+    this._baseMapsJson = undefined;
+
+    /**
+     * Gets or sets the terrain that the user may choose from in 3D Terrain mode.  Each is an object with a `name`, and the
+     * `type`, `url` and other properties described in {@link createTerrainProvider}.  The list is replaced by the
+     * `terrainOptions` property of `config.json` or of init sources.
+     * @type {Object[]}
+     */
+    this.terrainOptions = [{
+        name: 'Cesium World Terrain',
+        type: 'cesium',
+        url: '//cesiumjs.org/stk-terrain/tilesets/world/tiles'
+    }];
+
+    /**
+     * Gets or sets the terrain shown in 3D Terrain mode, one of the {@link Application#terrainOptions}.  This property is observable.
+     * @type {Object}
+     */
+    this.terrainOption = this.terrainOptions[0];
+
+    /**
+     * Gets or sets the name of the terrain that is chosen when the list of {@link Application#terrainOptions} is replaced.
+     * It may be set by the `defaultTerrainOptionName` property of `config.json` or of init sources.  If undefined or there
+     * is no terrain with this name, the terrain that was chosen before is kept if it is in the new list, or else the first
+     * terrain is chosen.
+     * @type {String}
+     */
+    this.defaultTerrainOptionName = undefined;
+
+    /**
+     * Gets or sets the factor by which the heights of the terrain are multiplied, to make the relief of flat areas easier
+     * to see.  This property is observable.
+     * @type {Number}
+     * @default 1.0
+     */
+    this.terrainExaggeration = 1.0;
+
     /**
      * Gets or sets the event that is raised just before switching between Cesium and Leaflet.
      * @type {Event}
@@ -159,6 +215,20 @@ var Application = function() {
      */
     this.nowViewing = new NowViewing(this);
 
+    /**
+     * Gets or sets the registry of region types that CSV data can be region-mapped against.  It is populated
+     * from the `regionMappings` property of `config.json` and of init sources.
+     * @type {RegionMappingRegistry}
+     */
+    this.regionMappings = new RegionMappingRegistry();
+
+    /**
+     * Gets or sets the base URL of the share record service.  Share requests are POSTed to `upload` relative to this
+     * URL and retrieved from `get/<id>`.  If undefined, share links encode the entire share request in the URL.
+     * @type {String}
+     */
+    this.shareServiceUrl = undefined;
+
     /**
      * Gets or sets the currently-selected feature, or undefined if there is no selected feature.  The selected
      * feature is highlighted by drawing a targetting cursor around it.
@@ -166,7 +236,31 @@ var Application = function() {
      */
     this.selectedFeature = undefined;
 
-    knockout.track(this, ['viewerMode', 'baseMap', '_initialView', 'homeView', 'pickedFeatures', 'selectedFeature']);
+    /**
+     * Gets or sets a value indicating whether the map is split by a draggable divider for comparing data items.  While
+     * it is split, imagery items whose {@link ImageryLayerCatalogItem#splitDirection} is 'left' are shown only to the left
+     * of the divider, and those whose splitDirection is 'right' only to its right.  This property is observable.
+     * @type {Boolean}
+     * @default false
+     */
+    this.showSplitter = false;
+
+    /**
+     * Gets or sets the position of the divider when {@link Application#showSplitter} is true, as a fraction of the
+     * width of the map from its left edge.  This property is observable.
+     * @type {Number}
+     * @default 0.5
+     */
+    this.splitPosition = 0.5;
+
+    /**
+     * Gets or sets the stack of {@link MapInteractionMode}s.  While it is not empty, clicks on the map are passed to
+     * the topmost mode instead of picking features.  This property is observable.
+     * @type {MapInteractionMode[]}
+     */
+    this.mapInteractionModeStack = [];
+
+    knockout.track(this, ['viewerMode', 'baseMap', 'baseMaps', 'terrainOptions', 'terrainOption', 'terrainExaggeration', '_initialView', 'homeView', 'pickedFeatures', 'selectedFeature', 'showSplitter', 'splitPosition', 'mapInteractionModeStack']);
 
     // IE versions prior to 10 don't support CORS, so always use the proxy.
     corsProxy.alwaysUseProxy = (FeatureDetection.isInternetExplorer() && FeatureDetection.internetExplorerVersion()[0] < 10);
@@ -204,7 +298,8 @@ var Application = function() {
  *                                          supplied, is parsed for startup parameters.
  * @param {String} [options.configUrl='config.json'] The URL of the file containing configuration information, such as the list of domains to proxy.
  * @param {Boolean} [options.useApplicationUrlHashAsInitSource=true] true to parse the applicationUrl as an init source.  The hash may be of the form
- *                                                                   'start=???', where ??? is a JSON-encoded initialization object, or it may be
+ *                                                                   'start=???', where ??? is a JSON-encoded initialization object, 'share=???',
+ *                                                                   where ??? is the ID of a share record stored by the share service, or it may be
  *                                                                   a simple string.  If it's a simple string, a file named 'init_' + hash + '.json'
  *                                                                   will be loaded as the init source.  For example, #vic will load init_vic.json.
  */
@@ -215,6 +310,30 @@ Application.prototype.start = function(options) {
     return loadJson(options.configUrl).then(function(config) {
         corsProxy.proxyDomains.push.apply(corsProxy.proxyDomains, config.proxyDomains);
 
+        if (defined(config.shareServiceUrl)) {
+            that.shareServiceUrl = config.shareServiceUrl;
+        }
+
+        if (defined(config.regionMappingServer)) {
+            that.regionMappings.defaultServer = config.regionMappingServer;
+        }
+
+        if (defined(config.regionMappings)) {
+            that.regionMappings.updateFromJson(config.regionMappings);
+        }
+
+        if (defined(config.defaultBaseMapName)) {
+            that.defaultBaseMapName = config.defaultBaseMapName;
+        }
+
+        if (defined(config.defaultTerrainOptionName)) {
+            that.defaultTerrainOptionName = config.defaultTerrainOptionName;
+        }
+
+        if (defined(config.terrainOptions)) {
+            updateTerrainOptions(that, config.terrainOptions);
+        }
+
         var initializationUrls = config.initializationUrls;
 
         if (defined(initializationUrls)) {
@@ -237,10 +356,13 @@ Application.prototype.updateApplicationUrl = function(newUrl) {
     var hash = uri.fragment();
     var hashProperties = queryToObject(hash);
 
-    var initSources = this.initSources.slice();
-    interpretHash(hashProperties, this.userProperties, this.initSources, initSources);
+    var that = this;
+    return loadShareData(this, hashProperties.share).then(function(shareData) {
+        var initSources = that.initSources.slice();
+        interpretHash(hashProperties, shareData, that.userProperties, that.initSources, initSources);
 
-    return loadInitSources(this, initSources);
+        return loadInitSources(that, initSources);
+    });
 };
 
 /**
@@ -280,11 +402,55 @@ Application.prototype.addInitSource = function(initSource) {
             initSource.initialCamera.up);
     }
 
+    // The last init source to specify the state of the splitter wins.
+    if (defined(initSource.splitter)) {
+        this.showSplitter = defaultValue(initSource.splitter.show, false);
+        this.splitPosition = defaultValue(initSource.splitter.position, 0.5);
+    }
+
+    // Add to the region types that CSV data can be region-mapped against.
+    if (defined(initSource.regionMappings)) {
+        this.regionMappings.updateFromJson(initSource.regionMappings);
+    }
+
     // Populate the list of services.
     if (defined(initSource.services)) {
         this.services.services.push.apply(this.services, initSource.services);
     }
 
+    var promises = [];
+
+    // The last init source to specify base maps replaces the list of base maps, keeping the chosen one if it is in the new list.
+    // A base map named by the `baseMapName` property is chosen, as in share links.
+    if (defined(initSource.defaultBaseMapName)) {
+        this.defaultBaseMapName = initSource.defaultBaseMapName;
+    }
+
+    if (defined(initSource.baseMaps)) {
+        promises.push(updateBaseMaps(this, initSource.baseMaps));
+    }
+
+    if (defined(initSource.baseMapName)) {
+        selectBaseMap(this, initSource.baseMapName);
+    }
+
+    // Terrain is handled in the same way.
+    if (defined(initSource.defaultTerrainOptionName)) {
+        this.defaultTerrainOptionName = initSource.defaultTerrainOptionName;
+    }
+
+    if (defined(initSource.terrainOptions)) {
+        updateTerrainOptions(this, initSource.terrainOptions);
+    }
+
+    if (defined(initSource.terrainOptionName)) {
+        selectTerrainOption(this, initSource.terrainOptionName);
+    }
+
+    if (defined(initSource.terrainExaggeration)) {
+        this.terrainExaggeration = initSource.terrainExaggeration;
+    }
+
     // Populate the catalog
     if (defined(initSource.catalog)) {
         var isUserSupplied;
@@ -296,18 +462,18 @@ Application.prototype.addInitSource = function(initSource) {
             isUserSupplied = true;
         }
 
-        return this.catalog.updateFromJson(initSource.catalog, {
+        promises.push(this.catalog.updateFromJson(initSource.catalog, {
             onlyUpdateExistingItems: initSource.catalogOnlyUpdatesExistingItems,
             isUserSupplied: isUserSupplied
-        });
-    } else {
-        return when();
+        }));
     }
+
+    return when.all(promises);
 };
 
 var latestStartVersion = '0.0.04';
 
-function interpretHash(hashProperties, userProperties, persistentInitSources, temporaryInitSources) {
+function interpretHash(hashProperties, shareData, userProperties, persistentInitSources, temporaryInitSources) {
     for (var property in hashProperties) {
         if (hashProperties.hasOwnProperty(property)) {
             var propertyValue = hashProperties[property];
@@ -317,26 +483,9 @@ function interpretHash(hashProperties, userProperties, persistentInitSources, te
                 temporaryInitSources.length = 0;
             }
             else if (property === 'start') {
-                var startData = JSON.parse(propertyValue);
-
-                if (defined(startData.version) && startData.version !== latestStartVersion) {
-                    adjustForBackwardCompatibility(startData);
-                }
-
-                // Include any initSources specified in the URL.
-                if (defined(startData.initSources)) {
-                    for (var i = 0; i < startData.initSources.length; ++i) {
-                        var initSource = startData.initSources[i];
-                        if (temporaryInitSources.indexOf(initSource) < 0) {
-                            temporaryInitSources.push(initSource);
-
-                            // Only add external files to the application's list of init sources.
-                            if (typeof initSource === 'string' && persistentInitSources.indexOf(initSource) < 0) {
-                                persistentInitSources.push(initSource);
-                            }
-                        }
-                    }
-                }
+                interpretStartData(JSON.parse(propertyValue), persistentInitSources, temporaryInitSources);
+            } else if (property === 'share') {
+                interpretStartData(shareData, persistentInitSources, temporaryInitSources);
             } else if (defined(propertyValue) && propertyValue.length > 0) {
                 userProperties[property] = propertyValue;
                 knockout.track(userProperties, [property]);
@@ -349,6 +498,136 @@ function interpretHash(hashProperties, userProperties, persistentInitSources, te
     }
 }
 
+function interpretStartData(startData, persistentInitSources, temporaryInitSources) {
+    if (defined(startData.version) && startData.version !== latestStartVersion) {
+        adjustForBackwardCompatibility(startData);
+    }
+
+    // Include any initSources specified in the URL.
+    if (defined(startData.initSources)) {
+        for (var i = 0; i < startData.initSources.length; ++i) {
+            var initSource = startData.initSources[i];
+            if (temporaryInitSources.indexOf(initSource) < 0) {
+                temporaryInitSources.push(initSource);
+
+                // Only add external files to the application's list of init sources.
+                if (typeof initSource === 'string' && persistentInitSources.indexOf(initSource) < 0) {
+                    persistentInitSources.push(initSource);
+                }
+            }
+        }
+    }
+}
+
+function updateBaseMaps(application, baseMapsJson) {
+    var json = JSON.stringify(baseMapsJson);
+    if (json === application._baseMapsJson) {
+        return when();
+    }
+    application._baseMapsJson = json;
+
+    var promises = [];
+    var baseMaps = baseMapsJson.map(function(baseMapJson) {
+        if (!defined(baseMapJson.item) || !defined(baseMapJson.item.type)) {
+            throw new ModelError({
+                title: 'Invalid base map',
+                message: 'Each base map in the initialization information must have an item with a type.'
+            });
+        }
+
+        var catalogItem = createCatalogMemberFromType(baseMapJson.item.type, application);
+        promises.push(catalogItem.updateFromJson(baseMapJson.item, {
+            isUserSupplied: false
+        }));
+
+        return {
+            image: baseMapJson.image,
+            catalogItem: catalogItem
+        };
+    });
+
+    var previousName = defined(application.baseMap) ? application.baseMap.name : undefined;
+    application.baseMaps = baseMaps;
+
+    if (!selectBaseMap(application, previousName) && !selectBaseMap(application, application.defaultBaseMapName)) {
+        application.baseMap = baseMaps.length > 0 ? baseMaps[0].catalogItem : undefined;
+    }
+
+    return when.all(promises);
+}
+
+function selectBaseMap(application, name) {
+    if (!defined(name)) {
+        return false;
+    }
+
+    for (var i = 0; i < application.baseMaps.length; ++i) {
+        var catalogItem = application.baseMaps[i].catalogItem;
+        if (catalogItem.name === name) {
+            application.baseMap = catalogItem;
+            return true;
+        }
+    }
+    return false;
+}
+
+function updateTerrainOptions(application, terrainOptions) {
+    for (var i = 0; i < terrainOptions.length; ++i) {
+        if (!defined(terrainOptions[i].name) || !defined(terrainOptions[i].type)) {
+            throw new ModelError({
+                title: 'Invalid terrain',
+                message: 'Each terrain option in the configuration or initialization information must have a name and a type.'
+            });
+        }
+    }
+
+    // Keep the chosen terrain when the same init source is loaded again.
+    if (JSON.stringify(terrainOptions) === JSON.stringify(application.terrainOptions)) {
+        return;
+    }
+
+    var previousName = defined(application.terrainOption) ? application.terrainOption.name : undefined;
+    application.terrainOptions = terrainOptions.slice();
+
+    if (!selectTerrainOption(application, application.defaultTerrainOptionName) && !selectTerrainOption(application, previousName)) {
+        application.terrainOption = terrainOptions[0];
+    }
+}
+
+function selectTerrainOption(application, name) {
+    if (!defined(name)) {
+        return false;
+    }
+
+    for (var i = 0; i < application.terrainOptions.length; ++i) {
+        if (application.terrainOptions[i].name === name) {
+            application.terrainOption = application.terrainOptions[i];
+            return true;
+        }
+    }
+    return false;
+}
+
+function loadShareData(application, shareId) {
+    if (!defined(shareId)) {
+        return when();
+    }
+
+    if (!defined(application.shareServiceUrl)) {
+        return when.reject(new ModelError({
+            title: 'Share links are not supported',
+            message: 'This link refers to a shared map, but this server is not configured to store shared maps.'
+        }));
+    }
+
+    return loadJson(application.shareServiceUrl + 'get/' + encodeURIComponent(shareId)).otherwise(function() {
+        throw new ModelError({
+            title: 'Error loading shared map',
+            message: 'An error occurred while loading the shared map with ID ' + shareId + '.  This may indicate that you followed an invalid link or that there is a problem with your Internet connection.'
+        });
+    });
+}
+
 function generateInitializationUrl(url) {
     if (url.toLowerCase().substring(url.length-5) !== '.json') {
         return 'init/' + url + '.json';
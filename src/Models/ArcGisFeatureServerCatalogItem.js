@@ -0,0 +1,486 @@
+'use strict';
+
+/*global require,URI*/
+
+var BillboardGraphics = require('../../third_party/cesium/Source/DataSources/BillboardGraphics');
+var clone = require('../../third_party/cesium/Source/Core/clone');
+var Color = require('../../third_party/cesium/Source/Core/Color');
+var ColorMaterialProperty = require('../../third_party/cesium/Source/DataSources/ColorMaterialProperty');
+var combine = require('../../third_party/cesium/Source/Core/combine');
+var ConstantProperty = require('../../third_party/cesium/Source/DataSources/ConstantProperty');
+var defaultValue = require('../../third_party/cesium/Source/Core/defaultValue');
+var defined = require('../../third_party/cesium/Source/Core/defined');
+var defineProperties = require('../../third_party/cesium/Source/Core/defineProperties');
+var freezeObject = require('../../third_party/cesium/Source/Core/freezeObject');
+var knockout = require('../../third_party/cesium/Source/ThirdParty/knockout');
+var loadJson = require('../../third_party/cesium/Source/Core/loadJson');
+var objectToQuery = require('../../third_party/cesium/Source/Core/objectToQuery');
+var when = require('../../third_party/cesium/Source/ThirdParty/when');
+
+var CatalogItem = require('./CatalogItem');
+var esriJsonToGeoJson = require('../Map/esriJsonToGeoJson');
+var GeoJsonCatalogItem = require('./GeoJsonCatalogItem');
+var inherit = require('../Core/inherit');
+var ModelError = require('./ModelError');
+
+/**
+ * A {@link CatalogItem} representing a layer from an Esri ArcGIS FeatureServer, or a feature layer of a MapServer,
+ * drawn as vector features.  The features are requested in pages of the layer's maxRecordCount and styled with the
+ * layer's renderer.
+ *
+ * @alias ArcGisFeatureServerCatalogItem
+ * @constructor
+ * @extends CatalogItem
+ *
+ * @param {Application} application The application.
+ * @param {String} [url] The URL of the layer, such as 'http://example.com/arcgis/rest/services/Roads/FeatureServer/0'.
+ */
+var ArcGisFeatureServerCatalogItem = function(application, url) {
+    CatalogItem.call(this, application);
+
+    this._geoJsonItem = undefined;
+
+    /**
+     * Gets or sets the URL of the layer, such as 'http://example.com/arcgis/rest/services/Roads/FeatureServer/0'.
+     * This property is observable.
+     * @type {String}
+     */
+    this.url = url;
+
+    /**
+     * Gets or sets the SQL where clause with which to filter the features of the layer, such as "STATE = 'NSW'".
+     * This property is observable.
+     * @type {String}
+     * @default '1=1'
+     */
+    this.where = '1=1';
+
+    /**
+     * Gets or sets a value indicating whether the features should be styled with the layer's renderer.  If this
+     * property is false, the features are drawn in the default style of a {@link GeoJsonCatalogItem}.
+     * This property is observable.
+     * @type {Boolean}
+     * @default true
+     */
+    this.useRenderer = true;
+
+    knockout.track(this, ['url', 'where', 'useRenderer']);
+};
+
+inherit(CatalogItem, ArcGisFeatureServerCatalogItem);
+
+defineProperties(ArcGisFeatureServerCatalogItem.prototype, {
+    /**
+     * Gets the type of data item represented by this instance.
+     * @memberOf ArcGisFeatureServerCatalogItem.prototype
+     * @type {String}
+     */
+    type : {
+        get : function() {
+            return 'esri-featureServer';
+        }
+    },
+
+    /**
+     * Gets a human-readable name for this type of data source, 'Esri ArcGIS FeatureServer'.
+     * @memberOf ArcGisFeatureServerCatalogItem.prototype
+     * @type {String}
+     */
+    typeName : {
+        get : function() {
+            return 'Esri ArcGIS FeatureServer';
+        }
+    },
+
+    /**
+     * Gets the set of functions used to update individual properties in {@link CatalogMember#updateFromJson}.
+     * When a property name in the returned object literal matches the name of a property on this instance, the value
+     * will be called as a function and passed a reference to this instance, a reference to the source JSON object
+     * literal, and the name of the property.
+     * @memberOf ArcGisFeatureServerCatalogItem.prototype
+     * @type {Object}
+     */
+    updaters : {
+        get : function() {
+            return ArcGisFeatureServerCatalogItem.defaultUpdaters;
+        }
+    },
+
+    /**
+     * Gets the set of functions used to serialize individual properties in {@link CatalogMember#serializeToJson}.
+     * When a property name on the model matches the name of a property in the serializers object lieral,
+     * the value will be called as a function and passed a reference to the model, a reference to the destination
+     * JSON object literal, and the name of the property.
+     * @memberOf ArcGisFeatureServerCatalogItem.prototype
+     * @type {Object}
+     */
+    serializers : {
+        get : function() {
+            return ArcGisFeatureServerCatalogItem.defaultSerializers;
+        }
+    }
+});
+
+ArcGisFeatureServerCatalogItem.defaultUpdaters = clone(CatalogItem.defaultUpdaters);
+freezeObject(ArcGisFeatureServerCatalogItem.defaultUpdaters);
+
+ArcGisFeatureServerCatalogItem.defaultSerializers = clone(CatalogItem.defaultSerializers);
+freezeObject(ArcGisFeatureServerCatalogItem.defaultSerializers);
+
+ArcGisFeatureServerCatalogItem.prototype._getValuesThatInfluenceLoad = function() {
+    return [this.url, this.where, this.useRenderer];
+};
+
+ArcGisFeatureServerCatalogItem.prototype._load = function() {
+    this._geoJsonItem = new GeoJsonCatalogItem(this.application);
+
+    var that = this;
+    return loadJson(buildUrl(this, '', { f: 'json' })).then(function(layerJson) {
+        checkForError(layerJson);
+
+        // If our name is just derived from our URL, use the name of the layer instead.
+        if (defined(layerJson.name) && (!defined(that.name) || that.name.length === 0 || nameIsDerivedFromUrl(that.name, that.url))) {
+            that.name = layerJson.name;
+        }
+
+        that._geoJsonItem.name = that.name;
+
+        // The GeoJSON item computes the extent of the features only if we don't already know it.
+        that._geoJsonItem.rectangle = that.rectangle;
+        that._geoJsonItem.data = loadFeatures(that, layerJson);
+
+        return that._geoJsonItem.load().then(function() {
+            that.rectangle = that._geoJsonItem.rectangle;
+
+            if (that.useRenderer && defined(layerJson.drawingInfo) && defined(layerJson.drawingInfo.renderer)) {
+                applyRenderer(that, layerJson.drawingInfo);
+            }
+        });
+    }).otherwise(function(e) {
+        if (e instanceof ModelError) {
+            throw e;
+        }
+
+        throw new ModelError({
+            sender: that,
+            title: 'Could not load the feature layer',
+            message: '\
+An error occurred while retrieving features from the ArcGIS FeatureServer layer.  \
+<p>If you entered the link manually, please verify that the link is correct, and that it is the link to a layer, ending in \
+<code>/FeatureServer/0</code> or similar.</p>\
+<p>This error may also indicate that the server does not support <a href="http://enable-cors.org/" target="_blank">CORS</a>.  If this is your \
+server, verify that CORS is enabled and enable it if it is not.  If you do not control the server, \
+please contact the administrator of the server and ask them to enable CORS.  Or, contact the National \
+Map team by emailing <a href="mailto:nationalmap@lists.nicta.com.au">nationalmap@lists.nicta.com.au</a> \
+and ask us to add this server to the list of non-CORS-supporting servers that may be proxied by \
+National Map itself.</p>\
+<p>If you did not enter this link manually, this error may indicate that the data source you\'re trying to add is temporarily unavailable or there is a \
+problem with your internet connection.  Try adding the data source again, and if the problem persists, please report it by \
+sending an email to <a href="mailto:nationalmap@lists.nicta.com.au">nationalmap@lists.nicta.com.au</a>.</p>'
+        });
+    });
+};
+
+ArcGisFeatureServerCatalogItem.prototype._enable = function() {
+    if (defined(this._geoJsonItem)) {
+        this._geoJsonItem._enable();
+    }
+};
+
+ArcGisFeatureServerCatalogItem.prototype._disable = function() {
+    if (defined(this._geoJsonItem)) {
+        this._geoJsonItem._disable();
+    }
+};
+
+ArcGisFeatureServerCatalogItem.prototype._show = function() {
+    if (defined(this._geoJsonItem)) {
+        this._geoJsonItem._show();
+    }
+};
+
+ArcGisFeatureServerCatalogItem.prototype._hide = function() {
+    if (defined(this._geoJsonItem)) {
+        this._geoJsonItem._hide();
+    }
+};
+
+ArcGisFeatureServerCatalogItem.prototype.queryFeaturesInArea = function(area) {
+    if (!defined(this._geoJsonItem)) {
+        return undefined;
+    }
+    return this._geoJsonItem.queryFeaturesInArea(area);
+};
+
+/**
+ * Finds the symbol with which an ArcGIS renderer draws a feature.  Simple, unique value and class breaks renderers
+ * are supported.
+ *
+ * @param {Object} renderer The renderer, from the drawingInfo of the layer's JSON.
+ * @param {Object} properties The attributes of the feature.
+ * @return {Object} The Esri JSON symbol, or undefined if the renderer does not draw the feature.
+ */
+ArcGisFeatureServerCatalogItem.getSymbol = function(renderer, properties) {
+    var i;
+
+    if (renderer.type === 'simple') {
+        return renderer.symbol;
+    }
+
+    if (renderer.type === 'uniqueValue') {
+        var fields = [renderer.field1, renderer.field2, renderer.field3].filter(function(field) {
+            return defined(field) && field !== null && field.length > 0;
+        });
+        var value = fields.map(function(field) {
+            return String(properties[field]);
+        }).join(defaultValue(renderer.fieldDelimiter, ','));
+
+        var uniqueValueInfos = defaultValue(renderer.uniqueValueInfos, []);
+        for (i = 0; i < uniqueValueInfos.length; ++i) {
+            if (String(uniqueValueInfos[i].value) === value) {
+                return uniqueValueInfos[i].symbol;
+            }
+        }
+
+        return renderer.defaultSymbol;
+    }
+
+    if (renderer.type === 'classBreaks') {
+        var number = parseFloat(properties[renderer.field]);
+        if (isNaN(number)) {
+            return renderer.defaultSymbol;
+        }
+
+        // Each class runs from its classMinValue, or else the previous class's maximum, to its classMaxValue.
+        var classBreakInfos = defaultValue(renderer.classBreakInfos, []);
+        var minimum = renderer.minValue;
+        for (i = 0; i < classBreakInfos.length; ++i) {
+            var info = classBreakInfos[i];
+            if (defined(info.classMinValue) && info.classMinValue !== null) {
+                minimum = info.classMinValue;
+            }
+
+            if ((!defined(minimum) || minimum === null || number >= minimum) && number <= info.classMaxValue) {
+                return info.symbol;
+            }
+
+            minimum = info.classMaxValue;
+        }
+
+        return renderer.defaultSymbol;
+    }
+
+    return undefined;
+};
+
+function loadFeatures(featureServerItem, layerJson) {
+    var pageSize = defaultValue(layerJson.maxRecordCount, 1000);
+    var format = supportsGeoJson(layerJson) ? 'geojson' : 'json';
+
+    var parameters = {
+        where: featureServerItem.where,
+        outFields: '*',
+        outSR: 4326,
+        returnGeometry: true,
+        f: format
+    };
+
+    var promise;
+    if (defined(layerJson.advancedQueryCapabilities) && layerJson.advancedQueryCapabilities.supportsPagination) {
+        promise = loadPages(featureServerItem, parameters, pageSize, 0, []);
+    } else {
+        promise = loadByObjectIds(featureServerItem, parameters, pageSize);
+    }
+
+    return promise.then(function(features) {
+        return {
+            type: 'FeatureCollection',
+            crs: { type: 'EPSG', properties: { code: '4326' } },
+            features: features
+        };
+    });
+}
+
+function loadPages(featureServerItem, parameters, pageSize, offset, features) {
+    var pageParameters = combine({
+        resultOffset: offset,
+        resultRecordCount: pageSize
+    }, parameters);
+
+    return loadQuery(featureServerItem, pageParameters).then(function(page) {
+        features.push.apply(features, page.features);
+        if (page.exceededTransferLimit && page.features.length > 0) {
+            return loadPages(featureServerItem, parameters, pageSize, offset + page.features.length, features);
+        }
+        return features;
+    });
+}
+
+// Servers that do not support pagination can still return the IDs of all the features that match a query, and then
+// the features with some of those IDs.  The IDs are requested in small batches to keep the URLs short, and one batch
+// at a time, as pages are, so that a large layer does not flood the server with requests.
+var maximumObjectIdsPerRequest = 200;
+
+function loadByObjectIds(featureServerItem, parameters, pageSize) {
+    var idParameters = {
+        where: parameters.where,
+        returnIdsOnly: true,
+        f: 'json'
+    };
+
+    return loadJson(buildUrl(featureServerItem, '/query', idParameters)).then(function(json) {
+        checkForError(json);
+
+        var objectIds = defaultValue(json.objectIds, []);
+        if (objectIds === null) {
+            objectIds = [];
+        }
+
+        var batchSize = Math.min(pageSize, maximumObjectIdsPerRequest);
+        return loadBatches(featureServerItem, parameters, objectIds, batchSize, 0, []);
+    });
+}
+
+function loadBatches(featureServerItem, parameters, objectIds, batchSize, offset, features) {
+    if (offset >= objectIds.length) {
+        return when(features);
+    }
+
+    var batchParameters = combine({
+        objectIds: objectIds.slice(offset, offset + batchSize).join(',')
+    }, parameters);
+
+    return loadQuery(featureServerItem, batchParameters).then(function(page) {
+        features.push.apply(features, page.features);
+        return loadBatches(featureServerItem, parameters, objectIds, batchSize, offset + batchSize, features);
+    });
+}
+
+function loadQuery(featureServerItem, parameters) {
+    return loadJson(buildUrl(featureServerItem, '/query', parameters)).then(function(json) {
+        checkForError(json);
+
+        var page = parameters.f === 'geojson' ? json : esriJsonToGeoJson(json);
+
+        // GeoJSON responses report the transfer limit in their properties, if at all.
+        var exceededTransferLimit = json.exceededTransferLimit ||
+            (defined(json.properties) && json.properties.exceededTransferLimit);
+
+        return {
+            features: defaultValue(page.features, []),
+            exceededTransferLimit: exceededTransferLimit
+        };
+    });
+}
+
+function supportsGeoJson(layerJson) {
+    return defined(layerJson.supportedQueryFormats) &&
+           layerJson.supportedQueryFormats.toLowerCase().split(/\s*,\s*/).indexOf('geojson') >= 0;
+}
+
+function checkForError(json) {
+    if (defined(json) && defined(json.error)) {
+        throw new ModelError({
+            title: 'ArcGIS server error',
+            message: 'The ArcGIS server reported an error: ' + defaultValue(json.error.message, 'unknown error') + ' (' + json.error.code + ').'
+        });
+    }
+}
+
+function applyRenderer(featureServerItem, drawingInfo) {
+    var renderer = drawingInfo.renderer;
+    var opacity = 1.0 - defaultValue(drawingInfo.transparency, 0) / 100.0;
+    var imageBaseUrl = cleanUrl(featureServerItem.url) + '/images/';
+
+    var entities = featureServerItem._geoJsonItem._geoJsonDataSource.entities.values;
+    for (var i = 0; i < entities.length; ++i) {
+        var entity = entities[i];
+        var symbol = ArcGisFeatureServerCatalogItem.getSymbol(renderer, defaultValue(entity.properties, {}));
+        if (defined(symbol)) {
+            applySymbol(featureServerItem, entity, symbol, opacity, imageBaseUrl);
+        }
+    }
+}
+
+// Esri symbols give sizes in points, at 96 pixels per inch.
+var pixelsPerPoint = 4.0 / 3.0;
+
+function applySymbol(featureServerItem, entity, symbol, opacity, imageBaseUrl) {
+    var material;
+    var outline = defaultValue(symbol.outline, defaultValue.EMPTY_OBJECT);
+
+    if (defined(entity.point)) {
+        if (symbol.type === 'esriSMS') {
+            entity.point.color = new ConstantProperty(convertColor(symbol.color, opacity));
+            entity.point.pixelSize = new ConstantProperty(defaultValue(symbol.size, 8) * pixelsPerPoint);
+            entity.point.outlineColor = new ConstantProperty(convertColor(outline.color, opacity));
+            entity.point.outlineWidth = new ConstantProperty(defaultValue(outline.width, 0) * pixelsPerPoint);
+        } else if (symbol.type === 'esriPMS') {
+            var image = defined(symbol.imageData) ?
+                'data:' + defaultValue(symbol.contentType, 'image/png') + ';base64,' + symbol.imageData :
+                proxyUrl(featureServerItem.application, new URI(symbol.url).absoluteTo(imageBaseUrl).toString());
+
+            entity.billboard = new BillboardGraphics({
+                image: new ConstantProperty(image),
+                width: new ConstantProperty(defaultValue(symbol.width, 16) * pixelsPerPoint),
+                height: new ConstantProperty(defaultValue(symbol.height, 16) * pixelsPerPoint),
+                color: new ConstantProperty(new Color(1.0, 1.0, 1.0, opacity))
+            });
+            entity.point = undefined;
+        }
+    }
+
+    if (defined(entity.polyline) && symbol.type === 'esriSLS') {
+        material = new ColorMaterialProperty();
+        material.color = new ConstantProperty(convertColor(symbol.color, opacity));
+        entity.polyline.material = material;
+        entity.polyline.width = new ConstantProperty(defaultValue(symbol.width, 1) * pixelsPerPoint);
+    }
+
+    if (defined(entity.polygon) && symbol.type === 'esriSFS') {
+        var fillColor = convertColor(symbol.color, opacity);
+        material = new ColorMaterialProperty();
+        material.color = new ConstantProperty(fillColor);
+        entity.polygon.material = material;
+        entity.polygon.fill = new ConstantProperty(symbol.style !== 'esriSFSNull' && fillColor.alpha > 0);
+        entity.polygon.outline = new ConstantProperty(defined(outline.color) && outline.style !== 'esriSLSNull');
+        entity.polygon.outlineColor = new ConstantProperty(convertColor(outline.color, opacity));
+    }
+}
+
+// Esri colors are arrays of red, green, blue and alpha bytes.
+function convertColor(color, opacity) {
+    if (!defined(color) || color === null) {
+        return new Color(0.0, 0.0, 0.0, 0.0);
+    }
+
+    var result = Color.fromBytes(color[0], color[1], color[2], defaultValue(color[3], 255));
+    result.alpha *= opacity;
+    return result;
+}
+
+function nameIsDerivedFromUrl(name, url) {
+    var trimmedUrl = url.replace(/\/$/, '');
+    return name === url || trimmedUrl.lastIndexOf('/' + name) === trimmedUrl.length - name.length - 1;
+}
+
+function buildUrl(featureServerItem, path, parameters) {
+    return proxyUrl(featureServerItem.application, cleanUrl(featureServerItem.url).replace(/\/$/, '') + path) + '?' + objectToQuery(parameters);
+}
+
+function cleanUrl(url) {
+    // Strip off the search portion of the URL
+    var uri = new URI(url);
+    uri.search('');
+    return uri.toString();
+}
+
+function proxyUrl(application, url) {
+    if (defined(application.corsProxy) && application.corsProxy.shouldUseProxy(url)) {
+        return application.corsProxy.getURL(url);
+    }
+
+    return url;
+}
+
+module.exports = ArcGisFeatureServerCatalogItem;
@@ -16,6 +16,7 @@ var WebMercatorProjection = require('../../third_party/cesium/Source/Core/WebMer
 var ModelError = require('./ModelError');
 var CatalogGroup = require('./CatalogGroup');
 var inherit = require('../Core/inherit');
+var ArcGisFeatureServerCatalogItem = require('./ArcGisFeatureServerCatalogItem');
 var ArcGisMapServerCatalogItem = require('./ArcGisMapServerCatalogItem');
 
 /**
@@ -52,7 +53,17 @@ var ArcGisMapServerCatalogGroup = function(application) {
      */
     this.blacklist = undefined;
 
-    knockout.track(this, ['url', 'dataCustodian', 'blacklist']);
+    /**
+     * Gets or sets a value indicating whether Feature Layers are added to this group as {@link ArcGisFeatureServerCatalogItem}s,
+     * which draw the features as vectors, rather than as {@link ArcGisMapServerCatalogItem}s, which draw them as images
+     * rendered by the server.  The layers of a FeatureServer, which cannot render images, are always added as vectors.
+     * This property is observable.
+     * @type {Boolean}
+     * @default false
+     */
+    this.featureLayersAsVectors = false;
+
+    knockout.track(this, ['url', 'dataCustodian', 'blacklist', 'featureLayersAsVectors']);
 };
 
 inherit(CatalogGroup, ArcGisMapServerCatalogGroup);
@@ -127,7 +138,7 @@ ArcGisMapServerCatalogGroup.defaultSerializers.isLoading = function(wmsGroup, js
 freezeObject(ArcGisMapServerCatalogGroup.defaultSerializers);
 
 ArcGisMapServerCatalogGroup.prototype._getValuesThatInfluenceLoad = function() {
-    return [this.url, this.blacklist];
+    return [this.url, this.blacklist, this.featureLayersAsVectors];
 };
 
 ArcGisMapServerCatalogGroup.prototype._load = function() {
@@ -178,12 +189,15 @@ sending an email to <a href="mailto:nationalmap@lists.nicta.com.au">nationalmap@
     });
 };
 
-function cleanAndProxyUrl(application, url) {
+function cleanUrl(url) {
     // Strip off the search portion of the URL
     var uri = new URI(url);
     uri.search('');
+    return uri.toString();
+}
 
-    var cleanedUrl = uri.toString();
+function cleanAndProxyUrl(application, url) {
+    var cleanedUrl = cleanUrl(url);
     if (defined(application.corsProxy) && application.corsProxy.shouldUseProxy(cleanedUrl)) {
         cleanedUrl = application.corsProxy.getURL(cleanedUrl, '1d');
     }
@@ -221,17 +235,26 @@ function addLayersRecursively(mapServiceGroup, parentID, layers, items, dataCust
     }
 }
 
+var featureServerUrlRegex = /\/FeatureServer\/?$/i;
+
 function createDataSource(mapServiceGroup, layer, dataCustodian) {
-    var result = new ArcGisMapServerCatalogItem(mapServiceGroup.application);
+    var result;
+
+    if (mapServiceGroup.featureLayersAsVectors || featureServerUrlRegex.test(cleanUrl(mapServiceGroup.url))) {
+        result = new ArcGisFeatureServerCatalogItem(mapServiceGroup.application);
+        result.url = cleanUrl(mapServiceGroup.url).replace(/\/$/, '') + '/' + layer.id;
+    } else {
+        result = new ArcGisMapServerCatalogItem(mapServiceGroup.application);
+        result.url = mapServiceGroup.url;
+        result.dataUrl = mapServiceGroup.url;
+        result.dataUrlType = 'direct';
+        result.layers = layer.id.toString();
+        result.maximumScale = layer.maxScale;
+    }
 
     result.name = layer.name;
     result.description = defined(layer.description) && layer.description.length > 0 ? layer.description : mapServiceGroup.description;
     result.dataCustodian = dataCustodian;
-    result.url = mapServiceGroup.url;
-    result.dataUrl = mapServiceGroup.url;
-    result.dataUrlType = 'direct';
-    result.layers = layer.id.toString();
-    result.maximumScale = layer.maxScale;
 
     result.description = '';
 
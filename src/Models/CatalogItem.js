@@ -8,12 +8,15 @@ var defined = require('../../third_party/cesium/Source/Core/defined');
 var defineProperties = require('../../third_party/cesium/Source/Core/defineProperties');
 var DeveloperError = require('../../third_party/cesium/Source/Core/DeveloperError');
 var freezeObject = require('../../third_party/cesium/Source/Core/freezeObject');
+var JulianDate = require('../../third_party/cesium/Source/Core/JulianDate');
 var knockout = require('../../third_party/cesium/Source/ThirdParty/knockout');
 var Rectangle = require('../../third_party/cesium/Source/Core/Rectangle');
+var TimeInterval = require('../../third_party/cesium/Source/Core/TimeInterval');
 var when = require('../../third_party/cesium/Source/ThirdParty/when');
 
 var arraysAreEqual = require('../Core/arraysAreEqual');
 var Metadata = require('./Metadata');
+var MetadataItem = require('./MetadataItem');
 var CatalogMember = require('./CatalogMember');
 var inherit = require('../Core/inherit');
 var raiseErrorOnRejectedPromise = require('./raiseErrorOnRejectedPromise');
@@ -124,6 +127,31 @@ var CatalogItem = function(application) {
      */
     this.clock = undefined;
 
+    /**
+     * Gets or sets a value indicating whether this data item is displayed at its own {@link CatalogItem#currentTime}
+     * instead of the current time of the application's clock, so that it can be compared with other items at other times.
+     * This only has an effect for items whose {@link CatalogItem#supportsOwnClock} is true.  This property is observable.
+     * @type {Boolean}
+     * @default false
+     */
+    this.useOwnClock = false;
+
+    /**
+     * Gets or sets the time at which this data item is displayed when {@link CatalogItem#useOwnClock} is true.
+     * If undefined, the current time of the item's {@link CatalogItem#clock} is used.  This property is observable.
+     * @type {JulianDate}
+     */
+    this.currentTime = undefined;
+
+    /**
+     * Gets or sets details of this data item that are known without asking its server, such as those from the
+     * catalog record that it was created from.  They are listed in the data source metadata of the item's
+     * {@link CatalogItem#metadata} before any details that its type provides, so they must be set before the
+     * metadata is first read.
+     * @type {MetadataItem[]}
+     */
+    this.dataSourceMetadataItems = [];
+
     /**
      * Gets or sets a value indicating whether this data source is currently loading.  This property is observable.
      * @type {Boolean}
@@ -132,7 +160,7 @@ var CatalogItem = function(application) {
 
     knockout.track(this, ['rectangle', 'legendUrl', 'dataUrlType', 'dataUrl', 'dataCustodian',
                           'metadataUrl', 'isEnabled', 'isShown', 'isLegendVisible', 'clock',
-                          'isLoading']);
+                          'useOwnClock', 'currentTime', 'isLoading']);
 
     knockout.getObservable(this, 'isEnabled').subscribe(function(newValue) {
         isEnabledChanged(this);
@@ -141,6 +169,14 @@ var CatalogItem = function(application) {
     knockout.getObservable(this, 'isShown').subscribe(function(newValue) {
         isShownChanged(this);
     }, this);
+
+    knockout.getObservable(this, 'useOwnClock').subscribe(function() {
+        useOwnClockChanged(this);
+    }, this);
+
+    knockout.getObservable(this, 'currentTime').subscribe(function() {
+        this.application.currentViewer.notifyRepaintRequired();
+    }, this);
 };
 
 inherit(CatalogMember, CatalogItem);
@@ -171,6 +207,79 @@ defineProperties(CatalogItem.prototype, {
         }
     },
 
+    /**
+     * Gets a value indicating whether this data item can be shown on just one side of the map when it is split
+     * for comparison (see {@link Application#showSplitter}).
+     * @memberOf CatalogItem.prototype
+     * @type {Boolean}
+     */
+    supportsSplitting : {
+        get : function() {
+            return false;
+        }
+    },
+
+    /**
+     * Gets a value indicating whether this data item can be displayed at its own time, independently of the
+     * application's clock (see {@link CatalogItem#useOwnClock}).
+     * @memberOf CatalogItem.prototype
+     * @type {Boolean}
+     */
+    supportsOwnClock : {
+        get : function() {
+            return false;
+        }
+    },
+
+    /**
+     * Gets the data source whose entities show this data item on the map, or undefined if the item is not shown with
+     * entities, such as an imagery layer.
+     * @memberOf CatalogItem.prototype
+     * @type {DataSource}
+     */
+    dataSource : {
+        get : function() {
+            return undefined;
+        }
+    },
+
+    /**
+     * Gets the time at which this data item is currently displayed.  This is its own {@link CatalogItem#currentTime}
+     * if it uses its own clock, and otherwise the current time of the application's clock.
+     * @memberOf CatalogItem.prototype
+     * @type {JulianDate}
+     */
+    currentDisplayTime : {
+        get : function() {
+            if (this.useOwnClock && this.supportsOwnClock) {
+                if (defined(this.currentTime)) {
+                    return this.currentTime;
+                } else if (defined(this.clock)) {
+                    return this.clock.currentTime;
+                }
+            }
+            return this.application.clock.currentTime;
+        }
+    },
+
+    /**
+     * Gets the periods of time for which this data item has data, which are marked on the timeline.  By default this is
+     * the time range of the item's {@link CatalogItem#clock}, or undefined if it does not have a clock.
+     * @memberOf CatalogItem.prototype
+     * @type {TimeInterval[]}
+     */
+    availability : {
+        get : function() {
+            if (!defined(this.clock)) {
+                return undefined;
+            }
+            return [new TimeInterval({
+                start: this.clock.startTime,
+                stop: this.clock.stopTime
+            })];
+        }
+    },
+
     /**
      * Gets a value indicating whether this data item has a legend.
      * @memberOf CatalogItem.prototype
@@ -205,7 +314,14 @@ defineProperties(CatalogItem.prototype, {
      */
     metadata : {
         get : function() {
-            return CatalogItem.defaultMetadata;
+            if (this.dataSourceMetadataItems.length === 0) {
+                return CatalogItem.defaultMetadata;
+            }
+
+            var result = CatalogItem.createMetadata(this);
+            result.isLoading = false;
+            result.serviceErrorMessage = CatalogItem.defaultMetadata.serviceErrorMessage;
+            return result;
         }
     },
 
@@ -262,6 +378,20 @@ CatalogItem.defaultMetadata.serviceErrorMessage = 'This service does not have an
 
 freezeObject(CatalogItem.defaultMetadata);
 
+/**
+ * Creates the {@link Metadata} of a data item, with the item's {@link CatalogItem#dataSourceMetadataItems} at the start
+ * of its data source metadata.  Types derived from this type should create their metadata with this function and add
+ * their own details after these.
+ *
+ * @param {CatalogItem} catalogItem The data item.
+ * @return {Metadata} The metadata.
+ */
+CatalogItem.createMetadata = function(catalogItem) {
+    var result = new Metadata();
+    result.dataSourceMetadata.items = catalogItem.dataSourceMetadataItems.slice();
+    return result;
+};
+
 /**
  * Gets or sets the set of default updater functions to use in {@link CatalogMember#updateFromJson}.  Types derived from this type
  * should expose this instance - cloned and modified if necesary - through their {@link CatalogMember#updaters} property.
@@ -276,6 +406,16 @@ CatalogItem.defaultUpdaters.rectangle = function(catalogItem, json, propertyName
     }
 };
 
+CatalogItem.defaultUpdaters.currentTime = function(catalogItem, json, propertyName) {
+    catalogItem.currentTime = defined(json.currentTime) ? JulianDate.fromIso8601(json.currentTime) : undefined;
+};
+
+CatalogItem.defaultUpdaters.dataSourceMetadataItems = function(catalogItem, json, propertyName) {
+    catalogItem.dataSourceMetadataItems = defined(json.dataSourceMetadataItems) ? json.dataSourceMetadataItems.map(function(item) {
+        return new MetadataItem(item.name, item.value);
+    }) : [];
+};
+
 freezeObject(CatalogItem.defaultUpdaters);
 
 /**
@@ -295,6 +435,23 @@ CatalogItem.defaultSerializers.rectangle = function(catalogItem, json, propertyN
     }
 };
 
+CatalogItem.defaultSerializers.currentTime = function(catalogItem, json, propertyName) {
+    if (defined(catalogItem.currentTime)) {
+        json.currentTime = JulianDate.toIso8601(catalogItem.currentTime);
+    }
+};
+
+CatalogItem.defaultSerializers.dataSourceMetadataItems = function(catalogItem, json, propertyName) {
+    if (catalogItem.dataSourceMetadataItems.length > 0) {
+        json.dataSourceMetadataItems = catalogItem.dataSourceMetadataItems.map(function(item) {
+            return {
+                name: item.name,
+                value: item.value
+            };
+        });
+    }
+};
+
 freezeObject(CatalogItem.defaultSerializers);
 
 /**
@@ -307,6 +464,8 @@ CatalogItem.defaultPropertiesForSharing.push('isEnabled');
 CatalogItem.defaultPropertiesForSharing.push('isShown');
 CatalogItem.defaultPropertiesForSharing.push('isLegendVisible');
 CatalogItem.defaultPropertiesForSharing.push('nowViewingIndex');
+CatalogItem.defaultPropertiesForSharing.push('useOwnClock');
+CatalogItem.defaultPropertiesForSharing.push('currentTime');
 
 freezeObject(CatalogItem.defaultPropertiesForSharing);
 
@@ -468,8 +627,9 @@ var scratchRectangle = new Rectangle();
 };
 
 /**
- * Uses the {@link CatalogItem#clock} settings from this data item.  If this data item
- * has no clock settings, this method does nothing.  Because the clock update may happen asynchronously
+ * Uses the {@link CatalogItem#clock} settings from this data item.  The timeline is extended to also span the times of
+ * any other time-varying items that are shown (see {@link NowViewing#updateTimeline}).  If this data item
+ * has no clock settings, or is displayed at its own time (see {@link CatalogItem#useOwnClock}), this method does nothing.  Because the clock update may happen asynchronously
  * (for example, if the item's clock parameters are not yet known), this method returns a Promise that
  * resolves when the clock has been updated.
  * @returns {Promise} A promise that resolves when the clock has been updated.
@@ -477,23 +637,18 @@ var scratchRectangle = new Rectangle();
 CatalogItem.prototype.useClock = function() {
     var that = this;
     return when(this.load(), function() {
-        if (!defined(that.clock)) {
+        if (!defined(that.clock) || (that.useOwnClock && that.supportsOwnClock)) {
             return;
         }
 
         $('.cesium-viewer-animationContainer').css('visibility', 'visible');
         $('.cesium-viewer-timelineContainer').css('visibility', 'visible');
 
-        that.clock.getValue(that.application.clock);
+        that.application.nowViewing.updateTimeline(that);
 
         if (defined(that.application.cesium)) {
-            that.application.cesium.viewer.timeline.zoomTo(that.application.clock.startTime, that.application.clock.stopTime);
             that.application.cesium.viewer.forceResize();
         }
-
-        if (defined(that.application.leaflet)) {
-            that.application.leaflet.map.timeline.zoomTo(that.application.clock.startTime, that.application.clock.stopTime);
-        }
     });
 };
 
@@ -509,6 +664,18 @@ CatalogItem.prototype.zoomToAndUseClock = function() {
     return when.all([this.zoomTo(), this.useClock()]);
 };
 
+/**
+ * Finds the features of this data item that lie within an area of the map, as for the Select by Area tool.  The base-class
+ * implementation returns undefined, which indicates that the features of this type of data item cannot be queried.  Derived
+ * classes for vector data should override it.
+ * @param {Number[][]} area The corners of the area, as [longitude, latitude] pairs in degrees.  The last corner is joined
+ *        to the first.
+ * @returns {Promise} A promise for an array of GeoJSON features, or undefined if this data item cannot be queried.
+ */
+CatalogItem.prototype.queryFeaturesInArea = function(area) {
+    return undefined;
+};
+
 /**
  * Enables this data item on the globe or map.  This method:
  * * Should not be called directly.  Instead, set the {@link CatalogItem#isEnabled} property to true.
@@ -770,6 +937,8 @@ function isShownChanged(catalogItem) {
             catalogItem._hide();
         }
 
+        catalogItem.application.nowViewing.updateTimeline();
+
         var duration;
         if (defined(catalogItem._shownDate)) {
             duration = ((Date.now() - catalogItem._shownDate) / 1000.0) | 0;
@@ -782,4 +951,18 @@ function isShownChanged(catalogItem) {
     catalogItem.application.currentViewer.notifyRepaintRequired();
 }
 
+function useOwnClockChanged(catalogItem) {
+    // Start the item's own time where it is currently displayed, as long as that is within the item's time range.
+    if (catalogItem.useOwnClock && !defined(catalogItem.currentTime) && defined(catalogItem.clock)) {
+        var time = catalogItem.application.clock.currentTime;
+        if (JulianDate.lessThan(time, catalogItem.clock.startTime) || JulianDate.greaterThan(time, catalogItem.clock.stopTime)) {
+            time = catalogItem.clock.currentTime;
+        }
+        catalogItem.currentTime = JulianDate.clone(time);
+    }
+
+    catalogItem.application.nowViewing.updateTimeline();
+    catalogItem.application.currentViewer.notifyRepaintRequired();
+}
+
 module.exports = CatalogItem;
@@ -24,6 +24,7 @@ var TaskProcessor = require('../../third_party/cesium/Source/Core/TaskProcessor'
 var Transforms = require('../../third_party/cesium/Source/Core/Transforms');
 var when = require('../../third_party/cesium/Source/ThirdParty/when');
 
+var CesiumImagerySplitter = require('../Map/CesiumImagerySplitter');
 var CesiumSelectionIndicator = require('../Map/CesiumSelectionIndicator');
 var GlobeOrMap = require('./GlobeOrMap');
 var inherit = require('../Core/inherit');
@@ -31,6 +32,9 @@ var ModelError = require('./ModelError');
 var PickedFeatures = require('../Map/PickedFeatures');
 var ViewerMode = require('./ViewerMode');
 
+// The largest width or height of a screenshot, in pixels.  Almost all WebGL implementations allow drawing buffers this large.
+var maxScreenshotSize = 4096;
+
 var Cesium = function(application, viewer) {
     GlobeOrMap.call(this);
 
@@ -68,6 +72,10 @@ var Cesium = function(application, viewer) {
     this._lastCameraViewMatrix = new Matrix4();
     this._lastCameraMoveTime = 0;
 
+    this._imagerySplitter = new CesiumImagerySplitter(this.scene);
+    this._imagerySplitter.position = this.application.splitPosition;
+    this._splitterUnsupportedReported = false;
+
     this._selectionIndicator = new CesiumSelectionIndicator(this);
 
     this._removePostRenderListener = this.scene.postRender.addEventListener(postRender.bind(undefined, this));
@@ -129,6 +137,15 @@ var Cesium = function(application, viewer) {
         selectFeature(this);
     }, this);
 
+    // Layers are clipped at the splitter on the screen, so moving the camera or the splitter only needs a repaint.
+    this._showSplitterSubscription = knockout.getObservable(this.application, 'showSplitter').subscribe(function() {
+        this.updateSplit();
+    }, this);
+    this._splitPositionSubscription = knockout.getObservable(this.application, 'splitPosition').subscribe(function(splitPosition) {
+        this._imagerySplitter.position = splitPosition;
+        this.notifyRepaintRequired();
+    }, this);
+
     // Hacky way to force a repaint when an async load request completes
     var that = this;
     this._originalLoadWithXhr = loadWithXhr.load;
@@ -213,6 +230,16 @@ Cesium.prototype.destroy = function() {
         this._selectedFeatureSubscription = undefined;
     }
 
+    if (defined(this._showSplitterSubscription)) {
+        this._showSplitterSubscription.dispose();
+        this._showSplitterSubscription = undefined;
+    }
+
+    if (defined(this._splitPositionSubscription)) {
+        this._splitPositionSubscription.dispose();
+        this._splitPositionSubscription = undefined;
+    }
+
     this.viewer.canvas.removeEventListener('mousemove', this._boundNotifyRepaintRequired, false);
     this.viewer.canvas.removeEventListener('mousedown', this._boundNotifyRepaintRequired, false);
     this.viewer.canvas.removeEventListener('mouseup', this._boundNotifyRepaintRequired, false);
@@ -353,17 +380,66 @@ Cesium.prototype.zoomTo = function(viewOrExtent, flightDurationSeconds) {
 
 /**
  * Captures a screenshot of the map.
+ * @param {Object} [options] Object with the following properties:
+ * @param {Number} [options.width] The width of the screenshot, in pixels, if it should be drawn at a higher resolution
+ *        than the map on screen.  The viewer may not be able to draw it quite this large.  If undefined, the screenshot
+ *        is the size of the map on screen.
+ * @param {String} [options.format='image/jpeg'] The type of image in the data URL.
  * @return {Promise} A promise that resolves to a data URL when the screenshot is ready.
  */
-Cesium.prototype.captureScreenshot = function() {
+Cesium.prototype.captureScreenshot = function(options) {
+    options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+    var format = defaultValue(options.format, 'image/jpeg');
+
+    var viewer = this.viewer;
+    var canvas = this.scene.canvas;
+    var previousResolutionScale = viewer.resolutionScale;
+
+    if (!defined(options.width) || options.width <= canvas.width) {
+        return captureCanvas(this, format);
+    }
+
+    // Render at a higher resolution while capturing, within the size of drawing buffer that WebGL can be relied on to allow.
+    viewer.resolutionScale = Math.min(options.width / canvas.clientWidth,
+                                      maxScreenshotSize / canvas.clientWidth,
+                                      maxScreenshotSize / canvas.clientHeight);
+
+    var that = this;
+    function restoreResolution() {
+        viewer.resolutionScale = previousResolutionScale;
+        that.notifyRepaintRequired();
+    }
+
+    return when(this.waitForTilesToLoad(), function() {
+        return captureCanvas(that, format);
+    }).then(function(dataUrl) {
+        restoreResolution();
+        return dataUrl;
+    }, function(e) {
+        restoreResolution();
+        throw e;
+    });
+};
+
+/**
+ * Waits for the tiles needed to draw the current view to load, for example before capturing a screenshot.
+ * @param {Number} [timeout=30000] The longest time to wait, in milliseconds.
+ * @return {Promise} A promise that resolves when the tiles have loaded, or when the timeout has passed.
+ */
+Cesium.prototype.waitForTilesToLoad = function(timeout) {
     var deferred = when.defer();
+    var endTime = getTimestamp() + defaultValue(timeout, 30000);
 
+    // Check whether the globe is loading tiles after each frame.  Tiles to load are only found as a frame is rendered,
+    // so wait for two frames in a row with nothing to load.
+    var framesLoaded = 0;
     var removeCallback = this.scene.postRender.addEventListener(function() {
-        removeCallback();
-        try {
-            deferred.resolve(this.scene.canvas.toDataURL('image/jpeg'));
-        } catch (e) {
-            deferred.reject(e);
+        framesLoaded = isLoadingTiles(this.scene.globe) ? 0 : framesLoaded + 1;
+        if (framesLoaded >= 2 || getTimestamp() > endTime) {
+            removeCallback();
+            deferred.resolve();
+        } else {
+            this.notifyRepaintRequired();
         }
     }, this);
 
@@ -393,6 +469,85 @@ Cesium.prototype.computePositionOnScreen = function(position, result) {
     return SceneTransforms.wgs84ToWindowCoordinates(this.scene, position, result);
 };
 
+/**
+ * Updates the imagery layers of the data items in the Now Viewing list so that each is shown only on its side of the
+ * splitter.  Layers are clipped at the splitter on the screen, so they stay on their side as the camera moves.  Only
+ * imagery can be split; other items are shown on both sides.
+ */
+Cesium.prototype.updateSplit = function() {
+    var showSplitter = this.application.showSplitter;
+    if (!showSplitter) {
+        this._splitterUnsupportedReported = false;
+    } else if (!this._imagerySplitter.isSupported) {
+        // Tell the user each time they start comparing, rather than each time an item is shown.
+        if (!this._splitterUnsupportedReported) {
+            this._splitterUnsupportedReported = true;
+            this.application.error.raiseEvent(new ModelError({
+                sender: this,
+                title: 'Compare mode not available in 3D',
+                message: 'This version of Cesium cannot show imagery on just one side of the map, so every item is shown on both sides.  Switch to 2D to compare items side by side.'
+            }));
+        }
+        return;
+    }
+
+    // Forget the layers of items that are no longer shown.
+    this._imagerySplitter.removeAll();
+
+    var items = this.application.nowViewing.items;
+    for (var i = 0; i < items.length; ++i) {
+        var item = items[i];
+        if (!item.supportsSplitting) {
+            continue;
+        }
+
+        var splitDirection = showSplitter ? item.splitDirection : undefined;
+        splitLayer(this, item._imageryLayer, splitDirection);
+        splitLayer(this, item._nextLayer, splitDirection);
+    }
+
+    this.notifyRepaintRequired();
+};
+
+function splitLayer(cesium, layer, splitDirection) {
+    if (defined(layer)) {
+        cesium._imagerySplitter.setSplitDirection(layer, splitDirection);
+    }
+}
+
+function captureCanvas(cesium, format) {
+    var deferred = when.defer();
+
+    var removeCallback = cesium.scene.postRender.addEventListener(function() {
+        removeCallback();
+        try {
+            deferred.resolve(cesium.scene.canvas.toDataURL(format));
+        } catch (e) {
+            deferred.reject(e);
+        }
+    });
+
+    cesium.notifyRepaintRequired();
+
+    return deferred.promise;
+}
+
+// Cesium has no public way to find out whether the globe is still loading tiles, so this is the only place the private
+// state of its surface is read.  If that state is missing, as may happen when Cesium is upgraded, the globe is treated as
+// loaded, and callers fall back on their own timeouts and idle checks.
+function isLoadingTiles(globe) {
+    var surface = globe._surface;
+    if (!defined(surface) || !defined(surface._tileLoadQueue)) {
+        return false;
+    }
+
+    var tileProvider = surface._tileProvider;
+    var debug = surface._debug;
+    return (defined(tileProvider) && !tileProvider.ready) ||
+           surface._tileLoadQueue.length > 0 ||
+           (defined(debug) && debug.tilesWaitingForChildren > 0);
+}
+
 function postRender(cesium, date) {
     // We can safely stop rendering when:
     //  - the camera position hasn't changed in over a second,
@@ -410,8 +565,7 @@ function postRender(cesium, date) {
 
     var cameraMovedInLastSecond = now - cesium._lastCameraMoveTime < 1000;
 
-    var surface = scene.globe._surface;
-    var tilesWaiting = !surface._tileProvider.ready || surface._tileLoadQueue.length > 0 || surface._debug.tilesWaitingForChildren > 0;
+    var tilesWaiting = isLoadingTiles(scene.globe);
 
     if (!cameraMovedInLastSecond && !tilesWaiting && !cesium.viewer.clock.shouldAnimate && cesium.scene.tweens.length === 0) {
         if (cesium.verboseRendering) {
@@ -425,7 +579,7 @@ function postRender(cesium, date) {
 
     var feature = cesium.application.selectedFeature;
     if (defined(feature) && defined(feature.position)) {
-        cesium._selectionIndicator.position = feature.position.getValue(cesium.application.clock.currentTime);
+        cesium._selectionIndicator.position = feature.position.getValue(cesium.application.nowViewing.getEntityDisplayTime(feature));
     }
     cesium._selectionIndicator.update();
 }
@@ -433,6 +587,16 @@ function postRender(cesium, date) {
 function pickObject(cesium, e) {
     var pickRay = cesium.scene.camera.getPickRay(e.position);
     var pickPosition = cesium.scene.globe.pick(pickRay, cesium.scene);
+
+    // While a tool is handling clicks on the map, pass it the clicked position instead of picking features.
+    var modes = cesium.application.mapInteractionModeStack;
+    if (modes.length > 0) {
+        if (defined(pickPosition)) {
+            modes[modes.length - 1].positionPicked.raiseEvent(pickPosition);
+        }
+        return;
+    }
+
     var pickPositionCartographic = Ellipsoid.WGS84.cartesianToCartographic(pickPosition);
 
     var result = new PickedFeatures();
@@ -482,7 +646,7 @@ function pickObject(cesium, e) {
 function selectFeature(cesium) {
     var feature = cesium.application.selectedFeature;
     if (defined(feature) && defined(feature.position)) {
-        cesium._selectionIndicator.position = feature.position.getValue(cesium.application.clock.currentTime);
+        cesium._selectionIndicator.position = feature.position.getValue(cesium.application.nowViewing.getEntityDisplayTime(feature));
         cesium._selectionIndicator.animateAppear();
     } else {
         cesium._selectionIndicator.animateDepart();
@@ -1,11 +1,17 @@
 'use strict';
 
 /*global require*/
+var clone = require('../../third_party/cesium/Source/Core/clone');
 var defined = require('../../third_party/cesium/Source/Core/defined');
+var defineProperties = require('../../third_party/cesium/Source/Core/defineProperties');
+var freezeObject = require('../../third_party/cesium/Source/Core/freezeObject');
 var knockout = require('../../third_party/cesium/Source/ThirdParty/knockout');
+var RuntimeError = require('../../third_party/cesium/Source/Core/RuntimeError');
 var when = require('../../third_party/cesium/Source/ThirdParty/when');
 
 var CatalogItem = require('./CatalogItem');
+var createCatalogMemberFromType = require('./createCatalogMemberFromType');
+var inherit = require('../Core/inherit');
 
 /**
  * A {@link CatalogItem} composed of multiple other catalog items.  When this item is enabled or shown, the composed items are
@@ -34,6 +40,106 @@ var CompositeCatalogItem = function(application, items) {
 	}, this);
 };
 
+inherit(CatalogItem, CompositeCatalogItem);
+
+defineProperties(CompositeCatalogItem.prototype, {
+	/**
+	 * Gets the type of data item represented by this instance.
+	 * @memberOf CompositeCatalogItem.prototype
+	 * @type {String}
+	 */
+	type : {
+		get : function() {
+			return 'composite';
+		}
+	},
+
+	/**
+	 * Gets a human-readable name for this type of data source, 'Composite'.
+	 * @memberOf CompositeCatalogItem.prototype
+	 * @type {String}
+	 */
+	typeName : {
+		get : function() {
+			return 'Composite';
+		}
+	},
+
+	/**
+	 * Gets the set of functions used to update individual properties in {@link CatalogMember#updateFromJson}.
+	 * When a property name in the returned object literal matches the name of a property on this instance, the value
+	 * will be called as a function and passed a reference to this instance, a reference to the source JSON object
+	 * literal, and the name of the property.
+	 * @memberOf CompositeCatalogItem.prototype
+	 * @type {Object}
+	 */
+	updaters : {
+		get : function() {
+			return CompositeCatalogItem.defaultUpdaters;
+		}
+	},
+
+	/**
+	 * Gets the set of functions used to serialize individual properties in {@link CatalogMember#serializeToJson}.
+	 * When a property name on the model matches the name of a property in the serializers object lieral,
+	 * the value will be called as a function and passed a reference to the model, a reference to the destination
+	 * JSON object literal, and the name of the property.
+	 * @memberOf CompositeCatalogItem.prototype
+	 * @type {Object}
+	 */
+	serializers : {
+		get : function() {
+			return CompositeCatalogItem.defaultSerializers;
+		}
+	}
+});
+
+/**
+ * Gets or sets the set of default updater functions to use in {@link CatalogMember#updateFromJson}.  Types derived from this type
+ * should expose this instance - cloned and modified if necesary - through their {@link CatalogMember#updaters} property.
+ * @type {Object}
+ */
+CompositeCatalogItem.defaultUpdaters = clone(CatalogItem.defaultUpdaters);
+
+CompositeCatalogItem.defaultUpdaters.items = function(compositeItem, json, propertyName, options) {
+	var items = [];
+	var promises = [];
+
+	for (var i = 0; i < json.items.length; ++i) {
+		var itemJson = json.items[i];
+		if (!defined(itemJson.type)) {
+			throw new RuntimeError('An item must have a type.');
+		}
+
+		var item = createCatalogMemberFromType(itemJson.type, compositeItem.application);
+		promises.push(item.updateFromJson(itemJson, options));
+		items.push(item);
+	}
+
+	compositeItem.items = items;
+
+	return when.all(promises);
+};
+
+freezeObject(CompositeCatalogItem.defaultUpdaters);
+
+/**
+ * Gets or sets the set of default serializer functions to use in {@link CatalogMember#serializeToJson}.  Types derived from this type
+ * should expose this instance - cloned and modified if necesary - through their {@link CatalogMember#serializers} property.
+ * @type {Object}
+ */
+CompositeCatalogItem.defaultSerializers = clone(CatalogItem.defaultSerializers);
+
+CompositeCatalogItem.defaultSerializers.items = function(compositeItem, json, propertyName, options) {
+	json.items = compositeItem.items.map(function(item) {
+		return item.serializeToJson(options);
+	}).filter(function(item) {
+		return defined(item);
+	});
+};
+
+freezeObject(CompositeCatalogItem.defaultSerializers);
+
 CompositeCatalogItem.prototype._load = function() {
 	return when.all(this.items.map(function(item) { return item.load(); }));
 };
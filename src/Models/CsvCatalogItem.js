@@ -3,7 +3,11 @@
 /*global require,L,$*/
 
 var clone = require('../../third_party/cesium/Source/Core/clone');
+var Color = require('../../third_party/cesium/Source/Core/Color');
+var ColorMaterialProperty = require('../../third_party/cesium/Source/DataSources/ColorMaterialProperty');
+var ConstantProperty = require('../../third_party/cesium/Source/DataSources/ConstantProperty');
 var DataSourceClock = require('../../third_party/cesium/Source/DataSources/DataSourceClock');
+var defaultValue = require('../../third_party/cesium/Source/Core/defaultValue');
 var defined = require('../../third_party/cesium/Source/Core/defined');
 var defineProperties = require('../../third_party/cesium/Source/Core/defineProperties');
 var DeveloperError = require('../../third_party/cesium/Source/Core/DeveloperError');
@@ -11,16 +15,19 @@ var freezeObject = require('../../third_party/cesium/Source/Core/freezeObject');
 var knockout = require('../../third_party/cesium/Source/ThirdParty/knockout');
 var JulianDate = require('../../third_party/cesium/Source/Core/JulianDate');
 var loadText = require('../../third_party/cesium/Source/Core/loadText');
+var Rectangle = require('../../third_party/cesium/Source/Core/Rectangle');
 var WebMapServiceImageryProvider = require('../../third_party/cesium/Source/Scene/WebMapServiceImageryProvider');
 var WebMapServiceCatalogItem = require('./WebMapServiceCatalogItem');
 var WebMercatorTilingScheme = require('../../third_party/cesium/Source/Core/WebMercatorTilingScheme');
 var when = require('../../third_party/cesium/Source/ThirdParty/when');
 
 var CatalogItem = require('./CatalogItem');
+var computeClassBreaks = require('../Map/computeClassBreaks');
 var corsProxy = require('../Core/corsProxy');
+var featureIntersectsArea = require('../Map/featureIntersectsArea');
+var GeoJsonCatalogItem = require('./GeoJsonCatalogItem');
 var ImageryLayerCatalogItem = require('./ImageryLayerCatalogItem');
 var inherit = require('../Core/inherit');
-var Metadata = require('./Metadata');
 var ModelError = require('./ModelError');
 var readText = require('../Core/readText');
 var TableDataSource = require('../Map/TableDataSource');
@@ -43,6 +50,12 @@ var CsvCatalogItem = function(application, url) {
 
     this._regionMapped = false;
 
+    // When region mapping against vector boundaries rather than WMS tiles, the item holding the boundaries
+    // and the unique region codes of its features.
+    this._regionGeoJsonItem = undefined;
+    this._vectorRegionIds = undefined;
+    this._vectorRegionNames = undefined;
+
     /**
      * Gets or sets the URL from which to retrieve CSV data.  This property is ignored if
      * {@link GeoJsonCatalogItem#data} is defined.  This property is observable.
@@ -58,11 +71,33 @@ var CsvCatalogItem = function(application, url) {
     this.data = undefined;
 
     /**
-     * Gets or sets the tableStyle object
+     * Gets or sets the tableStyle object.  Its `columns` property, if defined, maps column names to explicit
+     * settings for those columns, overriding what would be guessed from their names: `type` is the role of
+     * the column ('lon', 'lat', 'alt', 'time', 'scalar' or 'enum'), `units` are the units of its values, and `name`
+     * is the name to show for it.  Its `crs` property, such as 'EPSG:28355', is the coordinate system of
+     * the 'lon' and 'lat' columns when they hold projected coordinates, such as eastings and northings.  Its `timeFormat`
+     * property, such as 'dmy' or 'epochSeconds', is the format of the dates in time columns (see {@link parseTimeValues.formats}),
+     * which can also be set for each column with a `format` in `columns`.  If undefined, the format is detected from the values.
+     * The `timeColumn` and `endTimeColumn` properties name the columns holding the start and end time of each row, and
+     * `idColumn` names the column identifying the feature each row is about.  The rows for each feature are shown as a
+     * single feature that moves between their positions, with each row shown until the next row for the same feature,
+     * and a path of the last `trailTime` minutes of movement behind it if `trailTime` is defined.  Values are colored on
+     * a continuous scale unless `colorBinMethod` ('quantile', 'equalInterval' or 'jenks') divides them into `colorBins`
+     * classes, or `colorBreaks` gives the values that separate classes.  Enumerated values are colored by category, with
+     * the colors of `categoryPalette` in turn unless `categoryColors` maps a value to a color, and the points or regions
+     * of the categories listed in `hiddenCategories` are not shown.
      * @type {Object}
      */
     this.tableStyle = undefined;
 
+    /**
+     * Gets the categories of the displayed variable, if it is enumerated, each with a `name`, a CSS `color`, and
+     * whether it is shown (`isShown`).  Categories are shown and hidden with {@link CsvCatalogItem#toggleCategory}.
+     * This property is observable.
+     * @type {Object[]}
+     */
+    this.categories = [];
+
    /**
      * Gets or sets the opacity (alpha) of the data item, where 0.0 is fully transparent and 1.0 is
      * fully opaque.  This property is observable.
@@ -71,7 +106,7 @@ var CsvCatalogItem = function(application, url) {
      */
     this.opacity = 0.6;
 
-    knockout.track(this, ['url', 'data', 'tableStyle', 'opacity']);
+    knockout.track(this, ['url', 'data', 'tableStyle', 'opacity', 'categories']);
 
     knockout.getObservable(this, 'opacity').subscribe(function(newValue) {
         updateOpacity(this);
@@ -85,6 +120,15 @@ var CsvCatalogItem = function(application, url) {
     knockout.getObservable(this, 'clock').subscribe(function() {
         updateClockSubscription(this);
     }, this);
+
+    // Redisplay regions for the item's own time as soon as it changes, rather than waiting for the clock to tick.
+    knockout.getObservable(this, 'useOwnClock').subscribe(function() {
+        updateRegionsForTime(this);
+    }, this);
+
+    knockout.getObservable(this, 'currentTime').subscribe(function() {
+        updateRegionsForTime(this);
+    }, this);
 };
 
 inherit(CatalogItem, CsvCatalogItem);
@@ -119,9 +163,11 @@ defineProperties(CsvCatalogItem.prototype, {
      */
     metadata : {  //TODO: return metadata if tableDataSource defined
         get : function() {
-            var result = new Metadata();
+            var result = CatalogItem.createMetadata(this);
             result.isLoading = false;
-            result.dataSourceErrorMessage = 'This data source does not have any details available.';
+            if (!result.dataSourceMetadata.hasChildren) {
+                result.dataSourceErrorMessage = 'This data source does not have any details available.';
+            }
             result.serviceErrorMessage = 'This service does not have any details available.';
             return result;
         }
@@ -135,7 +181,7 @@ defineProperties(CsvCatalogItem.prototype, {
      */
     supportsReordering : {
         get : function() {
-            return this._regionMapped;
+            return this._regionMapped && !defined(this._regionGeoJsonItem);
         }
     },
 
@@ -150,6 +196,35 @@ defineProperties(CsvCatalogItem.prototype, {
         }
     },
 
+    /**
+     * Gets a value indicating whether this data source can be displayed at its own time, independently of the
+     * application's clock (see {@link CatalogItem#useOwnClock}).
+     * @memberOf CsvCatalogItem.prototype
+     * @type {Boolean}
+     */
+    supportsOwnClock : {
+        get : function() {
+            return true;
+        }
+    },
+
+    /**
+     * Gets the data source whose entities show this data item on the map, or undefined if its regions are shown as
+     * imagery.
+     * @memberOf CsvCatalogItem.prototype
+     * @type {DataSource}
+     */
+    dataSource : {
+        get : function() {
+            if (defined(this._regionGeoJsonItem)) {
+                return this._regionGeoJsonItem.dataSource;
+            } else if (this._regionMapped) {
+                return undefined;
+            }
+            return this._tableDataSource;
+        }
+    },
+
     /**
      * Gets the Cesium or Leaflet imagery layer object associated with this data source.
      * This property is undefined if the data source is not enabled.
@@ -223,6 +298,9 @@ If you believe it is a bug in National Map, please report it by emailing \
         return loadText(proxyUrl(that.application, that.url)).then(function(text) {
             return loadTable(that, text);
         }).otherwise(function(e) {
+            if (e instanceof ModelError) {
+                throw e;
+            }
             throw new ModelError({
                 sender: that,
                 title: 'Could not load CSV file',
@@ -234,7 +312,9 @@ An error occurred while retrieving CSV data from the provided link.'
 };
 
 CsvCatalogItem.prototype._enable = function() {
-    if (this._regionMapped) {
+    if (defined(this._regionGeoJsonItem)) {
+        this._regionGeoJsonItem._enable();
+    } else if (this._regionMapped) {
         this._imageryLayer = ImageryLayerCatalogItem.enableLayer(this, this._createImageryProvider(), this.opacity);
 
         if (defined(this.application.leaflet)) {
@@ -251,7 +331,9 @@ CsvCatalogItem.prototype._enable = function() {
 };
 
 CsvCatalogItem.prototype._disable = function() {
-    if (this._regionMapped) {
+    if (defined(this._regionGeoJsonItem)) {
+        this._regionGeoJsonItem._disable();
+    } else if (this._regionMapped) {
         ImageryLayerCatalogItem.disableLayer(this, this._imageryLayer);
         this._imageryLayer = undefined;
     }
@@ -266,6 +348,9 @@ CsvCatalogItem.prototype._show = function() {
 
         dataSources.add(this._tableDataSource);
     }
+    else if (defined(this._regionGeoJsonItem)) {
+        this._regionGeoJsonItem._show();
+    }
     else {
         ImageryLayerCatalogItem.showLayer(this, this._imageryLayer);
     }
@@ -280,11 +365,45 @@ CsvCatalogItem.prototype._hide = function() {
         
         dataSources.remove(this._tableDataSource, false);
     }
+    else if (defined(this._regionGeoJsonItem)) {
+        this._regionGeoJsonItem._hide();
+    }
     else {
         ImageryLayerCatalogItem.hideLayer(this, this._imageryLayer);
     }
 };
 
+CsvCatalogItem.prototype.queryFeaturesInArea = function(area) {
+    // Only points can be queried, not the regions of region mapping.
+    var dataSource = this._tableDataSource;
+    if (this._regionMapped || !defined(dataSource) || !defined(dataSource.dataset) || !dataSource.dataset.hasLocationData()) {
+        return undefined;
+    }
+
+    var dataset = dataSource.dataset;
+    var rows = defaultValue(dataSource.getDataPointList(this.currentDisplayTime), []);
+
+    var positions = {};
+    dataset.getPointList().forEach(function(point) {
+        positions[point.row] = point.pos;
+    });
+
+    var features = rows.map(function(row) {
+        return {
+            type: 'Feature',
+            geometry: {
+                type: 'Point',
+                coordinates: [positions[row][0], positions[row][1]]
+            },
+            properties: dataset.getDataRow(row)
+        };
+    }).filter(function(feature) {
+        return featureIntersectsArea(feature, area);
+    });
+
+    return when(features);
+};
+
 CsvCatalogItem.prototype._createImageryProvider = function(time) {
     var imageryProvider = new WebMapServiceImageryProvider({
         url: proxyUrl(this.application, this.regionServer),
@@ -349,7 +468,10 @@ function proxyUrl(application, url) {
 
 
 function updateOpacity(csvItem) {
-    if (defined(csvItem._imageryLayer)) {
+    if (defined(csvItem._regionGeoJsonItem)) {
+        colorRegionEntities(csvItem);
+        csvItem.application.currentViewer.notifyRepaintRequired();
+    } else if (defined(csvItem._imageryLayer)) {
         if (defined(csvItem._imageryLayer.alpha)) {
             csvItem._imageryLayer.alpha = csvItem.opacity;
         }
@@ -363,7 +485,10 @@ function updateOpacity(csvItem) {
 }
 
 CsvCatalogItem.prototype._redisplay = function() {
-    if (defined(this._imageryLayer)) {
+    if (defined(this._regionGeoJsonItem)) {
+        colorRegionEntities(this);
+        this.application.currentViewer.notifyRepaintRequired();
+    } else if (defined(this._imageryLayer)) {
         this._hide();
         this._disable();
         this._enable();
@@ -371,6 +496,34 @@ CsvCatalogItem.prototype._redisplay = function() {
     }
 };
 
+/**
+ * Shows or hides the points or regions of a category of the displayed variable.
+ *
+ * @param {Object} category The category to toggle, from {@link CsvCatalogItem#categories}.
+ */
+CsvCatalogItem.prototype.toggleCategory = function(category) {
+    category.isShown = !category.isShown;
+
+    var hiddenCategories = this.categories.filter(function(c) {
+        return !c.isShown;
+    }).map(function(c) {
+        return c.name;
+    });
+    if (!defined(this.tableStyle)) {
+        this.tableStyle = {};
+    }
+    this.tableStyle.hiddenCategories = hiddenCategories;
+
+    var dataSource = this._tableDataSource;
+    dataSource.setHiddenCategories(hiddenCategories);
+    if (this._regionMapped) {
+        createRegionLookupFunc(this);
+        this._redisplay();
+    }
+    this.legendUrl = dataSource.getLegendGraphic();
+    this.application.currentViewer.notifyRepaintRequired();
+};
+
 CsvCatalogItem.prototype.dynamicUpdate = function(text) {
     this.data = text;
     var that = this;
@@ -395,19 +548,26 @@ function updateClockSubscription(csvItem) {
     }
 }
 
+function updateRegionsForTime(csvItem) {
+    if (csvItem._regionMapped && defined(csvItem._tableDataSource)) {
+        onClockTick(csvItem, csvItem.application.clock);
+    }
+}
+
 function onClockTick(csvItem, clock) {
     var hasTimeData = csvItem._tableDataSource.dataset.hasTimeData();
     if (!hasTimeData || !csvItem.isEnabled || !csvItem.isShown) {
         return;
     }
     //check if time has changed
-    if (defined(csvItem.lastTime) && JulianDate.equals(clock.currentTime, csvItem.lastTime)) {
+    var time = csvItem.currentDisplayTime;
+    if (defined(csvItem.lastTime) && JulianDate.equals(time, csvItem.lastTime)) {
         return;    
     }
-    csvItem.lastTime = clock.currentTime;
+    csvItem.lastTime = time;
 
     //check if record data has changed
-    var recs = csvItem._tableDataSource.getDataPointList(clock.currentTime);
+    var recs = csvItem._tableDataSource.getDataPointList(time);
     var recText = JSON.stringify(recs);
     if (defined(csvItem.lastRecText) && recText === csvItem.lastRecText) {
         return;
@@ -443,13 +603,110 @@ function createRegionMappingClock(csvItem) {
 //////////////////////////////////////////////////////////////////////////
 
 function loadTable(csvItem, text) {
+    var tableStyle = csvItem.tableStyle;
+
+    //set the style first, so that the points are drawn in it when the data is loaded
+    if (defined(tableStyle)) {
+        validateClassification(csvItem, tableStyle);
+        csvItem._tableDataSource.setDisplayStyle(tableStyle);
+    }
+
+    csvItem._tableDataSource.loadText(text, defined(tableStyle) ? {
+        columns: tableStyle.columns,
+        timeFormat: tableStyle.timeFormat,
+        timeColumn: tableStyle.timeColumn,
+        endTimeColumn: tableStyle.endTimeColumn,
+        idColumn: tableStyle.idColumn
+    } : undefined);
+
+    var timeErrors = csvItem._tableDataSource.dataset.getTimeErrors();
+    if (timeErrors.length > 0) {
+        throw new ModelError({
+            sender: csvItem,
+            title: 'Could not parse dates',
+            message: timeErrors.join('<br/>')
+        });
+    }
+
+    return when(reprojectTable(csvItem), function() {
+        return loadTableLocations(csvItem);
+    });
+}
+
+//Check the classification of the table style, which would otherwise fail only when the points or regions are colored
+function validateClassification(csvItem, tableStyle) {
+    var method = tableStyle.colorBinMethod;
+    if (defined(method) && !computeClassBreaks.methods.hasOwnProperty(method)) {
+        throw new ModelError({
+            sender: csvItem,
+            title: 'Invalid table style',
+            message: 'The <code>tableStyle.colorBinMethod</code> of this CSV file, ' + method + ', is not known.  It must be \
+one of ' + Object.keys(computeClassBreaks.methods).join(', ') + '.'
+        });
+    }
+
+    var breaks = tableStyle.colorBreaks;
+    if (defined(breaks) && (!Array.isArray(breaks) || !breaks.every(function(value, index) {
+        return typeof value === 'number' && isFinite(value) && (index === 0 || value > breaks[index - 1]);
+    }))) {
+        throw new ModelError({
+            sender: csvItem,
+            title: 'Invalid table style',
+            message: 'The <code>tableStyle.colorBreaks</code> of this CSV file, ' + JSON.stringify(breaks) + ', must be a \
+list of numbers in increasing order.'
+        });
+    }
+}
+
+//Reproject projected coordinate columns, such as eastings and northings, to longitude and latitude
+function reprojectTable(csvItem) {
+    var code = defined(csvItem.tableStyle) ? csvItem.tableStyle.crs : undefined;
+    var dataSource = csvItem._tableDataSource;
+    var dataset = dataSource.dataset;
+    if (!defined(code) && hasProjectedPositions(dataset)) {
+        throw new ModelError({
+            sender: csvItem,
+            title: 'Unknown coordinate system',
+            message: '\
+The columns ' + dataset.selected.lon + ' and ' + dataset.selected.lat + ' of this CSV file appear to hold projected \
+coordinates, such as eastings and northings.  To show them, set <code>tableStyle.crs</code> to the code of their \
+coordinate system, such as EPSG:28355.'
+        });
+    }
+    if (!defined(code) || code === 'EPSG:4326' || code === 'EPSG:4283' || !dataset.hasLocationData()) {
+        return;
+    }
 
-    csvItem._tableDataSource.loadText(text);
+    return when(GeoJsonCatalogItem.checkProjection(code), function(result) {
+        if (!result) {
+            throw new ModelError({
+                sender: csvItem,
+                title: 'Unsupported coordinate system',
+                message: 'The coordinate system ' + code + ' of this CSV file is not supported.'
+            });
+        }
+        dataset.reprojectPositions(function(pt) {
+            return GeoJsonCatalogItem.reprojectPointToGeographic(pt, code);
+        });
+        dataSource.setDataVariable(dataset.getDataVariable());
+    });
+}
 
-    if (defined(csvItem.tableStyle)) {
-        csvItem._tableDataSource.setDisplayStyle(csvItem.tableStyle);
+//Columns guessed to hold projected coordinates, such as x and y, may hold longitudes and latitudes after all, so they
+//are only taken to be projected when their values are out of range for degrees
+function hasProjectedPositions(dataset) {
+    if (!dataset.hasLocationData()) {
+        return false;
+    }
+    var lonVar = dataset.variables[dataset.selected.lon];
+    var latVar = dataset.variables[dataset.selected.lat];
+    if (!lonVar.isProjected && !latVar.isProjected) {
+        return false;
     }
+    return lonVar.minVal < -360 || lonVar.maxVal > 360 || latVar.minVal < -90 || latVar.maxVal > 90;
+}
 
+function loadTableLocations(csvItem) {
 
     if (!csvItem._tableDataSource.dataset.hasLocationData()) {
         console.log('No locaton date found in csv file - trying to match based on region');
@@ -465,6 +722,7 @@ a region mapping column.'
             }
             else {
                 csvItem.clock = createRegionMappingClock(csvItem);
+                updateCategories(csvItem);
                 csvItem.legendUrl = csvItem._tableDataSource.getLegendGraphic();
                 csvItem.application.currentViewer.notifyRepaintRequired();
             }
@@ -473,11 +731,27 @@ a region mapping column.'
     else {
         csvItem.clock = csvItem._tableDataSource.clock;
         csvItem.rectangle = csvItem._tableDataSource.dataset.getExtent();
+        updateCategories(csvItem);
         csvItem.legendUrl = csvItem._tableDataSource.getLegendGraphic();
         csvItem.application.currentViewer.notifyRepaintRequired();
     }
 }
 
+// Update the categories listed in the Now Viewing panel from the table data source
+function updateCategories(csvItem) {
+    var categories = csvItem._tableDataSource.getCategories() || [];
+    csvItem.categories = categories.map(function(category) {
+        var bytes = category.color;
+        var result = {
+            name: category.name,
+            color: Color.fromBytes(bytes[0], bytes[1], bytes[2], bytes[3]).toCssColorString(),
+            isShown: category.isShown
+        };
+        knockout.track(result, ['isShown']);
+        return result;
+    });
+}
+
 
 //////////////////////////////////////////////////////////////////////////
 
@@ -523,93 +797,110 @@ function recolorImageWithCanvas(csvCatalogItem, img, colorFunc) {
     return recolorImage(image, colorFunc);
 }
 
-
-var regionServer = 'http://geoserver.nationalmap.nicta.com.au/region_map/ows';
-var regionWmsMap = {
-    'STE': {
-        "name":"region_map:FID_STE_2011_AUST",
-        "regionProp": "STE_CODE11",
-        "aliases": ['state', 'ste'],
-        "digits": 1
-    },
-    'SA4': {
-        "name":"region_map:FID_SA4_2011_AUST",
-        "regionProp": "SA4_CODE11",
-        "aliases": ['sa4'],
-        "digits": 3
-    },
-    'SA3': {
-        "name":"region_map:FID_SA3_2011_AUST",
-        "regionProp": "SA3_CODE11",
-        "aliases": ['sa3'],
-        "digits": 5
-    },
-    'SA2': {
-        "name":"region_map:FID_SA2_2011_AUST",
-        "regionProp": "SA2_MAIN11",
-        "aliases": ['sa2'],
-        "digits": 9
-    },
-// COMMENTING OUT SA1: it works, but server performance is just too slow to be widely usable
-//    'SA1': {
-//        "name":"region_map:FID_SA1_2011_AUST",
-//        "regionProp": "SA1_7DIG11",
-//        "aliases": ['sa1'],
-//        "digits": 11
-//    },
-    'POA': {
-        "name":"region_map:FID_POA_2011_AUST",
-        "regionProp": "POA_CODE",
-        "aliases": ['poa', 'postcode'],
-        "digits": 4
-    },
-    'CED': {
-        "name":"region_map:FID_CED_2011_AUST",
-        "regionProp": "CED_CODE",
-        "aliases": ['ced'],
-        "digits": 3
-    },
-    'SED': {
-        "name":"region_map:FID_SED_2011_AUST",
-        "regionProp": "SED_CODE",
-        "aliases": ['sed'],
-        "digits": 5
-    },
-    'LGA': {
-        "name":"region_map:FID_LGA_2011_AUST",
-        "regionProp": "LGA_CODE11",
-        "aliases": ['lga'],
-        "digits": 5
-    },
-    'SSC': {
-        "name":"region_map:FID_SCC_2011_AUST",
-        "regionProp": "SSC_CODE",
-        "aliases": ['ssc', 'suburb'],
-        "digits": 5
-    },
-    'CNT2': {
-        "name":"region_map:FID_TM_WORLD_BORDERS",
-        "regionProp": "ISO2",
-        "aliases": ['iso2'],
-        "digits": 2
-    },
-    'CNT3': {
-        "name":"region_map:FID_TM_WORLD_BORDERS",
-        "regionProp": "ISO3",
-        "aliases": ['country', 'iso3'],
-        "digits": 3
+//Load region boundaries from a GeoJSON or TopoJSON file and collect the region codes of its features
+function loadVectorRegions(csvItem, regionDescriptor) {
+    if (defined(csvItem._regionGeoJsonItem) && csvItem._regionGeoJsonItem.url === regionDescriptor.geoJsonUrl) {
+        return;
     }
-};
 
+    var geoJsonItem = new GeoJsonCatalogItem(csvItem.application, regionDescriptor.geoJsonUrl);
+    geoJsonItem.name = csvItem.name;
+
+    return when(geoJsonItem.load(), function() {
+        var regionProp = getVectorRegionProp(regionDescriptor);
+        var nameProp = defined(regionDescriptor.geoJsonNameProp) ? regionDescriptor.geoJsonNameProp : regionDescriptor.nameProp;
+        var entities = geoJsonItem._geoJsonDataSource.entities.values;
+        var ids = [];
+        var names = [];
+        for (var i = 0; i < entities.length; ++i) {
+            var properties = entities[i].properties;
+            if (defined(properties) && defined(properties[regionProp]) && ids.indexOf(properties[regionProp]) === -1) {
+                ids.push(properties[regionProp]);
+                names.push(defined(nameProp) ? properties[nameProp] : undefined);
+            }
+        }
 
-function loadRegionIDs(regionDescriptor) {
-    if (defined(regionDescriptor.idMap)) {
+        csvItem._regionGeoJsonItem = geoJsonItem;
+        csvItem._vectorRegionIds = ids;
+        csvItem._vectorRegionNames = names;
+
+        if (!defined(csvItem.rectangle) || Rectangle.equals(csvItem.rectangle, Rectangle.MAX_VALUE)) {
+            csvItem.rectangle = geoJsonItem.rectangle;
+        }
+    });
+}
+
+function getVectorRegionProp(regionDescriptor) {
+    return defined(regionDescriptor.geoJsonRegionProp) ? regionDescriptor.geoJsonRegionProp : regionDescriptor.regionProp;
+}
+
+//Color the region boundary entities using the color function, in the same way WMS tiles are recolored
+function colorRegionEntities(csvItem) {
+    var geoJsonItem = csvItem._regionGeoJsonItem;
+    if (!defined(geoJsonItem) || !defined(geoJsonItem._geoJsonDataSource) || !defined(csvItem.colorFunc)) {
         return;
     }
 
-    var url = regionServer + '?service=wfs&version=2.0&request=getPropertyValue';
-    url += '&typenames=' + regionDescriptor.name;
-    url += '&valueReference=' + regionDescriptor.regionProp;
+    var regionDescriptor = csvItem.application.regionMappings.get(csvItem.regionType);
+    var regionProp = getVectorRegionProp(regionDescriptor);
+
+    var entities = geoJsonItem._geoJsonDataSource.entities.values;
+    for (var i = 0; i < entities.length; ++i) {
+        var entity = entities[i];
+        var polygon = entity.polygon;
+        if (!defined(polygon) || !defined(entity.properties)) {
+            continue;
+        }
+
+        var code = entity.properties[regionProp];
+        var clr = csvItem.colorFunc(csvItem.regionIndex(code));
+        if (!defined(clr) || clr[3] === 0) {
+            polygon.show = new ConstantProperty(false);
+            continue;
+        }
+
+        var color = Color.fromBytes(clr[0], clr[1], clr[2], clr[3]);
+        color.alpha *= csvItem.opacity;
+
+        polygon.show = new ConstantProperty(true);
+        polygon.fill = new ConstantProperty(true);
+        polygon.outline = new ConstantProperty(true);
+        polygon.outlineColor = new ConstantProperty(Color.BLACK);
+        polygon.material = new ColorMaterialProperty(new ConstantProperty(color));
+
+        entity.description = new ConstantProperty(csvItem._tableDataSource.describe(csvItem.rowProperties(code)));
+    }
+}
+
+function loadRegionIDs(regionMappings, regionDescriptor, loadNames) {
+    var promises = [];
+
+    if (!defined(regionDescriptor.idMap)) {
+        promises.push(loadRegionPropertyValues(regionMappings, regionDescriptor, regionDescriptor.regionProp).then(function(idMap) {
+            regionDescriptor.idMap = idMap;
+        }, function(err) {
+            console.log(err);
+        }));
+    }
+
+    // Region names are only needed to match text columns, so don't ask the server for them otherwise
+    if (loadNames && defined(regionDescriptor.nameProp) && !defined(regionDescriptor.nameMap)) {
+        promises.push(loadRegionPropertyValues(regionMappings, regionDescriptor, regionDescriptor.nameProp).then(function(nameMap) {
+            regionDescriptor.nameMap = nameMap;
+        }, function(err) {
+            console.log(err);
+            regionDescriptor.nameMap = [];
+        }));
+    }
+
+    return when.all(promises);
+}
+
+//Get the values of a property of every region, in the order of the region layer's feature IDs
+function loadRegionPropertyValues(regionMappings, regionDescriptor, propertyName) {
+    var url = regionMappings.getServer(regionDescriptor.regionType) + '?service=wfs&version=2.0&request=getPropertyValue';
+    url += '&typenames=' + regionDescriptor.layerName;
+    url += '&valueReference=' + propertyName;
     url = corsProxy.getURL(url);
     return loadText(url).then(function (text) { 
         var obj = $.xml2json(text);
@@ -618,45 +909,24 @@ function loadRegionIDs(regionDescriptor) {
             return;
         }
 
-        var idMap = [];
-            //this turns ids into numbers since they are that way in table data
+        var values = [];
         for (var i = 0; i < obj.member.length; i++) {
-            idMap.push(obj.member[i][regionDescriptor.regionProp]);
+            values.push(obj.member[i][propertyName]);
         }
-        regionDescriptor.idMap = idMap;
-    }, function(err) {
-        console.log(err);
+        return values;
     });
 }
 
-function determineRegionVar(varNames, aliases) {
-    for (var i = 0; i < varNames.length; i++) {
-        var varName = varNames[i].toLowerCase();
-        for (var j = 0; j < aliases.length; j++) {
-            if (varName.substring(0,aliases[j].length) === aliases[j]) {
-                return i;
-            }
-        }
-    }
-    return -1;
-}
-
-
 //TODO: determine enum or value code here rather than separate region records
-function determineRegionType(dataset) {
+function determineRegionType(regionMappings, dataset) {
     var varNames = dataset.getVariableNames();
 
     var regionType, regionVariable, region;
     //try to figure out the region variable
-    for (region in regionWmsMap) {
-        if (regionWmsMap.hasOwnProperty(region)) {
-            var idx = determineRegionVar(varNames, regionWmsMap[region].aliases);
-            if (idx !== -1) {
-                regionType = region;
-                regionVariable = varNames[idx];
-                break;
-            }
-        }
+    var match = regionMappings.findRegionVariable(varNames);
+    if (defined(match)) {
+        regionType = match.regionType;
+        regionVariable = match.regionVariable;
     }
     
     //if no match, try to derive regionType from region_id to use native abs census files
@@ -668,7 +938,7 @@ function determineRegionType(dataset) {
         var code = dataset.getDataValue(absRegion, 0);
         if (typeof code === 'string') {
             region = code.replace(/[0-9]/g, '');
-            if (!defined(regionWmsMap[region])) {
+            if (!defined(regionMappings.get(region))) {
                 return;
             }
             regionType = region;
@@ -681,15 +951,7 @@ function determineRegionType(dataset) {
             dataset.variables[absRegion].vals = new_vals;
             dataset.variables[absRegion].enumList = undefined;
         } else {
-            var digits = code.toString().length;
-            for (region in regionWmsMap) {
-                if (regionWmsMap.hasOwnProperty(region)) {
-                    if (digits === regionWmsMap[region].digits) {
-                        regionType = region;
-                        break;
-                    }
-                }
-            }
+            regionType = regionMappings.findRegionTypeByDigits(code.toString().length);
         }
         if (defined(regionType)) {
             regionVariable = regionType;
@@ -700,47 +962,105 @@ function determineRegionType(dataset) {
     return { regionType: regionType, regionVariable: regionVariable };
 }
 
+// Normalize a region code or name so that, for example, ' Greater  Geelong' matches 'greater geelong' and '0800' matches 800
+function normalizeRegionKey(value) {
+    var key = String(value).trim().toLowerCase().replace(/\s+/g, ' ');
+    if (/^[0-9]+$/.test(key)) {
+        key = key.replace(/^0+(?=[0-9])/, '');
+    }
+    return key;
+}
+
+// Build a map from normalized region codes, region names and aliases to the index of the region in the region ID list
+function createRegionIndexLookup(csvItem, regionDescriptor, ids, names) {
+    var lookup = {};
+    var key, i;
+    for (i = 0; i < ids.length; i++) {
+        key = normalizeRegionKey(ids[i]);
+        if (!lookup.hasOwnProperty(key)) {
+            lookup[key] = i;
+        }
+    }
+    if (defined(names)) {
+        for (i = 0; i < names.length; i++) {
+            if (!defined(names[i])) {
+                continue;
+            }
+            key = normalizeRegionKey(names[i]);
+            if (!lookup.hasOwnProperty(key)) {
+                lookup[key] = i;
+            }
+        }
+    }
+
+    var aliases = {};
+    addRegionAliases(aliases, regionDescriptor.regionAliases);
+    addRegionAliases(aliases, defined(csvItem.tableStyle) ? csvItem.tableStyle.regionAliases : undefined);
+    for (var alias in aliases) {
+        if (aliases.hasOwnProperty(alias) && lookup.hasOwnProperty(aliases[alias])) {
+            lookup[alias] = lookup[aliases[alias]];
+        }
+    }
+
+    return function(code) {
+        if (!defined(code)) {
+            return undefined;
+        }
+        key = normalizeRegionKey(code);
+        return lookup.hasOwnProperty(key) ? lookup[key] : undefined;
+    };
+}
+
+function addRegionAliases(aliases, aliasTable) {
+    if (!defined(aliasTable)) {
+        return;
+    }
+    for (var alias in aliasTable) {
+        if (aliasTable.hasOwnProperty(alias)) {
+            aliases[normalizeRegionKey(alias)] = normalizeRegionKey(aliasTable[alias]);
+        }
+    }
+}
+
 function createRegionLookupFunc(csvItem) {
     if (!defined(csvItem) || !defined(csvItem._tableDataSource) || !defined(csvItem._tableDataSource.dataset)) {
         return;
     }
     var dataSource = csvItem._tableDataSource;
     var dataset = dataSource.dataset;
-    var regionDescriptor = regionWmsMap[csvItem.regionType];
- 
-    var numericCodes = false;
+    var regionDescriptor = csvItem.application.regionMappings.get(csvItem.regionType);
+
     var codes = dataset.getVariableEnums(csvItem.regionVariable);
-    var ids = regionDescriptor.idMap;
     if (!defined(codes)) {
-        numericCodes = true;
         codes = dataset.getVariableValues(csvItem.regionVariable);
-        for (var n = 0; n < ids.length; n++) {
-            ids[n] = parseInt(ids[n],10);
-        }
     }
+
+    var ids, names;
+    if (defined(csvItem._regionGeoJsonItem)) {
+        ids = csvItem._vectorRegionIds;
+        names = csvItem._vectorRegionNames;
+    } else {
+        ids = regionDescriptor.idMap || [];
+        names = regionDescriptor.nameMap;
+    }
+
+    var regionIndex = createRegionIndexLookup(csvItem, regionDescriptor, ids, names);
+
     var vals = dataset.getVariableValues(dataset.getDataVariable());
     var colors = new Array(ids.length);
     for (var c = 0; c < colors.length; c++) {
         colors[c] = [0, 0, 0, 0];
     }
 
-    // set color for each code
-    var row, index, codeMap = [];
-    if (!defined(csvItem.recs)) {
-        for (row = 0; row < codes.length; row++) {
-            index = ids.indexOf(codes[row]);
-            if (index >= 0 && colors[index][3] === 0) {
-                colors[index] = dataSource._mapValue2Color(vals[row]);
-            }
-        }
-    } else {
-        for (var i = 0; i < csvItem.recs.length; i++) {
-            row  = csvItem.recs[i];
-            codeMap[i] = codes[row];
-            index = ids.indexOf(codes[row]);
-            if (index >= 0 && colors[index][3] === 0) {
-                colors[index] = dataSource._mapValue2Color(vals[row]);
-            }
+    // set color for each code, and remember the first row for each region
+    var rowCount = defined(csvItem.recs) ? csvItem.recs.length : codes.length;
+    var regionRows = new Array(ids.length);
+    for (var i = 0; i < rowCount; i++) {
+        var row = defined(csvItem.recs) ? csvItem.recs[i] : i;
+        var index = regionIndex(codes[row]);
+        if (defined(index) && !defined(regionRows[index])) {
+            regionRows[index] = row;
+            colors[index] = dataSource._mapValue2Color(vals[row]);
         }
     }
 
@@ -749,11 +1069,12 @@ function createRegionLookupFunc(csvItem) {
         return colors[id];
     };
 
+    // used to find the index of a region from its code or name
+    csvItem.regionIndex = regionIndex;
+
     function getRowIndex(code) {
-        if (codeMap.length > 0) {
-            return csvItem.recs[codeMap.indexOf(code)];
-        }
-        return codes.indexOf(numericCodes ? parseInt(code,10) : code);
+        var index = regionIndex(code);
+        return defined(index) ? regionRows[index] : undefined;
     }
 
     // used to get current variable data
@@ -762,29 +1083,92 @@ function createRegionLookupFunc(csvItem) {
     };
     // used to get all region data properties
     csvItem.rowProperties = function(code) {
-        return dataset.getDataRow(getRowIndex(code));
+        return dataset.getDisplayDataRow(getRowIndex(code));
     };
 }
 
+// List the rows whose region could not be matched in the item's info panel, so that mismatches are not silent
+function reportUnmatchedRegions(csvItem) {
+    var dataset = csvItem._tableDataSource.dataset;
+    var codes = dataset.getVariableEnums(csvItem.regionVariable);
+    if (!defined(codes)) {
+        codes = dataset.getVariableValues(csvItem.regionVariable);
+    }
+
+    var unmatched = [];
+    for (var row = 0; row < codes.length; row++) {
+        if (!defined(csvItem.regionIndex(codes[row]))) {
+            unmatched.push(row);
+        }
+    }
+
+    var sectionName = 'Unmatched Regions';
+    var info = csvItem.info.filter(function(section) {
+        return section.name !== sectionName;
+    });
+
+    if (unmatched.length > 0) {
+        var maxListed = 100;
+        var content = '<p>' + unmatched.length + ' of ' + codes.length + ' rows could not be matched to a region of type ' +
+            csvItem.regionType + ' and are not shown on the map.</p><table><tr><th>Row</th><th>' + escapeHtml(csvItem.regionVariable) + '</th></tr>';
+        for (var i = 0; i < unmatched.length && i < maxListed; i++) {
+            // Row numbers count the header line, to match the line numbers of the CSV file
+            content += '<tr><td>' + (unmatched[i] + 2) + '</td><td>' + escapeHtml(codes[unmatched[i]]) + '</td></tr>';
+        }
+        content += '</table>';
+        if (unmatched.length > maxListed) {
+            content += '<p>...and ' + (unmatched.length - maxListed) + ' more.</p>';
+        }
+        info.push({
+            name: sectionName,
+            content: content
+        });
+    }
+
+    csvItem.info = info;
+}
+
+function escapeHtml(value) {
+    return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
 function setRegionVariable(csvItem, regionVariable, regionType) {
     if (!(csvItem._tableDataSource instanceof TableDataSource)) {
         return;
     }
 
+    var regionMappings = csvItem.application.regionMappings;
+    var regionDescriptor = regionMappings.get(regionType);
+    if (!defined(regionDescriptor)) {
+        throw new ModelError({
+            sender: csvItem,
+            title: 'Unknown region type',
+            message: '\
+The region type ' + regionType + ' is not known to National Map.  Region types can be added with the \
+<code>regionMappings</code> property of an init file.'
+        });
+    }
+
     csvItem.regionVariable = regionVariable;
-    var regionDescriptor = regionWmsMap[regionType];
     if (csvItem.regionType !== regionType) {
         csvItem.regionType = regionType;
 
-        csvItem.regionServer = regionServer;
-        csvItem.regionLayers = regionDescriptor.name;
+        csvItem.regionServer = regionMappings.getServer(regionType);
+        csvItem.regionLayers = regionDescriptor.layerName;
 
         csvItem.regionProp = regionDescriptor.regionProp;
     }
     console.log('Region type:', csvItem.regionType, ', Region var:', csvItem.regionVariable);
-        
-    return when(loadRegionIDs(regionDescriptor), function() {
+
+    var useVectorRegions = !defined(regionDescriptor.layerName) ||
+        (defined(regionDescriptor.geoJsonUrl) && defined(csvItem.tableStyle) && csvItem.tableStyle.regionMappingMode === 'vector');
+    var hasRegionNames = defined(csvItem._tableDataSource.dataset.getVariableEnums(regionVariable));
+    var promise = useVectorRegions ? loadVectorRegions(csvItem, regionDescriptor) : loadRegionIDs(regionMappings, regionDescriptor, hasRegionNames);
+
+    return when(promise, function() {
         createRegionLookupFunc(csvItem);
+        colorRegionEntities(csvItem);
+        reportUnmatchedRegions(csvItem);
         csvItem._regionMapped = true;
     });
 }
@@ -799,6 +1183,8 @@ function setRegionDataVariable(csvItem, newVar) {
     var dataset = dataSource.dataset;
     dataset.setDataVariable(newVar);
     createRegionLookupFunc(csvItem);
+    updateCategories(csvItem);
+    csvItem.legendUrl = dataSource.getLegendGraphic();
     
     console.log('Var set to:', newVar);
 
@@ -832,7 +1218,7 @@ function addRegionMap(csvItem) {
         //fill in missing tableStyle settings
     var tableStyle = csvItem.tableStyle || {};
     if (!defined(tableStyle.regionType) || !defined(tableStyle.regionVariable)) {
-        var result = determineRegionType(dataset);
+        var result = determineRegionType(csvItem.application.regionMappings, dataset);
         if (!defined(result) || !defined(result.regionType)) {
             return;
         }
@@ -844,7 +1230,7 @@ function addRegionMap(csvItem) {
         var dataVar = dataset.getDataVariable();
         var varNames = dataset.getVariableNames();
         if (varNames.indexOf(dataVar) === -1 || dataVar === tableStyle.regionVariable) {
-            tableStyle.dataVariable = (varNames.indexOf(tableStyle.regionVariable) === 0) ? varNames[1] : varNames[0];
+            dataVar = (varNames.indexOf(tableStyle.regionVariable) === 0) ? varNames[1] : varNames[0];
         }
         tableStyle.dataVariable = dataVar;
         dataSource.setDataVariable(dataVar);
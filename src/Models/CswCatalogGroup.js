@@ -0,0 +1,641 @@
+'use strict';
+
+/*global require,URI,$*/
+
+var clone = require('../../third_party/cesium/Source/Core/clone');
+var defined = require('../../third_party/cesium/Source/Core/defined');
+var defineProperties = require('../../third_party/cesium/Source/Core/defineProperties');
+var formatError = require('../../third_party/cesium/Source/Core/formatError');
+var freezeObject = require('../../third_party/cesium/Source/Core/freezeObject');
+var knockout = require('../../third_party/cesium/Source/ThirdParty/knockout');
+var loadXML = require('../../third_party/cesium/Source/Core/loadXML');
+var Rectangle = require('../../third_party/cesium/Source/Core/Rectangle');
+
+var ArcGisFeatureServerCatalogItem = require('./ArcGisFeatureServerCatalogItem');
+var ArcGisMapServerCatalogItem = require('./ArcGisMapServerCatalogItem');
+var CatalogGroup = require('./CatalogGroup');
+var inherit = require('../Core/inherit');
+var KmlCatalogItem = require('./KmlCatalogItem');
+var MetadataItem = require('./MetadataItem');
+var ModelError = require('./ModelError');
+var WebFeatureServiceCatalogItem = require('./WebFeatureServiceCatalogItem');
+var WebMapServiceCatalogItem = require('./WebMapServiceCatalogItem');
+
+/**
+ * A {@link CatalogGroup} representing a collection of layers described by the records of an OGC Catalogue Service for
+ * the Web (CSW), such as a GeoNetwork server.  Records are requested with GetRecords, in pages, and each record with a
+ * WMS, WFS, KML or ArcGIS online resource link becomes a catalog item.  The items are grouped by the subjects (keywords)
+ * of their records.
+ *
+ * @alias CswCatalogGroup
+ * @constructor
+ * @extends CatalogGroup
+ *
+ * @param {Application} application The application.
+ */
+var CswCatalogGroup = function(application) {
+    CatalogGroup.call(this, application, 'csw');
+
+    /**
+     * Gets or sets the URL of the CSW server.  This property is observable.
+     * @type {String}
+     */
+    this.url = '';
+
+    /**
+     * Gets or sets a description of the custodian of the data sources in this group.  If this property is undefined,
+     * the custodian of each data source is the publisher or creator in its record.
+     * This property is an HTML string that must be sanitized before display to the user.
+     * This property is observable.
+     * @type {String}
+     */
+    this.dataCustodian = undefined;
+
+    /**
+     * Gets or sets the filter passed to GetRecords to choose the records in this group, in OGC Common Query Language
+     * (CQL), such as "AnyText like '%water%'" or "subject = 'Elevation'".  If this property is undefined, all records
+     * are requested.  This property is observable.
+     * @type {String}
+     */
+    this.filter = undefined;
+
+    /**
+     * Gets or sets the number of records to request in each GetRecords request.  Records are requested page by page
+     * until all of the matching records have been received.  This property is observable.
+     * @type {Number}
+     * @default 100
+     */
+    this.pageSize = 100;
+
+    /**
+     * Gets or sets how the items in this group are organized: 'subject' to put each item in a group for each of the
+     * subjects (keywords) of its record, or 'none' to list the items directly in this group.  Items whose records have
+     * no subjects are always listed directly in this group.  This property is observable.
+     * @type {String}
+     * @default 'subject'
+     */
+    this.groupBy = 'subject';
+
+    /**
+     * Gets or sets a hash of names of blacklisted groups and data sources.  A group or data source that appears in this hash
+     * will not be shown to the user.  In this hash, the keys should be the names of the groups and data sources to blacklist,
+     * and the values should be "true".  This property is observable.
+     * @type {Object}
+     */
+    this.blacklist = undefined;
+
+    /**
+     * Gets or sets a value indicating whether records with a WMS link are added as {@link WebMapServiceCatalogItem}s.
+     * @type {Boolean}
+     * @default true
+     */
+    this.includeWms = true;
+
+    /**
+     * Gets or sets a value indicating whether records with a WFS link are added as {@link WebFeatureServiceCatalogItem}s.
+     * @type {Boolean}
+     * @default true
+     */
+    this.includeWfs = true;
+
+    /**
+     * Gets or sets a value indicating whether records with a KML link are added as {@link KmlCatalogItem}s.
+     * @type {Boolean}
+     * @default true
+     */
+    this.includeKml = true;
+
+    /**
+     * Gets or sets a value indicating whether records with an ArcGIS MapServer or FeatureServer link are added as
+     * {@link ArcGisMapServerCatalogItem}s or {@link ArcGisFeatureServerCatalogItem}s.
+     * @type {Boolean}
+     * @default true
+     */
+    this.includeEsri = true;
+
+    knockout.track(this, ['url', 'dataCustodian', 'filter', 'pageSize', 'groupBy', 'blacklist']);
+};
+
+inherit(CatalogGroup, CswCatalogGroup);
+
+defineProperties(CswCatalogGroup.prototype, {
+    /**
+     * Gets the type of data member represented by this instance.
+     * @memberOf CswCatalogGroup.prototype
+     * @type {String}
+     */
+    type : {
+        get : function() {
+            return 'csw';
+        }
+    },
+
+    /**
+     * Gets a human-readable name for this type of data source, such as 'Web Map Service (WMS)'.
+     * @memberOf CswCatalogGroup.prototype
+     * @type {String}
+     */
+    typeName : {
+        get : function() {
+            return 'Catalogue Service for the Web (CSW)';
+        }
+    },
+
+    /**
+     * Gets the set of functions used to serialize individual properties in {@link CatalogMember#serializeToJson}.
+     * When a property name on the model matches the name of a property in the serializers object lieral,
+     * the value will be called as a function and passed a reference to the model, a reference to the destination
+     * JSON object literal, and the name of the property.
+     * @memberOf CswCatalogGroup.prototype
+     * @type {Object}
+     */
+    serializers : {
+        get : function() {
+            return CswCatalogGroup.defaultSerializers;
+        }
+    }
+});
+
+/**
+ * Gets or sets the set of default serializer functions to use in {@link CatalogMember#serializeToJson}.  Types derived from this type
+ * should expose this instance - cloned and modified if necesary - through their {@link CatalogMember#serializers} property.
+ * @type {Object}
+ */
+CswCatalogGroup.defaultSerializers = clone(CatalogGroup.defaultSerializers);
+
+CswCatalogGroup.defaultSerializers.items = function(cswGroup, json, propertyName, options) {
+    // Only serialize minimal properties in contained items, because other properties are loaded from the CSW server.
+    var previousSerializeForSharing = options.serializeForSharing;
+    options.serializeForSharing = true;
+
+    // Only serlize enabled items as well, as for a CKAN group.
+    var previousEnabledItemsOnly = options.enabledItemsOnly;
+    options.enabledItemsOnly = true;
+
+    var result = CatalogGroup.defaultSerializers.items(cswGroup, json, propertyName, options);
+
+    options.enabledItemsOnly = previousEnabledItemsOnly;
+    options.serializeForSharing = previousSerializeForSharing;
+
+    return result;
+};
+
+CswCatalogGroup.defaultSerializers.isLoading = function(cswGroup, json, propertyName, options) {};
+
+freezeObject(CswCatalogGroup.defaultSerializers);
+
+CswCatalogGroup.prototype._getValuesThatInfluenceLoad = function() {
+    return [this.url, this.filter, this.pageSize, this.groupBy, this.blacklist];
+};
+
+CswCatalogGroup.prototype._load = function() {
+    if (!defined(this.url) || this.url.length === 0) {
+        return undefined;
+    }
+
+    var that = this;
+    var records = [];
+
+    function loadPage(startPosition) {
+        var url = proxyUrl(that.application, that.getRecordsUrl(startPosition));
+        return loadXML(url).then(function(xml) {
+            if (typeof xml === 'string') {
+                xml = $.parseXML(xml);
+            }
+
+            // Is this really a GetRecords response?
+            if (!xml || !xml.documentElement || xml.documentElement.localName !== 'GetRecordsResponse') {
+                throw new ModelError({
+                    sender: that,
+                    title: 'Invalid CSW server',
+                    message: '\
+An error occurred while invoking GetRecords on the CSW server.  The server\'s response does not appear to be a valid GetRecords response.  \
+<p>If you entered the link manually, please verify that the link is correct.</p>\
+<p>If you did not enter this link manually, this error may indicate that the group you opened is temporarily unavailable or there is a \
+problem with your internet connection.  Try opening the group again, and if the problem persists, please report it by \
+sending an email to <a href="mailto:nationalmap@lists.nicta.com.au">nationalmap@lists.nicta.com.au</a>.</p>'
+                });
+            }
+
+            var json = $.xml2json(xml);
+            records.push.apply(records, CswCatalogGroup.getRecords(json));
+
+            // The server reports the position of the next record, or 0 when there are no more.
+            var searchResults = defined(json.SearchResults) ? json.SearchResults : {};
+            var nextRecord = parseInt(searchResults.nextRecord, 10);
+            var numberOfRecordsMatched = parseInt(searchResults.numberOfRecordsMatched, 10);
+            if (nextRecord > startPosition && (isNaN(numberOfRecordsMatched) || nextRecord <= numberOfRecordsMatched)) {
+                return loadPage(nextRecord);
+            }
+        });
+    }
+
+    return loadPage(1).then(function() {
+        that.addRecords(records);
+    }).otherwise(function(e) {
+        if (e instanceof ModelError) {
+            throw e;
+        }
+
+        throw new ModelError({
+            sender: that,
+            title: that.name,
+            message: '\
+Couldn\'t retrieve records from this CSW server.<br/><br/>\
+If you entered the URL manually, please double-check it.<br/><br/>\
+If it\'s your server, make sure <a href="http://enable-cors.org/" target="_blank">CORS</a> is enabled.<br/><br/>\
+Otherwise, if reloading doesn\'t fix it, please report the problem by sending an email to <a href="mailto:nationalmap@lists.nicta.com.au">nationalmap@lists.nicta.com.au</a> with the technical details below.  Thank you!<br/><br/>\
+<pre>' + formatError(e) + '</pre>'
+        });
+    });
+};
+
+/**
+ * Gets the URL of a GetRecords request for a page of the records in this group, in Dublin Core.
+ *
+ * @param {Number} startPosition The position of the first record to request, starting at 1.
+ * @return {String} The URL.
+ */
+CswCatalogGroup.prototype.getRecordsUrl = function(startPosition) {
+    var uri = new URI(this.url);
+    uri.search('');
+
+    var parameters = {
+        service: 'CSW',
+        version: '2.0.2',
+        request: 'GetRecords',
+        typeNames: 'csw:Record',
+        outputSchema: 'http://www.opengis.net/cat/csw/2.0.2',
+        resultType: 'results',
+        elementSetName: 'full',
+        startPosition: startPosition,
+        maxRecords: this.pageSize
+    };
+
+    if (defined(this.filter) && this.filter.length > 0) {
+        parameters.constraintLanguage = 'CQL_TEXT';
+        parameters.constraint_language_version = '1.1.0';
+        parameters.constraint = this.filter;
+    }
+
+    uri.setSearch(parameters);
+    return uri.toString();
+};
+
+/**
+ * Adds a catalog item to this group for each CSW record that has a supported online resource link.  If
+ * {@link CswCatalogGroup#groupBy} is 'subject', the item is added to a group for each of the subjects of its record.
+ *
+ * @param {Object[]} records The records, in Dublin Core, as returned by {@link CswCatalogGroup.getRecords}.
+ */
+CswCatalogGroup.prototype.addRecords = function(records) {
+    for (var i = 0; i < records.length; ++i) {
+        var record = records[i];
+        var title = textOf(record.title);
+
+        if (this.blacklist && this.blacklist[title]) {
+            console.log('Provider Feedback: Filtering out ' + title + ' (' + textOf(record.identifier) + ') because it is blacklisted.');
+            continue;
+        }
+
+        var subjects = this.groupBy === 'subject' ? getSubjects(record) : [];
+        if (subjects.length === 0) {
+            var item = CswCatalogGroup.createItemFromRecord(this, record);
+            if (defined(item)) {
+                this.add(item);
+            }
+            continue;
+        }
+
+        for (var subjectIndex = 0; subjectIndex < subjects.length; ++subjectIndex) {
+            var subject = subjects[subjectIndex];
+            if (this.blacklist && this.blacklist[subject]) {
+                continue;
+            }
+
+            // Each group needs its own item, because an item can only be in one group.
+            var subjectItem = CswCatalogGroup.createItemFromRecord(this, record);
+            if (!defined(subjectItem)) {
+                break;
+            }
+
+            var group = this.findFirstItemByName(subject);
+            if (!defined(group)) {
+                group = new CatalogGroup(this.application);
+                group.name = subject;
+                this.add(group);
+            }
+
+            group.add(subjectItem);
+        }
+    }
+
+    this.items.sort(compareNames);
+
+    for (var j = 0; j < this.items.length; ++j) {
+        if (defined(this.items[j].items)) {
+            this.items[j].items.sort(compareNames);
+        }
+    }
+};
+
+/**
+ * Gets the records of a GetRecords response.
+ *
+ * @param {Object} json The GetRecords response, as converted to JSON by xml2json.
+ * @return {Object[]} The records.
+ */
+CswCatalogGroup.getRecords = function(json) {
+    if (!defined(json) || !defined(json.SearchResults)) {
+        return [];
+    }
+
+    var searchResults = json.SearchResults;
+    return asArray(defined(searchResults.Record) ? searchResults.Record : searchResults.SummaryRecord);
+};
+
+// The protocol of a dc:URI or scheme of a dct:references link must match one of these to be considered that type of resource.
+var wmsProtocolRegex = /OGC:WMS/i;
+var wfsProtocolRegex = /OGC:WFS/i;
+var kmlProtocolRegex = /KML|google-earth/i;
+var esriProtocolRegex = /ESRI|ArcGIS/i;
+
+var kmlUrlRegex = /\.km[lz](\?.*)?$/i;
+var mapServerUrlRegex = /\/MapServer\/?(\d+\/?)?(\?.*)?$/i;
+var featureServerUrlRegex = /\/FeatureServer\/\d+\/?(\?.*)?$/i;
+
+/**
+ * Creates a catalog item for a CSW record from the first of its online resource links that is supported, trying
+ * WMS, then ArcGIS MapServer, then WFS, then ArcGIS FeatureServer, then KML.  The item's description, data custodian
+ * and rectangle are taken from the record, and the record's abstract, rights, publisher and bounding box are added to
+ * the details of the data source in its metadata.
+ *
+ * @param {CswCatalogGroup} cswGroup The group for which to create the item.
+ * @param {Object} record The record, in Dublin Core, as converted to JSON by xml2json.
+ * @return {CatalogItem} The item, or undefined if the record has no supported links.
+ */
+CswCatalogGroup.createItemFromRecord = function(cswGroup, record) {
+    var links = getLinks(record);
+
+    var item = createItemFromLinks(cswGroup, links);
+    if (!defined(item)) {
+        return undefined;
+    }
+
+    item.name = textOf(record.title) || textOf(record.identifier);
+    item.description = getDescription(cswGroup, record);
+    item.rectangle = getRectangle(record);
+
+    if (defined(cswGroup.dataCustodian)) {
+        item.dataCustodian = cswGroup.dataCustodian;
+    } else {
+        var custodian = textOf(record.publisher) || textOf(record.creator) || textOf(record.contributor);
+        if (defined(custodian) && custodian.length > 0) {
+            item.dataCustodian = custodian;
+        }
+    }
+
+    addRecordMetadata(item, record);
+
+    return item;
+};
+
+function createItemFromLinks(cswGroup, links) {
+    var link;
+
+    if (cswGroup.includeWms) {
+        link = findLink(links, function(link) {
+            return wmsProtocolRegex.test(link.protocol);
+        });
+        if (defined(link)) {
+            var wmsUri = new URI(link.url);
+            var wmsParameters = wmsUri.search(true);
+            var layers = link.name || wmsParameters.LAYERS || wmsParameters.layers;
+            if (defined(layers) && layers.length > 0) {
+                var wmsItem = new WebMapServiceCatalogItem(cswGroup.application);
+                wmsItem.url = wmsUri.search('').toString();
+                wmsItem.layers = layers;
+                return wmsItem;
+            }
+        }
+    }
+
+    if (cswGroup.includeEsri) {
+        link = findLink(links, function(link) {
+            return esriProtocolRegex.test(link.protocol) && mapServerUrlRegex.test(link.url);
+        });
+        if (defined(link)) {
+            var mapServerItem = new ArcGisMapServerCatalogItem(cswGroup.application);
+            mapServerItem.url = link.url;
+            return mapServerItem;
+        }
+    }
+
+    if (cswGroup.includeWfs) {
+        link = findLink(links, function(link) {
+            return wfsProtocolRegex.test(link.protocol);
+        });
+        if (defined(link)) {
+            var wfsUri = new URI(link.url);
+            var wfsParameters = wfsUri.search(true);
+            var typeNames = link.name || wfsParameters.typeName || wfsParameters.TYPENAME || wfsParameters.typeNames;
+            if (defined(typeNames) && typeNames.length > 0) {
+                var wfsItem = new WebFeatureServiceCatalogItem(cswGroup.application);
+                wfsItem.url = wfsUri.search('').toString();
+                wfsItem.typeNames = typeNames;
+                return wfsItem;
+            }
+        }
+    }
+
+    if (cswGroup.includeEsri) {
+        link = findLink(links, function(link) {
+            return esriProtocolRegex.test(link.protocol) && featureServerUrlRegex.test(link.url);
+        });
+        if (defined(link)) {
+            return new ArcGisFeatureServerCatalogItem(cswGroup.application, link.url);
+        }
+    }
+
+    if (cswGroup.includeKml) {
+        link = findLink(links, function(link) {
+            return kmlProtocolRegex.test(link.protocol) || kmlUrlRegex.test(link.url);
+        });
+        if (defined(link)) {
+            return new KmlCatalogItem(cswGroup.application, link.url);
+        }
+    }
+
+    return undefined;
+}
+
+function findLink(links, predicate) {
+    for (var i = 0; i < links.length; ++i) {
+        if (predicate(links[i])) {
+            return links[i];
+        }
+    }
+    return undefined;
+}
+
+// Gets the online resource links of a record from its dc:URI and dct:references elements.  The protocol of a dc:URI
+// is in its protocol attribute, and that of a dct:references in its scheme attribute.
+function getLinks(record) {
+    var links = [];
+
+    var uris = asArray(record.URI);
+    for (var i = 0; i < uris.length; ++i) {
+        links.push({
+            url: textOf(uris[i]),
+            protocol: defined(uris[i].protocol) ? uris[i].protocol : '',
+            name: uris[i].name
+        });
+    }
+
+    var references = asArray(record.references);
+    for (var j = 0; j < references.length; ++j) {
+        links.push({
+            url: textOf(references[j]),
+            protocol: defined(references[j].scheme) ? references[j].scheme : '',
+            name: undefined
+        });
+    }
+
+    return links.filter(function(link) {
+        return defined(link.url) && link.url.length > 0;
+    });
+}
+
+function getSubjects(record) {
+    var result = [];
+
+    var subjects = asArray(record.subject);
+    for (var i = 0; i < subjects.length; ++i) {
+        var subject = textOf(subjects[i]);
+        if (defined(subject) && subject.length > 0 && result.indexOf(subject) < 0) {
+            result.push(subject);
+        }
+    }
+
+    return result;
+}
+
+function getDescription(cswGroup, record) {
+    var description = textOf(record.abstract) || textOf(record.description) || '';
+    description = description.replace(/\n/g, '<br/>');
+
+    var rights = textOf(record.rights);
+    if (defined(rights) && rights.length > 0) {
+        description += '<br/><br/>' + rights;
+    }
+
+    var identifier = textOf(record.identifier);
+    if (defined(identifier) && identifier.length > 0) {
+        var uri = new URI(cswGroup.url);
+        uri.search('');
+        uri.setSearch({
+            service: 'CSW',
+            version: '2.0.2',
+            request: 'GetRecordById',
+            outputSchema: 'http://www.isotc211.org/2005/gmd',
+            elementSetName: 'full',
+            id: identifier
+        });
+        description += '<br/>[Full metadata record](' + uri.toString() + ')';
+    }
+
+    return description;
+}
+
+function getRectangle(record) {
+    var bounds = getBounds(record);
+    return defined(bounds) ? Rectangle.fromDegrees(bounds.west, bounds.south, bounds.east, bounds.north) : undefined;
+}
+
+// The corners of an ows:BoundingBox in GeoNetwork's Dublin Core are longitude then latitude.
+function getBounds(record) {
+    var boundingBox = defined(record.BoundingBox) ? record.BoundingBox : record.WGS84BoundingBox;
+    boundingBox = asArray(boundingBox)[0];
+    if (!defined(boundingBox) || !defined(boundingBox.LowerCorner) || !defined(boundingBox.UpperCorner)) {
+        return undefined;
+    }
+
+    var lowerCorner = textOf(boundingBox.LowerCorner).split(' ');
+    var upperCorner = textOf(boundingBox.UpperCorner).split(' ');
+    if (lowerCorner.length < 2 || upperCorner.length < 2) {
+        return undefined;
+    }
+
+    var west = parseFloat(lowerCorner[0]);
+    var south = parseFloat(lowerCorner[1]);
+    var east = parseFloat(upperCorner[0]);
+    var north = parseFloat(upperCorner[1]);
+    if (isNaN(west) || isNaN(south) || isNaN(east) || isNaN(north)) {
+        return undefined;
+    }
+
+    return {
+        west: west,
+        south: south,
+        east: east,
+        north: north
+    };
+}
+
+// Lists the details of a record in the metadata of its item, before any details that the item's own type provides,
+// such as those of a WMS layer from GetCapabilities.
+function addRecordMetadata(item, record) {
+    function addItem(name, value) {
+        if (defined(value) && value.length > 0) {
+            item.dataSourceMetadataItems.push(new MetadataItem(name, value));
+        }
+    }
+
+    addItem('Abstract', textOf(record.abstract) || textOf(record.description));
+    addItem('Rights', textOf(record.rights));
+    addItem('Publisher', textOf(record.publisher));
+
+    var bounds = getBounds(record);
+    if (defined(bounds)) {
+        addItem('Bounding Box', 'West ' + bounds.west + ', South ' + bounds.south + ', East ' + bounds.east + ', North ' + bounds.north);
+    }
+}
+
+function compareNames(a, b) {
+    var aName = a.name.toLowerCase();
+    var bName = b.name.toLowerCase();
+    if (aName < bName) {
+        return -1;
+    } else if (aName > bName) {
+        return 1;
+    } else {
+        return 0;
+    }
+}
+
+// An element with attributes is converted by xml2json to a String object with the attributes as properties, and a
+// repeated element to an array; this gets the text of the first.
+function textOf(value) {
+    value = asArray(value)[0];
+    return defined(value) ? value.toString().trim() : undefined;
+}
+
+function asArray(value) {
+    if (!defined(value)) {
+        return [];
+    }
+    if (value instanceof Array) {
+        return value;
+    }
+    return [value];
+}
+
+function proxyUrl(application, url) {
+    if (defined(application.corsProxy) && application.corsProxy.shouldUseProxy(url)) {
+        return application.corsProxy.getURL(url, '1d');
+    }
+
+    return url;
+}
+
+module.exports = CswCatalogGroup;
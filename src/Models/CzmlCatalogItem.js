@@ -9,7 +9,6 @@ var DeveloperError = require('../../third_party/cesium/Source/Core/DeveloperErro
 var knockout = require('../../third_party/cesium/Source/ThirdParty/knockout');
 var when = require('../../third_party/cesium/Source/ThirdParty/when');
 
-var Metadata = require('./Metadata');
 var ModelError = require('./ModelError');
 var CatalogItem = require('./CatalogItem');
 var inherit = require('../Core/inherit');
@@ -86,12 +85,37 @@ defineProperties(CzmlCatalogItem.prototype, {
      */
     metadata : {
         get : function() {
-            var result = new Metadata();
+            var result = CatalogItem.createMetadata(this);
             result.isLoading = false;
-            result.dataSourceErrorMessage = 'This data source does not have any details available.';
+            if (!result.dataSourceMetadata.hasChildren) {
+                result.dataSourceErrorMessage = 'This data source does not have any details available.';
+            }
             result.serviceErrorMessage = 'This service does not have any details available.';
             return result;
         }
+    },
+
+    /**
+     * Gets the data source whose entities show this data item on the map.
+     * @memberOf CzmlCatalogItem.prototype
+     * @type {DataSource}
+     */
+    dataSource : {
+        get : function() {
+            return this._czmlDataSource;
+        }
+    },
+
+    /**
+     * Gets a value indicating whether this data source can be displayed at its own time, independently of the
+     * application's clock (see {@link CatalogItem#useOwnClock}).
+     * @memberOf CzmlCatalogItem.prototype
+     * @type {Boolean}
+     */
+    supportsOwnClock : {
+        get : function() {
+            return true;
+        }
     }
 });
 
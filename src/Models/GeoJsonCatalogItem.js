@@ -18,10 +18,10 @@ var when = require('../../third_party/cesium/Source/ThirdParty/when');
 
 var PointGraphics = require('../../third_party/cesium/Source/DataSources/PointGraphics');
 
-var Metadata = require('./Metadata');
 var ModelError = require('./ModelError');
 var CatalogItem = require('./CatalogItem');
 var inherit = require('../Core/inherit');
+var queryEntitiesInArea = require('../Map/queryEntitiesInArea');
 var readJson = require('../Core/readJson');
 
 var lineAndFillPalette = {
@@ -88,6 +88,29 @@ inherit(CatalogItem, GeoJsonCatalogItem);
 
 GeoJsonCatalogItem.proj4BaseUrl = 'proj4def/';
 
+/**
+ * Makes sure the proj4 definition of a coordinate system is available, loading it from
+ * {@link GeoJsonCatalogItem.proj4BaseUrl} if necessary.
+ *
+ * @param {String} code The code of the coordinate system, such as 'EPSG:28355'.
+ * @return {Boolean|Promise} True if the coordinate system is supported, or a promise for whether it is.
+ */
+GeoJsonCatalogItem.checkProjection = function(code) {
+    return checkProjection(code);
+};
+
+/**
+ * Reprojects a point to longitude and latitude in degrees.  The coordinate system must already have been checked
+ * with {@link GeoJsonCatalogItem.checkProjection}.
+ *
+ * @param {Number[]} coordinates The [x, y] coordinates of the point.
+ * @param {String} code The code of the point's coordinate system, such as 'EPSG:28355'.
+ * @return {Number[]} The [longitude, latitude] of the point.
+ */
+GeoJsonCatalogItem.reprojectPointToGeographic = function(coordinates, code) {
+    return pntReproject(coordinates, code);
+};
+
 defineProperties(GeoJsonCatalogItem.prototype, {
     /**
      * Gets the type of data member represented by this instance.
@@ -119,12 +142,37 @@ defineProperties(GeoJsonCatalogItem.prototype, {
     metadata : {
         get : function() {
             // TODO: maybe return the FeatureCollection's properties?
-            var result = new Metadata();
+            var result = CatalogItem.createMetadata(this);
             result.isLoading = false;
-            result.dataSourceErrorMessage = 'This data source does not have any details available.';
+            if (!result.dataSourceMetadata.hasChildren) {
+                result.dataSourceErrorMessage = 'This data source does not have any details available.';
+            }
             result.serviceErrorMessage = 'This service does not have any details available.';
             return result;
         }
+    },
+
+    /**
+     * Gets the data source whose entities show this data item on the map.
+     * @memberOf GeoJsonCatalogItem.prototype
+     * @type {DataSource}
+     */
+    dataSource : {
+        get : function() {
+            return this._geoJsonDataSource;
+        }
+    },
+
+    /**
+     * Gets a value indicating whether this data source can be displayed at its own time, independently of the
+     * application's clock (see {@link CatalogItem#useOwnClock}).
+     * @memberOf GeoJsonCatalogItem.prototype
+     * @type {Boolean}
+     */
+    supportsOwnClock : {
+        get : function() {
+            return true;
+        }
     }
 });
 
@@ -207,6 +255,14 @@ GeoJsonCatalogItem.prototype._hide = function() {
     dataSources.remove(this._geoJsonDataSource, false);
 };
 
+GeoJsonCatalogItem.prototype.queryFeaturesInArea = function(area) {
+    if (!defined(this._geoJsonDataSource)) {
+        return undefined;
+    }
+
+    return when(queryEntitiesInArea(this._geoJsonDataSource.entities.values, area, this.currentDisplayTime));
+};
+
 function updateModelFromData(geoJsonItem, geoJson) {
     // If this GeoJSON data is an object literal with a single property, treat that
     // property as the name of the data source, and the property's value as the
@@ -476,8 +532,36 @@ function getExtent(pts, ext) {
 
 function getGeoJsonExtent(geoJson) {
     var ext = {west:180, east:-180, south:90, north: -90};
-    filterValue(geoJson, 'coordinates', function(obj, prop) { getExtent(obj[prop], ext); });
+    if (geoJson.type === 'Topology') {
+        getTopoJsonExtent(geoJson, ext);
+    } else {
+        filterValue(geoJson, 'coordinates', function(obj, prop) { getExtent(obj[prop], ext); });
+    }
     return Rectangle.fromDegrees(ext.west, ext.south, ext.east, ext.north);
 }
 
+// Get Extent of the arcs of a topojson topology, which are delta-encoded if the topology is quantized
+function getTopoJsonExtent(topology, ext) {
+    if (defined(topology.bbox)) {
+        getExtent([topology.bbox[0], topology.bbox[1]], ext);
+        getExtent([topology.bbox[2], topology.bbox[3]], ext);
+        return;
+    }
+
+    var transform = topology.transform;
+    var arcs = topology.arcs || [];
+    for (var i = 0; i < arcs.length; i++) {
+        var x = 0, y = 0;
+        for (var j = 0; j < arcs[i].length; j++) {
+            if (defined(transform)) {
+                x += arcs[i][j][0];
+                y += arcs[i][j][1];
+                getExtent([x * transform.scale[0] + transform.translate[0], y * transform.scale[1] + transform.translate[1]], ext);
+            } else {
+                getExtent(arcs[i][j], ext);
+            }
+        }
+    }
+}
+
 module.exports = GeoJsonCatalogItem;
@@ -45,12 +45,26 @@ GlobeOrMap.prototype.zoomTo = function(viewOrExtent, flightDurationSeconds) {
 
 /**
  * Captures a screenshot of the map.
+ * @param {Object} [options] Object with the following properties:
+ * @param {Number} [options.width] The width of the screenshot, in pixels, if it should be drawn at a higher resolution
+ *        than the map on screen.  The viewer may not be able to draw it quite this large.  If undefined, the screenshot
+ *        is the size of the map on screen.
+ * @param {String} [options.format='image/jpeg'] The type of image in the data URL.
  * @return {Promise} A promise that resolves to a data URL when the screenshot is ready.
  */
-GlobeOrMap.prototype.captureScreenshot = function() {
+GlobeOrMap.prototype.captureScreenshot = function(options) {
     throw new DeveloperError('captureScreenshot must be implemented in the derived class.');
 };
 
+/**
+ * Waits for the tiles needed to draw the current view to load, for example before capturing a screenshot.
+ * @param {Number} [timeout=30000] The longest time to wait, in milliseconds.
+ * @return {Promise} A promise that resolves when the tiles have loaded, or when the timeout has passed.
+ */
+GlobeOrMap.prototype.waitForTilesToLoad = function(timeout) {
+    throw new DeveloperError('waitForTilesToLoad must be implemented in the derived class.');
+};
+
 /**
  * Notifies the viewer that a repaint is required.
  */
@@ -58,6 +72,15 @@ GlobeOrMap.prototype.notifyRepaintRequired = function() {
     throw new DeveloperError('notifyRepaintRequired must be implemented in the derived class.');
 };
 
+/**
+ * Updates the imagery layers of the data items in the Now Viewing list so that each is shown only on its side of the
+ * splitter, after {@link Application#showSplitter}, {@link Application#splitPosition}, or the
+ * {@link ImageryLayerCatalogItem#splitDirection} of an item changes.
+ */
+GlobeOrMap.prototype.updateSplit = function() {
+    throw new DeveloperError('updateSplit must be implemented in the derived class.');
+};
+
 /**
  * Computes the screen position of a given world position.
  * @param  {Cartesian3} position The world position in Earth-centered Fixed coordinates.
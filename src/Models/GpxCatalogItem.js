@@ -7,7 +7,6 @@ var defineProperties = require('../../third_party/cesium/Source/Core/definePrope
 var knockout = require('../../third_party/cesium/Source/ThirdParty/knockout');
 var when = require('../../third_party/cesium/Source/ThirdParty/when');
 
-var Metadata = require('./Metadata');
 var ModelError = require('./ModelError');
 var CatalogItem = require('./CatalogItem');
 var inherit = require('../Core/inherit');
@@ -88,9 +87,11 @@ defineProperties(GpxCatalogItem.prototype, {
      */
     metadata : {
         get : function() {
-            var result = new Metadata();
+            var result = CatalogItem.createMetadata(this);
             result.isLoading = false;
-            result.dataSourceErrorMessage = 'This data source does not have any details available.';
+            if (!result.dataSourceMetadata.hasChildren) {
+                result.dataSourceErrorMessage = 'This data source does not have any details available.';
+            }
             result.serviceErrorMessage = 'This service does not have any details available.';
             return result;
         }
@@ -152,6 +153,14 @@ GpxCatalogItem.prototype._hide = function() {
     }
 };
 
+GpxCatalogItem.prototype.queryFeaturesInArea = function(area) {
+    if (!defined(this._geoJsonItem)) {
+        return undefined;
+    }
+
+    return this._geoJsonItem.queryFeaturesInArea(area);
+};
+
 
 function proxyUrl(application, url) {
     if (defined(application.corsProxy) && application.corsProxy.shouldUseProxy(url)) {
@@ -75,7 +75,15 @@ var ImageryLayerCatalogItem = function(application) {
      */
     this.intervals = undefined;
 
-    knockout.track(this, ['_clock', 'opacity', 'treat404AsError', 'ignoreUnknownTileErrors', 'intervals']);
+    /**
+     * Gets or sets the side of the map on which this item is shown when the map is split for comparison (see
+     * {@link Application#showSplitter}): 'left', 'right', or undefined to show it on both sides.  This property is observable.
+     * @type {String}
+     * @default undefined
+     */
+    this.splitDirection = undefined;
+
+    knockout.track(this, ['_clock', 'opacity', 'treat404AsError', 'ignoreUnknownTileErrors', 'intervals', 'splitDirection']);
 
     overrideProperty(this, 'clock', {
         get : function() {
@@ -107,6 +115,10 @@ var ImageryLayerCatalogItem = function(application) {
         updateOpacity(this);
     }, this);
 
+    knockout.getObservable(this, 'splitDirection').subscribe(function() {
+        this.application.currentViewer.updateSplit();
+    }, this);
+
     // Subscribe to isShown changing and add/remove the clock tick subscription as necessary.
     knockout.getObservable(this, 'isShown').subscribe(function() {
         updateClockSubscription(this);
@@ -115,6 +127,15 @@ var ImageryLayerCatalogItem = function(application) {
     knockout.getObservable(this, 'clock').subscribe(function() {
         updateClockSubscription(this);
     }, this);
+
+    // Switch to the imagery for the item's own time as soon as it changes, rather than waiting for the clock to tick.
+    knockout.getObservable(this, 'useOwnClock').subscribe(function() {
+        onClockTick(this, this.application.clock);
+    }, this);
+
+    knockout.getObservable(this, 'currentTime').subscribe(function() {
+        onClockTick(this, this.application.clock);
+    }, this);
 };
 
 inherit(CatalogItem, ImageryLayerCatalogItem);
@@ -166,6 +187,56 @@ defineProperties(ImageryLayerCatalogItem.prototype, {
         }
     },
 
+    /**
+     * Gets a value indicating whether this data source can be shown on just one side of the map when it is split
+     * for comparison.
+     * @memberOf ImageryLayerCatalogItem.prototype
+     * @type {Boolean}
+     */
+    supportsSplitting : {
+        get : function() {
+            return true;
+        }
+    },
+
+    /**
+     * Gets a value indicating whether this data item can be displayed at its own time, independently of the
+     * application's clock (see {@link CatalogItem#useOwnClock}).
+     * @memberOf ImageryLayerCatalogItem.prototype
+     * @type {Boolean}
+     */
+    supportsOwnClock : {
+        get : function() {
+            return true;
+        }
+    },
+
+    /**
+     * Gets the periods of time for which this data item has data, which are marked on the timeline.  These are the
+     * {@link ImageryLayerCatalogItem#intervals} if defined, and otherwise the time range of the item's clock.
+     * @memberOf ImageryLayerCatalogItem.prototype
+     * @type {TimeInterval[]}
+     */
+    availability : {
+        get : function() {
+            var intervals = this.intervals;
+            if (!defined(intervals) || intervals.length === 0) {
+                if (!defined(this.clock)) {
+                    return undefined;
+                }
+                return [new TimeInterval({
+                    start: this.clock.startTime,
+                    stop: this.clock.stopTime
+                })];
+            }
+            var result = [];
+            for (var i = 0; i < intervals.length; ++i) {
+                result.push(intervals.get(i));
+            }
+            return result;
+        }
+    },
+
     /**
      * Gets the set of functions used to update individual properties in {@link CatalogMember#updateFromJson}.
      * When a property name in the returned object literal matches the name of a property on this instance, the value
@@ -261,6 +332,7 @@ freezeObject(ImageryLayerCatalogItem.defaultSerializers);
  */
 ImageryLayerCatalogItem.defaultPropertiesForSharing = clone(CatalogItem.defaultPropertiesForSharing);
 ImageryLayerCatalogItem.defaultPropertiesForSharing.push('opacity');
+ImageryLayerCatalogItem.defaultPropertiesForSharing.push('splitDirection');
 
 freezeObject(ImageryLayerCatalogItem.defaultPropertiesForSharing);
 
@@ -307,7 +379,7 @@ ImageryLayerCatalogItem.prototype._enable = function() {
         isTimeDynamic = true;
 
         var clock = this.application.clock;
-        var index = this.intervals.indexOf(clock.currentTime);
+        var index = this.intervals.indexOf(this.currentDisplayTime);
 
         var nextIndex;
         if (index < 0) {
@@ -492,10 +564,11 @@ function onClockTick(catalogItem, clock) {
     }
 
     var index = catalogItem._currentIntervalIndex;
+    var time = catalogItem.currentDisplayTime;
 
-    if (index < 0 || index >= intervals.length || !TimeInterval.contains(intervals.get(index), clock.currentTime)) {
+    if (index < 0 || index >= intervals.length || !TimeInterval.contains(intervals.get(index), time)) {
         // Find the interval containing the current time.
-        index = intervals.indexOf(clock.currentTime);
+        index = intervals.indexOf(time);
         if (index < 0) {
             // No interval contains this time, so do not show imagery at this time.
             ImageryLayerCatalogItem.disableLayer(catalogItem, catalogItem._imageryLayer);
@@ -565,6 +638,7 @@ ImageryLayerCatalogItem.showLayer = function(catalogItem, layer) {
 
     if (defined(catalogItem.application.cesium)) {
         layer.show = true;
+        catalogItem.application.cesium.updateSplit();
     }
 
     if (defined(catalogItem.application.leaflet)) {
@@ -572,6 +646,7 @@ ImageryLayerCatalogItem.showLayer = function(catalogItem, layer) {
             layer.addTo(catalogItem.application.leaflet.map);
         }
         catalogItem.application.nowViewing.updateLeafletLayerOrder();
+        catalogItem.application.leaflet.updateSplit();
     }
 };
 
@@ -9,10 +9,10 @@ var KmlDataSource = require('../../third_party/cesium/Source/DataSources/KmlData
 var knockout = require('../../third_party/cesium/Source/ThirdParty/knockout');
 var when = require('../../third_party/cesium/Source/ThirdParty/when');
 
-var Metadata = require('./Metadata');
 var ModelError = require('./ModelError');
 var CatalogItem = require('./CatalogItem');
 var inherit = require('../Core/inherit');
+var queryEntitiesInArea = require('../Map/queryEntitiesInArea');
 var readXml = require('../Core/readXml');
 
 /**
@@ -86,12 +86,37 @@ defineProperties(KmlCatalogItem.prototype, {
      */
     metadata : {
         get : function() {
-            var result = new Metadata();
+            var result = CatalogItem.createMetadata(this);
             result.isLoading = false;
-            result.dataSourceErrorMessage = 'This data source does not have any details available.';
+            if (!result.dataSourceMetadata.hasChildren) {
+                result.dataSourceErrorMessage = 'This data source does not have any details available.';
+            }
             result.serviceErrorMessage = 'This service does not have any details available.';
             return result;
         }
+    },
+
+    /**
+     * Gets the data source whose entities show this data item on the map.
+     * @memberOf KmlCatalogItem.prototype
+     * @type {DataSource}
+     */
+    dataSource : {
+        get : function() {
+            return this._kmlDataSource;
+        }
+    },
+
+    /**
+     * Gets a value indicating whether this data source can be displayed at its own time, independently of the
+     * application's clock (see {@link CatalogItem#useOwnClock}).
+     * @memberOf KmlCatalogItem.prototype
+     * @type {Boolean}
+     */
+    supportsOwnClock : {
+        get : function() {
+            return true;
+        }
     }
 });
 
@@ -184,6 +209,14 @@ KmlCatalogItem.prototype._hide = function() {
     dataSources.remove(this._kmlDataSource, false);
 };
 
+KmlCatalogItem.prototype.queryFeaturesInArea = function(area) {
+    if (!defined(this._kmlDataSource)) {
+        return undefined;
+    }
+
+    return when(queryEntitiesInArea(this._kmlDataSource.entities.values, area, this.currentDisplayTime));
+};
+
 function proxyUrl(application, url) {
     if (defined(application.corsProxy) && application.corsProxy.shouldUseProxy(url)) {
         return application.corsProxy.getURL(url);
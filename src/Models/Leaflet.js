@@ -4,6 +4,7 @@
 var Cartesian2 = require('../../third_party/cesium/Source/Core/Cartesian2');
 var Cartographic = require('../../third_party/cesium/Source/Core/Cartographic');
 var CesiumMath = require('../../third_party/cesium/Source/Core/Math');
+var defaultValue = require('../../third_party/cesium/Source/Core/defaultValue');
 var defined = require('../../third_party/cesium/Source/Core/defined');
 var destroyObject = require('../../third_party/cesium/Source/Core/destroyObject');
 var DeveloperError = require('../../third_party/cesium/Source/Core/DeveloperError');
@@ -22,6 +23,9 @@ var PickedFeatures = require('../Map/PickedFeatures');
 var rectangleToLatLngBounds = require('../Map/rectangleToLatLngBounds');
 var runLater = require('../Core/runLater');
 
+// The most zoom levels by which the map is enlarged for a screenshot, as each one quadruples the tiles to load.
+var maxScreenshotZoomLevels = 2;
+
 var Leaflet = function(application, map) {
     GlobeOrMap.call(this);
 
@@ -68,6 +72,14 @@ var Leaflet = function(application, map) {
     this._selectedFeatureSubscription = knockout.getObservable(this.application, 'selectedFeature').subscribe(function() {
         selectFeature(this);
     }, this);
+
+    // Keep imagery layers clipped to their side of the splitter as the map and the splitter move.
+    this._boundUpdateSplit = this.updateSplit.bind(this);
+    map.on('move', this._boundUpdateSplit);
+    map.on('resize', this._boundUpdateSplit);
+
+    this._showSplitterSubscription = knockout.getObservable(this.application, 'showSplitter').subscribe(this._boundUpdateSplit);
+    this._splitPositionSubscription = knockout.getObservable(this.application, 'splitPosition').subscribe(this._boundUpdateSplit);
 };
 
 inherit(GlobeOrMap, Leaflet);
@@ -78,6 +90,19 @@ Leaflet.prototype.destroy = function() {
         this._selectedFeatureSubscription = undefined;
     }
 
+    if (defined(this._showSplitterSubscription)) {
+        this._showSplitterSubscription.dispose();
+        this._showSplitterSubscription = undefined;
+    }
+
+    if (defined(this._splitPositionSubscription)) {
+        this._splitPositionSubscription.dispose();
+        this._splitPositionSubscription = undefined;
+    }
+
+    this.map.off('move', this._boundUpdateSplit);
+    this.map.off('resize', this._boundUpdateSplit);
+
     return destroyObject(this);
 };
 
@@ -122,47 +147,197 @@ Leaflet.prototype.zoomTo = function(viewOrExtent, flightDurationSeconds) {
 
 /**
  * Captures a screenshot of the map.
+ * @param {Object} [options] Object with the following properties:
+ * @param {Number} [options.width] The width of the screenshot, in pixels, if it should be drawn at a higher resolution
+ *        than the map on screen.  The viewer may not be able to draw it quite this large.  If undefined, the screenshot
+ *        is the size of the map on screen.
+ * @param {String} [options.format='image/jpeg'] The type of image in the data URL.
  * @return {Promise} A promise that resolves to a data URL when the screenshot is ready.
  */
-Leaflet.prototype.captureScreenshot = function() {
-    var deferred = when.defer();
+Leaflet.prototype.captureScreenshot = function(options) {
+    options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+    var format = defaultValue(options.format, 'image/jpeg');
+
+    // Tiles are only drawn at their own resolution, so a larger screenshot is drawn by enlarging the map by a power of
+    // two and zooming in by as many levels, so that it shows the same area in more detail.
+    var zoomLevels = 0;
+    if (defined(options.width)) {
+        zoomLevels = Math.round(Math.log(options.width / this.map.getSize().x) / Math.LN2);
+        zoomLevels = CesiumMath.clamp(zoomLevels, 0, Math.min(maxScreenshotZoomLevels, this.map.getMaxZoom() - this.map.getZoom()));
+    }
 
-    // Temporarily hide the map credits.
-    this.map.attributionControl.removeFrom(this.map);
+    if (zoomLevels === 0) {
+        return captureContainer(this, format);
+    }
+
+    var map = this.map;
+    var container = map.getContainer();
+    var center = map.getCenter();
+    var zoom = map.getZoom();
+    var size = map.getSize();
+    var previousWidth = container.style.width;
+    var previousHeight = container.style.height;
+
+    // Tiles take a while to load, so cover the map with a copy of it as it is now while it is enlarged, rather than
+    // letting it visibly jump.
+    var removeCover = coverContainer(container);
+
+    container.style.width = (size.x << zoomLevels) + 'px';
+    container.style.height = (size.y << zoomLevels) + 'px';
+    map.invalidateSize(false);
+    map.setView(center, zoom + zoomLevels, { animate: false });
+
+    function restoreSize() {
+        container.style.width = previousWidth;
+        container.style.height = previousHeight;
+        map.invalidateSize(false);
+        map.setView(center, zoom, { animate: false });
+        removeCover();
+    }
 
     var that = this;
+    return when(this.waitForTilesToLoad(), function() {
+        return captureContainer(that, format);
+    }).then(function(dataUrl) {
+        restoreSize();
+        return dataUrl;
+    }, function(e) {
+        restoreSize();
+        throw e;
+    });
+};
+
+/**
+ * Waits for the tiles needed to draw the current view to load, for example before capturing a screenshot.
+ * @param {Number} [timeout=30000] The longest time to wait, in milliseconds.
+ * @return {Promise} A promise that resolves when the tiles have loaded, or when the timeout has passed.
+ */
+Leaflet.prototype.waitForTilesToLoad = function(timeout) {
+    var deferred = when.defer();
+
+    var loadingLayers = getLoadingTileLayers(this.map);
+    if (loadingLayers.length === 0) {
+        deferred.resolve();
+        return deferred.promise;
+    }
+
+    // Each tile layer raises its load event once all of its tiles have loaded or failed to load.
+    var timeoutId;
+    function onLoad(e) {
+        e.target.off('load', onLoad);
+        loadingLayers.splice(loadingLayers.indexOf(e.target), 1);
+        if (loadingLayers.length === 0) {
+            clearTimeout(timeoutId);
+            deferred.resolve();
+        }
+    }
+
+    loadingLayers.forEach(function(layer) {
+        layer.on('load', onLoad);
+    });
+
+    // Capture whatever has loaded by the timeout, including when a layer is removed before it finishes loading.
+    timeoutId = setTimeout(function() {
+        loadingLayers.forEach(function(layer) {
+            layer.off('load', onLoad);
+        });
+        deferred.resolve();
+    }, defaultValue(timeout, 30000));
+
+    return deferred.promise;
+};
+
+/**
+ * Notifies the viewer that a repaint is required.
+ */
+Leaflet.prototype.notifyRepaintRequired = function() {
+    // Leaflet doesn't need to do anything with this notification.
+};
+
+/**
+ * Updates the imagery layers of the data items in the Now Viewing list so that each is shown only on its side of the
+ * splitter.  Layers are clipped with CSS, in the coordinates of the map pane, which move as the map is panned.
+ */
+Leaflet.prototype.updateSplit = function() {
+    var map = this.map;
+    var size = map.getSize();
+    var northwest = map.containerPointToLayerPoint([0, 0]);
+    var southeast = map.containerPointToLayerPoint(size);
+    var splitX = northwest.x + size.x * this.application.splitPosition;
+
+    var clips = {
+        left: 'rect(' + [northwest.y, splitX, southeast.y, northwest.x].join('px, ') + 'px)',
+        right: 'rect(' + [northwest.y, southeast.x, southeast.y, splitX].join('px, ') + 'px)'
+    };
+
+    var items = this.application.nowViewing.items;
+    for (var i = 0; i < items.length; ++i) {
+        var item = items[i];
+        var clip = '';
+        if (this.application.showSplitter && item.supportsSplitting && clips.hasOwnProperty(item.splitDirection)) {
+            clip = clips[item.splitDirection];
+        }
+        clipLayer(item._imageryLayer, clip);
+        clipLayer(item._nextLayer, clip);
+    }
+};
+
+function captureContainer(leaflet, format) {
+    var deferred = when.defer();
+    var map = leaflet.map;
+
+    // Temporarily hide the map credits.
+    map.attributionControl.removeFrom(map);
 
     try {
-        html2canvas(this.map.getContainer(), {
+        html2canvas(map.getContainer(), {
             useCORS: true,
             onrendered: function(canvas) {
                 var dataUrl;
 
                 try {
-                    dataUrl = canvas.toDataURL("image/jpeg");
+                    dataUrl = canvas.toDataURL(format);
                 } catch (e) {
                     deferred.reject(e);
                 }
 
-                that.map.attributionControl.addTo(that.map);
+                map.attributionControl.addTo(map);
 
                 deferred.resolve(dataUrl);
             }
         });
     } catch (e) {
-        that.map.attributionControl.addTo(that.map);
+        map.attributionControl.addTo(map);
         deferred.reject(e);
     }
 
     return deferred.promise;
-};
+}
 
-/**
- * Notifies the viewer that a repaint is required.
- */
-Leaflet.prototype.notifyRepaintRequired = function() {
-    // Leaflet doesn't need to do anything with this notification.
-};
+// Places a copy of the map container's current contents over it, and returns a function that removes the copy.  The
+// tiles and features of the map are images and SVG elements, so the copy looks just like the map.
+function coverContainer(container) {
+    var rect = container.getBoundingClientRect();
+    var cover = container.cloneNode(true);
+    cover.removeAttribute('id');
+    cover.style.position = 'fixed';
+    cover.style.left = rect.left + 'px';
+    cover.style.top = rect.top + 'px';
+    cover.style.width = rect.width + 'px';
+    cover.style.height = rect.height + 'px';
+    cover.style.zIndex = window.getComputedStyle(container).zIndex;
+    container.parentNode.insertBefore(cover, container.nextSibling);
+
+    return function() {
+        container.parentNode.removeChild(cover);
+    };
+}
+
+function clipLayer(layer, clip) {
+    if (defined(layer) && defined(layer.getContainer) && defined(layer.getContainer())) {
+        layer.getContainer().style.clip = clip;
+    }
+}
 
 var cartographicScratch = new Cartographic();
 
@@ -186,6 +361,11 @@ Leaflet.prototype.computePositionOnScreen = function(position, result) {
 };
 
 function featurePicked(leaflet, entity) {
+    // Features are not picked while a tool is handling clicks on the map.
+    if (leaflet.application.mapInteractionModeStack.length > 0) {
+        return;
+    }
+
     leaflet._pickedFeatures.features.push(entity);
 }
 
@@ -194,6 +374,13 @@ function prePickFeatures(leaflet) {
 }
 
 function pickFeatures(leaflet, latlng) {
+    // While a tool is handling clicks on the map, pass it the clicked position instead of picking features.
+    var modes = leaflet.application.mapInteractionModeStack;
+    if (modes.length > 0) {
+        modes[modes.length - 1].positionPicked.raiseEvent(Ellipsoid.WGS84.cartographicToCartesian(Cartographic.fromDegrees(latlng.lng, latlng.lat)));
+        return;
+    }
+
     // We can't count on pickFeatures (triggered by click on the map) being called after before
     // featurePicked (triggered by click on an individual feature).  So don't resolve the pick
     // promise until we're sure all the click handlers have run, by waiting on a runLater.
@@ -240,10 +427,23 @@ function pickFeatures(leaflet, latlng) {
     leaflet.application.pickedFeatures = leaflet._pickedFeatures;
 }
 
+// Leaflet raises a load event when a tile layer finishes loading, but has no public way to find out whether it is still
+// loading, so this is the only place its private count of tiles to load is read.  Layers without the count, as may
+// happen when Leaflet is upgraded, are treated as loaded.
+function getLoadingTileLayers(map) {
+    var layers = [];
+    map.eachLayer(function(layer) {
+        if (layer instanceof L.TileLayer && typeof layer._tilesToLoad === 'number' && layer._tilesToLoad > 0) {
+            layers.push(layer);
+        }
+    });
+    return layers;
+}
+
 function selectFeature(leaflet) {
     var feature = leaflet.application.selectedFeature;
     if (defined(feature) && defined(feature.position)) {
-        var cartographic = Ellipsoid.WGS84.cartesianToCartographic(feature.position.getValue(leaflet.application.clock.currentTime), cartographicScratch);
+        var cartographic = Ellipsoid.WGS84.cartesianToCartographic(feature.position.getValue(leaflet.application.nowViewing.getEntityDisplayTime(feature)), cartographicScratch);
         leaflet._selectionIndicator.setLatLng([CesiumMath.toDegrees(cartographic.latitude), CesiumMath.toDegrees(cartographic.longitude)]);
         animateSelectionIndicatorAppear(leaflet);
     } else {
@@ -0,0 +1,39 @@
+'use strict';
+
+/*global require*/
+var defaultValue = require('../../third_party/cesium/Source/Core/defaultValue');
+var CesiumEvent = require('../../third_party/cesium/Source/Core/Event');
+var knockout = require('../../third_party/cesium/Source/ThirdParty/knockout');
+
+/**
+ * A mode in which clicks on the map are handled by a tool, such as a measuring tool, instead of picking features.
+ * While a mode is on {@link Application#mapInteractionModeStack}, the viewers raise the {@link MapInteractionMode#positionPicked}
+ * event of the topmost mode with the position that was clicked.
+ *
+ * @alias MapInteractionMode
+ * @constructor
+ *
+ * @param {Object} [options] Object with the following properties:
+ * @param {String} [options.message=''] The message to show the user, explaining how to interact with the map in this mode.
+ */
+var MapInteractionMode = function(options) {
+    options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+
+    /**
+     * Gets or sets the message to show the user, explaining how to interact with the map in this mode.  This property
+     * is observable.
+     * @type {String}
+     */
+    this.message = defaultValue(options.message, '');
+
+    /**
+     * Gets the event that is raised when the user clicks the map in this mode.  The position is passed to
+     * listeners as a {@link Cartesian3} in Earth-centered Fixed coordinates, on the terrain if there is any.
+     * @type {Event}
+     */
+    this.positionPicked = new CesiumEvent();
+
+    knockout.track(this, ['message']);
+};
+
+module.exports = MapInteractionMode;
@@ -42,18 +42,40 @@ NoViewer.prototype.zoomTo = function(viewOrExtent, flightDurationSeconds) {
 
 /**
  * Captures a screenshot of the map.
+ * @param {Object} [options] Object with the following properties:
+ * @param {Number} [options.width] The width of the screenshot, in pixels, if it should be drawn at a higher resolution
+ *        than the map on screen.  The viewer may not be able to draw it quite this large.  If undefined, the screenshot
+ *        is the size of the map on screen.
+ * @param {String} [options.format='image/jpeg'] The type of image in the data URL.
  * @return {Promise} A promise that resolves to a data URL when the screenshot is ready.
  */
-NoViewer.prototype.captureScreenshot = function() {
+NoViewer.prototype.captureScreenshot = function(options) {
     return when.reject();
 };
 
+/**
+ * Waits for the tiles needed to draw the current view to load.
+ * @param {Number} [timeout=30000] The longest time to wait, in milliseconds.
+ * @return {Promise} A promise that resolves when the tiles have loaded, or when the timeout has passed.
+ */
+NoViewer.prototype.waitForTilesToLoad = function(timeout) {
+    return when.resolve();
+};
+
 /**
  * Notifies the viewer that a repaint is required.
  */
 NoViewer.prototype.notifyRepaintRequired = function() {
 };
 
+/**
+ * Updates the imagery layers of the data items in the Now Viewing list so that each is shown only on its side of the
+ * splitter, after {@link Application#showSplitter}, {@link Application#splitPosition}, or the
+ * {@link ImageryLayerCatalogItem#splitDirection} of an item changes.
+ */
+NoViewer.prototype.updateSplit = function() {
+};
+
 /**
  * Computes the screen position of a given world position.
  * @param  {Cartesian3} position The world position in Earth-centered Fixed coordinates.
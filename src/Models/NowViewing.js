@@ -6,8 +6,11 @@ var defined = require('../../third_party/cesium/Source/Core/defined');
 var defineProperties = require('../../third_party/cesium/Source/Core/defineProperties');
 var DeveloperError = require('../../third_party/cesium/Source/Core/DeveloperError');
 var EventHelper = require('../../third_party/cesium/Source/Core/EventHelper');
+var JulianDate = require('../../third_party/cesium/Source/Core/JulianDate');
 var knockout = require('../../third_party/cesium/Source/ThirdParty/knockout');
 
+var unionTimeIntervals = require('../Map/unionTimeIntervals');
+
 /**
  * The model for the "Now Viewing" pane.
  */
@@ -15,6 +18,10 @@ var NowViewing = function(application) {
     this._application = application;
     this._eventSubscriptions = new EventHelper();
 
+    // The highlight ranges marking when each item has data, by row, and the timeline they were added to.
+    this._timelineBands = [];
+    this._timelineWithBands = undefined;
+
     /**
      * Gets the list of items that we are "now viewing".  It is recommended that you use
      * the methods on this instance instead of manipulating the list of items directly.
@@ -31,6 +38,10 @@ var NowViewing = function(application) {
 
     knockout.track(this, ['items', 'isOpen']);
 
+    knockout.getObservable(this, 'items').subscribe(function() {
+        this.updateTimeline();
+    }, this);
+
     this._eventSubscriptions.add(this.application.beforeViewerChanged, function() {
         beforeViewerChanged(this);
     }, this);
@@ -81,6 +92,13 @@ defineProperties(NowViewing.prototype, {
     }
 });
 
+/**
+ * The colors of the bands that mark on the timeline when each time-varying item has data.
+ * @type {String[]}
+ */
+NowViewing.timelineBandColors = ['rgba(68, 170, 255, 0.8)', 'rgba(255, 170, 51, 0.8)', 'rgba(102, 204, 102, 0.8)',
+                                 'rgba(221, 102, 170, 0.8)', 'rgba(204, 204, 85, 0.8)'];
+
 /**
  * Destroys this instance, including unsubscribing it from any events.
  */
@@ -131,6 +149,94 @@ NowViewing.prototype.removeAll = function() {
     this.items.removeAll();
 };
 
+/**
+ * Gets the time at which the entities of a data source are displayed.  This is the
+ * {@link CatalogItem#currentDisplayTime} of the item in the list that shows the data source, or the current time of the
+ * application's clock if no item shows it.
+ *
+ * @param {DataSource} dataSource The data source.
+ * @return {JulianDate} The time at which the data source is displayed.
+ */
+NowViewing.prototype.getDisplayTime = function(dataSource) {
+    if (defined(dataSource)) {
+        for (var i = 0; i < this.items.length; ++i) {
+            if (this.items[i].dataSource === dataSource) {
+                return this.items[i].currentDisplayTime;
+            }
+        }
+    }
+    return this.application.clock.currentTime;
+};
+
+/**
+ * Gets the time at which an entity, such as a selected feature, is displayed.  This is the
+ * {@link CatalogItem#currentDisplayTime} of the item in the list whose data source contains the entity, or the current
+ * time of the application's clock if no item contains it.
+ *
+ * @param {Entity} entity The entity.
+ * @return {JulianDate} The time at which the entity is displayed.
+ */
+NowViewing.prototype.getEntityDisplayTime = function(entity) {
+    if (defined(entity)) {
+        for (var i = 0; i < this.items.length; ++i) {
+            var dataSource = this.items[i].dataSource;
+            if (defined(dataSource) && dataSource.entities.getById(entity.id) === entity) {
+                return this.items[i].currentDisplayTime;
+            }
+        }
+    }
+    return this.application.clock.currentTime;
+};
+
+/**
+ * Sets the range of the application's clock and timeline to span the times of all shown time-varying items that follow
+ * the timeline, rather than just the most recently shown one, and marks when each of them has data on the timeline.
+ * Items that are displayed at their own time (see {@link CatalogItem#useOwnClock}) are not included.
+ *
+ * @param {CatalogItem} [currentItem] An item whose clock settings, such as its current time and multiplier, should be
+ *        used if it is the only time-varying item.  It is included even if it is not yet in the list of items.
+ */
+NowViewing.prototype.updateTimeline = function(currentItem) {
+    var items = this.items.filter(followsTimeline);
+    if (defined(currentItem) && followsTimeline(currentItem) && items.indexOf(currentItem) === -1) {
+        items.push(currentItem);
+    }
+
+    var availabilities = items.map(function(item) {
+        return unionTimeIntervals(item.availability);
+    });
+
+    var allTimes = unionTimeIntervals(Array.prototype.concat.apply([], availabilities));
+    if (allTimes.length > 0) {
+        var clock = this.application.clock;
+        if (defined(currentItem) && items.indexOf(currentItem) !== -1) {
+            currentItem.clock.getValue(clock);
+        }
+
+        var startTime = allTimes[0].start;
+        var stopTime = allTimes[allTimes.length - 1].stop;
+        if (defined(currentItem) || !JulianDate.equals(startTime, clock.startTime) || !JulianDate.equals(stopTime, clock.stopTime)) {
+            // Only reset the speed when the range changes, so that changes made with the animation controls are kept.
+            clock.startTime = JulianDate.clone(startTime);
+            clock.stopTime = JulianDate.clone(stopTime);
+            if (items.length === 1) {
+                clock.multiplier = items[0].clock.multiplier;
+            } else {
+                clock.multiplier = JulianDate.secondsDifference(stopTime, startTime) / 60.0;
+            }
+        }
+        if (JulianDate.lessThan(clock.currentTime, clock.startTime) || JulianDate.greaterThan(clock.currentTime, clock.stopTime)) {
+            clock.currentTime = JulianDate.clone(clock.startTime);
+        }
+    }
+
+    var timeline = getTimeline(this.application);
+    if (defined(timeline)) {
+        updateTimelineBands(this, timeline, availabilities);
+        timeline.zoomTo(this.application.clock.startTime, this.application.clock.stopTime);
+    }
+};
+
 /**
  * Raises an item, making it displayed on top of the item that is currently above it.  If it
  * is nonsensical to move this item up (e.g. it is already at the top), this method does nothing.
@@ -335,6 +441,59 @@ function swapLeafletZIndices(nowViewing, item, otherItem) {
     otherItem.imageryLayer.setZIndex(itemIndex);
 }
 
+function followsTimeline(item) {
+    return item.isShown && defined(item.clock) && !(item.useOwnClock && item.supportsOwnClock);
+}
+
+function getTimeline(application) {
+    if (defined(application.cesium)) {
+        return application.cesium.viewer.timeline;
+    } else if (defined(application.leaflet)) {
+        return application.leaflet.map.timeline;
+    }
+    return undefined;
+}
+
+var timelineBandHeight = 4;
+
+function updateTimelineBands(nowViewing, timeline, availabilities) {
+    // Highlight ranges can't be removed from a timeline, so they're reused, and hidden by clearing their range.
+    if (nowViewing._timelineWithBands !== timeline) {
+        nowViewing._timelineBands = [];
+        nowViewing._timelineWithBands = timeline;
+    }
+
+    var colors = NowViewing.timelineBandColors;
+    var rows = nowViewing._timelineBands;
+    var row;
+
+    for (row = 0; row < availabilities.length; ++row) {
+        if (!defined(rows[row])) {
+            rows[row] = [];
+        }
+
+        var intervals = availabilities[row];
+        var bands = rows[row];
+
+        for (var i = 0; i < Math.max(intervals.length, bands.length); ++i) {
+            if (!defined(bands[i])) {
+                bands[i] = timeline.addHighlightRange(colors[row % colors.length], timelineBandHeight, (row % colors.length) * timelineBandHeight);
+            }
+            if (i < intervals.length) {
+                bands[i].setRange(intervals[i].start, intervals[i].stop);
+            } else {
+                bands[i].setRange(undefined, undefined);
+            }
+        }
+    }
+
+    for (; row < rows.length; ++row) {
+        for (var j = 0; j < rows[row].length; ++j) {
+            rows[row][j].setRange(undefined, undefined);
+        }
+    }
+}
+
 function beforeViewerChanged(nowViewing) {
     // Hide and disable all data sources, without actually changing
     // their isEnabled and isShown flags.
@@ -377,6 +536,9 @@ function afterViewerChanged(nowViewing) {
             dataSource._show();
         }
     }
+
+    // The new viewer has a new timeline.
+    nowViewing.updateTimeline();
 }
 
 module.exports = NowViewing;
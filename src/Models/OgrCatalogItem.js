@@ -12,7 +12,6 @@ var when = require('../../third_party/cesium/Source/ThirdParty/when');
 var CatalogItem = require('./CatalogItem');
 var GeoJsonCatalogItem = require('./GeoJsonCatalogItem');
 var inherit = require('../Core/inherit');
-var Metadata = require('./Metadata');
 var ModelError = require('./ModelError');
 
 /**
@@ -88,9 +87,11 @@ defineProperties(OgrCatalogItem.prototype, {
      */
     metadata : {
         get : function() {
-            var result = new Metadata();
+            var result = CatalogItem.createMetadata(this);
             result.isLoading = false;
-            result.dataSourceErrorMessage = 'This data source does not have any details available.';
+            if (!result.dataSourceMetadata.hasChildren) {
+                result.dataSourceErrorMessage = 'This data source does not have any details available.';
+            }
             result.serviceErrorMessage = 'This service does not have any details available.';
             return result;
         }
@@ -160,6 +161,14 @@ OgrCatalogItem.prototype._hide = function() {
     }
 };
 
+OgrCatalogItem.prototype.queryFeaturesInArea = function(area) {
+    if (!defined(this._geoJsonItem)) {
+        return undefined;
+    }
+
+    return this._geoJsonItem.queryFeaturesInArea(area);
+};
+
 function loadOgrData(ogrItem, file, url) {
 
     // generate form to submit file for conversion
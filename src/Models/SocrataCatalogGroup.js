@@ -0,0 +1,436 @@
+'use strict';
+
+/*global require,URI*/
+
+var clone = require('../../third_party/cesium/Source/Core/clone');
+var defined = require('../../third_party/cesium/Source/Core/defined');
+var defineProperties = require('../../third_party/cesium/Source/Core/defineProperties');
+var formatError = require('../../third_party/cesium/Source/Core/formatError');
+var freezeObject = require('../../third_party/cesium/Source/Core/freezeObject');
+var knockout = require('../../third_party/cesium/Source/ThirdParty/knockout');
+var loadJson = require('../../third_party/cesium/Source/Core/loadJson');
+
+var CatalogGroup = require('./CatalogGroup');
+var CsvCatalogItem = require('./CsvCatalogItem');
+var GeoJsonCatalogItem = require('./GeoJsonCatalogItem');
+var inherit = require('../Core/inherit');
+var ModelError = require('./ModelError');
+
+/**
+ * A {@link CatalogGroup} representing the datasets of a [Socrata](http://www.socrata.com) open data portal, as listed
+ * by the Socrata Discovery API.  Maps, and datasets with a location or geometry column, become
+ * {@link GeoJsonCatalogItem}s.  Tabular datasets with latitude and longitude columns, or with a column of regions known to
+ * {@link Application#regionMappings}, become {@link CsvCatalogItem}s, which detect those columns when they are loaded.
+ * Other datasets cannot be shown on the map and are left out.
+ *
+ * @alias SocrataCatalogGroup
+ * @constructor
+ * @extends CatalogGroup
+ *
+ * @param {Application} application The application.
+ */
+var SocrataCatalogGroup = function(application) {
+    CatalogGroup.call(this, application, 'socrata');
+
+    /**
+     * Gets or sets the URL of the Socrata portal, such as 'https://data.cityofchicago.org'.  This property is observable.
+     * @type {String}
+     */
+    this.url = '';
+
+    /**
+     * Gets or sets the URL of the Socrata Discovery API with which to list the datasets of the portal.  Portals hosted
+     * in Europe are listed by 'https://api.eu.socrata.com/api/catalog/v1'.  This property is observable.
+     * @type {String}
+     * @default 'https://api.us.socrata.com/api/catalog/v1'
+     */
+    this.discoveryUrl = 'https://api.us.socrata.com/api/catalog/v1';
+
+    /**
+     * Gets or sets a description of the custodian of the data sources in this group.  If this property is undefined,
+     * the custodian of each data source is the attribution of its dataset.
+     * This property is an HTML string that must be sanitized before display to the user.
+     * This property is observable.
+     * @type {String}
+     */
+    this.dataCustodian = undefined;
+
+    /**
+     * Gets or sets the text to search for in the datasets of the portal, or undefined to list all of them.  This property
+     * is observable.
+     * @type {String}
+     */
+    this.searchText = undefined;
+
+    /**
+     * Gets or sets the categories of the datasets to list, or undefined to list datasets of all categories.  This
+     * property is observable.
+     * @type {String[]}
+     */
+    this.categories = undefined;
+
+    /**
+     * Gets or sets the number of datasets to request from the Discovery API at a time.  Datasets are requested page by
+     * page until all of them have been received.  This property is observable.
+     * @type {Number}
+     * @default 100
+     */
+    this.pageSize = 100;
+
+    /**
+     * Gets or sets the maximum number of rows to request from each dataset.  Socrata returns only the first 1000 rows
+     * of a dataset unless a limit is given.  This property is observable.
+     * @type {Number}
+     * @default 10000
+     */
+    this.maximumRows = 10000;
+
+    /**
+     * Gets or sets how the items in this group are organized: 'category' to put each item in a group for the category
+     * of its dataset, or 'none' to list the items directly in this group.  Items whose datasets have no category are
+     * always listed directly in this group.  This property is observable.
+     * @type {String}
+     * @default 'category'
+     */
+    this.groupBy = 'category';
+
+    /**
+     * Gets or sets a hash of names of blacklisted groups and data sources.  A group or data source that appears in this hash
+     * will not be shown to the user.  In this hash, the keys should be the names of the groups and data sources to blacklist,
+     * and the values should be "true".  This property is observable.
+     * @type {Object}
+     */
+    this.blacklist = undefined;
+
+    knockout.track(this, ['url', 'discoveryUrl', 'dataCustodian', 'searchText', 'categories', 'pageSize', 'maximumRows', 'groupBy', 'blacklist']);
+};
+
+inherit(CatalogGroup, SocrataCatalogGroup);
+
+defineProperties(SocrataCatalogGroup.prototype, {
+    /**
+     * Gets the type of data member represented by this instance.
+     * @memberOf SocrataCatalogGroup.prototype
+     * @type {String}
+     */
+    type : {
+        get : function() {
+            return 'socrata';
+        }
+    },
+
+    /**
+     * Gets a human-readable name for this type of data source, such as 'Web Map Service (WMS)'.
+     * @memberOf SocrataCatalogGroup.prototype
+     * @type {String}
+     */
+    typeName : {
+        get : function() {
+            return 'Socrata Open Data Portal';
+        }
+    },
+
+    /**
+     * Gets the set of functions used to serialize individual properties in {@link CatalogMember#serializeToJson}.
+     * When a property name on the model matches the name of a property in the serializers object lieral,
+     * the value will be called as a function and passed a reference to the model, a reference to the destination
+     * JSON object literal, and the name of the property.
+     * @memberOf SocrataCatalogGroup.prototype
+     * @type {Object}
+     */
+    serializers : {
+        get : function() {
+            return SocrataCatalogGroup.defaultSerializers;
+        }
+    }
+});
+
+/**
+ * Gets or sets the set of default serializer functions to use in {@link CatalogMember#serializeToJson}.  Types derived from this type
+ * should expose this instance - cloned and modified if necesary - through their {@link CatalogMember#serializers} property.
+ * @type {Object}
+ */
+SocrataCatalogGroup.defaultSerializers = clone(CatalogGroup.defaultSerializers);
+
+SocrataCatalogGroup.defaultSerializers.items = function(socrataGroup, json, propertyName, options) {
+    // Only serialize minimal properties in contained items, because other properties are loaded from the portal.
+    var previousSerializeForSharing = options.serializeForSharing;
+    options.serializeForSharing = true;
+
+    // Only serlize enabled items as well, as for a CKAN group.
+    var previousEnabledItemsOnly = options.enabledItemsOnly;
+    options.enabledItemsOnly = true;
+
+    var result = CatalogGroup.defaultSerializers.items(socrataGroup, json, propertyName, options);
+
+    options.enabledItemsOnly = previousEnabledItemsOnly;
+    options.serializeForSharing = previousSerializeForSharing;
+
+    return result;
+};
+
+SocrataCatalogGroup.defaultSerializers.isLoading = function(socrataGroup, json, propertyName, options) {};
+
+freezeObject(SocrataCatalogGroup.defaultSerializers);
+
+SocrataCatalogGroup.prototype._getValuesThatInfluenceLoad = function() {
+    return [this.url, this.discoveryUrl, this.searchText, this.categories, this.pageSize, this.maximumRows, this.groupBy, this.blacklist];
+};
+
+SocrataCatalogGroup.prototype._load = function() {
+    if (!defined(this.url) || this.url.length === 0) {
+        return undefined;
+    }
+
+    var that = this;
+    var results = [];
+
+    function loadPage(offset) {
+        return loadJson(proxyUrl(that.application, that.getDiscoveryUrl(offset))).then(function(json) {
+            if (!defined(json) || !defined(json.results)) {
+                throw new ModelError({
+                    sender: that,
+                    title: 'Invalid Socrata portal',
+                    message: 'The Socrata Discovery API did not return a list of datasets for ' + that.url + '.'
+                });
+            }
+
+            results.push.apply(results, json.results);
+
+            var nextOffset = offset + json.results.length;
+            if (json.results.length > 0 && nextOffset < json.resultSetSize) {
+                return loadPage(nextOffset);
+            }
+        });
+    }
+
+    return loadPage(0).then(function() {
+        that.addResults(results);
+    }).otherwise(function(e) {
+        if (e instanceof ModelError) {
+            throw e;
+        }
+
+        throw new ModelError({
+            sender: that,
+            title: that.name,
+            message: '\
+Couldn\'t retrieve the datasets of this Socrata portal.<br/><br/>\
+If you entered the URL manually, please double-check it.<br/><br/>\
+Otherwise, if reloading doesn\'t fix it, please report the problem by sending an email to <a href="mailto:nationalmap@lists.nicta.com.au">nationalmap@lists.nicta.com.au</a> with the technical details below.  Thank you!<br/><br/>\
+<pre>' + formatError(e) + '</pre>'
+        });
+    });
+};
+
+/**
+ * Gets the URL of a Discovery API request for a page of the maps and datasets of the portal.
+ *
+ * @param {Number} offset The number of datasets to skip.
+ * @return {String} The URL.
+ */
+SocrataCatalogGroup.prototype.getDiscoveryUrl = function(offset) {
+    var parameters = {
+        domains: getDomain(this.url),
+        only: 'datasets,maps',
+        limit: this.pageSize,
+        offset: offset
+    };
+
+    if (defined(this.searchText) && this.searchText.length > 0) {
+        parameters.q = this.searchText;
+    }
+
+    if (defined(this.categories) && this.categories.length > 0) {
+        parameters.categories = this.categories.join(',');
+    }
+
+    var uri = new URI(this.discoveryUrl);
+    uri.setSearch(parameters);
+    return uri.toString();
+};
+
+/**
+ * Adds a catalog item to this group for each Discovery API result that can be shown on the map.  If
+ * {@link SocrataCatalogGroup#groupBy} is 'category', the item is added to a group for the category of its dataset.
+ *
+ * @param {Object[]} results The results of the Discovery API.
+ */
+SocrataCatalogGroup.prototype.addResults = function(results) {
+    for (var i = 0; i < results.length; ++i) {
+        var result = results[i];
+        var resource = defined(result.resource) ? result.resource : {};
+
+        if (this.blacklist && this.blacklist[resource.name]) {
+            console.log('Provider Feedback: Filtering out ' + resource.name + ' (' + resource.id + ') because it is blacklisted.');
+            continue;
+        }
+
+        var item = SocrataCatalogGroup.createItemFromResult(this, result);
+        if (!defined(item)) {
+            continue;
+        }
+
+        var category = this.groupBy === 'category' ? getCategory(result) : undefined;
+        if (!defined(category)) {
+            this.add(item);
+            continue;
+        }
+
+        if (this.blacklist && this.blacklist[category]) {
+            continue;
+        }
+
+        var group = this.findFirstItemByName(category);
+        if (!defined(group)) {
+            group = new CatalogGroup(this.application);
+            group.name = category;
+            this.add(group);
+        }
+
+        group.add(item);
+    }
+
+    this.items.sort(compareNames);
+
+    for (var j = 0; j < this.items.length; ++j) {
+        if (defined(this.items[j].items)) {
+            this.items[j].items.sort(compareNames);
+        }
+    }
+};
+
+// The Socrata data types of columns that hold locations or geometries.
+var geometryDataTypes = ['location', 'point', 'multipoint', 'line', 'multiline', 'polygon', 'multipolygon'];
+
+// The same column names that DataVariable recognizes as longitudes and latitudes.
+var longitudeRegex = /(^|[^a-z])(lon|long|longitude|lng)([^a-z]|$)/i;
+var latitudeRegex = /(^|[^a-z])(lat|latitude)([^a-z]|$)/i;
+
+/**
+ * Creates a catalog item for a result of the Socrata Discovery API: a {@link GeoJsonCatalogItem} for a map or a
+ * dataset with a location or geometry column, or a {@link CsvCatalogItem} for a dataset with latitude and longitude
+ * columns or a column of regions.  The item's description includes the dataset's description, its licence and a link
+ * to its page on the portal.
+ *
+ * @param {SocrataCatalogGroup} socrataGroup The group for which to create the item.
+ * @param {Object} result The result.
+ * @return {CatalogItem} The item, or undefined if the dataset cannot be shown on the map.
+ */
+SocrataCatalogGroup.createItemFromResult = function(socrataGroup, result) {
+    var resource = result.resource;
+    if (!defined(resource) || !defined(resource.id)) {
+        return undefined;
+    }
+
+    var metadata = defined(result.metadata) ? result.metadata : {};
+    var baseUrl = 'https://' + (defined(metadata.domain) ? metadata.domain : getDomain(socrataGroup.url));
+
+    var fieldNames = defined(resource.columns_field_name) ? resource.columns_field_name : [];
+    var dataTypes = defined(resource.columns_datatype) ? resource.columns_datatype : [];
+
+    var hasGeometry = dataTypes.some(function(dataType) {
+        return geometryDataTypes.indexOf(dataType.toLowerCase()) >= 0;
+    });
+
+    var item;
+    if (resource.type === 'map') {
+        item = new GeoJsonCatalogItem(socrataGroup.application, baseUrl + '/api/geospatial/' + resource.id + '?method=export&format=GeoJSON');
+    } else if (hasGeometry) {
+        item = new GeoJsonCatalogItem(socrataGroup.application, baseUrl + '/resource/' + resource.id + '.geojson' + getLimit(socrataGroup));
+    } else if (hasLatitudeAndLongitude(fieldNames) || defined(socrataGroup.application.regionMappings.findRegionVariable(fieldNames))) {
+        item = new CsvCatalogItem(socrataGroup.application, baseUrl + '/resource/' + resource.id + '.csv' + getLimit(socrataGroup));
+    } else {
+        return undefined;
+    }
+
+    item.name = resource.name;
+    item.description = getDescription(result);
+
+    if (defined(socrataGroup.dataCustodian)) {
+        item.dataCustodian = socrataGroup.dataCustodian;
+    } else if (defined(resource.attribution) && resource.attribution.length > 0) {
+        item.dataCustodian = resource.attribution;
+    }
+
+    return item;
+};
+
+function hasLatitudeAndLongitude(fieldNames) {
+    var hasLatitude = false;
+    var hasLongitude = false;
+    for (var i = 0; i < fieldNames.length; ++i) {
+        // Socrata field names are lower case with underscores.
+        var name = fieldNames[i].replace(/_/g, ' ');
+        hasLatitude = hasLatitude || latitudeRegex.test(name);
+        hasLongitude = hasLongitude || longitudeRegex.test(name);
+    }
+    return hasLatitude && hasLongitude;
+}
+
+function getLimit(socrataGroup) {
+    return defined(socrataGroup.maximumRows) ? '?$limit=' + socrataGroup.maximumRows : '';
+}
+
+function getDescription(result) {
+    var resource = result.resource;
+    var description = defined(resource.description) ? resource.description.replace(/\n/g, '<br/>') : '';
+
+    var license = defined(result.metadata) ? result.metadata.license : undefined;
+    if (defined(license) && license.length > 0) {
+        description += '<br/><br/>Licence: ' + license;
+    }
+
+    var pageUrl = defined(result.permalink) ? result.permalink : result.link;
+    if (defined(pageUrl)) {
+        description += '<br/>[Dataset page](' + pageUrl + ')';
+    }
+
+    return description;
+}
+
+function getCategory(result) {
+    var classification = result.classification;
+    if (!defined(classification)) {
+        return undefined;
+    }
+
+    if (defined(classification.domain_category) && classification.domain_category.length > 0) {
+        return classification.domain_category;
+    }
+
+    if (defined(classification.categories) && classification.categories.length > 0) {
+        // Socrata's own categories are lower case.
+        var category = classification.categories[0];
+        return category.charAt(0).toUpperCase() + category.substring(1);
+    }
+
+    return undefined;
+}
+
+function getDomain(url) {
+    var hostname = new URI(url).hostname();
+    return hostname.length > 0 ? hostname : url.replace(/\/.*$/, '');
+}
+
+function compareNames(a, b) {
+    var aName = a.name.toLowerCase();
+    var bName = b.name.toLowerCase();
+    if (aName < bName) {
+        return -1;
+    } else if (aName > bName) {
+        return 1;
+    } else {
+        return 0;
+    }
+}
+
+function proxyUrl(application, url) {
+    if (defined(application.corsProxy) && application.corsProxy.shouldUseProxy(url)) {
+        return application.corsProxy.getURL(url, '1d');
+    }
+
+    return url;
+}
+
+module.exports = SocrataCatalogGroup;
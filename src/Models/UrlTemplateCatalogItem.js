@@ -0,0 +1,130 @@
+'use strict';
+
+/*global require*/
+
+var defined = require('../../third_party/cesium/Source/Core/defined');
+var defineProperties = require('../../third_party/cesium/Source/Core/defineProperties');
+var knockout = require('../../third_party/cesium/Source/ThirdParty/knockout');
+
+var ImageryLayerCatalogItem = require('./ImageryLayerCatalogItem');
+var inherit = require('../Core/inherit');
+var UrlTemplateImageryProvider = require('../Map/UrlTemplateImageryProvider');
+
+/**
+ * A {@link ImageryLayerCatalogItem} representing tiles requested from a URL template, such as
+ * 'http://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png'.  See {@link UrlTemplateImageryProvider} for the placeholders the
+ * template may contain.
+ *
+ * @alias UrlTemplateCatalogItem
+ * @constructor
+ * @extends ImageryLayerCatalogItem
+ *
+ * @param {Application} application The application.
+ * @param {String} [url] The URL template.
+ */
+var UrlTemplateCatalogItem = function(application, url) {
+    ImageryLayerCatalogItem.call(this, application);
+
+    /**
+     * Gets or sets the URL template from which to request tiles.  This property is observable.
+     * @type {String}
+     */
+    this.url = url;
+
+    /**
+     * Gets or sets the subdomains substituted for {s} in the URL template, either as an array or as a string of
+     * single-character subdomains.  This property is observable.
+     * @type {String|String[]}
+     * @default 'abc'
+     */
+    this.subdomains = 'abc';
+
+    /**
+     * Gets or sets the lowest level for which tiles are requested.  This property is observable.
+     * @type {Number}
+     * @default 0
+     */
+    this.minimumLevel = 0;
+
+    /**
+     * Gets or sets the highest level for which tiles are available.  Beyond this level, the tiles of this level are
+     * stretched.  If this property is undefined, there is no limit.  This property is observable.
+     * @type {Number}
+     */
+    this.maximumLevel = undefined;
+
+    /**
+     * Gets or sets the width and height of each tile in pixels.  This property is observable.
+     * @type {Number}
+     * @default 256
+     */
+    this.tileSize = 256;
+
+    /**
+     * Gets or sets a value indicating whether {y} in the URL template counts rows of tiles from the south, as in TMS,
+     * rather than from the north, as in OpenStreetMap.  This property is observable.
+     * @type {Boolean}
+     * @default false
+     */
+    this.flipY = false;
+
+    /**
+     * Gets or sets the attribution to display when the tiles are shown, such as '© OpenStreetMap contributors'.
+     * This property is observable.
+     * @type {String}
+     */
+    this.attribution = undefined;
+
+    knockout.track(this, ['url', 'subdomains', 'minimumLevel', 'maximumLevel', 'tileSize', 'flipY', 'attribution']);
+};
+
+inherit(ImageryLayerCatalogItem, UrlTemplateCatalogItem);
+
+defineProperties(UrlTemplateCatalogItem.prototype, {
+    /**
+     * Gets the type of data item represented by this instance.
+     * @memberOf UrlTemplateCatalogItem.prototype
+     * @type {String}
+     */
+    type : {
+        get : function() {
+            return 'url-template';
+        }
+    },
+
+    /**
+     * Gets a human-readable name for this type of data source, 'Tile Server (URL Template)'.
+     * @memberOf UrlTemplateCatalogItem.prototype
+     * @type {String}
+     */
+    typeName : {
+        get : function() {
+            return 'Tile Server (URL Template)';
+        }
+    }
+});
+
+UrlTemplateCatalogItem.prototype._createImageryProvider = function() {
+    return new UrlTemplateImageryProvider({
+        url : this.url,
+        subdomains : this.subdomains,
+        flipY : this.flipY,
+        rectangle : this.rectangle,
+        minimumLevel : this.minimumLevel,
+        maximumLevel : this.maximumLevel,
+        tileWidth : this.tileSize,
+        tileHeight : this.tileSize,
+        credit : this.attribution,
+        proxy : getProxy(this.application, this.url)
+    });
+};
+
+function getProxy(application, url) {
+    if (defined(application.corsProxy) && application.corsProxy.shouldUseProxy(url)) {
+        return application.corsProxy;
+    }
+
+    return undefined;
+}
+
+module.exports = UrlTemplateCatalogItem;
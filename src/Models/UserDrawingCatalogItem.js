@@ -0,0 +1,333 @@
+'use strict';
+
+/*global require*/
+var Cartesian2 = require('../../third_party/cesium/Source/Core/Cartesian2');
+var Cartesian3 = require('../../third_party/cesium/Source/Core/Cartesian3');
+var clone = require('../../third_party/cesium/Source/Core/clone');
+var Color = require('../../third_party/cesium/Source/Core/Color');
+var ColorMaterialProperty = require('../../third_party/cesium/Source/DataSources/ColorMaterialProperty');
+var ConstantProperty = require('../../third_party/cesium/Source/DataSources/ConstantProperty');
+var CustomDataSource = require('../../third_party/cesium/Source/DataSources/CustomDataSource');
+var defaultValue = require('../../third_party/cesium/Source/Core/defaultValue');
+var defined = require('../../third_party/cesium/Source/Core/defined');
+var defineProperties = require('../../third_party/cesium/Source/Core/defineProperties');
+var DeveloperError = require('../../third_party/cesium/Source/Core/DeveloperError');
+var Entity = require('../../third_party/cesium/Source/DataSources/Entity');
+var freezeObject = require('../../third_party/cesium/Source/Core/freezeObject');
+var knockout = require('../../third_party/cesium/Source/ThirdParty/knockout');
+var LabelGraphics = require('../../third_party/cesium/Source/DataSources/LabelGraphics');
+var LabelStyle = require('../../third_party/cesium/Source/Scene/LabelStyle');
+var PointGraphics = require('../../third_party/cesium/Source/DataSources/PointGraphics');
+var PolygonGraphics = require('../../third_party/cesium/Source/DataSources/PolygonGraphics');
+var PolygonHierarchy = require('../../third_party/cesium/Source/Core/PolygonHierarchy');
+var PolylineGraphics = require('../../third_party/cesium/Source/DataSources/PolylineGraphics');
+var Rectangle = require('../../third_party/cesium/Source/Core/Rectangle');
+var when = require('../../third_party/cesium/Source/ThirdParty/when');
+
+var CatalogItem = require('./CatalogItem');
+var geoJsonToKml = require('../Map/geoJsonToKml');
+var inherit = require('../Core/inherit');
+
+/**
+ * A {@link CatalogItem} of features that the user has drawn on the map: points, lines, polygons and text labels.
+ * The features are kept as GeoJSON, with their names, descriptions and styles in the properties of each feature,
+ * so they are saved in share links along with the rest of the user's data and can be exported as GeoJSON or KML.
+ *
+ * The style of each feature uses the property names of the simplestyle specification: `stroke`, `stroke-width`,
+ * `fill` and `fill-opacity` for lines and polygons, and `marker-color` for points.  A point with a `text` property
+ * is drawn as a text label in the `stroke` color instead of a marker.
+ *
+ * @alias UserDrawingCatalogItem
+ * @constructor
+ * @extends CatalogItem
+ *
+ * @param {Application} application The application.
+ */
+var UserDrawingCatalogItem = function(application) {
+    CatalogItem.call(this, application);
+
+    this._dataSource = new CustomDataSource();
+
+    /**
+     * Gets or sets the drawn features, as GeoJSON Feature objects.  The array is observable, but changes to the features
+     * themselves are not drawn until {@link UserDrawingCatalogItem#refresh} is called.
+     * @type {Object[]}
+     */
+    this.features = [];
+
+    knockout.track(this, ['features']);
+
+    knockout.getObservable(this, 'features').subscribe(function() {
+        this.refresh();
+    }, this);
+};
+
+inherit(CatalogItem, UserDrawingCatalogItem);
+
+defineProperties(UserDrawingCatalogItem.prototype, {
+    /**
+     * Gets the type of data member represented by this instance.
+     * @memberOf UserDrawingCatalogItem.prototype
+     * @type {String}
+     */
+    type : {
+        get : function() {
+            return 'user-drawing';
+        }
+    },
+
+    /**
+     * Gets a human-readable name for this type of data source, 'User Drawing'.
+     * @memberOf UserDrawingCatalogItem.prototype
+     * @type {String}
+     */
+    typeName : {
+        get : function() {
+            return 'User Drawing';
+        }
+    },
+
+    /**
+     * Gets the metadata associated with this data source and the server that provided it, if applicable.
+     * @memberOf UserDrawingCatalogItem.prototype
+     * @type {Metadata}
+     */
+    metadata : {
+        get : function() {
+            var result = CatalogItem.createMetadata(this);
+            result.isLoading = false;
+            if (!result.dataSourceMetadata.hasChildren) {
+                result.dataSourceErrorMessage = 'This data source does not have any details available.';
+            }
+            result.serviceErrorMessage = 'This service does not have any details available.';
+            return result;
+        }
+    },
+
+    /**
+     * Gets the set of functions used to update individual properties in {@link CatalogMember#updateFromJson}.
+     * When a property name in the returned object literal matches the name of a property on this instance, the value
+     * will be called as a function and passed a reference to this instance, a reference to the source JSON object
+     * literal, and the name of the property.
+     * @memberOf UserDrawingCatalogItem.prototype
+     * @type {Object}
+     */
+    updaters : {
+        get : function() {
+            return UserDrawingCatalogItem.defaultUpdaters;
+        }
+    },
+
+    /**
+     * Gets the set of functions used to serialize individual properties in {@link CatalogMember#serializeToJson}.
+     * When a property name on the model matches the name of a property in the serializers object lieral,
+     * the value will be called as a function and passed a reference to the model, a reference to the destination
+     * JSON object literal, and the name of the property.
+     * @memberOf UserDrawingCatalogItem.prototype
+     * @type {Object}
+     */
+    serializers : {
+        get : function() {
+            return UserDrawingCatalogItem.defaultSerializers;
+        }
+    }
+});
+
+/**
+ * Gets or sets the default set of properties that are updated by {@link CatalogMember#updateFromJson}.
+ * @type {Object}
+ */
+UserDrawingCatalogItem.defaultUpdaters = clone(CatalogItem.defaultUpdaters);
+
+UserDrawingCatalogItem.defaultUpdaters.features = function(catalogItem, json, propertyName) {
+    // Copy the features so that editing them does not change the init source.
+    catalogItem.features = clone(json.features, true);
+};
+
+freezeObject(UserDrawingCatalogItem.defaultUpdaters);
+
+/**
+ * Gets or sets the default set of properties that are serialized by {@link CatalogMember#serializeToJson}.
+ * @type {Object}
+ */
+UserDrawingCatalogItem.defaultSerializers = clone(CatalogItem.defaultSerializers);
+
+UserDrawingCatalogItem.defaultSerializers.features = function(catalogItem, json, propertyName) {
+    json.features = copyFeatures(catalogItem.features);
+};
+
+freezeObject(UserDrawingCatalogItem.defaultSerializers);
+
+/**
+ * Redraws the features, after they have been changed, and updates the {@link CatalogItem#rectangle} to enclose them.
+ */
+UserDrawingCatalogItem.prototype.refresh = function() {
+    var entities = this._dataSource.entities;
+
+    entities.suspendEvents();
+    entities.removeAll();
+    for (var i = 0; i < this.features.length; ++i) {
+        createEntities(this.features[i], entities);
+    }
+    entities.resumeEvents();
+
+    this.rectangle = computeRectangle(this.features);
+    this.application.currentViewer.notifyRepaintRequired();
+};
+
+/**
+ * Gets the features as a GeoJSON FeatureCollection.
+ * @return {Object} The FeatureCollection.
+ */
+UserDrawingCatalogItem.prototype.toGeoJson = function() {
+    return {
+        type: 'FeatureCollection',
+        features: copyFeatures(this.features)
+    };
+};
+
+/**
+ * Gets the features as a KML document.
+ * @return {String} The KML document.
+ */
+UserDrawingCatalogItem.prototype.toKml = function() {
+    return geoJsonToKml(this.toGeoJson(), this.name);
+};
+
+UserDrawingCatalogItem.prototype._load = function() {
+    this.refresh();
+    return when();
+};
+
+UserDrawingCatalogItem.prototype._enable = function() {
+};
+
+UserDrawingCatalogItem.prototype._disable = function() {
+};
+
+UserDrawingCatalogItem.prototype._show = function() {
+    var dataSources = this.application.dataSources;
+    if (dataSources.contains(this._dataSource)) {
+        throw new DeveloperError('This data source is already shown.');
+    }
+
+    dataSources.add(this._dataSource);
+};
+
+UserDrawingCatalogItem.prototype._hide = function() {
+    var dataSources = this.application.dataSources;
+    if (!dataSources.contains(this._dataSource)) {
+        throw new DeveloperError('This data source is not shown.');
+    }
+
+    dataSources.remove(this._dataSource, false);
+};
+
+var defaultColor = '#F5A623';
+
+// Copies the features into a plain array, without the functions that knockout adds to the observable array.
+function copyFeatures(features) {
+    return features.map(function(feature) {
+        return clone(feature, true);
+    });
+}
+
+function createEntities(feature, entities) {
+    var geometry = feature.geometry;
+    var properties = defaultValue(feature.properties, defaultValue.EMPTY_OBJECT);
+    if (!defined(geometry)) {
+        return;
+    }
+
+    var stroke = Color.fromCssColorString(defaultValue(properties.stroke, defaultColor));
+    var strokeWidth = defaultValue(properties['stroke-width'], 2);
+    var fill = Color.fromCssColorString(defaultValue(properties.fill, defaultValue(properties.stroke, defaultColor)))
+                    .withAlpha(defaultValue(properties['fill-opacity'], 0.4));
+
+    var entity = new Entity();
+    entity.name = properties.name;
+    if (defined(properties.description)) {
+        entity.description = new ConstantProperty(properties.description);
+    }
+
+    if (geometry.type === 'Point') {
+        entity.position = new ConstantProperty(toCartesian(geometry.coordinates));
+        if (defined(properties.text)) {
+            entity.label = new LabelGraphics({
+                text: properties.text,
+                font: '16px sans-serif',
+                fillColor: stroke,
+                outlineColor: Color.BLACK,
+                outlineWidth: 2,
+                style: LabelStyle.FILL_AND_OUTLINE,
+                pixelOffset: Cartesian2.ZERO
+            });
+        } else {
+            entity.point = new PointGraphics({
+                color: Color.fromCssColorString(defaultValue(properties['marker-color'], defaultColor)),
+                pixelSize: 10,
+                outlineColor: Color.BLACK,
+                outlineWidth: 1
+            });
+        }
+    } else if (geometry.type === 'LineString') {
+        entity.polyline = new PolylineGraphics({
+            positions: geometry.coordinates.map(toCartesian),
+            material: new ColorMaterialProperty(stroke),
+            width: strokeWidth
+        });
+    } else if (geometry.type === 'Polygon') {
+        var ring = geometry.coordinates[0].map(toCartesian);
+        entity.polygon = new PolygonGraphics({
+            hierarchy: new PolygonHierarchy(ring),
+            material: new ColorMaterialProperty(fill),
+            outline: false
+        });
+
+        // Outline polygons with a polyline, which can be wider than a polygon's own outline and is not hidden by terrain.
+        entities.add(new Entity({
+            name: properties.name,
+            polyline: new PolylineGraphics({
+                positions: ring,
+                material: new ColorMaterialProperty(stroke),
+                width: strokeWidth
+            })
+        }));
+    } else {
+        return;
+    }
+
+    entities.add(entity);
+}
+
+function toCartesian(coordinates) {
+    return Cartesian3.fromDegrees(coordinates[0], coordinates[1]);
+}
+
+function computeRectangle(features) {
+    var west = 180.0, south = 90.0, east = -180.0, north = -90.0;
+
+    function extend(coordinates) {
+        if (typeof coordinates[0] === 'number') {
+            west = Math.min(west, coordinates[0]);
+            east = Math.max(east, coordinates[0]);
+            south = Math.min(south, coordinates[1]);
+            north = Math.max(north, coordinates[1]);
+        } else {
+            coordinates.forEach(extend);
+        }
+    }
+
+    for (var i = 0; i < features.length; ++i) {
+        if (defined(features[i].geometry)) {
+            extend(features[i].geometry.coordinates);
+        }
+    }
+
+    if (west > east) {
+        return Rectangle.MAX_VALUE;
+    }
+    return Rectangle.fromDegrees(west, south, east, north);
+}
+
+module.exports = UserDrawingCatalogItem;
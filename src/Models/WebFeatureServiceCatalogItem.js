@@ -14,6 +14,7 @@ var objectToQuery = require('../../third_party/cesium/Source/Core/objectToQuery'
 var GeoJsonCatalogItem = require('./GeoJsonCatalogItem');
 var CatalogItem = require('./CatalogItem');
 var inherit = require('../Core/inherit');
+var featureIntersectsArea = require('../Map/featureIntersectsArea');
 var gmlToGeoJson = require('../Map/gmlToGeoJson');
 var overrideProperty = require('../Core/overrideProperty');
 
@@ -232,47 +233,86 @@ WebFeatureServiceCatalogItem.prototype._hide = function() {
     }
 };
 
-function loadGeoJson(wfsItem) {
-    var promise = loadJson(buildGeoJsonUrl(wfsItem)).then(function(json) {
+/**
+ * Finds the features of this layer that lie within an area of the map.  The features are requested from the server with
+ * a BBOX filter of the area's bounding rectangle, and those outside the area itself are then left out.
+ * @param {Number[][]} area The corners of the area, as [longitude, latitude] pairs in degrees.
+ * @returns {Promise} A promise for an array of GeoJSON features.
+ */
+WebFeatureServiceCatalogItem.prototype.queryFeaturesInArea = function(area) {
+    var west = Math.min.apply(Math, area.map(function(corner) { return corner[0]; }));
+    var east = Math.max.apply(Math, area.map(function(corner) { return corner[0]; }));
+    var south = Math.min.apply(Math, area.map(function(corner) { return corner[1]; }));
+    var north = Math.max.apply(Math, area.map(function(corner) { return corner[1]; }));
+
+    // The URN form of the CRS has the latitude first, which, unlike EPSG:4326, all WFS 1.1.0 servers agree on.
+    var bbox = [south, west, north, east].join(',') + ',urn:ogc:def:crs:EPSG::4326';
+
+    var promise;
+    if (this.requestGeoJson) {
+        promise = loadGeoJson(this, bbox);
+    } else if (this.requestGml) {
+        promise = loadGml(this, bbox);
+    } else {
+        return undefined;
+    }
+
+    return promise.then(function(json) {
+        return json.features.filter(function(feature) {
+            return featureIntersectsArea(feature, area);
+        });
+    });
+};
+
+function loadGeoJson(wfsItem, bbox) {
+    var promise = loadJson(buildGeoJsonUrl(wfsItem, bbox)).then(function(json) {
         return json;
     });
 
     if (wfsItem.requestGml) {
         promise = promise.otherwise(function() {
-            return loadGml(wfsItem);
+            return loadGml(wfsItem, bbox);
         });
     }
 
     return promise;
 }
 
-function loadGml(wfsItem) {
-    return loadXML(buildGmlUrl(wfsItem)).then(function(xml) {
+function loadGml(wfsItem, bbox) {
+    return loadXML(buildGmlUrl(wfsItem, bbox)).then(function(xml) {
         return gmlToGeoJson(xml);
     });
 }
 
-function buildGeoJsonUrl(wfsItem) {
+function buildGeoJsonUrl(wfsItem, bbox) {
     var url = cleanAndProxyUrl(wfsItem.application, wfsItem.url);
-    return url + '?' + objectToQuery({
+    var parameters = {
         service: 'WFS',
         request: 'GetFeature',
         typeName: wfsItem.typeNames,
         version: '1.1.0',
         outputFormat: 'JSON',
         srsName: 'EPSG:4326'
-    });
+    };
+    if (defined(bbox)) {
+        parameters.bbox = bbox;
+    }
+    return url + '?' + objectToQuery(parameters);
 }
 
-function buildGmlUrl(wfsItem) {
+function buildGmlUrl(wfsItem, bbox) {
     var url = cleanAndProxyUrl(wfsItem.application, wfsItem.url);
-    return url + '?' + objectToQuery({
+    var parameters = {
         service: 'WFS',
         request: 'GetFeature',
         typeName: wfsItem.typeNames,
         version: '1.1.0',
         srsName: 'EPSG:4326'
-    });
+    };
+    if (defined(bbox)) {
+        parameters.bbox = bbox;
+    }
+    return url + '?' + objectToQuery(parameters);
 }
 
 function cleanAndProxyUrl(application, url) {
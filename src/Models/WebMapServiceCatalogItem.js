@@ -17,7 +17,7 @@ var TimeIntervalCollection = require('../../third_party/cesium/Source/Core/TimeI
 var WebMapServiceImageryProvider = require('../../third_party/cesium/Source/Scene/WebMapServiceImageryProvider');
 var WebMercatorTilingScheme = require('../../third_party/cesium/Source/Core/WebMercatorTilingScheme');
 
-var Metadata = require('./Metadata');
+var CatalogItem = require('./CatalogItem');
 var MetadataItem = require('./MetadataItem');
 var ImageryLayerCatalogItem = require('./ImageryLayerCatalogItem');
 var inherit = require('../Core/inherit');
@@ -488,7 +488,7 @@ WebMapServiceCatalogItem.getIntervalsFromLayer = function(layer) {
 };
 
 function requestMetadata(wmsItem) {
-    var result = new Metadata();
+    var result = CatalogItem.createMetadata(wmsItem);
 
     result.isLoading = true;
 
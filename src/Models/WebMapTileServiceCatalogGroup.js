@@ -0,0 +1,272 @@
+'use strict';
+
+/*global require,URI,$*/
+
+var clone = require('../../third_party/cesium/Source/Core/clone');
+var defined = require('../../third_party/cesium/Source/Core/defined');
+var defineProperties = require('../../third_party/cesium/Source/Core/defineProperties');
+var freezeObject = require('../../third_party/cesium/Source/Core/freezeObject');
+var knockout = require('../../third_party/cesium/Source/ThirdParty/knockout');
+var loadXML = require('../../third_party/cesium/Source/Core/loadXML');
+
+var ModelError = require('./ModelError');
+var CatalogGroup = require('./CatalogGroup');
+var inherit = require('../Core/inherit');
+var WebMapTileServiceCatalogItem = require('./WebMapTileServiceCatalogItem');
+
+/**
+ * A {@link CatalogGroup} representing a collection of layers from a Web Map Tile Service (WMTS) server.
+ *
+ * @alias WebMapTileServiceCatalogGroup
+ * @constructor
+ * @extends CatalogGroup
+ *
+ * @param {Application} application The application.
+ */
+var WebMapTileServiceCatalogGroup = function(application) {
+    CatalogGroup.call(this, application, 'wmts-getCapabilities');
+
+    /**
+     * Gets or sets the URL of the WMTS server.  This property is observable.
+     * @type {String}
+     */
+    this.url = '';
+
+    /**
+     * Gets or sets a description of the custodian of the data sources in this group.
+     * This property is an HTML string that must be sanitized before display to the user.
+     * This property is observable.
+     * @type {String}
+     */
+    this.dataCustodian = undefined;
+
+    /**
+     * Gets or sets a hash of names of blacklisted data layers.  A layer that appears in this hash
+     * will not be shown to the user.  In this hash, the keys should be the Title of the layers to blacklist,
+     * and the values should be "true".  This property is observable.
+     * @type {Object}
+     */
+    this.blacklist = undefined;
+
+    /**
+     * Gets or sets the field name to use as the primary title in the catalog view: each WMTS layer's
+     * "title" (default), "identifier", or "abstract".
+     * @type {String}
+     */
+    this.titleField = 'title';
+
+    /**
+     * Gets or sets a hash of properties that will be set on each child item.
+     * For example, { 'treat404AsError': false }
+     */
+    this.itemProperties = undefined;
+
+    knockout.track(this, ['url', 'dataCustodian', 'blacklist', 'titleField', 'itemProperties']);
+};
+
+inherit(CatalogGroup, WebMapTileServiceCatalogGroup);
+
+defineProperties(WebMapTileServiceCatalogGroup.prototype, {
+    /**
+     * Gets the type of data member represented by this instance.
+     * @memberOf WebMapTileServiceCatalogGroup.prototype
+     * @type {String}
+     */
+    type : {
+        get : function() {
+            return 'wmts-getCapabilities';
+        }
+    },
+
+    /**
+     * Gets a human-readable name for this type of data source, such as 'Web Map Tile Service (WMTS)'.
+     * @memberOf WebMapTileServiceCatalogGroup.prototype
+     * @type {String}
+     */
+    typeName : {
+        get : function() {
+            return 'Web Map Tile Service (WMTS) Server';
+        }
+    },
+
+    /**
+     * Gets the set of functions used to serialize individual properties in {@link CatalogMember#serializeToJson}.
+     * When a property name on the model matches the name of a property in the serializers object lieral,
+     * the value will be called as a function and passed a reference to the model, a reference to the destination
+     * JSON object literal, and the name of the property.
+     * @memberOf WebMapTileServiceCatalogGroup.prototype
+     * @type {Object}
+     */
+    serializers : {
+        get : function() {
+            return WebMapTileServiceCatalogGroup.defaultSerializers;
+        }
+    }
+});
+
+/**
+ * Gets or sets the set of default serializer functions to use in {@link CatalogMember#serializeToJson}.  Types derived from this type
+ * should expose this instance - cloned and modified if necesary - through their {@link CatalogMember#serializers} property.
+ * @type {Object}
+ */
+WebMapTileServiceCatalogGroup.defaultSerializers = clone(CatalogGroup.defaultSerializers);
+
+WebMapTileServiceCatalogGroup.defaultSerializers.items = function(wmtsGroup, json, propertyName, options) {
+    // Only serialize minimal properties in contained items, because other properties are loaded from GetCapabilities.
+    var previousSerializeForSharing = options.serializeForSharing;
+    options.serializeForSharing = true;
+
+    // Only serlize enabled items as well, as for a WMS group.
+    var previousEnabledItemsOnly = options.enabledItemsOnly;
+    options.enabledItemsOnly = true;
+
+    var result = CatalogGroup.defaultSerializers.items(wmtsGroup, json, propertyName, options);
+
+    options.enabledItemsOnly = previousEnabledItemsOnly;
+    options.serializeForSharing = previousSerializeForSharing;
+
+    return result;
+};
+
+WebMapTileServiceCatalogGroup.defaultSerializers.isLoading = function(wmtsGroup, json, propertyName, options) {};
+
+freezeObject(WebMapTileServiceCatalogGroup.defaultSerializers);
+
+WebMapTileServiceCatalogGroup.prototype._getValuesThatInfluenceLoad = function() {
+    return [this.url, this.blacklist, this.titleField];
+};
+
+WebMapTileServiceCatalogGroup.prototype._load = function() {
+    var url = cleanAndProxyUrl(this.application, this.url) + '?service=WMTS&request=GetCapabilities&version=1.0.0';
+
+    var that = this;
+    return loadXML(url).then(function(xml) {
+        if (typeof xml === 'string') {
+            xml = $.parseXML(xml);
+        }
+
+        // Is this really a GetCapabilities response?
+        if (!xml || !xml.documentElement || xml.documentElement.localName !== 'Capabilities') {
+            throw new ModelError({
+                title: 'Invalid WMTS server',
+                message: '\
+An error occurred while invoking GetCapabilities on the WMTS server.  The server\'s response does not appear to be a valid GetCapabilities document.  \
+<p>If you entered the link manually, please verify that the link is correct.</p>\
+<p>If you did not enter this link manually, this error may indicate that the group you opened is temporarily unavailable or there is a \
+problem with your internet connection.  Try opening the group again, and if the problem persists, please report it by \
+sending an email to <a href="mailto:nationalmap@lists.nicta.com.au">nationalmap@lists.nicta.com.au</a>.</p>'
+            });
+        }
+
+        var json = $.xml2json(xml);
+
+        var dataCustodian = that.dataCustodian;
+        if (!defined(dataCustodian) && defined(json.ServiceProvider)) {
+            dataCustodian = getDataCustodian(json.ServiceProvider);
+        }
+
+        var layers = WebMapTileServiceCatalogItem.getLayers(json);
+        for (var i = 0; i < layers.length; ++i) {
+            var layer = layers[i];
+
+            if (that.blacklist && that.blacklist[layer.Title]) {
+                console.log('Provider Feedback: Filtering out ' + layer.Title + ' (' + layer.Identifier + ') because it is blacklisted.');
+                continue;
+            }
+
+            that.items.push(createWmtsDataSource(that, layer, dataCustodian));
+        }
+    }).otherwise(function(e) {
+        throw new ModelError({
+            sender: that,
+            title: 'Group is not available',
+            message: '\
+An error occurred while invoking GetCapabilities on the WMTS server.  \
+<p>If you entered the link manually, please verify that the link is correct.</p>\
+<p>This error may also indicate that the server does not support <a href="http://enable-cors.org/" target="_blank">CORS</a>.  If this is your \
+server, verify that CORS is enabled and enable it if it is not.  If you do not control the server, \
+please contact the administrator of the server and ask them to enable CORS.  Or, contact the National \
+Map team by emailing <a href="mailto:nationalmap@lists.nicta.com.au">nationalmap@lists.nicta.com.au</a> \
+and ask us to add this server to the list of non-CORS-supporting servers that may be proxied by \
+National Map itself.</p>\
+<p>If you did not enter this link manually, this error may indicate that the group you opened is temporarily unavailable or there is a \
+problem with your internet connection.  Try opening the group again, and if the problem persists, please report it by \
+sending an email to <a href="mailto:nationalmap@lists.nicta.com.au">nationalmap@lists.nicta.com.au</a>.</p>'
+        });
+    });
+};
+
+function cleanAndProxyUrl(application, url) {
+    // Strip off the search portion of the URL
+    var uri = new URI(url);
+    uri.search('');
+
+    var cleanedUrl = uri.toString();
+    if (defined(application.corsProxy) && application.corsProxy.shouldUseProxy(cleanedUrl)) {
+        cleanedUrl = application.corsProxy.getURL(cleanedUrl, '1d');
+    }
+
+    return cleanedUrl;
+}
+
+function getDataCustodian(serviceProvider) {
+    var text = '';
+
+    if (defined(serviceProvider.ProviderName) && serviceProvider.ProviderName.length > 0) {
+        text += serviceProvider.ProviderName + '<br/>';
+    }
+
+    var contactInfo = defined(serviceProvider.ServiceContact) ? serviceProvider.ServiceContact.ContactInfo : undefined;
+    var address = defined(contactInfo) ? contactInfo.Address : undefined;
+    if (defined(address) && defined(address.ElectronicMailAddress) && address.ElectronicMailAddress.length > 0) {
+        text += '[' + address.ElectronicMailAddress + '](mailto:' + address.ElectronicMailAddress + ')<br/>';
+    }
+
+    return text;
+}
+
+function createWmtsDataSource(wmtsGroup, layer, dataCustodian) {
+    var result = new WebMapTileServiceCatalogItem(wmtsGroup.application);
+
+    if (wmtsGroup.titleField === 'identifier') {
+        result.name = layer.Identifier;
+    } else if (wmtsGroup.titleField === 'abstract') {
+        result.name = layer.Abstract;
+    } else {
+        result.name = layer.Title;
+    }
+
+    result.dataCustodian = dataCustodian;
+    result.url = wmtsGroup.url;
+    result.layer = layer.Identifier;
+
+    result.description = '';
+
+    var wmtsGroupHasDescription = defined(wmtsGroup.description) && wmtsGroup.description.length > 0;
+    var layerHasAbstract = defined(layer.Abstract) && layer.Abstract.length > 0;
+
+    if (wmtsGroupHasDescription) {
+        result.description += wmtsGroup.description;
+    }
+
+    if (wmtsGroupHasDescription && layerHasAbstract) {
+        result.description += '<br/>';
+    }
+
+    if (layerHasAbstract) {
+        result.description += layer.Abstract;
+    }
+
+    if (typeof(wmtsGroup.itemProperties) === 'object') {
+        Object.keys(wmtsGroup.itemProperties).forEach(function(k) {
+            result[k] = wmtsGroup.itemProperties[k];
+        });
+    }
+
+    result.rectangle = WebMapTileServiceCatalogItem.getRectangleFromLayer(layer);
+    result.intervals = WebMapTileServiceCatalogItem.getIntervalsFromLayer(layer);
+
+    return result;
+}
+
+module.exports = WebMapTileServiceCatalogGroup;
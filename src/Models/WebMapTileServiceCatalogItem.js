@@ -0,0 +1,683 @@
+'use strict';
+
+/*global require,URI,$*/
+var clone = require('../../third_party/cesium/Source/Core/clone');
+var defaultValue = require('../../third_party/cesium/Source/Core/defaultValue');
+var defined = require('../../third_party/cesium/Source/Core/defined');
+var defineProperties = require('../../third_party/cesium/Source/Core/defineProperties');
+var freezeObject = require('../../third_party/cesium/Source/Core/freezeObject');
+var GeographicTilingScheme = require('../../third_party/cesium/Source/Core/GeographicTilingScheme');
+var JulianDate = require('../../third_party/cesium/Source/Core/JulianDate');
+var knockout = require('../../third_party/cesium/Source/ThirdParty/knockout');
+var loadXML = require('../../third_party/cesium/Source/Core/loadXML');
+var Rectangle = require('../../third_party/cesium/Source/Core/Rectangle');
+var TimeInterval = require('../../third_party/cesium/Source/Core/TimeInterval');
+var TimeIntervalCollection = require('../../third_party/cesium/Source/Core/TimeIntervalCollection');
+var WebMapTileServiceImageryProvider = require('../../third_party/cesium/Source/Scene/WebMapTileServiceImageryProvider');
+var WebMercatorTilingScheme = require('../../third_party/cesium/Source/Core/WebMercatorTilingScheme');
+
+var CatalogItem = require('./CatalogItem');
+var MetadataItem = require('./MetadataItem');
+var ImageryLayerCatalogItem = require('./ImageryLayerCatalogItem');
+var inherit = require('../Core/inherit');
+var overrideProperty = require('../Core/overrideProperty');
+
+/**
+ * A {@link ImageryLayerCatalogItem} representing a layer from a Web Map Tile Service (WMTS) server.  Any tile settings
+ * that are not specified explicitly, such as the style, format and TileMatrixSet, are chosen from the server's
+ * GetCapabilities document when the item is loaded.
+ *
+ * @alias WebMapTileServiceCatalogItem
+ * @constructor
+ * @extends ImageryLayerCatalogItem
+ *
+ * @param {Application} application The application for the group.
+ */
+var WebMapTileServiceCatalogItem = function(application) {
+    ImageryLayerCatalogItem.call(this, application);
+
+    this._metadata = undefined;
+    this._metadataUrl = undefined;
+    this._rectangle = undefined;
+    this._rectangleFromMetadata = undefined;
+    this._intervalsFromMetadata = undefined;
+    this._settingsFromMetadata = undefined;
+
+    /**
+     * Gets or sets the URL of the WMTS server.  Tiles are requested from this URL using key-value pair (KVP)
+     * encoding, unless {@link WebMapTileServiceCatalogItem#resourceUrl} is specified.  This property is observable.
+     * @type {String}
+     */
+    this.url = '';
+
+    /**
+     * Gets or sets the identifier of the WMTS layer.  This property is observable.
+     * @type {String}
+     */
+    this.layer = '';
+
+    /**
+     * Gets or sets the identifier of the style to request.  If this property is undefined, the layer's default
+     * style is used.  This property is observable.
+     * @type {String}
+     */
+    this.style = undefined;
+
+    /**
+     * Gets or sets the MIME type of the tile images to request.  If this property is undefined, 'image/png' is used
+     * if the layer supports it, and otherwise the first format the layer supports.  This property is observable.
+     * @type {String}
+     */
+    this.format = undefined;
+
+    /**
+     * Gets or sets the identifier of the TileMatrixSet to request tiles in.  If this property is undefined, a Web Mercator
+     * TileMatrixSet is chosen if the layer has one, and otherwise a geographic one.  This property is observable.
+     * @type {String}
+     */
+    this.tileMatrixSetID = undefined;
+
+    /**
+     * Gets or sets the identifiers of the TileMatrix at each level of the TileMatrixSet.  If this property is undefined,
+     * the identifiers are read from GetCapabilities.  This property is observable.
+     * @type {String[]}
+     */
+    this.tileMatrixLabels = undefined;
+
+    /**
+     * Gets or sets the tiling scheme of the TileMatrixSet.  If this property is undefined, it is derived from the
+     * TileMatrixSet's coordinate reference system in GetCapabilities.  Only layers with a Web Mercator tiling scheme
+     * can be shown in the 2D map.  This property is observable.
+     * @type {TilingScheme}
+     */
+    this.tilingScheme = undefined;
+
+    /**
+     * Gets or sets the maximum level of the TileMatrixSet to request tiles from.  If this property is undefined,
+     * the deepest TileMatrix in GetCapabilities is used.  This property is observable.
+     * @type {Number}
+     */
+    this.maximumLevel = undefined;
+
+    /**
+     * Gets or sets a URL template from which to request tiles using RESTful encoding, such as
+     * 'http://example.com/wmts/layer/{Style}/{TileMatrixSet}/{TileMatrix}/{TileRow}/{TileCol}.png'.  If this property
+     * is undefined, the template is read from GetCapabilities if the server does not support KVP requests.
+     * This property is observable.
+     * @type {String}
+     */
+    this.resourceUrl = undefined;
+
+    /**
+     * Gets or sets the values of the layer's dimensions, other than time, keyed by the identifier of the dimension.
+     * Dimensions without a value here are requested with their default value from GetCapabilities.
+     * This property is observable.
+     * @type {Object}
+     */
+    this.dimensions = undefined;
+
+    /**
+     * Gets or sets a value indicating whether a Time dimension, if it exists in GetCapabilities, should be used to populate
+     * the {@link ImageryLayerCatalogItem#intervals}.  If the {@link ImageryLayerCatalogItem#intervals} property is set explicitly
+     * on this catalog item, the value of this property is ignored.
+     * @type {Boolean}
+     * @default true
+     */
+    this.populateIntervalsFromTimeDimension = true;
+
+    knockout.track(this, [
+        '_metadataUrl', '_rectangle', '_rectangleFromMetadata', '_intervalsFromMetadata', '_settingsFromMetadata', 'url',
+        'layer', 'style', 'format', 'tileMatrixSetID', 'tileMatrixLabels', 'tilingScheme', 'maximumLevel', 'resourceUrl',
+        'dimensions', 'populateIntervalsFromTimeDimension']);
+
+    // metadataUrl is derived from url if not explicitly specified.
+    overrideProperty(this, 'metadataUrl', {
+        get : function() {
+            if (defined(this._metadataUrl)) {
+                return this._metadataUrl;
+            }
+
+            return cleanUrl(this.url) + '?service=WMTS&version=1.0.0&request=GetCapabilities';
+        },
+        set : function(value) {
+            this._metadataUrl = value;
+        }
+    });
+
+    // rectangle comes from metadata if not explicitly specified.
+    overrideProperty(this, 'rectangle', {
+        get : function() {
+            if (defined(this._rectangle)) {
+                return this._rectangle;
+            }
+            return this._rectangleFromMetadata;
+        },
+        set : function(value) {
+            this._rectangle = value;
+        }
+    });
+
+    // intervals come from metadata if populateIntervalsFromTimeDimension and not explicitly specified.
+    overrideProperty(this, 'intervals', {
+        get : function() {
+            if (defined(this._intervals)) {
+                return this._intervals;
+            }
+            return this._intervalsFromMetadata;
+        },
+        set : function(value) {
+            this._intervals = value;
+        }
+    });
+};
+
+inherit(ImageryLayerCatalogItem, WebMapTileServiceCatalogItem);
+
+defineProperties(WebMapTileServiceCatalogItem.prototype, {
+    /**
+     * Gets the type of data item represented by this instance.
+     * @memberOf WebMapTileServiceCatalogItem.prototype
+     * @type {String}
+     */
+    type : {
+        get : function() {
+            return 'wmts';
+        }
+    },
+
+    /**
+     * Gets a human-readable name for this type of data source, 'Web Map Tile Service (WMTS)'.
+     * @memberOf WebMapTileServiceCatalogItem.prototype
+     * @type {String}
+     */
+    typeName : {
+        get : function() {
+            return 'Web Map Tile Service (WMTS)';
+        }
+    },
+
+    /**
+     * Gets a value indicating whether this {@link ImageryLayerCatalogItem} supports the {@link ImageryLayerCatalogItem#intervals}
+     * property for configuring time-dynamic imagery.
+     * @type {Boolean}
+     */
+    supportsIntervals : {
+        get : function() {
+            return true;
+        }
+    },
+
+    /**
+     * Gets the metadata associated with this data source and the server that provided it, if applicable.
+     * @memberOf WebMapTileServiceCatalogItem.prototype
+     * @type {Metadata}
+     */
+    metadata : {
+        get : function() {
+            if (!defined(this._metadata)) {
+                this._metadata = requestMetadata(this);
+            }
+            return this._metadata;
+        }
+    },
+
+    /**
+     * Gets the set of functions used to update individual properties in {@link CatalogMember#updateFromJson}.
+     * When a property name in the returned object literal matches the name of a property on this instance, the value
+     * will be called as a function and passed a reference to this instance, a reference to the source JSON object
+     * literal, and the name of the property.
+     * @memberOf WebMapTileServiceCatalogItem.prototype
+     * @type {Object}
+     */
+    updaters : {
+        get : function() {
+            return WebMapTileServiceCatalogItem.defaultUpdaters;
+        }
+    },
+
+    /**
+     * Gets the set of functions used to serialize individual properties in {@link CatalogMember#serializeToJson}.
+     * When a property name on the model matches the name of a property in the serializers object lieral,
+     * the value will be called as a function and passed a reference to the model, a reference to the destination
+     * JSON object literal, and the name of the property.
+     * @memberOf WebMapTileServiceCatalogItem.prototype
+     * @type {Object}
+     */
+    serializers : {
+        get : function() {
+            return WebMapTileServiceCatalogItem.defaultSerializers;
+        }
+    }
+});
+
+WebMapTileServiceCatalogItem.defaultUpdaters = clone(ImageryLayerCatalogItem.defaultUpdaters);
+
+WebMapTileServiceCatalogItem.defaultUpdaters.tilingScheme = function(wmtsItem, json, propertyName, options) {
+    if (json.tilingScheme === 'geographic') {
+        wmtsItem.tilingScheme = new GeographicTilingScheme();
+    } else if (json.tilingScheme === 'web-mercator') {
+        wmtsItem.tilingScheme = new WebMercatorTilingScheme();
+    } else {
+        wmtsItem.tilingScheme = json.tilingScheme;
+    }
+};
+
+freezeObject(WebMapTileServiceCatalogItem.defaultUpdaters);
+
+WebMapTileServiceCatalogItem.defaultSerializers = clone(ImageryLayerCatalogItem.defaultSerializers);
+
+// Serialize the underlying properties instead of the public views of them.
+WebMapTileServiceCatalogItem.defaultSerializers.metadataUrl = function(wmtsItem, json, propertyName) {
+    json.metadataUrl = wmtsItem._metadataUrl;
+};
+WebMapTileServiceCatalogItem.defaultSerializers.tilingScheme = function(wmtsItem, json, propertyName) {
+    if (wmtsItem.tilingScheme instanceof GeographicTilingScheme) {
+        json.tilingScheme = 'geographic';
+    } else if (wmtsItem.tilingScheme instanceof WebMercatorTilingScheme) {
+        json.tilingScheme = 'web-mercator';
+    } else {
+        json.tilingScheme = wmtsItem.tilingScheme;
+    }
+};
+freezeObject(WebMapTileServiceCatalogItem.defaultSerializers);
+
+WebMapTileServiceCatalogItem.prototype._load = function() {
+    this._metadata = requestMetadata(this);
+    return this._metadata.promise;
+};
+
+WebMapTileServiceCatalogItem.prototype._createImageryProvider = function(time) {
+    var settings = defaultValue(this._settingsFromMetadata, defaultValue.EMPTY_OBJECT);
+
+    var dimensions = clone(defaultValue(settings.dimensions, {}));
+    if (defined(this.dimensions)) {
+        for (var name in this.dimensions) {
+            if (this.dimensions.hasOwnProperty(name)) {
+                dimensions[name] = this.dimensions[name];
+            }
+        }
+    }
+    if (defined(time)) {
+        dimensions[defaultValue(settings.timeDimension, 'Time')] = time;
+    }
+
+    var resourceUrl = defaultValue(this.resourceUrl, settings.resourceUrl);
+    var url;
+    if (defined(resourceUrl)) {
+        url = WebMapTileServiceCatalogItem.resolveDimensions(resourceUrl, dimensions);
+    } else {
+        var uri = new URI(cleanUrl(this.url));
+        uri.setSearch(dimensions);
+        url = uri.toString();
+    }
+
+    var tilingScheme = defaultValue(this.tilingScheme, defaultValue(settings.tilingScheme, new WebMercatorTilingScheme()));
+    var tileMatrixLabels = defaultValue(this.tileMatrixLabels, settings.tileMatrixLabels);
+
+    var maximumLevel = defaultValue(this.maximumLevel, settings.maximumLevel);
+    if (!defined(maximumLevel) && defined(tileMatrixLabels)) {
+        maximumLevel = tileMatrixLabels.length - 1;
+    }
+
+    return new WebMapTileServiceImageryProvider({
+        url : proxyUrl(this.application, url),
+        layer : this.layer,
+        style : defaultValue(this.style, defaultValue(settings.style, 'default')),
+        format : defaultValue(this.format, defaultValue(settings.format, 'image/png')),
+        tileMatrixSetID : defaultValue(this.tileMatrixSetID, defaultValue(settings.tileMatrixSetID, 'GoogleMapsCompatible')),
+        tileMatrixLabels : tileMatrixLabels,
+        tilingScheme : tilingScheme,
+        maximumLevel : maximumLevel
+    });
+};
+
+function cleanUrl(url) {
+    // Strip off the search portion of the URL
+    var uri = new URI(url);
+    uri.search('');
+    return uri.toString();
+}
+
+function proxyUrl(application, url) {
+    if (defined(application.corsProxy) && application.corsProxy.shouldUseProxy(url)) {
+        return application.corsProxy.getURL(url);
+    }
+
+    return url;
+}
+
+/**
+ * Replaces the dimension placeholders, such as {Time}, in a RESTful WMTS URL template with the values of the dimensions.
+ * The placeholders for the style and the tile itself are left for the imagery provider to fill in.
+ *
+ * @param {String} template The URL template.
+ * @param {Object} dimensions The values of the dimensions, keyed by the identifier of the dimension.
+ * @return {String} The URL template with the dimensions filled in.
+ */
+WebMapTileServiceCatalogItem.resolveDimensions = function(template, dimensions) {
+    return template.replace(/\{([^}]+)\}/g, function(placeholder, name) {
+        var value = getValueIgnoringCase(dimensions, name);
+        return defined(value) ? encodeURIComponent(value) : placeholder;
+    });
+};
+
+/**
+ * Finds a layer in a WMTS GetCapabilities document by its Identifier or Title.
+ *
+ * @param {Object} capabilities The GetCapabilities document, converted to JSON.
+ * @param {String} name The Identifier or Title of the layer.
+ * @return {Object} The layer, or undefined if it is not in the document.
+ */
+WebMapTileServiceCatalogItem.findLayer = function(capabilities, name) {
+    var layers = WebMapTileServiceCatalogItem.getLayers(capabilities);
+    for (var i = 0; i < layers.length; ++i) {
+        if (layers[i].Identifier === name) {
+            return layers[i];
+        }
+    }
+    for (var j = 0; j < layers.length; ++j) {
+        if (layers[j].Title === name) {
+            return layers[j];
+        }
+    }
+    return undefined;
+};
+
+/**
+ * Gets the layers in a WMTS GetCapabilities document.
+ *
+ * @param {Object} capabilities The GetCapabilities document, converted to JSON.
+ * @return {Object[]} The layers.
+ */
+WebMapTileServiceCatalogItem.getLayers = function(capabilities) {
+    if (!defined(capabilities) || !defined(capabilities.Contents)) {
+        return [];
+    }
+    return asArray(capabilities.Contents.Layer);
+};
+
+/**
+ * Gets the extent of a layer from its WGS84BoundingBox in a WMTS GetCapabilities document.
+ *
+ * @param {Object} layer The layer, from the GetCapabilities document.
+ * @return {Rectangle} The extent of the layer, or undefined if it does not have a WGS84BoundingBox.
+ */
+WebMapTileServiceCatalogItem.getRectangleFromLayer = function(layer) {
+    var bbox = layer.WGS84BoundingBox;
+    if (!defined(bbox) || !defined(bbox.LowerCorner) || !defined(bbox.UpperCorner)) {
+        return undefined;
+    }
+
+    // Corners are "longitude latitude".
+    var lower = bbox.LowerCorner.toString().trim().split(/\s+/).map(parseFloat);
+    var upper = bbox.UpperCorner.toString().trim().split(/\s+/).map(parseFloat);
+    return Rectangle.fromDegrees(lower[0], lower[1], upper[0], upper[1]);
+};
+
+/**
+ * Gets the intervals of distinct imagery of a layer from the values of its Time dimension in a WMTS GetCapabilities
+ * document.  Each value lasts until the next one, and the last lasts as long as the one before it.
+ *
+ * @param {Object} layer The layer, from the GetCapabilities document.
+ * @return {TimeIntervalCollection} The intervals, or undefined if the layer has fewer than two times.
+ */
+WebMapTileServiceCatalogItem.getIntervalsFromLayer = function(layer) {
+    var dimension = findTimeDimension(layer);
+    if (!defined(dimension) || !defined(dimension.Value)) {
+        return undefined;
+    }
+
+    var times = asArray(dimension.Value).map(function(value) {
+        return value.toString().trim();
+    });
+
+    // There's at most one time, so treat this layer as if it is not time-varying.
+    if (times.length < 2) {
+        return undefined;
+    }
+
+    var result = new TimeIntervalCollection();
+
+    for (var i = 0; i < times.length; ++i) {
+        var start = JulianDate.fromIso8601(times[i]);
+        var stop;
+        if (i < times.length - 1) {
+            stop = JulianDate.fromIso8601(times[i + 1]);
+        } else {
+            var previousInterval = result.get(result.length - 1);
+            var duration = JulianDate.secondsDifference(previousInterval.stop, previousInterval.start);
+            stop = JulianDate.addSeconds(start, duration, new JulianDate());
+        }
+
+        result.addInterval(new TimeInterval({
+            start: start,
+            stop: stop,
+            data: times[i]
+        }));
+    }
+
+    return result;
+};
+
+/**
+ * Chooses the settings with which to request tiles of a layer from a WMTS server: the layer's default style,
+ * a PNG format if the layer has one, a Web Mercator TileMatrixSet if it has one and otherwise a geographic one, the
+ * default values of its dimensions, and a RESTful URL template if the server does not support KVP requests.
+ *
+ * @param {Object} capabilities The GetCapabilities document, converted to JSON.
+ * @param {Object} layer The layer, from the GetCapabilities document.
+ * @return {Object} The settings, with style, format, tileMatrixSetID, tileMatrixLabels, tilingScheme, maximumLevel,
+ *         dimensions, timeDimension and resourceUrl properties.  Properties that could not be determined are undefined.
+ */
+WebMapTileServiceCatalogItem.getLayerSettings = function(capabilities, layer) {
+    var result = {};
+
+    var styles = asArray(layer.Style);
+    var style = styles.filter(function(style) {
+        return style.isDefault === 'true';
+    })[0] || styles[0];
+    if (defined(style)) {
+        result.style = style.Identifier.toString();
+    }
+
+    var formats = asArray(layer.Format).map(function(format) {
+        return format.toString();
+    });
+    result.format = formats.indexOf('image/png') >= 0 ? 'image/png' : formats[0];
+
+    var tileMatrixSet = chooseTileMatrixSet(capabilities, layer);
+    if (defined(tileMatrixSet)) {
+        var tileMatrices = asArray(tileMatrixSet.TileMatrix);
+
+        result.tileMatrixSetID = tileMatrixSet.Identifier.toString();
+        result.tileMatrixLabels = tileMatrices.map(function(tileMatrix) {
+            return tileMatrix.Identifier.toString();
+        });
+        result.maximumLevel = tileMatrices.length - 1;
+
+        var options = {};
+        if (tileMatrices.length > 0) {
+            options.numberOfLevelZeroTilesX = parseInt(tileMatrices[0].MatrixWidth, 10);
+            options.numberOfLevelZeroTilesY = parseInt(tileMatrices[0].MatrixHeight, 10);
+        }
+        result.tilingScheme = isWebMercator(tileMatrixSet) ? new WebMercatorTilingScheme(options) : new GeographicTilingScheme(options);
+    }
+
+    var dimensions = asArray(layer.Dimension);
+    var timeDimension = findTimeDimension(layer);
+    result.dimensions = {};
+    for (var i = 0; i < dimensions.length; ++i) {
+        var dimension = dimensions[i];
+        if (dimension !== timeDimension && defined(dimension.Default)) {
+            result.dimensions[dimension.Identifier.toString()] = dimension.Default.toString();
+        }
+    }
+    if (defined(timeDimension)) {
+        result.timeDimension = timeDimension.Identifier.toString();
+        if (defined(timeDimension.Default)) {
+            result.dimensions[result.timeDimension] = timeDimension.Default.toString();
+        }
+    }
+
+    if (!supportsKvpGetTile(capabilities)) {
+        var resourceUrls = asArray(layer.ResourceURL).filter(function(resourceUrl) {
+            return resourceUrl.resourceType === 'tile';
+        });
+        var resourceUrl = resourceUrls.filter(function(resourceUrl) {
+            return resourceUrl.format === result.format;
+        })[0] || resourceUrls[0];
+        if (defined(resourceUrl)) {
+            result.resourceUrl = resourceUrl.template;
+            result.format = resourceUrl.format;
+        }
+    }
+
+    return result;
+};
+
+function findTimeDimension(layer) {
+    return asArray(layer.Dimension).filter(function(dimension) {
+        return defined(dimension.Identifier) && dimension.Identifier.toString().toLowerCase() === 'time';
+    })[0];
+}
+
+function chooseTileMatrixSet(capabilities, layer) {
+    var tileMatrixSets = asArray(capabilities.Contents.TileMatrixSet);
+    var links = asArray(layer.TileMatrixSetLink).map(function(link) {
+        return link.TileMatrixSet.toString();
+    });
+
+    var candidates = tileMatrixSets.filter(function(tileMatrixSet) {
+        return links.indexOf(tileMatrixSet.Identifier.toString()) >= 0;
+    });
+
+    return candidates.filter(isWebMercator)[0] || candidates.filter(isGeographic)[0];
+}
+
+var webMercatorCrsRegex = /(EPSG:+(\d+(\.\d+)*:+)?(3857|900913|3785|102100)$)|GoogleMapsCompatible/i;
+var geographicCrsRegex = /(EPSG:+(\d+(\.\d+)*:+)?(4326|4283)$)|CRS:+84$/i;
+
+function isWebMercator(tileMatrixSet) {
+    return webMercatorCrsRegex.test(defaultValue(tileMatrixSet.SupportedCRS, '').toString()) ||
+           webMercatorCrsRegex.test(defaultValue(tileMatrixSet.WellKnownScaleSet, '').toString());
+}
+
+function isGeographic(tileMatrixSet) {
+    return geographicCrsRegex.test(defaultValue(tileMatrixSet.SupportedCRS, '').toString());
+}
+
+function supportsKvpGetTile(capabilities) {
+    var operationsMetadata = capabilities.OperationsMetadata;
+    if (!defined(operationsMetadata)) {
+        return false;
+    }
+
+    var getTile = asArray(operationsMetadata.Operation).filter(function(operation) {
+        return operation.name === 'GetTile';
+    })[0];
+    if (!defined(getTile) || !defined(getTile.DCP) || !defined(getTile.DCP.HTTP)) {
+        return false;
+    }
+
+    var gets = asArray(getTile.DCP.HTTP.Get);
+    for (var i = 0; i < gets.length; ++i) {
+        var constraint = gets[i].Constraint;
+
+        // Without a GetEncoding constraint, assume the server accepts KVP requests.
+        if (!defined(constraint) || !defined(constraint.AllowedValues)) {
+            return true;
+        }
+
+        var encodings = asArray(constraint.AllowedValues.Value).map(function(value) {
+            return value.toString();
+        });
+        if (encodings.indexOf('KVP') >= 0) {
+            return true;
+        }
+    }
+
+    return false;
+}
+
+function getValueIgnoringCase(object, name) {
+    var lowerCaseName = name.toLowerCase();
+    for (var key in object) {
+        if (object.hasOwnProperty(key) && key.toLowerCase() === lowerCaseName) {
+            return object[key];
+        }
+    }
+    return undefined;
+}
+
+function asArray(value) {
+    if (!defined(value)) {
+        return [];
+    }
+    if (value instanceof Array) {
+        return value;
+    }
+    if (typeof value === 'object' && typeof value.length === 'number' && !(value instanceof String)) {
+        // xml2json represents repeated elements as array-like objects.
+        return Array.prototype.slice.call(value);
+    }
+    return [value];
+}
+
+function requestMetadata(wmtsItem) {
+    var result = CatalogItem.createMetadata(wmtsItem);
+
+    result.isLoading = true;
+
+    result.promise = loadXML(proxyUrl(wmtsItem.application, wmtsItem.metadataUrl)).then(function(capabilities) {
+        var json = $.xml2json(capabilities);
+
+        if (json.ServiceIdentification) {
+            populateMetadataGroup(result.serviceMetadata, json.ServiceIdentification);
+        } else {
+            result.serviceErrorMessage = 'Service information not found in GetCapabilities operation response.';
+        }
+
+        var layer = WebMapTileServiceCatalogItem.findLayer(json, wmtsItem.layer);
+        if (layer) {
+            populateMetadataGroup(result.dataSourceMetadata, layer);
+            wmtsItem._rectangleFromMetadata = WebMapTileServiceCatalogItem.getRectangleFromLayer(layer);
+            wmtsItem._settingsFromMetadata = WebMapTileServiceCatalogItem.getLayerSettings(json, layer);
+
+            if (wmtsItem.populateIntervalsFromTimeDimension) {
+                wmtsItem._intervalsFromMetadata = WebMapTileServiceCatalogItem.getIntervalsFromLayer(layer);
+            }
+        } else {
+            result.dataSourceErrorMessage = 'Layer information not found in GetCapabilities operation response.';
+        }
+
+        result.isLoading = false;
+    }).otherwise(function() {
+        result.dataSourceErrorMessage = 'An error occurred while invoking the GetCapabilities service.';
+        result.serviceErrorMessage = 'An error occurred while invoking the GetCapabilities service.';
+        result.isLoading = false;
+    });
+
+    return result;
+}
+
+function populateMetadataGroup(metadataGroup, sourceMetadata) {
+    if (typeof sourceMetadata === 'string' || sourceMetadata instanceof String || sourceMetadata instanceof Array) {
+        return;
+    }
+
+    for (var name in sourceMetadata) {
+        if (sourceMetadata.hasOwnProperty(name)) {
+            var value = sourceMetadata[name];
+
+            var dest = new MetadataItem();
+            dest.name = name;
+            dest.value = value;
+
+            populateMetadataGroup(dest, value);
+
+            metadataGroup.items.push(dest);
+        }
+    }
+}
+
+module.exports = WebMapTileServiceCatalogItem;
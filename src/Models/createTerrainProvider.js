@@ -0,0 +1,74 @@
+'use strict';
+
+/*global require*/
+var ArcGisImageServerTerrainProvider = require('../../third_party/cesium/Source/Core/ArcGisImageServerTerrainProvider');
+var CesiumTerrainProvider = require('../../third_party/cesium/Source/Core/CesiumTerrainProvider');
+var defined = require('../../third_party/cesium/Source/Core/defined');
+var DeveloperError = require('../../third_party/cesium/Source/Core/DeveloperError');
+var EllipsoidTerrainProvider = require('../../third_party/cesium/Source/Core/EllipsoidTerrainProvider');
+var VRTheWorldTerrainProvider = require('../../third_party/cesium/Source/Core/VRTheWorldTerrainProvider');
+
+var ModelError = require('./ModelError');
+
+/**
+ * Creates a Cesium terrain provider for one of the {@link Application#terrainOptions}.
+ *
+ * @param {Object} terrainOption The terrain option, with the following properties:
+ * @param {String} terrainOption.name The name of the terrain option, which is shown to the user.
+ * @param {String} terrainOption.type The type of terrain: 'cesium' for a quantized-mesh or heightmap tileset served in
+ *        the layout used by Cesium, such as one created by Cesium Terrain Builder; 'vr-theworld' for a VT MÄK VR-TheWorld
+ *        server; 'arcgis-imageserver' for an Esri ArcGIS ImageServer; or 'ellipsoid' for no terrain.
+ * @param {String} [terrainOption.url] The URL of the tileset or server.  It is required for all types except 'ellipsoid'.
+ * @param {String} [terrainOption.token] The token with which to access an ArcGIS ImageServer.
+ * @param {Application} application The application.
+ * @return {TerrainProvider} The terrain provider.
+ */
+var createTerrainProvider = function(terrainOption, application) {
+    if (!defined(terrainOption) || !defined(application)) {
+        throw new DeveloperError('terrainOption and application are required.');
+    }
+
+    var Constructor = createTerrainProvider.types[terrainOption.type];
+    if (!defined(Constructor)) {
+        throw new ModelError({
+            title: 'Unsupported terrain type',
+            message: 'The terrain "' + terrainOption.name + '" has the type "' + terrainOption.type + '", which is not supported.  ' +
+                     'The supported types are ' + Object.keys(createTerrainProvider.types).join(', ') + '.'
+        });
+    }
+
+    if (Constructor === EllipsoidTerrainProvider) {
+        return new EllipsoidTerrainProvider();
+    }
+
+    if (!defined(terrainOption.url)) {
+        throw new ModelError({
+            title: 'Terrain URL missing',
+            message: 'The terrain "' + terrainOption.name + '" does not have a URL.'
+        });
+    }
+
+    var proxy;
+    if (defined(application.corsProxy) && application.corsProxy.shouldUseProxy(terrainOption.url)) {
+        proxy = application.corsProxy;
+    }
+
+    return new Constructor({
+        url: terrainOption.url,
+        token: terrainOption.token,
+        proxy: proxy
+    });
+};
+
+/**
+ * The constructors of the terrain providers for each type of terrain option.
+ * @type {Object}
+ */
+createTerrainProvider.types = {
+    'cesium': CesiumTerrainProvider,
+    'vr-theworld': VRTheWorldTerrainProvider,
+    'arcgis-imageserver': ArcGisImageServerTerrainProvider,
+    'ellipsoid': EllipsoidTerrainProvider
+};
+
+module.exports = createTerrainProvider;
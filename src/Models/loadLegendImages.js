@@ -0,0 +1,47 @@
+'use strict';
+
+/*global require*/
+var defined = require('../../third_party/cesium/Source/Core/defined');
+var DeveloperError = require('../../third_party/cesium/Source/Core/DeveloperError');
+var loadImage = require('../../third_party/cesium/Source/Core/loadImage');
+var when = require('../../third_party/cesium/Source/ThirdParty/when');
+
+/**
+ * Loads the legend images of the data items that are shown in the Now Viewing list, so that they can be drawn on a
+ * canvas that is then read back, for example to export the map.  Legends that are not images, and images that cannot
+ * be loaded in a way that allows them to be read back, are skipped.
+ *
+ * @param {Application} application The application.
+ * @return {Promise} A promise that resolves to an array of objects, each with the `name` of a data item and its legend `image`.
+ */
+var loadLegendImages = function(application) {
+    if (!defined(application)) {
+        throw new DeveloperError('application is required.');
+    }
+
+    var items = application.nowViewing.items.filter(function(item) {
+        return item.isShown && item.legendIsImage;
+    });
+
+    return when.all(items.map(function(item) {
+        var url = item.legendUrl;
+        if (url.indexOf('data:') !== 0 && defined(application.corsProxy) && application.corsProxy.shouldUseProxy(url)) {
+            url = application.corsProxy.getURL(url);
+        }
+
+        return when(loadImage(url, true), function(image) {
+            return {
+                name: item.name,
+                image: image
+            };
+        }).otherwise(function() {
+            return undefined;
+        });
+    }), function(legends) {
+        return legends.filter(function(legend) {
+            return defined(legend);
+        });
+    });
+};
+
+module.exports = loadLegendImages;
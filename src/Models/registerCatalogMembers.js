@@ -2,27 +2,40 @@
 
 /*global require*/
 
+var ArcGisFeatureServerCatalogItem = require('./ArcGisFeatureServerCatalogItem');
 var ArcGisMapServerCatalogGroup = require('./ArcGisMapServerCatalogGroup');
 var ArcGisMapServerCatalogItem = require('./ArcGisMapServerCatalogItem');
+var BingMapsCatalogItem = require('./BingMapsCatalogItem');
 var CkanCatalogGroup = require('./CkanCatalogGroup');
+var CompositeCatalogItem = require('./CompositeCatalogItem');
 var createCatalogMemberFromType = require('./createCatalogMemberFromType');
 var createCatalogItemFromUrl = require('./createCatalogItemFromUrl');
+var CswCatalogGroup = require('./CswCatalogGroup');
 var CzmlCatalogItem = require('./CzmlCatalogItem');
 var CatalogGroup = require('./CatalogGroup');
 var GeoJsonCatalogItem = require('./GeoJsonCatalogItem');
 var KmlCatalogItem = require('./KmlCatalogItem');
+var SocrataCatalogGroup = require('./SocrataCatalogGroup');
+var UrlTemplateCatalogItem = require('./UrlTemplateCatalogItem');
+var UserDrawingCatalogItem = require('./UserDrawingCatalogItem');
 var WebFeatureServiceCatalogGroup = require('./WebFeatureServiceCatalogGroup');
 var WebFeatureServiceCatalogItem = require('./WebFeatureServiceCatalogItem');
 var WebMapServiceCatalogGroup = require('./WebMapServiceCatalogGroup');
 var WebMapServiceCatalogItem = require('./WebMapServiceCatalogItem');
+var WebMapTileServiceCatalogGroup = require('./WebMapTileServiceCatalogGroup');
+var WebMapTileServiceCatalogItem = require('./WebMapTileServiceCatalogItem');
 var CsvCatalogItem = require('./CsvCatalogItem');
 var GpxCatalogItem = require('./GpxCatalogItem');
 var OgrCatalogItem = require('./OgrCatalogItem');
 
 var registerCatalogMembers = function() {
+    createCatalogMemberFromType.register('bing-maps', BingMapsCatalogItem);
     createCatalogMemberFromType.register('ckan', CkanCatalogGroup);
+    createCatalogMemberFromType.register('composite', CompositeCatalogItem);
     createCatalogMemberFromType.register('csv', CsvCatalogItem);
+    createCatalogMemberFromType.register('csw', CswCatalogGroup);
     createCatalogMemberFromType.register('czml', CzmlCatalogItem);
+    createCatalogMemberFromType.register('esri-featureServer', ArcGisFeatureServerCatalogItem);
     createCatalogMemberFromType.register('esri-mapServer', ArcGisMapServerCatalogItem);
     createCatalogMemberFromType.register('esri-mapServer-group', ArcGisMapServerCatalogGroup);
     createCatalogMemberFromType.register('geojson', GeoJsonCatalogItem);
@@ -31,11 +44,18 @@ var registerCatalogMembers = function() {
     createCatalogMemberFromType.register('kml', KmlCatalogItem);
     createCatalogMemberFromType.register('kmz', KmlCatalogItem);
     createCatalogMemberFromType.register('ogr', OgrCatalogItem);
+    createCatalogMemberFromType.register('socrata', SocrataCatalogGroup);
+    createCatalogMemberFromType.register('url-template', UrlTemplateCatalogItem);
+    createCatalogMemberFromType.register('user-drawing', UserDrawingCatalogItem);
     createCatalogMemberFromType.register('wfs', WebFeatureServiceCatalogItem);
     createCatalogMemberFromType.register('wfs-getCapabilities', WebFeatureServiceCatalogGroup);
     createCatalogMemberFromType.register('wms', WebMapServiceCatalogItem);
     createCatalogMemberFromType.register('wms-getCapabilities', WebMapServiceCatalogGroup);
+    createCatalogMemberFromType.register('wmts', WebMapTileServiceCatalogItem);
+    createCatalogMemberFromType.register('wmts-getCapabilities', WebMapTileServiceCatalogGroup);
 
+    createCatalogItemFromUrl.register(matchesUrlTemplate, UrlTemplateCatalogItem);
+    createCatalogItemFromUrl.register(matchesArcGisLayer, ArcGisFeatureServerCatalogItem);
     createCatalogItemFromUrl.register(matchesExtension('csv'), CsvCatalogItem);
     createCatalogItemFromUrl.register(matchesExtension('czm'), CzmlCatalogItem);
     createCatalogItemFromUrl.register(matchesExtension('czml'), CzmlCatalogItem);
@@ -55,6 +75,16 @@ function matchesExtension(extension) {
     };
 }
 
+var arcGisLayerRegex = /\/(FeatureServer|MapServer)\/\d+\/?(\?.*)?$/i;
+
+function matchesArcGisLayer(url) {
+    return arcGisLayerRegex.test(url);
+}
+
+function matchesUrlTemplate(url) {
+    return url.indexOf('{z}') >= 0;
+}
+
 function matchAll() {
     return true;
 }
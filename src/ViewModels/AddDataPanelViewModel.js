@@ -7,6 +7,7 @@ var loadView = require('../Core/loadView');
 var ModelError = require('../Models/ModelError');
 var WebFeatureServiceCatalogGroup = require('../Models/WebFeatureServiceCatalogGroup');
 var WebMapServiceCatalogGroup = require('../Models/WebMapServiceCatalogGroup');
+var WebMapTileServiceCatalogGroup = require('../Models/WebMapTileServiceCatalogGroup');
 
 var defined = require('../../third_party/cesium/Source/Core/defined');
 var DeveloperError = require('../../third_party/cesium/Source/Core/DeveloperError');
@@ -65,11 +66,12 @@ add data from a file on your system.  Please upgrade your web browser.  For the
         return;
     }
 
-    // We can't add a WMS or WFS server from a file.
-    if (this.dataType === 'wms-getCapabilities' || this.dataType === 'wfs-getCapabilities') {
+    // We can't add a WMS, WMTS or WFS server, an ArcGIS layer, or a tile server from a file.
+    if (this.dataType === 'wms-getCapabilities' || this.dataType === 'wmts-getCapabilities' || this.dataType === 'wfs-getCapabilities' ||
+        this.dataType === 'esri-featureServer' || this.dataType === 'url-template') {
         this.application.error.raiseEvent(new ModelError({
             title: 'A service cannot be added from a local file',
-            message: 'Sorry, a WMS or WFS server can only be added by providing a URL to the server.  Please select a different type of file, or choose "Auto-detect".'
+            message: 'Sorry, a WMS, WMTS or WFS server, an ArcGIS FeatureServer layer, or a tile server URL template, can only be added by providing a URL to the server.  Please select a different type of file, or choose "Auto-detect".'
         }));
         return;
     }
@@ -118,6 +120,7 @@ add data from a file on your system.  Please upgrade your web browser.  For the
 };
 
 var wfsUrlRegex = /\bwfs\b/i;
+var wmtsUrlRegex = /\bwmts\b/i;
 
 AddDataPanelViewModel.prototype.addUrl = function() {
     ga('send', 'event', 'addDataUrl', this.url);
@@ -128,7 +131,17 @@ AddDataPanelViewModel.prototype.addUrl = function() {
     if (this.dataType === 'auto') {
         // Does this look like a WFS URL?  If so, try that first (before WMS).
         // This accounts for the fact that a single URL often works as both WMS and WFS.
-        if (wfsUrlRegex.test(this.url)) {
+        // Likewise, a URL that looks like WMTS is tried as WMTS first.  A URL template with a {z} placeholder is
+        // never a server that can be asked for its capabilities, so it goes straight to the URL matchers.
+        if (this.url.indexOf('{z}') >= 0) {
+            promise = loadFile(that);
+        } else if (wmtsUrlRegex.test(this.url)) {
+            promise = loadWmts(that).otherwise(function() {
+                return loadWms(that).otherwise(function() {
+                    return loadFile(that);
+                });
+            });
+        } else if (wfsUrlRegex.test(this.url)) {
             promise = loadWfs(that).otherwise(function() {
                 return loadWms(that).otherwise(function() {
                     return loadFile(that);
@@ -137,12 +150,16 @@ AddDataPanelViewModel.prototype.addUrl = function() {
         } else {
             promise = loadWms(that).otherwise(function() {
                 return loadWfs(that).otherwise(function() {
-                    return loadFile(that);
+                    return loadWmts(that).otherwise(function() {
+                        return loadFile(that);
+                    });
                 });
             });
         }
     } else if (this.dataType === 'wms-getCapabilities') {
         promise = loadWms(this);
+    } else if (this.dataType === 'wmts-getCapabilities') {
+        promise = loadWmts(this);
     } else if (this.dataType === 'wfs-getCapabilities') {
         promise = loadWfs(this);
     } else {
@@ -170,6 +187,16 @@ function loadWms(viewModel) {
     });
 }
 
+function loadWmts(viewModel) {
+    var wmts = new WebMapTileServiceCatalogGroup(viewModel.application);
+    wmts.name = viewModel.url;
+    wmts.url = viewModel.url;
+
+    return wmts.load().then(function() {
+        return wmts;
+    });
+}
+
 function loadWfs(viewModel) {
     var wfs = new WebFeatureServiceCatalogGroup(viewModel.application);
     wfs.name = viewModel.url;
@@ -0,0 +1,372 @@
+'use strict';
+
+/*global require,Blob,MediaRecorder*/
+var defined = require('../../third_party/cesium/Source/Core/defined');
+var DeveloperError = require('../../third_party/cesium/Source/Core/DeveloperError');
+var JulianDate = require('../../third_party/cesium/Source/Core/JulianDate');
+var knockout = require('../../third_party/cesium/Source/ThirdParty/knockout');
+var loadImage = require('../../third_party/cesium/Source/Core/loadImage');
+var when = require('../../third_party/cesium/Source/ThirdParty/when');
+
+var downloadBlob = require('../Core/downloadBlob');
+var encodeGif = require('../Map/encodeGif');
+var loadLegendImages = require('../Models/loadLegendImages');
+var ModelError = require('../Models/ModelError');
+var loadView = require('../Core/loadView');
+
+var legendMargin = 10;
+var maxLegendWidth = 200;
+var timestampFont = '16px sans-serif';
+
+/**
+ * A popup for exporting an animation of time-varying data, by stepping the application's clock across a range of
+ * times and capturing the map at each of them.
+ *
+ * @alias AnimationExportViewModel
+ * @constructor
+ *
+ * @param {Object} options Object with the following properties:
+ * @param {Application} options.application The application.
+ */
+var AnimationExportViewModel = function(options) {
+    if (!defined(options) || !defined(options.application)) {
+        throw new DeveloperError('options.application is required.');
+    }
+
+    this.application = options.application;
+    this._domNodes = undefined;
+    this._isCancelled = false;
+
+    var clock = this.application.clock;
+
+    /**
+     * Gets or sets the time of the first frame, as an ISO 8601 string.  This property is observable.
+     * @type {String}
+     */
+    this.startTime = JulianDate.toIso8601(clock.startTime, 0);
+
+    /**
+     * Gets or sets the time of the last frame, as an ISO 8601 string.  This property is observable.
+     * @type {String}
+     */
+    this.stopTime = JulianDate.toIso8601(clock.stopTime, 0);
+
+    /**
+     * Gets or sets the number of frames, which are spread evenly between the start and stop times.
+     * This property is observable.
+     * @type {Number}
+     */
+    this.frameCount = 30;
+
+    /**
+     * Gets or sets the time for which each frame is shown in the animation, in milliseconds.  This property is observable.
+     * @type {Number}
+     */
+    this.frameDuration = 200;
+
+    /**
+     * Gets or sets the format of the animation, 'gif' or 'webm'.  This property is observable.
+     * @type {String}
+     */
+    this.format = 'gif';
+
+    /**
+     * Gets or sets a value indicating whether the time of each frame is drawn on it.  This property is observable.
+     * @type {Boolean}
+     */
+    this.showTimestamp = true;
+
+    /**
+     * Gets or sets a value indicating whether the legends of the shown data items are drawn on each frame.
+     * This property is observable.
+     * @type {Boolean}
+     */
+    this.showLegends = true;
+
+    /**
+     * Gets or sets the greatest width of the frames, in pixels.  Larger maps are scaled down to this width.
+     * This property is observable.
+     * @type {Number}
+     */
+    this.maxWidth = 800;
+
+    /**
+     * Gets a value indicating whether an animation is being exported.  This property is observable.
+     * @type {Boolean}
+     */
+    this.isExporting = false;
+
+    /**
+     * Gets a message describing the progress of the export.  This property is observable.
+     * @type {String}
+     */
+    this.progress = '';
+
+    /**
+     * Gets a message describing why the chosen times or frames are not valid, or an empty string if they are.  This
+     * property is observable.
+     * @type {String}
+     */
+    this.errorMessage = '';
+
+    /**
+     * Gets the formats that this browser can export.
+     * @type {Object[]}
+     */
+    this.formats = [{ value: 'gif', name: 'Animated GIF' }];
+    if (supportsWebm()) {
+        this.formats.push({ value: 'webm', name: 'WebM video' });
+    }
+
+    knockout.track(this, ['startTime', 'stopTime', 'frameCount', 'frameDuration', 'format', 'showTimestamp', 'showLegends',
+                          'maxWidth', 'isExporting', 'progress', 'errorMessage']);
+};
+
+AnimationExportViewModel.prototype.show = function(container) {
+    this._domNodes = loadView(require('fs').readFileSync(__dirname + '/../Views/AnimationExport.html', 'utf8'), container, this);
+};
+
+AnimationExportViewModel.prototype.close = function() {
+    this.cancel();
+
+    for (var i = 0; i < this._domNodes.length; ++i) {
+        var node = this._domNodes[i];
+        if (defined(node.parentElement)) {
+            node.parentElement.removeChild(node);
+        }
+    }
+};
+
+AnimationExportViewModel.prototype.closeIfClickOnBackground = function(viewModel, e) {
+    if (e.target.className === 'modal-background') {
+        this.close();
+    }
+    return true;
+};
+
+/**
+ * Stops the export in progress, if any, after the frame that is being captured.
+ */
+AnimationExportViewModel.prototype.cancel = function() {
+    this._isCancelled = true;
+};
+
+/**
+ * Captures the frames of the animation, encodes them, and downloads the result.  The application's clock is restored
+ * when the export finishes.
+ * @return {Promise} A promise that resolves when the animation has been downloaded, or when the export fails or is cancelled.
+ */
+AnimationExportViewModel.prototype.exportAnimation = function() {
+    if (this.isExporting) {
+        return when();
+    }
+
+    var startTime, stopTime;
+    try {
+        startTime = JulianDate.fromIso8601(this.startTime);
+        stopTime = JulianDate.fromIso8601(this.stopTime);
+    } catch (e) {
+        this.errorMessage = 'The start and end times must be dates such as 2015-01-31 or 2015-01-31T10:30:00Z.';
+        return when();
+    }
+
+    var frameCount = parseInt(this.frameCount, 10);
+    if (isNaN(frameCount) || frameCount < 2 || !JulianDate.lessThan(startTime, stopTime)) {
+        this.errorMessage = 'There must be at least two frames, and the end time must be after the start time.';
+        return when();
+    }
+
+    var times = [];
+    var duration = JulianDate.secondsDifference(stopTime, startTime);
+    for (var i = 0; i < frameCount; ++i) {
+        times.push(JulianDate.addSeconds(startTime, duration * i / (frameCount - 1), new JulianDate()));
+    }
+
+    var clock = this.application.clock;
+    var previousTime = JulianDate.clone(clock.currentTime);
+    var previousShouldAnimate = clock.shouldAnimate;
+    clock.shouldAnimate = false;
+
+    this.isExporting = true;
+    this._isCancelled = false;
+    this.errorMessage = '';
+
+    var that = this;
+    var frameDuration = Math.max(parseInt(this.frameDuration, 10) || 200, 20);
+    var format = this.format;
+    var legendsPromise = this.showLegends ? loadLegendImages(this.application) : [];
+
+    return when(legendsPromise, function(legends) {
+        return captureFrames(that, times, legends, []);
+    }).then(function(frames) {
+        if (that._isCancelled) {
+            return;
+        }
+
+        that.progress = 'Encoding...';
+        if (format === 'webm') {
+            return recordWebm(frames, frameDuration).then(function(blob) {
+                downloadBlob(blob, 'animation.webm');
+            });
+        }
+
+        // Encode after the progress message is shown, as it takes a while.
+        var deferred = when.defer();
+        setTimeout(function() {
+            try {
+                downloadBlob(new Blob([encodeGif(frames, { delay: frameDuration })], { type: 'image/gif' }), 'animation.gif');
+                deferred.resolve();
+            } catch (e) {
+                deferred.reject(e);
+            }
+        }, 0);
+        return deferred.promise;
+    }).otherwise(function(e) {
+        if (e instanceof ModelError) {
+            that.application.error.raiseEvent(e);
+            return;
+        }
+
+        that.application.error.raiseEvent(new ModelError({
+            sender: that,
+            title: 'Unable to export the animation',
+            message: '\
+<p>The animation could not be created.  This may be because a data item does not allow its images to be captured, or \
+because the browser ran out of memory.  Try fewer or smaller frames.</p>\
+<p><pre>' + e + '</pre></p>'
+        }));
+    }).always(function() {
+        clock.currentTime = previousTime;
+        clock.shouldAnimate = previousShouldAnimate;
+        clock.tick();
+        that.application.currentViewer.notifyRepaintRequired();
+
+        that.isExporting = false;
+        that.progress = '';
+    });
+};
+
+AnimationExportViewModel.open = function(container, options) {
+    var viewModel = new AnimationExportViewModel(options);
+    viewModel.show(container);
+    return viewModel;
+};
+
+function supportsWebm() {
+    return typeof MediaRecorder !== 'undefined' &&
+           defined(document.createElement('canvas').captureStream) &&
+           (!defined(MediaRecorder.isTypeSupported) || MediaRecorder.isTypeSupported('video/webm'));
+}
+
+function captureFrames(viewModel, times, legends, frames) {
+    if (viewModel._isCancelled || frames.length === times.length) {
+        return when(frames);
+    }
+
+    var time = times[frames.length];
+    viewModel.progress = 'Capturing frame ' + (frames.length + 1) + ' of ' + times.length + '...';
+
+    var application = viewModel.application;
+    application.clock.currentTime = time;
+    application.clock.tick();
+
+    var viewer = application.currentViewer;
+    return when(viewer.waitForTilesToLoad(), function() {
+        return viewer.captureScreenshot();
+    }).then(function(dataUrl) {
+        return loadImage(dataUrl);
+    }).then(function(image) {
+        frames.push(drawFrame(viewModel, image, time, legends));
+        return captureFrames(viewModel, times, legends, frames);
+    });
+}
+
+function drawFrame(viewModel, image, time, legends) {
+    var scale = Math.min(1.0, viewModel.maxWidth / image.width);
+    var canvas = document.createElement('canvas');
+    canvas.width = Math.round(image.width * scale);
+    canvas.height = Math.round(image.height * scale);
+
+    var context = canvas.getContext('2d');
+    context.drawImage(image, 0, 0, canvas.width, canvas.height);
+
+    if (legends.length > 0) {
+        drawLegends(context, legends);
+    }
+
+    if (viewModel.showTimestamp) {
+        var text = JulianDate.toIso8601(time, 0);
+        context.font = timestampFont;
+        var width = context.measureText(text).width;
+        context.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        context.fillRect(legendMargin, canvas.height - legendMargin - 26, width + 16, 26);
+        context.fillStyle = 'white';
+        context.textBaseline = 'middle';
+        context.fillText(text, legendMargin + 8, canvas.height - legendMargin - 13);
+    }
+
+    return context.getImageData(0, 0, canvas.width, canvas.height);
+}
+
+function drawLegends(context, legends) {
+    var y = legendMargin;
+    context.font = '12px sans-serif';
+    context.textBaseline = 'top';
+
+    for (var i = 0; i < legends.length; ++i) {
+        var image = legends[i].image;
+        var scale = Math.min(1.0, maxLegendWidth / image.width);
+        var width = Math.round(image.width * scale);
+        var height = Math.round(image.height * scale);
+
+        context.fillStyle = 'rgba(255, 255, 255, 0.85)';
+        context.fillRect(legendMargin, y, Math.max(width, context.measureText(legends[i].name).width) + 8, height + 24);
+        context.fillStyle = 'black';
+        context.fillText(legends[i].name, legendMargin + 4, y + 4);
+        context.drawImage(image, legendMargin + 4, y + 20, width, height);
+
+        y += height + 24 + legendMargin;
+    }
+}
+
+// MediaRecorder records in real time, so each frame is drawn on a canvas for as long as it should be shown.
+function recordWebm(frames, frameDuration) {
+    var deferred = when.defer();
+
+    var canvas = document.createElement('canvas');
+    canvas.width = frames[0].width;
+    canvas.height = frames[0].height;
+    var context = canvas.getContext('2d');
+    context.putImageData(frames[0], 0, 0);
+
+    var chunks = [];
+    var recorder = new MediaRecorder(canvas.captureStream(), { mimeType: 'video/webm' });
+    recorder.ondataavailable = function(e) {
+        if (e.data.size > 0) {
+            chunks.push(e.data);
+        }
+    };
+    recorder.onstop = function() {
+        deferred.resolve(new Blob(chunks, { type: 'video/webm' }));
+    };
+    recorder.onerror = function(e) {
+        deferred.reject(e.error);
+    };
+    recorder.start();
+
+    var index = 0;
+    function drawNextFrame() {
+        ++index;
+        if (index < frames.length) {
+            context.putImageData(frames[index], 0, 0);
+            setTimeout(drawNextFrame, frameDuration);
+        } else {
+            recorder.stop();
+        }
+    }
+    setTimeout(drawNextFrame, frameDuration);
+
+    return deferred.promise;
+}
+
+module.exports = AnimationExportViewModel;
@@ -0,0 +1,538 @@
+'use strict';
+
+/*global require,Blob*/
+var CesiumMath = require('../../third_party/cesium/Source/Core/Math');
+var Color = require('../../third_party/cesium/Source/Core/Color');
+var ColorMaterialProperty = require('../../third_party/cesium/Source/DataSources/ColorMaterialProperty');
+var CustomDataSource = require('../../third_party/cesium/Source/DataSources/CustomDataSource');
+var defaultValue = require('../../third_party/cesium/Source/Core/defaultValue');
+var defined = require('../../third_party/cesium/Source/Core/defined');
+var DeveloperError = require('../../third_party/cesium/Source/Core/DeveloperError');
+var Ellipsoid = require('../../third_party/cesium/Source/Core/Ellipsoid');
+var Entity = require('../../third_party/cesium/Source/DataSources/Entity');
+var knockout = require('../../third_party/cesium/Source/ThirdParty/knockout');
+var PointGraphics = require('../../third_party/cesium/Source/DataSources/PointGraphics');
+var PolylineGraphics = require('../../third_party/cesium/Source/DataSources/PolylineGraphics');
+
+var addUserCatalogMember = require('../Models/addUserCatalogMember');
+var computeRectangleFromCorners = require('../Map/computeRectangleFromCorners');
+var downloadBlob = require('../Core/downloadBlob');
+var loadView = require('../Core/loadView');
+var MapInteractionMode = require('../Models/MapInteractionMode');
+var UserDrawingCatalogItem = require('../Models/UserDrawingCatalogItem');
+
+var defaultColor = '#F5A623';
+var sketchColor = Color.fromCssColorString(defaultColor);
+
+var messages = {
+    point: 'Click the map to place a point.',
+    line: 'Click the map to add points along the line, then click Finish.',
+    polygon: 'Click the map to add the corners of the polygon, then click Finish.',
+    rectangle: 'Click the map at two opposite corners of the rectangle.',
+    text: 'Click the map where the text should be placed.'
+};
+
+var featureTypeNames = {
+    point: 'Point',
+    line: 'Line',
+    polygon: 'Polygon',
+    rectangle: 'Rectangle',
+    text: 'Text'
+};
+
+/**
+ * A panel for drawing points, lines, polygons, rectangles and text labels on the map, and editing their names,
+ * descriptions and styles.  The drawn features are kept in a {@link UserDrawingCatalogItem} in the User-Added Data
+ * group of the catalog, which is created when the first feature is drawn.  While a drawing tool is selected, clicks on
+ * the map add points to the feature being drawn instead of picking features.
+ *
+ * @alias DrawingPanelViewModel
+ * @constructor
+ *
+ * @param {Object} options Object with the following properties:
+ * @param {Application} options.application The application.
+ * @param {Boolean} [options.isVisible=false] True if the panel is initially visible.
+ */
+var DrawingPanelViewModel = function(options) {
+    if (!defined(options) || !defined(options.application)) {
+        throw new DeveloperError('options.application is required.');
+    }
+
+    this.application = options.application;
+    this._domNodes = undefined;
+
+    /**
+     * Gets or sets a value indicating whether the panel is visible.  This property is observable.
+     * @type {Boolean}
+     */
+    this.isVisible = defaultValue(options.isVisible, false);
+
+    /**
+     * Gets or sets the drawing tool that is selected: 'point', 'line', 'polygon', 'rectangle' or 'text', or undefined if
+     * no tool is selected.  Changing it discards the feature being drawn.  This property is observable.
+     * @type {String}
+     */
+    this.tool = undefined;
+
+    /**
+     * Gets or sets the text of the labels placed with the 'text' tool.  This property is observable.
+     * @type {String}
+     */
+    this.labelText = '';
+
+    /**
+     * Gets the drawing that features are added to, or undefined if nothing has been drawn yet.  This property is observable.
+     * @type {UserDrawingCatalogItem}
+     */
+    this.drawing = undefined;
+
+    /**
+     * Gets the points of the feature being drawn, in the order in which they were added.  This property is observable.
+     * @type {Cartesian3[]}
+     */
+    this.sketchPositions = [];
+
+    /**
+     * Gets the feature whose properties are being edited, or undefined if none is.  This property is observable.
+     * @type {Object}
+     */
+    this.selectedFeature = undefined;
+
+    /**
+     * Gets or sets the name of the {@link DrawingPanelViewModel#selectedFeature}.  This property is observable.
+     * @type {String}
+     */
+    this.featureName = '';
+
+    /**
+     * Gets or sets the description of the {@link DrawingPanelViewModel#selectedFeature}.  This property is observable.
+     * @type {String}
+     */
+    this.featureDescription = '';
+
+    /**
+     * Gets or sets the text of the {@link DrawingPanelViewModel#selectedFeature}, if it is a text label.  This property is observable.
+     * @type {String}
+     */
+    this.featureText = '';
+
+    /**
+     * Gets or sets the CSS color of the {@link DrawingPanelViewModel#selectedFeature}: the color of a point's marker, or
+     * of the text of a label or the line of a line or polygon.  This property is observable.
+     * @type {String}
+     */
+    this.featureColor = defaultColor;
+
+    /**
+     * Gets or sets the CSS fill color of the {@link DrawingPanelViewModel#selectedFeature}, if it is a polygon.  This
+     * property is observable.
+     * @type {String}
+     */
+    this.featureFill = defaultColor;
+
+    /**
+     * Gets or sets the line width of the {@link DrawingPanelViewModel#selectedFeature}, in pixels, if it is a line or
+     * polygon.  This property is observable.
+     * @type {Number}
+     */
+    this.featureWidth = 2;
+
+    /**
+     * Gets a message describing why the last feature could not be drawn, or an empty string.  This property is observable.
+     * @type {String}
+     */
+    this.errorMessage = '';
+
+    knockout.track(this, ['isVisible', 'tool', 'labelText', 'drawing', 'sketchPositions', 'selectedFeature',
+                          'featureName', 'featureDescription', 'featureText', 'featureColor', 'featureFill',
+                          'featureWidth', 'errorMessage']);
+
+    this._sketchDataSource = new CustomDataSource('Drawing');
+    this._isSelectingFeature = false;
+
+    this._interactionMode = new MapInteractionMode({
+        message: ''
+    });
+    this._interactionMode.positionPicked.addEventListener(function(position) {
+        this.addPosition(position);
+    }, this);
+
+    /**
+     * Gets the message that tells the user how to use the selected tool.
+     * @type {String}
+     */
+    knockout.defineProperty(this, 'message', {
+        get: function() {
+            return defined(this.tool) ? messages[this.tool] : 'Choose a tool to draw with.';
+        }
+    });
+
+    /**
+     * Gets the features of the {@link DrawingPanelViewModel#drawing}.
+     * @type {Object[]}
+     */
+    knockout.defineProperty(this, 'features', {
+        get: function() {
+            return defined(this.drawing) ? this.drawing.features : [];
+        }
+    });
+
+    /**
+     * Gets a value indicating whether the line or polygon being drawn has enough points to be finished.
+     * @type {Boolean}
+     */
+    knockout.defineProperty(this, 'canFinish', {
+        get: function() {
+            return (this.tool === 'line' && this.sketchPositions.length >= 2) ||
+                   (this.tool === 'polygon' && this.sketchPositions.length >= 3);
+        }
+    });
+
+    /**
+     * Gets the GeoJSON geometry type of the {@link DrawingPanelViewModel#selectedFeature}, or undefined if no feature is selected.
+     * @type {String}
+     */
+    knockout.defineProperty(this, 'selectedGeometryType', {
+        get: function() {
+            return defined(this.selectedFeature) ? this.selectedFeature.geometry.type : undefined;
+        }
+    });
+
+    /**
+     * Gets a value indicating whether the {@link DrawingPanelViewModel#selectedFeature} is a text label.
+     * @type {Boolean}
+     */
+    knockout.defineProperty(this, 'isTextSelected', {
+        get: function() {
+            return defined(this.selectedFeature) && defined(this.selectedFeature.properties.text);
+        }
+    });
+
+    knockout.getObservable(this, 'isVisible').subscribe(function() {
+        if (!this.isVisible) {
+            this.tool = undefined;
+        }
+    }, this);
+
+    knockout.getObservable(this, 'tool').subscribe(function() {
+        this.errorMessage = '';
+        clearSketch(this);
+        updateActivation(this);
+    }, this);
+
+    ['featureName', 'featureDescription', 'featureText', 'featureColor', 'featureFill', 'featureWidth'].forEach(function(propertyName) {
+        knockout.getObservable(this, propertyName).subscribe(function() {
+            applyFeatureEdits(this);
+        }, this);
+    }, this);
+};
+
+DrawingPanelViewModel.prototype.show = function(container) {
+    if (!defined(this._domNodes)) {
+        this._domNodes = loadView(require('fs').readFileSync(__dirname + '/../Views/DrawingPanel.html', 'utf8'), container, this);
+    }
+};
+
+DrawingPanelViewModel.prototype.close = function() {
+    this.isVisible = false;
+};
+
+/**
+ * Selects a drawing tool, or deselects it if it is already selected.
+ * @param {String} tool The {@link DrawingPanelViewModel#tool} to select.
+ */
+DrawingPanelViewModel.prototype.selectTool = function(tool) {
+    this.tool = this.tool === tool ? undefined : tool;
+};
+
+/**
+ * Adds a point to the feature being drawn with the selected tool.  Points and text labels are added to the drawing
+ * straight away, as are rectangles once both corners have been added.
+ * @param {Cartesian3} position The position of the point in Earth-centered Fixed coordinates.
+ */
+DrawingPanelViewModel.prototype.addPosition = function(position) {
+    if (!defined(this.tool)) {
+        return;
+    }
+
+    this.errorMessage = '';
+
+    if (this.tool === 'point') {
+        addFeature(this, 'Point', toCoordinates(position), {
+            'marker-color': defaultColor
+        });
+    } else if (this.tool === 'text') {
+        if (this.labelText.length === 0) {
+            this.errorMessage = 'Enter the text of the label before placing it.';
+            return;
+        }
+        addFeature(this, 'Point', toCoordinates(position), {
+            text: this.labelText,
+            stroke: '#FFFFFF'
+        });
+    } else if (this.tool === 'rectangle' && this.sketchPositions.length === 1) {
+        var ellipsoid = Ellipsoid.WGS84;
+        var rectangle = computeRectangleFromCorners(ellipsoid.cartesianToCartographic(this.sketchPositions[0]),
+                                                    ellipsoid.cartesianToCartographic(position));
+        clearSketch(this);
+        if (!defined(rectangle)) {
+            this.errorMessage = 'The corners of the rectangle must be further apart.';
+            return;
+        }
+
+        var west = CesiumMath.toDegrees(rectangle.west);
+        var south = CesiumMath.toDegrees(rectangle.south);
+        var east = CesiumMath.toDegrees(rectangle.east);
+        var north = CesiumMath.toDegrees(rectangle.north);
+        addFeature(this, 'Polygon', [[[west, south], [east, south], [east, north], [west, north], [west, south]]], {
+            stroke: defaultColor,
+            'stroke-width': 2,
+            fill: defaultColor,
+            'fill-opacity': 0.4
+        });
+    } else {
+        this.sketchPositions.push(position);
+        updateSketch(this);
+    }
+};
+
+/**
+ * Adds the line or polygon being drawn to the drawing.
+ */
+DrawingPanelViewModel.prototype.finish = function() {
+    if (!this.canFinish) {
+        return;
+    }
+
+    var coordinates = this.sketchPositions.map(function(position) {
+        return toCoordinates(position);
+    });
+    clearSketch(this);
+
+    if (this.tool === 'line') {
+        addFeature(this, 'LineString', coordinates, {
+            stroke: defaultColor,
+            'stroke-width': 2
+        });
+    } else {
+        coordinates.push(coordinates[0]);
+        addFeature(this, 'Polygon', [coordinates], {
+            stroke: defaultColor,
+            'stroke-width': 2,
+            fill: defaultColor,
+            'fill-opacity': 0.4
+        });
+    }
+};
+
+/**
+ * Removes the last point that was added to the feature being drawn.
+ */
+DrawingPanelViewModel.prototype.removeLastPosition = function() {
+    this.sketchPositions.pop();
+    updateSketch(this);
+};
+
+/**
+ * Selects a feature of the drawing so that its properties can be edited.
+ * @param {Object} feature The feature.
+ */
+DrawingPanelViewModel.prototype.selectFeature = function(feature) {
+    var properties = feature.properties;
+    var isPoint = feature.geometry.type === 'Point' && !defined(properties.text);
+
+    this._isSelectingFeature = true;
+    this.selectedFeature = feature;
+    this.featureName = defaultValue(properties.name, '');
+    this.featureDescription = defaultValue(properties.description, '');
+    this.featureText = defaultValue(properties.text, '');
+    this.featureColor = defaultValue(isPoint ? properties['marker-color'] : properties.stroke, defaultColor);
+    this.featureFill = defaultValue(properties.fill, defaultColor);
+    this.featureWidth = defaultValue(properties['stroke-width'], 2);
+    this._isSelectingFeature = false;
+};
+
+/**
+ * Removes a feature from the drawing.
+ * @param {Object} feature The feature.
+ */
+DrawingPanelViewModel.prototype.removeFeature = function(feature) {
+    if (this.selectedFeature === feature) {
+        this.selectedFeature = undefined;
+    }
+    if (defined(this.drawing)) {
+        this.drawing.features.remove(feature);
+    }
+};
+
+/**
+ * Saves the drawing to the user's computer as a GeoJSON file.
+ */
+DrawingPanelViewModel.prototype.exportGeoJson = function() {
+    if (!defined(this.drawing)) {
+        return;
+    }
+
+    var json = JSON.stringify(this.drawing.toGeoJson(), undefined, 2);
+    downloadBlob(new Blob([json], { type: 'application/vnd.geo+json' }), 'drawing.geojson');
+};
+
+/**
+ * Saves the drawing to the user's computer as a KML file.
+ */
+DrawingPanelViewModel.prototype.exportKml = function() {
+    if (!defined(this.drawing)) {
+        return;
+    }
+
+    downloadBlob(new Blob([this.drawing.toKml()], { type: 'application/vnd.google-earth.kml+xml' }), 'drawing.kml');
+};
+
+function updateActivation(viewModel) {
+    var modes = viewModel.application.mapInteractionModeStack;
+    var index = modes.indexOf(viewModel._interactionMode);
+    var dataSources = viewModel.application.dataSources;
+
+    if (defined(viewModel.tool)) {
+        viewModel._interactionMode.message = messages[viewModel.tool];
+        if (index < 0) {
+            modes.push(viewModel._interactionMode);
+        }
+        if (!dataSources.contains(viewModel._sketchDataSource)) {
+            dataSources.add(viewModel._sketchDataSource);
+        }
+    } else {
+        if (index >= 0) {
+            modes.splice(index, 1);
+        }
+        if (dataSources.contains(viewModel._sketchDataSource)) {
+            dataSources.remove(viewModel._sketchDataSource, false);
+        }
+    }
+}
+
+function clearSketch(viewModel) {
+    viewModel.sketchPositions = [];
+    updateSketch(viewModel);
+}
+
+function updateSketch(viewModel) {
+    var entities = viewModel._sketchDataSource.entities;
+    var positions = viewModel.sketchPositions;
+
+    entities.suspendEvents();
+    entities.removeAll();
+
+    for (var i = 0; i < positions.length; ++i) {
+        entities.add(new Entity({
+            position: positions[i],
+            point: new PointGraphics({
+                color: Color.WHITE,
+                outlineColor: sketchColor,
+                outlineWidth: 2,
+                pixelSize: 8
+            })
+        }));
+    }
+
+    if (positions.length >= 2) {
+        entities.add(new Entity({
+            polyline: new PolylineGraphics({
+                positions: viewModel.tool === 'polygon' && positions.length >= 3 ? positions.concat(positions[0]) : positions.slice(),
+                material: new ColorMaterialProperty(sketchColor),
+                width: 2
+            })
+        }));
+    }
+
+    entities.resumeEvents();
+    viewModel.application.currentViewer.notifyRepaintRequired();
+}
+
+function addFeature(viewModel, geometryType, coordinates, properties) {
+    var drawing = getOrCreateDrawing(viewModel);
+
+    properties.name = defaultValue(properties.text, featureTypeNames[viewModel.tool] + ' ' + (drawing.features.length + 1));
+    properties.description = '';
+
+    var feature = {
+        type: 'Feature',
+        geometry: {
+            type: geometryType,
+            coordinates: coordinates
+        },
+        properties: properties
+    };
+
+    drawing.features.push(feature);
+    drawing.isEnabled = true;
+    drawing.isShown = true;
+
+    viewModel.selectFeature(feature);
+}
+
+// Gets the drawing in the User-Added Data group, which may have come from a share link, or creates a new one if
+// the user has removed it or has not drawn anything yet.
+function getOrCreateDrawing(viewModel) {
+    var items = viewModel.application.catalog.userAddedDataGroup.items;
+    if (defined(viewModel.drawing) && items.indexOf(viewModel.drawing) >= 0) {
+        return viewModel.drawing;
+    }
+
+    for (var i = 0; i < items.length; ++i) {
+        if (items[i] instanceof UserDrawingCatalogItem) {
+            viewModel.drawing = items[i];
+            return viewModel.drawing;
+        }
+    }
+
+    var drawing = new UserDrawingCatalogItem(viewModel.application);
+    drawing.name = 'My Drawing';
+    addUserCatalogMember(viewModel.application, drawing, {
+        zoomTo: false
+    });
+
+    viewModel.drawing = drawing;
+    return drawing;
+}
+
+function applyFeatureEdits(viewModel) {
+    var feature = viewModel.selectedFeature;
+    if (viewModel._isSelectingFeature || !defined(feature) || !defined(viewModel.drawing)) {
+        return;
+    }
+
+    var properties = feature.properties;
+    properties.name = viewModel.featureName;
+    properties.description = viewModel.featureDescription;
+
+    if (feature.geometry.type === 'Point') {
+        if (defined(properties.text)) {
+            properties.text = viewModel.featureText;
+            properties.stroke = viewModel.featureColor;
+        } else {
+            properties['marker-color'] = viewModel.featureColor;
+        }
+    } else {
+        var width = parseFloat(viewModel.featureWidth);
+        properties.stroke = viewModel.featureColor;
+        properties['stroke-width'] = isNaN(width) || width <= 0.0 ? 2 : width;
+        if (feature.geometry.type === 'Polygon') {
+            properties.fill = viewModel.featureFill;
+        }
+    }
+
+    // Replace the feature with itself so that the list of features and the map are updated.
+    var features = viewModel.drawing.features;
+    var index = features.indexOf(feature);
+    if (index >= 0) {
+        features.splice(index, 1, feature);
+    }
+}
+
+function toCoordinates(position) {
+    var cartographic = Ellipsoid.WGS84.cartesianToCartographic(position);
+    return [CesiumMath.toDegrees(cartographic.longitude), CesiumMath.toDegrees(cartographic.latitude)];
+}
+
+module.exports = DrawingPanelViewModel;
@@ -113,11 +113,11 @@ FeatureInfoPanelViewModel.prototype.showFeatures = function(features) {
         that.application.selectedFeature = feature;
         that.name = feature.name ? feature.name : feature.id;
         if (defined(feature.description)) {
-            that.html = feature.description.getValue(that.application.clock.currentTime);
+            that.html = feature.description.getValue(that.application.nowViewing.getEntityDisplayTime(feature));
         } else {
             that.html = '';
         }
-        configureHtmlUpdater(that, feature.description);
+        configureHtmlUpdater(that, feature);
         that.isVisible = true;
     }, function() {
         that.application.selectedFeature = undefined;
@@ -128,15 +128,17 @@ FeatureInfoPanelViewModel.prototype.showFeatures = function(features) {
     });
 };
 
-function configureHtmlUpdater(viewModel, featureDescription) {
+function configureHtmlUpdater(viewModel, feature) {
     if (defined(viewModel._clockSubscription)) {
         viewModel._clockSubscription();
         viewModel._clockSubscription = undefined;
     }
 
+    // The feature may be shown by an item with its own clock, so its description is updated for the item's time.
+    var featureDescription = defined(feature) ? feature.description : undefined;
     if (defined(featureDescription) && !featureDescription.isConstant) {
-        viewModel._clockSubscription = viewModel.application.clock.onTick.addEventListener(function(clock) {
-            viewModel.html = featureDescription.getValue(clock.currentTime);
+        viewModel._clockSubscription = viewModel.application.clock.onTick.addEventListener(function() {
+            viewModel.html = featureDescription.getValue(viewModel.application.nowViewing.getEntityDisplayTime(feature));
         });
     }
 }
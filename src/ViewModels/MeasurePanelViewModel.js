@@ -0,0 +1,589 @@
+'use strict';
+
+/*global require,Blob*/
+var CesiumMath = require('../../third_party/cesium/Source/Core/Math');
+var Color = require('../../third_party/cesium/Source/Core/Color');
+var ColorMaterialProperty = require('../../third_party/cesium/Source/DataSources/ColorMaterialProperty');
+var CustomDataSource = require('../../third_party/cesium/Source/DataSources/CustomDataSource');
+var defaultValue = require('../../third_party/cesium/Source/Core/defaultValue');
+var defined = require('../../third_party/cesium/Source/Core/defined');
+var DeveloperError = require('../../third_party/cesium/Source/Core/DeveloperError');
+var Ellipsoid = require('../../third_party/cesium/Source/Core/Ellipsoid');
+var Entity = require('../../third_party/cesium/Source/DataSources/Entity');
+var knockout = require('../../third_party/cesium/Source/ThirdParty/knockout');
+var PointGraphics = require('../../third_party/cesium/Source/DataSources/PointGraphics');
+var PolygonGraphics = require('../../third_party/cesium/Source/DataSources/PolygonGraphics');
+var PolygonHierarchy = require('../../third_party/cesium/Source/Core/PolygonHierarchy');
+var PolylineGraphics = require('../../third_party/cesium/Source/DataSources/PolylineGraphics');
+
+var computeGeodesicArea = require('../Map/computeGeodesicArea');
+var computeGeodesicLength = require('../Map/computeGeodesicLength');
+var downloadBlob = require('../Core/downloadBlob');
+var ExaggeratedTerrainProvider = require('../Map/ExaggeratedTerrainProvider');
+var loadView = require('../Core/loadView');
+var MapInteractionMode = require('../Models/MapInteractionMode');
+var sampleElevationProfile = require('../Map/sampleElevationProfile');
+var ViewerMode = require('../Models/ViewerMode');
+
+var lineColor = Color.fromCssColorString('#F5A623');
+var fillColor = lineColor.withAlpha(0.3);
+
+// The size of the elevation profile chart, in the units of its SVG viewBox in MeasurePanel.html.
+var profileWidth = 300;
+var profileHeight = 100;
+
+var messages = {
+    distance: 'Click the map to add points along the path to measure.',
+    area: 'Click the map to add the corners of the area to measure.',
+    profile: 'Click the map to add points along the line whose elevation profile to show.'
+};
+
+/**
+ * A panel for measuring distances, path lengths and areas on the map, and showing the elevation profile of the terrain
+ * along a line.  While the panel is visible, clicks on the map add points to the measurement instead of picking features.
+ *
+ * @alias MeasurePanelViewModel
+ * @constructor
+ *
+ * @param {Object} options Object with the following properties:
+ * @param {Application} options.application The application.
+ * @param {Boolean} [options.isVisible=false] True if the panel is initially visible.
+ */
+var MeasurePanelViewModel = function(options) {
+    if (!defined(options) || !defined(options.application)) {
+        throw new DeveloperError('options.application is required.');
+    }
+
+    this.application = options.application;
+    this._domNodes = undefined;
+
+    /**
+     * Gets or sets a value indicating whether the panel is visible.  While it is visible, clicks on the map add points to
+     * the measurement.  This property is observable.
+     * @type {Boolean}
+     */
+    this.isVisible = defaultValue(options.isVisible, false);
+
+    /**
+     * Gets or sets what is measured: 'distance' for the length of a path, 'area' for the area and perimeter of a
+     * polygon, or 'profile' for the elevation profile of the terrain along a path.  Changing it clears the points.
+     * This property is observable.
+     * @type {String}
+     */
+    this.mode = 'distance';
+
+    /**
+     * Gets the points of the measurement, in the order in which they were added.  This property is observable.
+     * @type {Cartographic[]}
+     */
+    this.positions = [];
+
+    /**
+     * Gets the samples of the elevation profile, each with a `distance` along the path and a `position` whose height is
+     * the height of the terrain.  This property is observable.
+     * @type {Object[]}
+     */
+    this.profile = [];
+
+    /**
+     * Gets a value indicating whether the elevation profile is being sampled from the terrain.  This property is observable.
+     * @type {Boolean}
+     */
+    this.isSamplingProfile = false;
+
+    /**
+     * Gets a message describing why the last measurement could not be completed, or an empty string.  This property is
+     * observable.
+     * @type {String}
+     */
+    this.errorMessage = '';
+
+    knockout.track(this, ['isVisible', 'mode', 'positions', 'profile', 'isSamplingProfile', 'errorMessage']);
+
+    // The positions as they were picked, on the terrain if there is any, so that they are drawn where they were clicked.
+    this._pickedPositions = [];
+    this._dataSource = new CustomDataSource('Measurement');
+    this._profileRequest = 0;
+
+    this._interactionMode = new MapInteractionMode({
+        message: messages[this.mode]
+    });
+    this._interactionMode.positionPicked.addEventListener(function(position) {
+        this.addPosition(position);
+    }, this);
+
+    /**
+     * Gets the message that tells the user how to add points to the measurement.
+     * @type {String}
+     */
+    knockout.defineProperty(this, 'message', {
+        get: function() {
+            return this._interactionMode.message;
+        }
+    });
+
+    /**
+     * Gets the length of the path, or the perimeter of the polygon when measuring an area, in meters.
+     * @type {Number}
+     */
+    knockout.defineProperty(this, 'length', {
+        get: function() {
+            return computeGeodesicLength(this.positions, this.mode === 'area');
+        }
+    });
+
+    /**
+     * Gets the area of the polygon, in square meters, when measuring an area.
+     * @type {Number}
+     */
+    knockout.defineProperty(this, 'area', {
+        get: function() {
+            return this.mode === 'area' ? computeGeodesicArea(this.positions) : 0.0;
+        }
+    });
+
+    /**
+     * Gets the {@link MeasurePanelViewModel#length}, formatted for display.
+     * @type {String}
+     */
+    knockout.defineProperty(this, 'lengthText', {
+        get: function() {
+            return MeasurePanelViewModel.formatDistance(this.length);
+        }
+    });
+
+    /**
+     * Gets the {@link MeasurePanelViewModel#area}, formatted for display.
+     * @type {String}
+     */
+    knockout.defineProperty(this, 'areaText', {
+        get: function() {
+            return MeasurePanelViewModel.formatArea(this.area);
+        }
+    });
+
+    /**
+     * Gets a value indicating whether an elevation profile can be sampled, which requires the 3D Terrain mode.
+     * @type {Boolean}
+     */
+    knockout.defineProperty(this, 'canSampleProfile', {
+        get: function() {
+            return this.application.viewerMode === ViewerMode.CesiumTerrain;
+        }
+    });
+
+    /**
+     * Gets the lowest and highest heights of the elevation profile, and the total ascent and descent along it, in meters.
+     * @type {Object}
+     */
+    knockout.defineProperty(this, 'profileStatistics', {
+        get: function() {
+            return computeProfileStatistics(this.profile);
+        }
+    });
+
+    /**
+     * Gets the SVG path data of the elevation profile chart.
+     * @type {String}
+     */
+    knockout.defineProperty(this, 'profilePath', {
+        get: function() {
+            return computeProfilePath(this.profile, this.profileStatistics);
+        }
+    });
+
+    /**
+     * Gets the lowest and highest heights of the elevation profile, and the ascent and descent along it, formatted for display.
+     * @type {String}
+     */
+    knockout.defineProperty(this, 'profileText', {
+        get: function() {
+            return formatProfileStatistics(this.profileStatistics);
+        }
+    });
+
+    /**
+     * Gets a summary of the measurement as text, to copy to other applications.
+     * @type {String}
+     */
+    knockout.defineProperty(this, 'resultText', {
+        get: function() {
+            return formatResult(this);
+        }
+    });
+
+    knockout.getObservable(this, 'isVisible').subscribe(function() {
+        updateActivation(this);
+    }, this);
+
+    knockout.getObservable(this, 'mode').subscribe(function() {
+        this._interactionMode.message = messages[this.mode];
+        this.clear();
+    }, this);
+
+    updateActivation(this);
+};
+
+MeasurePanelViewModel.prototype.show = function(container) {
+    if (!defined(this._domNodes)) {
+        this._domNodes = loadView(require('fs').readFileSync(__dirname + '/../Views/MeasurePanel.html', 'utf8'), container, this);
+    }
+};
+
+MeasurePanelViewModel.prototype.close = function() {
+    this.isVisible = false;
+};
+
+/**
+ * Changes what is measured, clearing the points of the current measurement.
+ * @param {String} mode The new {@link MeasurePanelViewModel#mode}.
+ */
+MeasurePanelViewModel.prototype.selectMode = function(mode) {
+    this.mode = mode;
+};
+
+/**
+ * Adds a point to the measurement.
+ * @param {Cartesian3} position The position of the point in Earth-centered Fixed coordinates.
+ */
+MeasurePanelViewModel.prototype.addPosition = function(position) {
+    this._pickedPositions.push(position);
+    this.positions.push(Ellipsoid.WGS84.cartesianToCartographic(position));
+    update(this);
+};
+
+/**
+ * Removes the last point that was added to the measurement.
+ */
+MeasurePanelViewModel.prototype.removeLastPosition = function() {
+    if (this.positions.length === 0) {
+        return;
+    }
+    this._pickedPositions.pop();
+    this.positions.pop();
+    update(this);
+};
+
+/**
+ * Removes all of the points of the measurement.
+ */
+MeasurePanelViewModel.prototype.clear = function() {
+    this._pickedPositions = [];
+    this.positions = [];
+    update(this);
+};
+
+/**
+ * Creates a GeoJSON feature of the measurement: a LineString when measuring a distance, a Polygon when measuring an area,
+ * and a LineString of the sampled points, with their heights, for an elevation profile.  The results of the measurement
+ * are its properties.
+ * @return {Object} The GeoJSON feature, or undefined if there are not enough points to measure.
+ */
+MeasurePanelViewModel.prototype.toGeoJson = function() {
+    var minimumPositions = this.mode === 'area' ? 3 : 2;
+    if (this.positions.length < minimumPositions) {
+        return undefined;
+    }
+
+    var geometry;
+    var properties = {};
+
+    if (this.mode === 'area') {
+        var ring = this.positions.map(function(position) {
+            return toCoordinates(position);
+        });
+        ring.push(ring[0]);
+        geometry = {
+            type: 'Polygon',
+            coordinates: [ring]
+        };
+        properties.area = this.area;
+        properties.perimeter = this.length;
+    } else if (this.mode === 'profile' && this.profile.length > 0) {
+        geometry = {
+            type: 'LineString',
+            coordinates: this.profile.map(function(sample) {
+                return toCoordinates(sample.position, defaultValue(sample.position.height, null));
+            })
+        };
+        properties.length = this.length;
+        properties.minimumHeight = this.profileStatistics.minimum;
+        properties.maximumHeight = this.profileStatistics.maximum;
+        properties.ascent = this.profileStatistics.ascent;
+        properties.descent = this.profileStatistics.descent;
+    } else {
+        geometry = {
+            type: 'LineString',
+            coordinates: this.positions.map(function(position) {
+                return toCoordinates(position);
+            })
+        };
+        properties.length = this.length;
+    }
+
+    return {
+        type: 'Feature',
+        geometry: geometry,
+        properties: properties
+    };
+};
+
+/**
+ * Saves the measurement to the user's computer as a GeoJSON file.
+ */
+MeasurePanelViewModel.prototype.exportGeoJson = function() {
+    var feature = this.toGeoJson();
+    if (!defined(feature)) {
+        return;
+    }
+
+    var json = JSON.stringify({
+        type: 'FeatureCollection',
+        features: [feature]
+    }, undefined, 2);
+
+    downloadBlob(new Blob([json], { type: 'application/vnd.geo+json' }), 'measurement.geojson');
+};
+
+/**
+ * Formats a distance for display, in meters or kilometers.
+ * @param {Number} meters The distance in meters.
+ * @return {String} The formatted distance.
+ */
+MeasurePanelViewModel.formatDistance = function(meters) {
+    if (meters < 1000.0) {
+        return meters.toFixed(meters < 100.0 ? 1 : 0) + ' m';
+    }
+    return (meters / 1000.0).toFixed(meters < 100000.0 ? 2 : 1) + ' km';
+};
+
+/**
+ * Formats an area for display, in square meters, hectares or square kilometers.
+ * @param {Number} squareMeters The area in square meters.
+ * @return {String} The formatted area.
+ */
+MeasurePanelViewModel.formatArea = function(squareMeters) {
+    if (squareMeters < 10000.0) {
+        return squareMeters.toFixed(0) + ' m²';
+    } else if (squareMeters < 1000000.0) {
+        return (squareMeters / 10000.0).toFixed(2) + ' ha';
+    }
+    return (squareMeters / 1000000.0).toFixed(squareMeters < 100000000.0 ? 2 : 1) + ' km²';
+};
+
+function updateActivation(viewModel) {
+    var application = viewModel.application;
+    var modes = application.mapInteractionModeStack;
+    var index = modes.indexOf(viewModel._interactionMode);
+    var dataSources = application.dataSources;
+
+    if (viewModel.isVisible) {
+        if (index < 0) {
+            modes.push(viewModel._interactionMode);
+        }
+        if (!dataSources.contains(viewModel._dataSource)) {
+            dataSources.add(viewModel._dataSource);
+        }
+    } else {
+        if (index >= 0) {
+            modes.splice(index, 1);
+        }
+        viewModel.clear();
+        if (dataSources.contains(viewModel._dataSource)) {
+            dataSources.remove(viewModel._dataSource, false);
+        }
+    }
+}
+
+function update(viewModel) {
+    viewModel.errorMessage = '';
+    updateEntities(viewModel);
+    updateProfile(viewModel);
+}
+
+function updateEntities(viewModel) {
+    var entities = viewModel._dataSource.entities;
+    var positions = viewModel._pickedPositions;
+
+    entities.suspendEvents();
+    entities.removeAll();
+
+    for (var i = 0; i < positions.length; ++i) {
+        entities.add(new Entity({
+            position: positions[i],
+            point: new PointGraphics({
+                color: Color.WHITE,
+                outlineColor: lineColor,
+                outlineWidth: 2,
+                pixelSize: 8
+            })
+        }));
+    }
+
+    var isArea = viewModel.mode === 'area';
+    if (isArea && positions.length >= 3) {
+        entities.add(new Entity({
+            polygon: new PolygonGraphics({
+                hierarchy: new PolygonHierarchy(positions.slice()),
+                material: new ColorMaterialProperty(fillColor),
+                outline: false
+            })
+        }));
+    }
+
+    if (positions.length >= 2) {
+        entities.add(new Entity({
+            polyline: new PolylineGraphics({
+                positions: isArea && positions.length >= 3 ? positions.concat(positions[0]) : positions.slice(),
+                material: new ColorMaterialProperty(lineColor),
+                width: 3
+            })
+        }));
+    }
+
+    entities.resumeEvents();
+    viewModel.application.currentViewer.notifyRepaintRequired();
+}
+
+function updateProfile(viewModel) {
+    var requestNumber = ++viewModel._profileRequest;
+
+    viewModel.profile = [];
+    viewModel.isSamplingProfile = false;
+
+    if (viewModel.mode !== 'profile' || viewModel.positions.length < 2 || !viewModel.canSampleProfile || !defined(viewModel.application.cesium)) {
+        return;
+    }
+
+    // Sample the terrain itself, rather than the exaggerated terrain that is drawn.
+    var terrainProvider = viewModel.application.cesium.scene.terrainProvider;
+    if (terrainProvider instanceof ExaggeratedTerrainProvider) {
+        terrainProvider = terrainProvider.terrainProvider;
+    }
+
+    viewModel.isSamplingProfile = true;
+
+    sampleElevationProfile(terrainProvider, viewModel.positions).then(function(samples) {
+        if (requestNumber !== viewModel._profileRequest) {
+            return;
+        }
+
+        viewModel.isSamplingProfile = false;
+        viewModel.profile = samples;
+
+        if (!defined(viewModel.profileStatistics.minimum)) {
+            viewModel.errorMessage = 'The terrain could not be loaded along this line.';
+        }
+    }).otherwise(function() {
+        if (requestNumber !== viewModel._profileRequest) {
+            return;
+        }
+
+        viewModel.isSamplingProfile = false;
+        viewModel.errorMessage = 'The terrain could not be loaded along this line.';
+    });
+}
+
+function computeProfileStatistics(profile) {
+    var result = {
+        minimum: undefined,
+        maximum: undefined,
+        ascent: 0.0,
+        descent: 0.0
+    };
+
+    var previousHeight;
+    for (var i = 0; i < profile.length; ++i) {
+        var height = profile[i].position.height;
+        if (!defined(height)) {
+            continue;
+        }
+
+        result.minimum = defined(result.minimum) ? Math.min(result.minimum, height) : height;
+        result.maximum = defined(result.maximum) ? Math.max(result.maximum, height) : height;
+
+        if (defined(previousHeight)) {
+            if (height > previousHeight) {
+                result.ascent += height - previousHeight;
+            } else {
+                result.descent += previousHeight - height;
+            }
+        }
+        previousHeight = height;
+    }
+
+    return result;
+}
+
+function computeProfilePath(profile, statistics) {
+    if (profile.length < 2 || !defined(statistics.minimum)) {
+        return '';
+    }
+
+    var length = profile[profile.length - 1].distance;
+    var range = Math.max(statistics.maximum - statistics.minimum, 1.0);
+
+    // Draw the profile as a filled shape, leaving out the points where the terrain could not be sampled.
+    var commands = [];
+    var firstX, lastX;
+    for (var i = 0; i < profile.length; ++i) {
+        var height = profile[i].position.height;
+        if (!defined(height)) {
+            continue;
+        }
+
+        var x = length > 0.0 ? profile[i].distance / length * profileWidth : 0.0;
+        var y = profileHeight - (height - statistics.minimum) / range * profileHeight;
+        commands.push((commands.length === 0 ? 'M' : 'L') + x.toFixed(1) + ',' + y.toFixed(1));
+
+        firstX = defined(firstX) ? firstX : x;
+        lastX = x;
+    }
+
+    commands.push('L' + lastX.toFixed(1) + ',' + profileHeight);
+    commands.push('L' + firstX.toFixed(1) + ',' + profileHeight);
+    commands.push('Z');
+
+    return commands.join(' ');
+}
+
+function formatResult(viewModel) {
+    var formatDistance = MeasurePanelViewModel.formatDistance;
+
+    if (viewModel.mode === 'area') {
+        if (viewModel.positions.length < 3) {
+            return '';
+        }
+        return 'Area: ' + MeasurePanelViewModel.formatArea(viewModel.area) + ', perimeter: ' + formatDistance(viewModel.length);
+    }
+
+    if (viewModel.positions.length < 2) {
+        return '';
+    }
+
+    var result = 'Length: ' + formatDistance(viewModel.length);
+
+    if (viewModel.mode === 'profile' && defined(viewModel.profileStatistics.minimum)) {
+        result += ', ' + formatProfileStatistics(viewModel.profileStatistics);
+    }
+
+    return result;
+}
+
+function formatProfileStatistics(statistics) {
+    if (!defined(statistics.minimum)) {
+        return '';
+    }
+    return 'lowest: ' + statistics.minimum.toFixed(0) + ' m, highest: ' + statistics.maximum.toFixed(0) + ' m' +
+           ', ascent: ' + statistics.ascent.toFixed(0) + ' m, descent: ' + statistics.descent.toFixed(0) + ' m';
+}
+
+function toCoordinates(cartographic, height) {
+    var coordinates = [CesiumMath.toDegrees(cartographic.longitude), CesiumMath.toDegrees(cartographic.latitude)];
+    if (typeof height !== 'undefined') {
+        coordinates.push(height);
+    }
+    return coordinates;
+}
+
+module.exports = MeasurePanelViewModel;
@@ -3,6 +3,7 @@
 /*global require,ga*/
 var defaultValue = require('../../third_party/cesium/Source/Core/defaultValue');
 var defined = require('../../third_party/cesium/Source/Core/defined');
+var JulianDate = require('../../third_party/cesium/Source/Core/JulianDate');
 var knockout = require('../../third_party/cesium/Source/ThirdParty/knockout');
 
 var CatalogItemInfoViewModel = require('./CatalogItemInfoViewModel');
@@ -74,6 +75,71 @@ NowViewingTabViewModel.prototype.showInfo = function(item) {
     CatalogItemInfoViewModel.open('ui', item);
 };
 
+/**
+ * Splits the map to compare data items side by side, or stops splitting it.
+ */
+NowViewingTabViewModel.prototype.toggleSplitter = function() {
+    var application = this.nowViewing.application;
+    application.showSplitter = !application.showSplitter;
+};
+
+/**
+ * Sets the side of the split map on which an item is shown.
+ *
+ * @param {CatalogItem} item The item.
+ * @param {String} splitDirection 'left', 'right', or undefined to show the item on both sides.
+ */
+NowViewingTabViewModel.prototype.setSplitDirection = function(item, splitDirection) {
+    item.splitDirection = splitDirection;
+};
+
+/**
+ * Switches an item between being displayed at its own time and at the time of the application's timeline.
+ *
+ * @param {CatalogItem} item The item.
+ */
+NowViewingTabViewModel.prototype.toggleOwnClock = function(item) {
+    item.useOwnClock = !item.useOwnClock;
+};
+
+/**
+ * Gets how far through its time range an item is displayed, for its time slider.
+ *
+ * @param {CatalogItem} item The item.
+ * @return {Number} The fraction of the item's time range, from 0 to 1.
+ */
+NowViewingTabViewModel.prototype.getTimeFraction = function(item) {
+    var clock = item.clock;
+    var duration = JulianDate.secondsDifference(clock.stopTime, clock.startTime);
+    if (duration <= 0.0) {
+        return 0.0;
+    }
+    var fraction = JulianDate.secondsDifference(item.currentDisplayTime, clock.startTime) / duration;
+    return Math.min(Math.max(fraction, 0.0), 1.0);
+};
+
+/**
+ * Sets the time at which an item is displayed from the position of its time slider.
+ *
+ * @param {CatalogItem} item The item.
+ * @param {Event} e The input event from the slider.
+ */
+NowViewingTabViewModel.prototype.setTimeFraction = function(item, e) {
+    var clock = item.clock;
+    var duration = JulianDate.secondsDifference(clock.stopTime, clock.startTime);
+    item.currentTime = JulianDate.addSeconds(clock.startTime, parseFloat(e.target.value) * duration, new JulianDate());
+};
+
+/**
+ * Formats the time at which an item is displayed.
+ *
+ * @param {CatalogItem} item The item.
+ * @return {String} The time, as an ISO 8601 string.
+ */
+NowViewingTabViewModel.prototype.formatTime = function(item) {
+    return JulianDate.toIso8601(item.currentDisplayTime, 0);
+};
+
 NowViewingTabViewModel.prototype.dragStart = function(viewModel, e) {
     ga('send', 'event', 'dataSource', 'reorder', viewModel.name);
 
@@ -0,0 +1,435 @@
+'use strict';
+
+/*global require,Blob,Uint8Array,atob*/
+var defined = require('../../third_party/cesium/Source/Core/defined');
+var DeveloperError = require('../../third_party/cesium/Source/Core/DeveloperError');
+var Ellipsoid = require('../../third_party/cesium/Source/Core/Ellipsoid');
+var knockout = require('../../third_party/cesium/Source/ThirdParty/knockout');
+var loadImage = require('../../third_party/cesium/Source/Core/loadImage');
+var when = require('../../third_party/cesium/Source/ThirdParty/when');
+
+var downloadBlob = require('../Core/downloadBlob');
+var encodePdf = require('../Map/encodePdf');
+var loadLegendImages = require('../Models/loadLegendImages');
+var ModelError = require('../Models/ModelError');
+var loadView = require('../Core/loadView');
+var runLater = require('../Core/runLater');
+
+// The layout of the page, in millimetres.
+var pageMargin = 10;
+var titleHeight = 14;
+var footerHeight = 12;
+var legendColumnWidth = 55;
+var columnGap = 5;
+var maxScaleBarLength = 40;
+
+// Legend images are drawn at the size they have on a screen of this many dots per inch.
+var screenDpi = 96;
+
+var millimetresPerInch = 25.4;
+var pointsPerInch = 72;
+
+/**
+ * A popup for printing the map, by composing a page of the chosen paper size with a title, the map drawn at the
+ * page's resolution, the legends of the shown data items, a scale bar, a north arrow, data attributions and the date,
+ * and downloading it as a PNG image or a PDF document.
+ *
+ * @alias PrintViewModel
+ * @constructor
+ *
+ * @param {Object} options Object with the following properties:
+ * @param {Application} options.application The application.
+ */
+var PrintViewModel = function(options) {
+    if (!defined(options) || !defined(options.application)) {
+        throw new DeveloperError('options.application is required.');
+    }
+
+    this.application = options.application;
+    this._domNodes = undefined;
+
+    /**
+     * Gets or sets the title printed at the top of the page.  This property is observable.
+     * @type {String}
+     */
+    this.title = document.title;
+
+    /**
+     * Gets or sets the paper size, one of the keys of {@link PrintViewModel.paperSizes}.  This property is observable.
+     * @type {String}
+     */
+    this.paperSize = 'A4';
+
+    /**
+     * Gets or sets the orientation of the page, 'landscape' or 'portrait'.  This property is observable.
+     * @type {String}
+     */
+    this.orientation = 'landscape';
+
+    /**
+     * Gets or sets the resolution of the page, in dots per inch.  This property is observable.
+     * @type {Number}
+     */
+    this.dpi = 150;
+
+    /**
+     * Gets or sets the format of the page, 'png' or 'pdf'.  This property is observable.
+     * @type {String}
+     */
+    this.format = 'pdf';
+
+    /**
+     * Gets a value indicating whether the page is being printed.  This property is observable.
+     * @type {Boolean}
+     */
+    this.isPrinting = false;
+
+    /**
+     * Gets a message describing the progress of printing.  This property is observable.
+     * @type {String}
+     */
+    this.progress = '';
+
+    /**
+     * Gets the paper sizes that may be chosen.
+     * @type {String[]}
+     */
+    this.paperSizes = Object.keys(PrintViewModel.paperSizes);
+
+    /**
+     * Gets the resolutions that may be chosen, in dots per inch.
+     * @type {Number[]}
+     */
+    this.resolutions = [96, 150, 300];
+
+    knockout.track(this, ['title', 'paperSize', 'orientation', 'dpi', 'format', 'isPrinting', 'progress']);
+};
+
+/**
+ * The sizes of the paper that may be printed, each with its portrait `width` and `height` in millimetres.
+ * @type {Object}
+ */
+PrintViewModel.paperSizes = {
+    A4: { width: 210, height: 297 },
+    A3: { width: 297, height: 420 }
+};
+
+PrintViewModel.prototype.show = function(container) {
+    this._domNodes = loadView(require('fs').readFileSync(__dirname + '/../Views/Print.html', 'utf8'), container, this);
+};
+
+PrintViewModel.prototype.close = function() {
+    for (var i = 0; i < this._domNodes.length; ++i) {
+        var node = this._domNodes[i];
+        if (defined(node.parentElement)) {
+            node.parentElement.removeChild(node);
+        }
+    }
+};
+
+PrintViewModel.prototype.closeIfClickOnBackground = function(viewModel, e) {
+    if (e.target.className === 'modal-background') {
+        this.close();
+    }
+    return true;
+};
+
+/**
+ * Composes the page and downloads it.
+ * @return {Promise} A promise that resolves when the page has been downloaded, or when printing fails.
+ */
+PrintViewModel.prototype.print = function() {
+    if (this.isPrinting) {
+        return when();
+    }
+
+    var paper = PrintViewModel.paperSizes[this.paperSize];
+    var dpi = parseInt(this.dpi, 10);
+    if (!defined(paper) || isNaN(dpi) || dpi <= 0) {
+        throw new DeveloperError('The paper size or resolution is not valid.');
+    }
+
+    var landscape = this.orientation === 'landscape';
+    var page = {
+        width: landscape ? paper.height : paper.width,
+        height: landscape ? paper.width : paper.height,
+        pixelsPerMillimetre: dpi / millimetresPerInch
+    };
+
+    this.isPrinting = true;
+    this.progress = 'Drawing the map...';
+
+    var that = this;
+    var application = this.application;
+    var viewer = application.currentViewer;
+    var format = this.format;
+    var title = this.title;
+
+    // Read the view before capturing, as the viewer may change it while it draws the map at a higher resolution.
+    var view = {
+        extent: viewer.getCurrentExtent(),
+        heading: defined(application.cesium) ? application.cesium.scene.camera.heading : 0.0,
+        attributions: getAttributions(application)
+    };
+
+    var legends;
+    return when(loadLegendImages(application), function(legendImages) {
+        legends = legendImages;
+        var mapWidth = page.width - pageMargin * 2 - (legends.length > 0 ? legendColumnWidth + columnGap : 0);
+        return when(viewer.waitForTilesToLoad(), function() {
+            return viewer.captureScreenshot({
+                width: Math.round(mapWidth * page.pixelsPerMillimetre),
+                format: 'image/png'
+            });
+        });
+    }).then(function(dataUrl) {
+        return loadImage(dataUrl);
+    }).then(function(mapImage) {
+        that.progress = 'Composing the page...';
+
+        // Compose after the progress message is shown, as it takes a while.
+        return runLater(function() {
+            var canvas = drawPage(page, title, mapImage, legends, view);
+            if (format === 'png') {
+                downloadBlob(new Blob([dataUrlToBytes(canvas.toDataURL('image/png'))], { type: 'image/png' }), 'map.png');
+            } else {
+                var pdf = encodePdf(dataUrlToBytes(canvas.toDataURL('image/jpeg', 0.92)), {
+                    imageWidth: canvas.width,
+                    imageHeight: canvas.height,
+                    pageWidth: page.width / millimetresPerInch * pointsPerInch,
+                    pageHeight: page.height / millimetresPerInch * pointsPerInch
+                });
+                downloadBlob(new Blob([pdf], { type: 'application/pdf' }), 'map.pdf');
+            }
+        });
+    }).otherwise(function(e) {
+        if (e instanceof ModelError) {
+            application.error.raiseEvent(e);
+            return;
+        }
+
+        application.error.raiseEvent(new ModelError({
+            sender: that,
+            title: 'Unable to print the map',
+            message: '\
+<p>The map could not be printed.  This may be because a data item does not allow its images to be captured, or because \
+the browser ran out of memory.  Try a lower resolution or a smaller paper size.</p>\
+<p><pre>' + e + '</pre></p>'
+        }));
+    }).always(function() {
+        that.isPrinting = false;
+        that.progress = '';
+    });
+};
+
+PrintViewModel.open = function(container, options) {
+    var viewModel = new PrintViewModel(options);
+    viewModel.show(container);
+    return viewModel;
+};
+
+// Gets the credits of the base map and other layers, and the custodians of the shown data items, as plain text.
+function getAttributions(application) {
+    var attributions = [];
+    function add(text) {
+        if (defined(text)) {
+            text = text.replace(/<[^>]*>/g, '').replace(/\s+/g, ' ').trim();
+            if (text.length > 0 && attributions.indexOf(text) < 0) {
+                attributions.push(text);
+            }
+        }
+    }
+
+    if (defined(application.cesium)) {
+        var scene = application.cesium.scene;
+        for (var i = 0; i < scene.imageryLayers.length; ++i) {
+            var credit = scene.imageryLayers.get(i).imageryProvider.credit;
+            if (defined(credit)) {
+                add(credit.text);
+            }
+        }
+        if (defined(scene.terrainProvider.credit)) {
+            add(scene.terrainProvider.credit.text);
+        }
+    } else if (defined(application.leaflet)) {
+        application.leaflet.map.eachLayer(function(layer) {
+            if (defined(layer.getAttribution)) {
+                add(layer.getAttribution());
+            }
+        });
+    }
+
+    var items = application.nowViewing.items;
+    for (var j = 0; j < items.length; ++j) {
+        if (items[j].isShown) {
+            add(items[j].dataCustodian);
+        }
+    }
+
+    return attributions;
+}
+
+function drawPage(page, title, mapImage, legends, view) {
+    var scale = page.pixelsPerMillimetre;
+    function mm(value) {
+        return Math.round(value * scale);
+    }
+
+    var canvas = document.createElement('canvas');
+    canvas.width = mm(page.width);
+    canvas.height = mm(page.height);
+
+    var context = canvas.getContext('2d');
+    context.fillStyle = 'white';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+
+    context.fillStyle = 'black';
+    context.textBaseline = 'middle';
+    context.font = 'bold ' + mm(6) + 'px sans-serif';
+    context.fillText(title, mm(pageMargin), mm(pageMargin + titleHeight / 2), mm(page.width - pageMargin * 2));
+
+    // Fit the map into its area, keeping its shape.
+    var areaWidth = page.width - pageMargin * 2 - (legends.length > 0 ? legendColumnWidth + columnGap : 0);
+    var areaHeight = page.height - pageMargin * 2 - titleHeight - footerHeight;
+    var mapScale = Math.min(mm(areaWidth) / mapImage.width, mm(areaHeight) / mapImage.height);
+    var map = {
+        x: mm(pageMargin),
+        y: mm(pageMargin + titleHeight),
+        width: Math.round(mapImage.width * mapScale),
+        height: Math.round(mapImage.height * mapScale)
+    };
+    context.drawImage(mapImage, map.x, map.y, map.width, map.height);
+    context.lineWidth = Math.max(1, mm(0.3));
+    context.strokeStyle = 'black';
+    context.strokeRect(map.x, map.y, map.width, map.height);
+
+    drawScaleBar(context, mm, map, view.extent);
+    drawNorthArrow(context, mm, map, view.heading);
+
+    if (legends.length > 0) {
+        drawLegends(context, mm, legends, {
+            x: map.x + map.width + mm(columnGap),
+            y: map.y,
+            width: mm(legendColumnWidth),
+            height: mm(areaHeight)
+        });
+    }
+
+    var footerY = mm(page.height - pageMargin - footerHeight / 2);
+    context.fillStyle = 'black';
+    context.font = mm(2.5) + 'px sans-serif';
+    var date = new Date().toLocaleDateString();
+    var dateWidth = context.measureText(date).width;
+    context.fillText(date, canvas.width - mm(pageMargin) - dateWidth, footerY);
+
+    if (view.attributions.length > 0) {
+        context.fillText('Data: ' + view.attributions.join('; '), mm(pageMargin), footerY,
+                         canvas.width - mm(pageMargin * 2 + columnGap) - dateWidth);
+    }
+
+    return canvas;
+}
+
+function drawScaleBar(context, mm, map, extent) {
+    var width = extent.east - extent.west;
+    if (width < 0) {
+        width += Math.PI * 2;
+    }
+
+    // Across more than a quarter of the world, the scale varies too much over the map for a scale bar to be useful.
+    if (width <= 0 || width > Math.PI / 2) {
+        return;
+    }
+
+    var latitude = (extent.north + extent.south) / 2;
+    var metresPerPixel = width * Ellipsoid.WGS84.maximumRadius * Math.cos(latitude) / map.width;
+    var maxMetres = mm(maxScaleBarLength) * metresPerPixel;
+
+    // The longest round distance of 1, 2, 3 or 5 times a power of ten that fits.
+    var power = Math.pow(10, Math.floor(Math.log(maxMetres) / Math.LN10));
+    var metres = power;
+    [2, 3, 5].forEach(function(multiple) {
+        if (multiple * power <= maxMetres) {
+            metres = multiple * power;
+        }
+    });
+
+    var length = Math.round(metres / metresPerPixel);
+    var label = metres >= 1000 ? (metres / 1000) + ' km' : metres + ' m';
+
+    var x = map.x + mm(4);
+    var y = map.y + map.height - mm(4);
+    context.font = mm(3) + 'px sans-serif';
+    context.fillStyle = 'rgba(255, 255, 255, 0.8)';
+    context.fillRect(x - mm(2), y - mm(8), length + mm(4), mm(10));
+
+    context.fillStyle = 'black';
+    context.fillRect(x, y - mm(1.5), length, mm(1.5));
+    context.textBaseline = 'bottom';
+    context.fillText(label, x + (length - context.measureText(label).width) / 2, y - mm(2));
+    context.textBaseline = 'middle';
+}
+
+function drawNorthArrow(context, mm, map, heading) {
+    var radius = mm(6);
+    var x = map.x + map.width - mm(4) - radius;
+    var y = map.y + mm(4) + radius;
+
+    context.save();
+    context.fillStyle = 'rgba(255, 255, 255, 0.8)';
+    context.beginPath();
+    context.arc(x, y, radius, 0, Math.PI * 2);
+    context.fill();
+
+    context.translate(x, y);
+    context.rotate(-heading);
+    context.fillStyle = 'black';
+    context.beginPath();
+    context.moveTo(0, -radius * 0.8);
+    context.lineTo(radius * 0.35, radius * 0.5);
+    context.lineTo(0, radius * 0.25);
+    context.lineTo(-radius * 0.35, radius * 0.5);
+    context.closePath();
+    context.fill();
+
+    context.font = 'bold ' + mm(2.5) + 'px sans-serif';
+    context.textBaseline = 'middle';
+    context.fillText('N', -context.measureText('N').width / 2, radius * 0.05);
+    context.restore();
+}
+
+function drawLegends(context, mm, legends, column) {
+    var legendScale = mm(millimetresPerInch) / screenDpi;
+    var y = column.y;
+    var nameHeight = mm(5);
+
+    context.fillStyle = 'black';
+    context.textBaseline = 'top';
+    context.font = 'bold ' + mm(3) + 'px sans-serif';
+
+    for (var i = 0; i < legends.length; ++i) {
+        var image = legends[i].image;
+        var scale = Math.min(legendScale, column.width / image.width);
+        var height = Math.round(image.height * scale);
+        if (y + nameHeight + height > column.y + column.height) {
+            break;
+        }
+
+        context.fillText(legends[i].name, column.x, y, column.width);
+        context.drawImage(image, column.x, y + nameHeight, Math.round(image.width * scale), height);
+        y += nameHeight + height + mm(4);
+    }
+
+    context.textBaseline = 'middle';
+}
+
+function dataUrlToBytes(dataUrl) {
+    var data = atob(dataUrl.substring(dataUrl.indexOf(',') + 1));
+    var bytes = new Uint8Array(data.length);
+    for (var i = 0; i < data.length; ++i) {
+        bytes[i] = data.charCodeAt(i);
+    }
+    return bytes;
+}
+
+module.exports = PrintViewModel;
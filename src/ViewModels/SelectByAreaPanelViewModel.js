@@ -0,0 +1,461 @@
+'use strict';
+
+/*global require,Blob*/
+var Cartesian3 = require('../../third_party/cesium/Source/Core/Cartesian3');
+var CesiumMath = require('../../third_party/cesium/Source/Core/Math');
+var Color = require('../../third_party/cesium/Source/Core/Color');
+var ColorMaterialProperty = require('../../third_party/cesium/Source/DataSources/ColorMaterialProperty');
+var CustomDataSource = require('../../third_party/cesium/Source/DataSources/CustomDataSource');
+var defaultValue = require('../../third_party/cesium/Source/Core/defaultValue');
+var defined = require('../../third_party/cesium/Source/Core/defined');
+var DeveloperError = require('../../third_party/cesium/Source/Core/DeveloperError');
+var Ellipsoid = require('../../third_party/cesium/Source/Core/Ellipsoid');
+var Entity = require('../../third_party/cesium/Source/DataSources/Entity');
+var knockout = require('../../third_party/cesium/Source/ThirdParty/knockout');
+var PointGraphics = require('../../third_party/cesium/Source/DataSources/PointGraphics');
+var PolygonGraphics = require('../../third_party/cesium/Source/DataSources/PolygonGraphics');
+var PolygonHierarchy = require('../../third_party/cesium/Source/Core/PolygonHierarchy');
+var PolylineGraphics = require('../../third_party/cesium/Source/DataSources/PolylineGraphics');
+var when = require('../../third_party/cesium/Source/ThirdParty/when');
+
+var computeRectangleFromCorners = require('../Map/computeRectangleFromCorners');
+var downloadBlob = require('../Core/downloadBlob');
+var loadView = require('../Core/loadView');
+var MapInteractionMode = require('../Models/MapInteractionMode');
+
+var lineColor = Color.fromCssColorString('#F5A623');
+var fillColor = lineColor.withAlpha(0.2);
+
+var messages = {
+    rectangle: 'Click the map at two opposite corners of the area to select.',
+    polygon: 'Click the map to add the corners of the area to select, then click Finish.'
+};
+
+/**
+ * A panel for selecting the features of the shown vector data items, such as GeoJSON, KML, CSV points and WFS layers,
+ * that lie within a rectangle or polygon drawn on the map.  The selected features are listed in a table of their
+ * attributes for each data item, and can be exported as CSV or GeoJSON.  Data items are queried with
+ * {@link CatalogItem#queryFeaturesInArea}.
+ *
+ * @alias SelectByAreaPanelViewModel
+ * @constructor
+ *
+ * @param {Object} options Object with the following properties:
+ * @param {Application} options.application The application.
+ * @param {Boolean} [options.isVisible=false] True if the panel is initially visible.
+ */
+var SelectByAreaPanelViewModel = function(options) {
+    if (!defined(options) || !defined(options.application)) {
+        throw new DeveloperError('options.application is required.');
+    }
+
+    this.application = options.application;
+    this._domNodes = undefined;
+
+    /**
+     * Gets or sets a value indicating whether the panel is visible.  This property is observable.
+     * @type {Boolean}
+     */
+    this.isVisible = defaultValue(options.isVisible, false);
+
+    /**
+     * Gets or sets the shape of the area to select: 'rectangle' or 'polygon', or undefined if an area is not being drawn.
+     * This property is observable.
+     * @type {String}
+     */
+    this.tool = undefined;
+
+    /**
+     * Gets the corners of the area being drawn, in the order in which they were added.  This property is observable.
+     * @type {Cartesian3[]}
+     */
+    this.sketchPositions = [];
+
+    /**
+     * Gets the corners of the selected area, as [longitude, latitude] pairs in degrees, or undefined if no area has been
+     * selected.  This property is observable.
+     * @type {Number[][]}
+     */
+    this.area = undefined;
+
+    /**
+     * Gets the results of the selection, one for each data item that was queried, with the following properties:
+     * `name`, the name of the data item; `features`, the GeoJSON features that were selected; `columns`, the names of
+     * the features' properties; `rows`, the values of those properties for each feature; and `errorMessage`, which
+     * describes why the data item could not be queried, or is an empty string.  This property is observable.
+     * @type {Object[]}
+     */
+    this.results = [];
+
+    /**
+     * Gets a value indicating whether the data items are being queried.  This property is observable.
+     * @type {Boolean}
+     */
+    this.isQuerying = false;
+
+    /**
+     * Gets a message describing why the area could not be selected, or an empty string.  This property is observable.
+     * @type {String}
+     */
+    this.errorMessage = '';
+
+    knockout.track(this, ['isVisible', 'tool', 'sketchPositions', 'area', 'results', 'isQuerying', 'errorMessage']);
+
+    this._dataSource = new CustomDataSource('Selection');
+    this._queryNumber = 0;
+
+    this._interactionMode = new MapInteractionMode({
+        message: ''
+    });
+    this._interactionMode.positionPicked.addEventListener(function(position) {
+        this.addPosition(position);
+    }, this);
+
+    /**
+     * Gets the message that tells the user how to select an area.
+     * @type {String}
+     */
+    knockout.defineProperty(this, 'message', {
+        get: function() {
+            return defined(this.tool) ? messages[this.tool] : 'Choose the shape of the area in which to select features.';
+        }
+    });
+
+    /**
+     * Gets a value indicating whether the polygon being drawn has enough corners to be finished.
+     * @type {Boolean}
+     */
+    knockout.defineProperty(this, 'canFinish', {
+        get: function() {
+            return this.tool === 'polygon' && this.sketchPositions.length >= 3;
+        }
+    });
+
+    knockout.getObservable(this, 'isVisible').subscribe(function() {
+        if (!this.isVisible) {
+            this.tool = undefined;
+            this.clear();
+        }
+        updateActivation(this);
+    }, this);
+
+    knockout.getObservable(this, 'tool').subscribe(function() {
+        this.sketchPositions = [];
+        updateActivation(this);
+
+        // Drawing a new area replaces the previous selection.
+        if (defined(this.tool)) {
+            this.clear();
+        } else {
+            updateEntities(this);
+        }
+    }, this);
+
+    updateActivation(this);
+};
+
+SelectByAreaPanelViewModel.prototype.show = function(container) {
+    if (!defined(this._domNodes)) {
+        this._domNodes = loadView(require('fs').readFileSync(__dirname + '/../Views/SelectByAreaPanel.html', 'utf8'), container, this);
+    }
+};
+
+SelectByAreaPanelViewModel.prototype.close = function() {
+    this.isVisible = false;
+};
+
+/**
+ * Selects the shape of the area to draw, or stops drawing if it is already selected.
+ * @param {String} tool The {@link SelectByAreaPanelViewModel#tool} to select.
+ */
+SelectByAreaPanelViewModel.prototype.selectTool = function(tool) {
+    this.tool = this.tool === tool ? undefined : tool;
+};
+
+/**
+ * Adds a corner to the area being drawn.  A rectangle is selected once both of its corners have been added.
+ * @param {Cartesian3} position The position of the corner in Earth-centered Fixed coordinates.
+ */
+SelectByAreaPanelViewModel.prototype.addPosition = function(position) {
+    if (!defined(this.tool)) {
+        return;
+    }
+
+    this.errorMessage = '';
+
+    if (this.tool === 'rectangle' && this.sketchPositions.length === 1) {
+        var ellipsoid = Ellipsoid.WGS84;
+        var rectangle = computeRectangleFromCorners(ellipsoid.cartesianToCartographic(this.sketchPositions[0]),
+                                                    ellipsoid.cartesianToCartographic(position));
+        if (!defined(rectangle)) {
+            this.sketchPositions = [];
+            updateEntities(this);
+            this.errorMessage = 'The corners of the rectangle must be further apart.';
+            return;
+        }
+
+        var west = CesiumMath.toDegrees(rectangle.west);
+        var south = CesiumMath.toDegrees(rectangle.south);
+        var east = CesiumMath.toDegrees(rectangle.east);
+        var north = CesiumMath.toDegrees(rectangle.north);
+        this.tool = undefined;
+        this.query([[west, south], [east, south], [east, north], [west, north]]);
+    } else {
+        this.sketchPositions.push(position);
+        updateEntities(this);
+    }
+};
+
+/**
+ * Selects the features within the polygon being drawn.
+ */
+SelectByAreaPanelViewModel.prototype.finish = function() {
+    if (!this.canFinish) {
+        return;
+    }
+
+    var area = this.sketchPositions.map(function(position) {
+        return toCoordinates(position);
+    });
+    this.tool = undefined;
+    this.query(area);
+};
+
+/**
+ * Selects the features of the shown data items within an area.
+ * @param {Number[][]} area The corners of the area, as [longitude, latitude] pairs in degrees.
+ * @return {Promise} A promise that resolves when all of the data items have been queried.
+ */
+SelectByAreaPanelViewModel.prototype.query = function(area) {
+    var queryNumber = ++this._queryNumber;
+    var that = this;
+
+    this.area = area;
+    this.results = [];
+    this.errorMessage = '';
+    updateEntities(this);
+
+    var promises = [];
+    var results = [];
+
+    this.application.nowViewing.items.forEach(function(item) {
+        if (!item.isShown) {
+            return;
+        }
+
+        var promise = item.queryFeaturesInArea(area);
+        if (!defined(promise)) {
+            return;
+        }
+
+        var result = {
+            name: item.name,
+            features: [],
+            columns: [],
+            rows: [],
+            errorMessage: ''
+        };
+        results.push(result);
+
+        promises.push(when(promise, function(features) {
+            setFeatures(result, features);
+        }).otherwise(function() {
+            result.errorMessage = 'The features of this data source could not be selected.';
+        }));
+    });
+
+    if (results.length === 0) {
+        this.errorMessage = 'None of the data sources on the map have features that can be selected.';
+        return when();
+    }
+
+    this.isQuerying = true;
+
+    return when.all(promises, function() {
+        if (queryNumber !== that._queryNumber) {
+            return;
+        }
+
+        that.isQuerying = false;
+        that.results = results;
+    });
+};
+
+/**
+ * Removes the selected area and the results of the selection.
+ */
+SelectByAreaPanelViewModel.prototype.clear = function() {
+    ++this._queryNumber;
+    this.area = undefined;
+    this.results = [];
+    this.isQuerying = false;
+    this.errorMessage = '';
+    updateEntities(this);
+};
+
+/**
+ * Saves the selected features of a data item to the user's computer as a CSV file.
+ * @param {Object} result One of the {@link SelectByAreaPanelViewModel#results}.
+ */
+SelectByAreaPanelViewModel.prototype.exportCsv = function(result) {
+    var csv = SelectByAreaPanelViewModel.formatCsv(result);
+    downloadBlob(new Blob([csv], { type: 'text/csv' }), toFileName(result.name) + '.csv');
+};
+
+/**
+ * Saves the selected features of a data item to the user's computer as a GeoJSON file.
+ * @param {Object} result One of the {@link SelectByAreaPanelViewModel#results}.
+ */
+SelectByAreaPanelViewModel.prototype.exportGeoJson = function(result) {
+    var json = JSON.stringify({
+        type: 'FeatureCollection',
+        features: result.features
+    }, undefined, 2);
+    downloadBlob(new Blob([json], { type: 'application/vnd.geo+json' }), toFileName(result.name) + '.geojson');
+};
+
+/**
+ * Formats the selected features of a data item as CSV, with a column for each of their properties.  When the features
+ * are points, their longitudes and latitudes are added as the first columns.
+ * @param {Object} result One of the {@link SelectByAreaPanelViewModel#results}.
+ * @return {String} The CSV text.
+ */
+SelectByAreaPanelViewModel.formatCsv = function(result) {
+    var hasPoints = result.features.some(function(feature) {
+        return feature.geometry.type === 'Point';
+    });
+
+    var header = (hasPoints ? ['longitude', 'latitude'] : []).concat(result.columns);
+    var lines = [header.map(formatCsvValue).join(',')];
+
+    for (var i = 0; i < result.features.length; ++i) {
+        var geometry = result.features[i].geometry;
+        var values = [];
+        if (hasPoints) {
+            values.push(geometry.type === 'Point' ? geometry.coordinates[0] : '');
+            values.push(geometry.type === 'Point' ? geometry.coordinates[1] : '');
+        }
+        lines.push(values.concat(result.rows[i]).map(formatCsvValue).join(','));
+    }
+
+    return lines.join('\r\n');
+};
+
+function setFeatures(result, features) {
+    var columns = [];
+    features.forEach(function(feature) {
+        var properties = defaultValue(feature.properties, defaultValue.EMPTY_OBJECT);
+        for (var name in properties) {
+            if (properties.hasOwnProperty(name) && columns.indexOf(name) < 0) {
+                columns.push(name);
+            }
+        }
+    });
+
+    result.features = features;
+    result.columns = columns;
+    result.rows = features.map(function(feature) {
+        var properties = defaultValue(feature.properties, defaultValue.EMPTY_OBJECT);
+        return columns.map(function(name) {
+            var value = properties[name];
+            if (!defined(value) || value === null) {
+                return '';
+            }
+            return typeof value === 'object' ? JSON.stringify(value) : String(value);
+        });
+    });
+}
+
+function updateActivation(viewModel) {
+    var modes = viewModel.application.mapInteractionModeStack;
+    var index = modes.indexOf(viewModel._interactionMode);
+    var dataSources = viewModel.application.dataSources;
+
+    if (defined(viewModel.tool)) {
+        viewModel._interactionMode.message = messages[viewModel.tool];
+        if (index < 0) {
+            modes.push(viewModel._interactionMode);
+        }
+    } else if (index >= 0) {
+        modes.splice(index, 1);
+    }
+
+    if (viewModel.isVisible) {
+        if (!dataSources.contains(viewModel._dataSource)) {
+            dataSources.add(viewModel._dataSource);
+        }
+    } else if (dataSources.contains(viewModel._dataSource)) {
+        dataSources.remove(viewModel._dataSource, false);
+    }
+}
+
+function updateEntities(viewModel) {
+    var entities = viewModel._dataSource.entities;
+
+    entities.suspendEvents();
+    entities.removeAll();
+
+    var positions = viewModel.sketchPositions;
+    var isArea = false;
+    if (defined(viewModel.area)) {
+        positions = viewModel.area.map(function(coordinates) {
+            return Cartesian3.fromDegrees(coordinates[0], coordinates[1]);
+        });
+        isArea = true;
+    }
+
+    if (!isArea) {
+        for (var i = 0; i < positions.length; ++i) {
+            entities.add(new Entity({
+                position: positions[i],
+                point: new PointGraphics({
+                    color: Color.WHITE,
+                    outlineColor: lineColor,
+                    outlineWidth: 2,
+                    pixelSize: 8
+                })
+            }));
+        }
+    } else {
+        entities.add(new Entity({
+            polygon: new PolygonGraphics({
+                hierarchy: new PolygonHierarchy(positions.slice()),
+                material: new ColorMaterialProperty(fillColor),
+                outline: false
+            })
+        }));
+    }
+
+    if (positions.length >= 2) {
+        entities.add(new Entity({
+            polyline: new PolylineGraphics({
+                positions: positions.length >= 3 && (isArea || viewModel.tool === 'polygon') ? positions.concat(positions[0]) : positions.slice(),
+                material: new ColorMaterialProperty(lineColor),
+                width: 2
+            })
+        }));
+    }
+
+    entities.resumeEvents();
+    viewModel.application.currentViewer.notifyRepaintRequired();
+}
+
+function formatCsvValue(value) {
+    var text = String(value);
+    if (/[",\r\n]/.test(text)) {
+        return '"' + text.replace(/"/g, '""') + '"';
+    }
+    return text;
+}
+
+function toFileName(name) {
+    var fileName = defaultValue(name, '').replace(/[^\w\- ]+/g, '').trim();
+    return fileName.length > 0 ? fileName : 'selection';
+}
+
+function toCoordinates(position) {
+    var cartographic = Ellipsoid.WGS84.cartesianToCartographic(position);
+    return [CesiumMath.toDegrees(cartographic.longitude), CesiumMath.toDegrees(cartographic.latitude)];
+}
+
+module.exports = SelectByAreaPanelViewModel;
@@ -19,10 +19,48 @@ var SettingsPanelViewModel = function(options) {
     this._domNodes = undefined;
 
     this.isVisible = defaultValue(options.isVisible, true);
-    this.baseMaps = [];
     this.mouseOverBaseMap = undefined;
 
-    knockout.track(this, ['isVisible', 'baseMaps', 'mouseOverBaseMap']);
+    knockout.track(this, ['isVisible', 'mouseOverBaseMap']);
+
+    /**
+     * Gets the base maps that the user may choose from, which are the {@link Application#baseMaps}.
+     * @type {Object[]}
+     */
+    knockout.defineProperty(this, 'baseMaps', {
+        get: function() {
+            return this.application.baseMaps;
+        }
+    });
+
+    /**
+     * Gets or sets the terrain shown in 3D Terrain mode, which is the {@link Application#terrainOption}.
+     * @type {Object}
+     */
+    knockout.defineProperty(this, 'terrainOption', {
+        get: function() {
+            return this.application.terrainOption;
+        },
+        set: function(value) {
+            this.application.terrainOption = value;
+        }
+    });
+
+    /**
+     * Gets or sets the {@link Application#terrainExaggeration}.  Strings, as from an input element, are converted to numbers.
+     * @type {Number}
+     */
+    knockout.defineProperty(this, 'terrainExaggeration', {
+        get: function() {
+            return this.application.terrainExaggeration;
+        },
+        set: function(value) {
+            value = parseFloat(value);
+            if (!isNaN(value) && value > 0.0) {
+                this.application.terrainExaggeration = value;
+            }
+        }
+    });
 
     knockout.getObservable(this, 'isVisible').subscribe(function(e) {
         updateDocumentSubscription(this);
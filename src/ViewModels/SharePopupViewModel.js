@@ -4,6 +4,7 @@
 var CesiumMath = require('../../third_party/cesium/Source/Core/Math');
 var defined = require('../../third_party/cesium/Source/Core/defined');
 var knockout = require('../../third_party/cesium/Source/ThirdParty/knockout');
+var loadWithXhr = require('../../third_party/cesium/Source/Core/loadWithXhr');
 
 var loadView = require('../Core/loadView');
 
@@ -13,10 +14,13 @@ var SharePopupViewModel = function(options) {
 
     this.imageUrl = '';
     this.url = '';
+    this.shortUrl = '';
+    this.isCreatingShortUrl = false;
+    this.shortUrlError = '';
     this.embedCode = '';
     this.itemsSkippedBecauseTheyHaveLocalData = [];
 
-    knockout.track(this, ['imageUrl', 'url', 'embedCode', 'itemsSkippedBecauseTheyHaveLocalData']);
+    knockout.track(this, ['imageUrl', 'url', 'shortUrl', 'isCreatingShortUrl', 'shortUrlError', 'embedCode', 'itemsSkippedBecauseTheyHaveLocalData']);
 
     // Build the share URL.
     var cameraExtent = this.application.currentViewer.getCurrentExtent();
@@ -84,7 +88,14 @@ var SharePopupViewModel = function(options) {
 
     initSources.push({
         initialCamera: initialCamera,
-        homeCamera: homeCamera
+        homeCamera: homeCamera,
+        splitter: {
+            show: this.application.showSplitter,
+            position: this.application.splitPosition
+        },
+        baseMapName: defined(this.application.baseMap) ? this.application.baseMap.name : undefined,
+        terrainOptionName: defined(this.application.terrainOption) ? this.application.terrainOption.name : undefined,
+        terrainExaggeration: this.application.terrainExaggeration
     });
 
     var uri = new URI(window.location);
@@ -93,10 +104,30 @@ var SharePopupViewModel = function(options) {
     var requestString = JSON.stringify(request);
 
     this.url = visServer + '#start=' + encodeURIComponent(requestString);
-    this.embedCode = '<iframe style="width: 720px; height: 405px; border: none;" src="' + this.url + '" allowFullScreen mozAllowFullScreen webkitAllowFullScreen></iframe>';
+    this.embedCode = createEmbedCode(this.url);
     this.itemsSkippedBecauseTheyHaveLocalData.push.apply(this.itemsSkippedBecauseTheyHaveLocalData, userDataSerializeOptions.itemsSkippedBecauseTheyHaveLocalData);
 
     var that = this;
+
+    // Store the request with the share service so that we can offer a short link, too.
+    if (defined(this.application.shareServiceUrl)) {
+        this.isCreatingShortUrl = true;
+        loadWithXhr({
+            url : this.application.shareServiceUrl + 'upload',
+            method : 'POST',
+            data : requestString,
+            headers : {'Content-Type' : 'application/json'},
+            responseType : 'json'
+        }).then(function(result) {
+            that.shortUrl = visServer + '#share=' + result.id;
+            that.embedCode = createEmbedCode(that.shortUrl);
+        }).otherwise(function() {
+            that.shortUrlError = 'A short link could not be created because the share service is unavailable.  The full link below still works.';
+        }).always(function() {
+            that.isCreatingShortUrl = false;
+        });
+    }
+
     this.application.currentViewer.captureScreenshot().then(function(dataUrl) {
         that.imageUrl = dataUrl;
     });
@@ -122,6 +153,10 @@ SharePopupViewModel.prototype.closeIfClickOnBackground = function(viewModel, e)
     return true;
 };
 
+function createEmbedCode(url) {
+    return '<iframe style="width: 720px; height: 405px; border: none;" src="' + url + '" allowFullScreen mozAllowFullScreen webkitAllowFullScreen></iframe>';
+}
+
 SharePopupViewModel.open = function(container, options) {
     var viewModel = new SharePopupViewModel(options);
     viewModel.show(container);
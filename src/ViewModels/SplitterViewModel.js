@@ -0,0 +1,81 @@
+'use strict';
+
+/*global require*/
+var CesiumMath = require('../../third_party/cesium/Source/Core/Math');
+var defined = require('../../third_party/cesium/Source/Core/defined');
+var DeveloperError = require('../../third_party/cesium/Source/Core/DeveloperError');
+var knockout = require('../../third_party/cesium/Source/ThirdParty/knockout');
+
+var loadView = require('../Core/loadView');
+
+/**
+ * The view model for the draggable divider shown over the map when it is split for comparing data items
+ * (see {@link Application#showSplitter}).
+ *
+ * @alias SplitterViewModel
+ * @constructor
+ *
+ * @param {Application} application The application.
+ * @param {Element} mapElement The element containing the map, which the splitter divides.
+ */
+var SplitterViewModel = function(application, mapElement) {
+    if (!defined(application)) {
+        throw new DeveloperError('application is required.');
+    }
+    if (!defined(mapElement)) {
+        throw new DeveloperError('mapElement is required.');
+    }
+
+    this.application = application;
+    this.mapElement = mapElement;
+
+    this.isDragging = false;
+
+    this._moveFunction = undefined;
+    this._endFunction = undefined;
+
+    knockout.track(this, ['isDragging']);
+};
+
+SplitterViewModel.prototype.show = function(container) {
+    loadView(require('fs').readFileSync(__dirname + '/../Views/Splitter.html', 'utf8'), container, this);
+};
+
+/**
+ * Starts dragging the splitter, in response to a mousedown or touchstart event on it.
+ *
+ * @param {SplitterViewModel} viewModel This view model.
+ * @param {Event} e The event.
+ */
+SplitterViewModel.prototype.startDrag = function(viewModel, e) {
+    var that = this;
+
+    this.isDragging = true;
+
+    this._moveFunction = function(e) {
+        var clientX = defined(e.touches) ? e.touches[0].clientX : e.clientX;
+        var rect = that.mapElement.getBoundingClientRect();
+        that.application.splitPosition = CesiumMath.clamp((clientX - rect.left) / rect.width, 0.0, 1.0);
+        e.preventDefault();
+    };
+
+    this._endFunction = function() {
+        that.isDragging = false;
+        document.removeEventListener('mousemove', that._moveFunction, false);
+        document.removeEventListener('touchmove', that._moveFunction, false);
+        document.removeEventListener('mouseup', that._endFunction, false);
+        document.removeEventListener('touchend', that._endFunction, false);
+        that._moveFunction = undefined;
+        that._endFunction = undefined;
+    };
+
+    document.addEventListener('mousemove', this._moveFunction, false);
+    document.addEventListener('touchmove', this._moveFunction, false);
+    document.addEventListener('mouseup', this._endFunction, false);
+    document.addEventListener('touchend', this._endFunction, false);
+
+    e.preventDefault();
+    return false;
+};
+
+module.exports = SplitterViewModel;
@@ -58,32 +58,34 @@ if (start) {
     var registerKnockoutBindings = require('./Core/registerKnockoutBindings');
 
     var AddDataPanelViewModel = require('./ViewModels/AddDataPanelViewModel');
-    var BaseMapViewModel = require('./ViewModels/BaseMapViewModel');
+    var AnimationExportViewModel = require('./ViewModels/AnimationExportViewModel');
     var BingMapsSearchProviderViewModel = require('./ViewModels/BingMapsSearchProviderViewModel');
     var CatalogItemNameSearchProviderViewModel = require('./ViewModels/CatalogItemNameSearchProviderViewModel');
     var BrandBarViewModel = require('./ViewModels/BrandBarViewModel');
     var DataCatalogTabViewModel = require('./ViewModels/DataCatalogTabViewModel');
     var DistanceLegendViewModel = require('./ViewModels/DistanceLegendViewModel');
     var DragDropViewModel = require('./ViewModels/DragDropViewModel');
+    var DrawingPanelViewModel = require('./ViewModels/DrawingPanelViewModel');
     var ExplorerPanelViewModel = require('./ViewModels/ExplorerPanelViewModel');
     var FeatureInfoPanelViewModel = require('./ViewModels/FeatureInfoPanelViewModel');
     var GazetteerSearchProviderViewModel = require('./ViewModels/GazetteerSearchProviderViewModel');
     var LocationBarViewModel = require('./ViewModels/LocationBarViewModel');
+    var MeasurePanelViewModel = require('./ViewModels/MeasurePanelViewModel');
     var MenuBarViewModel = require('./ViewModels/MenuBarViewModel');
     var MenuBarItemViewModel = require('./ViewModels/MenuBarItemViewModel');
     var NavigationViewModel = require('./ViewModels/NavigationViewModel');
     var NowViewingTabViewModel = require('./ViewModels/NowViewingTabViewModel');
     var OnePanelOpenInTopRight = require('./ViewModels/OnePanelOpenInTopRight');
+    var PrintViewModel = require('./ViewModels/PrintViewModel');
     var SearchTabViewModel = require('./ViewModels/SearchTabViewModel');
+    var SelectByAreaPanelViewModel = require('./ViewModels/SelectByAreaPanelViewModel');
     var SettingsPanelViewModel = require('./ViewModels/SettingsPanelViewModel');
     var SharePopupViewModel = require('./ViewModels/SharePopupViewModel');
+    var SplitterViewModel = require('./ViewModels/SplitterViewModel');
     var ToolsPanelViewModel = require('./ViewModels/ToolsPanelViewModel');
 
     var Application = require('./Models/Application');
-    var ArcGisMapServerCatalogItem = require('./Models/ArcGisMapServerCatalogItem');
     var BingMapsCatalogItem = require('./Models/BingMapsCatalogItem');
-    var CompositeCatalogItem = require('./Models/CompositeCatalogItem');
-    var WebMapServiceCatalogItem = require('./Models/WebMapServiceCatalogItem');
     var registerCatalogMembers = require('./Models/registerCatalogMembers');
     var raiseErrorToUser = require('./Models/raiseErrorToUser');
 
@@ -125,12 +127,19 @@ if (start) {
         // Create the map/globe.
         AusGlobeViewer.create(application);
 
-        var defaultBaseMap = new BingMapsCatalogItem(application);
-        defaultBaseMap.name = 'Bing Maps Aerial with Labels';
-        defaultBaseMap.mapStyle = BingMapsStyle.AERIAL_WITH_LABELS;
-        defaultBaseMap.opacity = 1.0;
+        // Fall back to Bing Maps if no init source provides base maps.
+        if (application.baseMaps.length === 0) {
+            var defaultBaseMap = new BingMapsCatalogItem(application);
+            defaultBaseMap.name = 'Bing Maps Aerial with Labels';
+            defaultBaseMap.mapStyle = BingMapsStyle.AERIAL_WITH_LABELS;
+            defaultBaseMap.opacity = 1.0;
 
-        application.baseMap = defaultBaseMap;
+            application.baseMaps.push({
+                image: 'images/bing-aerial-labels.png',
+                catalogItem: defaultBaseMap
+            });
+            application.baseMap = defaultBaseMap;
+        }
 
         // Create the user interface.
         var ui = document.getElementById('ui');
@@ -143,92 +152,33 @@ if (start) {
             ]
         });
 
-        // Create the various base layer options.
-        var naturalEarthII = new WebMapServiceCatalogItem(application);
-        naturalEarthII.name = 'Natural Earth II';
-        naturalEarthII.url = 'http://geoserver.nationalmap.nicta.com.au/imagery/natural-earth-ii/wms';
-        naturalEarthII.layers = 'natural-earth-ii:NE2_HR_LC_SR_W_DR';
-        naturalEarthII.parameters = {
-            tiled: true
-        };
-        naturalEarthII.opacity = 1.0;
-
-        var australianTopoOverlay = new ArcGisMapServerCatalogItem(application);
-        australianTopoOverlay.name = 'Australian Topography';
-        australianTopoOverlay.url = 'http://www.ga.gov.au/gis/rest/services/topography/National_Map_Basemap_WM/MapServer';
-        australianTopoOverlay.opacity = 1.0;
-
-        var australianTopo = new CompositeCatalogItem(application, [naturalEarthII, australianTopoOverlay]);
-        australianTopo.name = 'Australian Topography';
-
-        var blackMarble = new WebMapServiceCatalogItem(application);
-        blackMarble.name = 'NASA Black Marble';
-        blackMarble.url = 'http://geoserver.nationalmap.nicta.com.au/imagery/nasa-black-marble/wms';
-        blackMarble.layers = 'nasa-black-marble:dnb_land_ocean_ice.2012.54000x27000_geo';
-        blackMarble.parameters = {
-            tiled: true
-        };
-        blackMarble.opacity = 1.0;
-
-        var bingMapsAerial = new BingMapsCatalogItem(application);
-        bingMapsAerial.name = 'Bing Maps Aerial';
-        bingMapsAerial.mapStyle = BingMapsStyle.AERIAL;
-        bingMapsAerial.opacity = 1.0;
-
-        var bingMapsRoads = new BingMapsCatalogItem(application);
-        bingMapsRoads.name = 'Bing Maps Roads';
-        bingMapsRoads.mapStyle = BingMapsStyle.ROAD;
-        bingMapsRoads.opacity = 1.0;
-
-        var australianHydroOverlay = new ArcGisMapServerCatalogItem(application);
-        australianHydroOverlay.name = 'Australian Hydrography';
-        australianHydroOverlay.url = 'http://www.ga.gov.au/gis/rest/services/topography/AusHydro_WM/MapServer';
-        australianHydroOverlay.opacity = 1.0;
-
-        var australianHydro = new CompositeCatalogItem(application, [naturalEarthII, australianHydroOverlay]);
-        australianHydro.name = 'Australian Hydrography';
-
         var settingsPanel = new SettingsPanelViewModel({
             application: application,
             isVisible: false
         });
 
-        settingsPanel.baseMaps.push(new BaseMapViewModel({
-            image: 'images/australian-topo.png',
-            catalogItem: australianTopo,
-        }));
-
-        settingsPanel.baseMaps.push(new BaseMapViewModel({
-            image: 'images/bing-aerial-labels.png',
-            catalogItem: defaultBaseMap
-        }));
+        settingsPanel.show(ui);
 
-        settingsPanel.baseMaps.push(new BaseMapViewModel({
-            image: 'images/bing-aerial.png',
-            catalogItem: bingMapsAerial,
-        }));
+        var measurePanel = new MeasurePanelViewModel({
+            application: application,
+            isVisible: false
+        });
 
-        settingsPanel.baseMaps.push(new BaseMapViewModel({
-            image: 'images/bing-maps-roads.png',
-            catalogItem: bingMapsRoads,
-        }));
+        measurePanel.show(ui);
 
-        settingsPanel.baseMaps.push(new BaseMapViewModel({
-            image: 'images/hydro.png',
-            catalogItem: australianHydro,
-        }));
+        var drawingPanel = new DrawingPanelViewModel({
+            application: application,
+            isVisible: false
+        });
 
-        settingsPanel.baseMaps.push(new BaseMapViewModel({
-            image: 'images/black-marble.png',
-            catalogItem: blackMarble,
-        }));
+        drawingPanel.show(ui);
 
-        settingsPanel.baseMaps.push(new BaseMapViewModel({
-            image: 'images/natural-earth.png',
-            catalogItem: naturalEarthII,
-        }));
+        var selectByAreaPanel = new SelectByAreaPanelViewModel({
+            application: application,
+            isVisible: false
+        });
 
-        settingsPanel.show(ui);
+        selectByAreaPanel.show(ui);
 
         var menuBar = new MenuBarViewModel();
 
@@ -268,6 +218,21 @@ if (start) {
             tooltip: 'Change the map mode (2D/3D) and base map.',
             observableToToggle: knockout.getObservable(settingsPanel, 'isVisible')
         }));
+        menuBar.items.push(new MenuBarItemViewModel({
+            label: 'Measure',
+            tooltip: 'Measure distances, areas and elevation profiles on the map.',
+            observableToToggle: knockout.getObservable(measurePanel, 'isVisible')
+        }));
+        menuBar.items.push(new MenuBarItemViewModel({
+            label: 'Draw',
+            tooltip: 'Draw points, lines, shapes and labels on the map.',
+            observableToToggle: knockout.getObservable(drawingPanel, 'isVisible')
+        }));
+        menuBar.items.push(new MenuBarItemViewModel({
+            label: 'Select',
+            tooltip: 'Select the features of the data on the map within an area, and export them.',
+            observableToToggle: knockout.getObservable(selectByAreaPanel, 'isVisible')
+        }));
         menuBar.items.push(new MenuBarItemViewModel({
             label: 'Share',
             tooltip: 'Share your map with others.',
@@ -277,6 +242,24 @@ if (start) {
                 });
             }
         }));
+        menuBar.items.push(new MenuBarItemViewModel({
+            label: 'Animate',
+            tooltip: 'Export an animation of time-varying data as a GIF or video.',
+            callback: function() {
+                AnimationExportViewModel.open(ui, {
+                    application: application
+                });
+            }
+        }));
+        menuBar.items.push(new MenuBarItemViewModel({
+            label: 'Print',
+            tooltip: 'Print the map, with its legends, on a page of a chosen size.',
+            callback: function() {
+                PrintViewModel.open(ui, {
+                    application: application
+                });
+            }
+        }));
         menuBar.items.push(new MenuBarItemViewModel({
             label: 'About',
             tooltip: 'About National Map.',
@@ -293,6 +276,9 @@ if (start) {
         var locationBar = new LocationBarViewModel(application, document.getElementById('cesiumContainer'));
         locationBar.show(ui);
 
+        var splitter = new SplitterViewModel(application, document.getElementById('cesiumContainer'));
+        splitter.show(document.getElementById('cesiumContainer'));
+
         var distanceLegend = new DistanceLegendViewModel(application);
         distanceLegend.show(ui);
 
@@ -361,6 +347,9 @@ if (start) {
         var onePanelOpenInTopRight = new OnePanelOpenInTopRight();
         onePanelOpenInTopRight.addPanel(settingsPanel);
         onePanelOpenInTopRight.addPanel(featureInfo);
+        onePanelOpenInTopRight.addPanel(measurePanel);
+        onePanelOpenInTopRight.addPanel(drawingPanel);
+        onePanelOpenInTopRight.addPanel(selectByAreaPanel);
 
         document.getElementById('loadingIndicator').style.display = 'none';
     });
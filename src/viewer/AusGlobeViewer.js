@@ -10,7 +10,6 @@
 var BingMapsApi = require('../../third_party/cesium/Source/Core/BingMapsApi');
 var Cartographic = require('../../third_party/cesium/Source/Core/Cartographic');
 var CesiumMath = require('../../third_party/cesium/Source/Core/Math');
-var CesiumTerrainProvider = require('../../third_party/cesium/Source/Core/CesiumTerrainProvider');
 var Clock = require('../../third_party/cesium/Source/Core/Clock');
 var ClockRange = require('../../third_party/cesium/Source/Core/ClockRange');
 var Color = require('../../third_party/cesium/Source/Core/Color');
@@ -23,14 +22,12 @@ var Ellipsoid = require('../../third_party/cesium/Source/Core/Ellipsoid');
 var EllipsoidTerrainProvider = require('../../third_party/cesium/Source/Core/EllipsoidTerrainProvider');
 var FeatureDetection = require('../../third_party/cesium/Source/Core/FeatureDetection');
 var EventHelper = require('../../third_party/cesium/Source/Core/EventHelper');
-var Rectangle = require('../../third_party/cesium/Source/Core/Rectangle');
 var InfoBox = require('../../third_party/cesium/Source/Widgets/InfoBox/InfoBox');
 var JulianDate = require('../../third_party/cesium/Source/Core/JulianDate');
 var KeyboardEventModifier = require('../../third_party/cesium/Source/Core/KeyboardEventModifier');
 var Material = require('../../third_party/cesium/Source/Scene/Material');
 var Matrix3 = require('../../third_party/cesium/Source/Core/Matrix3');
 var Matrix4 = require('../../third_party/cesium/Source/Core/Matrix4');
-var Rectangle = require('../../third_party/cesium/Source/Core/Rectangle');
 var RectanglePrimitive = require('../../third_party/cesium/Source/Scene/RectanglePrimitive');
 var cesiumRequestAnimationFrame = require('../../third_party/cesium/Source/Core/requestAnimationFrame');
 var ScreenSpaceEventHandler = require('../../third_party/cesium/Source/Core/ScreenSpaceEventHandler');
@@ -51,8 +48,13 @@ var FrameRateMonitor = require('../../third_party/cesium/Source/Scene/FrameRateM
 var runLater = require('../Core/runLater');
 
 var Cesium = require('../Models/Cesium');
+var computeRectangleFromCorners = require('../Map/computeRectangleFromCorners');
+var createOwnClockVisualizersCallback = require('../Map/createOwnClockVisualizersCallback');
+var createTerrainProvider = require('../Models/createTerrainProvider');
+var ExaggeratedTerrainProvider = require('../Map/ExaggeratedTerrainProvider');
 var Leaflet = require('../Models/Leaflet');
 var PopupMessageViewModel = require('../ViewModels/PopupMessageViewModel');
+var raiseErrorToUser = require('../Models/raiseErrorToUser');
 var LeafletVisualizer = require('../Map/LeafletVisualizer');
 var ViewerMode = require('../Models/ViewerMode');
 
@@ -121,6 +123,14 @@ If you\'re on a desktop or laptop, consider increasing the size of your window.'
     knockout.getObservable(this.application, 'baseMap').subscribe(function() {
         changeBaseMap(this, this.application.baseMap);
     }, this);
+
+    knockout.getObservable(this.application, 'terrainOption').subscribe(function() {
+        changeTerrain(this);
+    }, this);
+
+    knockout.getObservable(this.application, 'terrainExaggeration').subscribe(function() {
+        changeTerrain(this);
+    }, this);
 };
 
 AusGlobeViewer.create = function(application) {
@@ -156,23 +166,72 @@ latest version of <a href="http://www.google.com/chrome" target="_blank">Google
                 if (defined(application.leaflet)) {
                     viewer.selectViewer(true);
                 } else {
-                    application.cesium.scene.globe.terrainProvider = new CesiumTerrainProvider({
-                        url : '//cesiumjs.org/stk-terrain/tilesets/world/tiles'
-                    });
+                    changeTerrain(viewer);
                 }
             } else if (newMode === ViewerMode.CesiumEllipsoid) {
                 ga('send', 'event', 'mapSettings', 'switchViewer', 'Smooth 3D');
 
                 if (defined(application.leaflet)) {
                     viewer.selectViewer(true);
+                } else {
+                    changeTerrain(viewer);
                 }
-
-                application.cesium.scene.globe.terrainProvider = new EllipsoidTerrainProvider();
             }
         }
     }
 }
 
+function changeTerrain(viewer) {
+    if (defined(viewer.viewer)) {
+        viewer.viewer.scene.terrainProvider = createTerrainProviderForViewerMode(viewer);
+    }
+}
+
+// Creates the terrain provider for the chosen terrain, or for the ellipsoid in 3D Smooth mode.  If the terrain server
+// doesn't respond, the ellipsoid is used instead.
+function createTerrainProviderForViewerMode(viewer) {
+    var application = viewer.application;
+    if (application.viewerMode !== ViewerMode.CesiumTerrain || !defined(application.terrainOption)) {
+        return new EllipsoidTerrainProvider();
+    }
+
+    var terrainProvider;
+    try {
+        terrainProvider = createTerrainProvider(application.terrainOption, application);
+    } catch (e) {
+        raiseErrorToUser(application, e);
+        return new EllipsoidTerrainProvider();
+    }
+
+    if (application.terrainExaggeration !== 1.0) {
+        terrainProvider = new ExaggeratedTerrainProvider({
+            terrainProvider: terrainProvider,
+            exaggeration: application.terrainExaggeration
+        });
+    }
+
+    terrainProvider.errorEvent.addEventListener(function(err) {
+        console.log('Terrain provider error.  ', err.message);
+        if (defined(viewer.viewer) && viewer.viewer.scene.terrainProvider === terrainProvider) {
+            console.log('Switching to EllipsoidTerrainProvider.');
+            viewer.viewer.scene.terrainProvider = new EllipsoidTerrainProvider();
+            if (!defined(viewer.TerrainMessageViewed)) {
+                PopupMessageViewModel.open('ui', {
+                    title : 'Terrain Server Not Responding',
+                    message : '\
+The terrain server is not responding at the moment.  You can still use all the features of National \
+Map but there will be no terrain detail in 3D mode.  We\'re sorry for the inconvenience.  Please try \
+again later and the terrain server should be responding as expected.  If the issue persists, please contact \
+us via email at nationalmap@lists.nicta.com.au.'
+                });
+                viewer.TerrainMessageViewed = true;
+            }
+        }
+    });
+
+    return terrainProvider;
+}
+
 function changeBaseMap(viewer, newBaseMap) {
     if (defined(viewer._previousBaseMap)) {
         viewer._previousBaseMap._hide();
@@ -217,27 +276,7 @@ DrawExtentHelper.prototype.disableInput = function () {
 };
 
 DrawExtentHelper.prototype.getExtent = function (mn, mx) {
-    var e = new Rectangle();
-
-    // Re-order so west < east and south < north
-    e.west = Math.min(mn.longitude, mx.longitude);
-    e.east = Math.max(mn.longitude, mx.longitude);
-    e.south = Math.min(mn.latitude, mx.latitude);
-    e.north = Math.max(mn.latitude, mx.latitude);
-
-    // Check for approx equal (shouldn't require abs due to re-order)
-    var epsilon = CesiumMath.EPSILON6;
-
-    if (Math.abs(e.east - e.west) < epsilon) {
-        e.east += epsilon * 2.0;
-        return;
-    }
-
-    if (Math.abs(e.north - e.south) < epsilon) {
-        e.north += epsilon * 2.0;
-        return;
-    }
-    return e;
+    return computeRectangleFromCorners(mn, mx);
 };
 
 DrawExtentHelper.prototype.setPolyPts = function (mn, mx) {
@@ -354,12 +393,9 @@ AusGlobeViewer.prototype._createCesiumViewer = function(container) {
 
     var that = this;
     
-    var terrainProvider = new CesiumTerrainProvider({
-            url : '//cesiumjs.org/stk-terrain/tilesets/world/tiles'
-        });
+    var terrainProvider = createTerrainProviderForViewerMode(this);
 
     var options = {
-        dataSources: this.application.dataSources,
         clock: this.application.clock,
         homeButton: false,
         sceneModePicker: false,
@@ -389,24 +425,17 @@ AusGlobeViewer.prototype._createCesiumViewer = function(container) {
 
     viewer.clock.shouldAnimate = false;
 
-    //catch Cesium terrain provider down and switch to Ellipsoid
-    terrainProvider.errorEvent.addEventListener(function(err) {
-        console.log('Terrain provider error.  ', err.message);
-        if (viewer.scene.terrainProvider instanceof CesiumTerrainProvider) {
-            console.log('Switching to EllipsoidTerrainProvider.');
-            viewer.scene.terrainProvider = new EllipsoidTerrainProvider();
-            if (!defined(that.TerrainMessageViewed)) {
-                PopupMessageViewModel.open('ui', {
-                    title : 'Terrain Server Not Responding',
-                    message : '\
-The terrain server is not responding at the moment.  You can still use all the features of National \
-Map but there will be no terrain detail in 3D mode.  We\'re sorry for the inconvenience.  Please try \
-again later and the terrain server should be responding as expected.  If the issue persists, please contact \
-us via email at nationalmap@lists.nicta.com.au.'
-                });
-                that.TerrainMessageViewed = true;
-            }
-        }
+    // The viewer's own display draws every data source at the time of the application's clock, so the application's
+    // data sources are drawn with a display that draws items with their own clock at their own time instead.
+    this.dataSourceDisplay = new DataSourceDisplay({
+        scene : viewer.scene,
+        dataSourceCollection : this.application.dataSources,
+        visualizersCallback : createOwnClockVisualizersCallback(this.application, DataSourceDisplay.defaultVisualizersCallback)
+    });
+
+    this.cesiumEventHelper = new EventHelper();
+    this.cesiumEventHelper.add(viewer.clock.onTick, function(clock) {
+        that.dataSourceDisplay.update(clock.currentTime);
     });
 
     var scene = viewer.scene;
@@ -485,6 +514,11 @@ AusGlobeViewer.prototype.selectViewer = function(bCesium) {
                 this.monitor.destroy();
                 this.monitor = undefined;
             }
+
+            this.cesiumEventHelper.removeAll();
+            this.cesiumEventHelper = undefined;
+            this.dataSourceDisplay.destroy();
+
             this.viewer.destroy();
             this.viewer = undefined;
         }
@@ -518,7 +552,7 @@ AusGlobeViewer.prototype.selectViewer = function(bCesium) {
         this.dataSourceDisplay = new DataSourceDisplay({
             scene : leaflet.scene,
             dataSourceCollection : map.dataSources,
-            visualizersCallback: this.leafletVisualizer.visualizersCallback
+            visualizersCallback: createOwnClockVisualizersCallback(this.application, this.leafletVisualizer.visualizersCallback)
         });
 
         var eventHelper = new EventHelper();